@@ -0,0 +1,169 @@
+import { sep } from 'path';
+import { mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { logger } from '../vmsnap.js';
+import { fileExists } from './general.js';
+
+/**
+ * Backup chains.  A period folder normally holds a single chain, a full
+ * backup followed by its incrementals.  When a chain can not be carried on a
+ * new one is started in a chain-N sub-folder of the period, leaving the
+ * backups already taken where they are.  The period folder itself holds the
+ * first chain.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The name of a chain sub-folder before its number
+export const CHAIN_FOLDER_PREFIX = 'chain-';
+
+// The file a request for a new chain is recorded to, it sits in the domain's
+// directory under the output directory
+export const NEW_CHAIN_FILE = 'vmsnap-new-chain.json';
+
+// Matches a chain sub-folder and captures its number
+const CHAIN_FOLDER_REGEX = /^chain-([0-9]+)$/;
+
+/**
+ * Lists the chain sub-folders of a period folder.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<Array<object>>} the name, number and path of each chain
+ * sub-folder, oldest first, empty if there are none
+ */
+const listChainFolders = async (path) => {
+  if (!(await fileExists(path))) {
+    return [];
+  }
+
+  return (await readdir(path, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => [entry.name, CHAIN_FOLDER_REGEX.exec(entry.name)])
+    .filter(([, match]) => match !== null)
+    .map(([name, match]) => ({
+      name,
+      number: Number(match[1]),
+      path: `${path}${sep}${name}`,
+    }))
+    .sort((a, b) => a.number - b.number);
+};
+
+/**
+ * Lists every chain of a period folder, the first being the period folder
+ * itself.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<Array<object>>} the name, number and path of each chain,
+ * oldest first, the first chain has no name
+ */
+const listChains = async (path) => [
+  { name: null, number: 1, path },
+  ...(await listChainFolders(path)),
+];
+
+/**
+ * Finds the folder of a chain of a period by its number.
+ *
+ * @param {string} path the period folder
+ * @param {number} number the number of the chain, 1 for the first
+ * @returns {Promise<string|undefined>} the folder of the chain, or undefined
+ * if the period has no such chain
+ */
+const getChainFolder = async (path, number) =>
+  (await listChains(path)).find((chain) => chain.number === number)?.path;
+
+/**
+ * Works out the folder the backups of a period are added to, the one holding
+ * its newest chain.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<string>} the newest chain sub-folder, or the period folder
+ * if it has none
+ */
+const getChainPath = async (path) => {
+  const chains = await listChainFolders(path);
+
+  return chains.length === 0 ? path : chains[chains.length - 1].path;
+};
+
+/**
+ * Works out the folder a new chain in a period goes in.  The period folder
+ * holds the first chain so sub-folders start at chain-2.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<string>} the chain sub-folder for the new chain
+ */
+const getNextChainPath = async (path) => {
+  const chains = await listChainFolders(path);
+
+  const number = chains.length === 0 ? 2 : chains[chains.length - 1].number + 1;
+
+  return `${path}${sep}${CHAIN_FOLDER_PREFIX}${number}`;
+};
+
+/**
+ * Records that the next backup of a domain has to start a new chain.
+ *
+ * @param {string} output the backup directory root
+ * @param {string} domain the domain to start a new chain for
+ * @param {object} details why the new chain was requested, recorded with it
+ */
+const requestNewChain = async (output, domain, details = {}) => {
+  const domainDir = `${output}${sep}${domain}`;
+
+  await mkdir(domainDir, { recursive: true });
+
+  await writeFile(
+    `${domainDir}${sep}${NEW_CHAIN_FILE}`,
+    JSON.stringify(
+      { requestedAt: new Date().toISOString(), ...details },
+      undefined,
+      2,
+    ),
+  );
+};
+
+/**
+ * Reads the request for a new chain of a domain.
+ *
+ * @param {string} output the backup directory root
+ * @param {string} domain the domain to read the request of
+ * @returns {Promise<object|undefined>} the request, or undefined if no new
+ * chain was requested
+ */
+const readNewChainRequest = async (output, domain) => {
+  const file = `${output}${sep}${domain}${sep}${NEW_CHAIN_FILE}`;
+
+  if (!(await fileExists(file))) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    // The file is only ever written by a repair, it still asks for a new chain
+    logger.warn(`Unable to read ${file}: ${error.message}`);
+
+    return {};
+  }
+};
+
+/**
+ * Clears the request for a new chain of a domain, once the chain is started.
+ *
+ * @param {string} output the backup directory root
+ * @param {string} domain the domain to clear the request of
+ */
+const clearNewChainRequest = async (output, domain) => {
+  await rm(`${output}${sep}${domain}${sep}${NEW_CHAIN_FILE}`, { force: true });
+};
+
+export {
+  clearNewChainRequest,
+  getChainFolder,
+  getChainPath,
+  getNextChainPath,
+  listChainFolders,
+  listChains,
+  readNewChainRequest,
+  requestNewChain,
+};
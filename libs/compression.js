@@ -0,0 +1,157 @@
+import { sep } from 'path';
+import { open, readdir, stat } from 'fs/promises';
+import { ERR_BACKUP } from '../vmsnap.js';
+import { createError } from './general.js';
+import { ENCRYPTED_EXTENSION } from './encryption.js';
+
+/**
+ * Compressed backups.  virtnbdbackup writes each disk to a .data file in its
+ * stream format, which starts with a metadata frame holding how much disk data
+ * the stream carries and whether it is compressed.  Comparing that with the
+ * size of the file on disk shows what compression is saving.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The highest lz4 compression level virtnbdbackup accepts
+export const MAX_COMPRESSION_LEVEL = 16;
+
+// The extension of the disk data files virtnbdbackup writes
+const DATA_FILE_EXTENSION = '.data';
+
+// Matches the metadata frame that opens a stream and captures its length
+const META_FRAME_REGEX = /^meta [0-9a-f]{16} ([0-9a-f]{16})\r\n/;
+
+// The length of a frame header, "meta <start> <length>\r\n"
+const FRAME_HEADER_LENGTH = 40;
+
+/**
+ * Reads the compression setting from the options.  --compress on its own, or
+ * compress: true in the config file, uses virtnbdbackup's default level.
+ *
+ * @param {boolean|number|string|undefined} compress the compress option
+ * @returns {true|number|undefined} true for the default level, the level, or
+ * undefined when compression is off
+ * @throws {Error} if the level is not a whole number from 0 to 16
+ */
+const getCompressionLevel = (compress) => {
+  if (compress === undefined || compress === false || compress === 'false') {
+    return undefined;
+  }
+
+  if (compress === true || compress === 'true' || compress === '') {
+    return true;
+  }
+
+  const level = Number(compress);
+
+  if (!Number.isInteger(level) || level < 0 || level > MAX_COMPRESSION_LEVEL) {
+    throw createError(
+      `Invalid compression level: ${compress}.  Use 0 to ${MAX_COMPRESSION_LEVEL}`,
+      ERR_BACKUP,
+    );
+  }
+
+  return level;
+};
+
+/**
+ * Reads the metadata at the start of a virtnbdbackup stream.
+ *
+ * @param {string} file the .data file to read
+ * @returns {Promise<object|undefined>} the metadata, or undefined if the file
+ * is not a stream, like the plain copy of a raw disk
+ */
+const readStreamMetadata = async (file) => {
+  const handle = await open(file, 'r');
+
+  try {
+    const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+
+    await handle.read(header, 0, FRAME_HEADER_LENGTH, 0);
+
+    const match = META_FRAME_REGEX.exec(header.toString('latin1'));
+
+    if (match === null) {
+      return undefined;
+    }
+
+    const metadata = Buffer.alloc(parseInt(match[1], 16));
+
+    await handle.read(metadata, 0, metadata.length, FRAME_HEADER_LENGTH);
+
+    return JSON.parse(metadata.toString('utf8'));
+  } catch (error) {
+    return undefined;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Adds up the stored and logical size of the disk data in a backup folder.
+ * The stored size is what the .data files take on disk, the logical size is
+ * the disk data they hold once uncompressed.  The metadata of encrypted data
+ * files can not be read, it comes from the folder's encryption manifest.
+ *
+ * @param {string} path the backup folder
+ * @param {object|undefined} manifest the encryption manifest of the folder
+ * @returns {Promise<object>} the storedSize, logicalSize, compressionRatio and
+ * whether any of the data is compressed
+ */
+const getStorageStats = async (path, manifest = undefined) => {
+  let storedSize = 0;
+
+  let logicalSize = 0;
+
+  let compressed = false;
+
+  for (const name of await readdir(path)) {
+    const encrypted = name.endsWith(
+      `${DATA_FILE_EXTENSION}${ENCRYPTED_EXTENSION}`,
+    );
+
+    if (!name.endsWith(DATA_FILE_EXTENSION) && !encrypted) {
+      continue;
+    }
+
+    const file = `${path}${sep}${name}`;
+
+    const { size } = await stat(file);
+
+    const metadata = encrypted
+      ? manifest?.files.find(
+          (entry) => `${entry.name}${ENCRYPTED_EXTENSION}` === name,
+        )
+      : await readStreamMetadata(file);
+
+    storedSize += size;
+    logicalSize += metadata?.dataSize ?? size;
+    compressed ||= metadata?.compressed === true;
+  }
+
+  return {
+    storedSize,
+    logicalSize,
+    compressionRatio: getCompressionRatio(storedSize, logicalSize),
+    compressed,
+  };
+};
+
+/**
+ * Works out how many times smaller the stored data is than the logical data.
+ *
+ * @param {number} storedSize the bytes on disk
+ * @param {number} logicalSize the bytes of disk data
+ * @returns {number|null} the ratio to two decimal places, or null when
+ * nothing is stored
+ */
+const getCompressionRatio = (storedSize, logicalSize) =>
+  storedSize === 0 ? null : Math.round((logicalSize / storedSize) * 100) / 100;
+
+export {
+  getCompressionLevel,
+  getCompressionRatio,
+  getStorageStats,
+  readStreamMetadata,
+};
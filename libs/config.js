@@ -0,0 +1,222 @@
+import { readFile } from 'fs/promises';
+import { parse } from 'yaml';
+import { logger, ERR_CONFIG } from '../vmsnap.js';
+import { createError, fileExists } from './general.js';
+import { setDomainUri, setLibvirtUri } from './virsh.js';
+
+/**
+ * Configuration file handling.  A configuration file holds global defaults
+ * and per-domain profiles which are merged with the command line arguments.
+ * Command line arguments always win over the file.
+ *
+ * defaults:
+ *   output: /backups
+ *   groupBy: month
+ * domains:
+ *   vm1:
+ *     groupBy: quarter
+ *     prune: true
+ * notifications:
+ *   webhooks:
+ *     - url: https://hooks.slack.com/services/...
+ *       template: slack
+ * replication:
+ *   targets:
+ *     - /mnt/nfs/backups
+ * schedules:
+ *   - name: nightly
+ *     domains: '*'
+ *     cron: '0 2 * * *'
+ *     job: backup
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// Where the configuration file is looked for when --config is not passed
+export const DEFAULT_CONFIG_PATH = '/etc/vmsnap/config.yml';
+
+// The settings a domain profile may override
+export const PROFILE_KEYS = [
+  'output',
+  'groupBy',
+  'prune',
+  'raw',
+  'connect',
+  'socketfile',
+  'keepLast',
+  'keepMonthly',
+  'keepQuarterly',
+  'keepYearly',
+  'includeDisks',
+  'excludeDisks',
+  'compress',
+  'encryptKey',
+  'maxAge',
+];
+
+// Other names a setting may go by in the file, read as the setting named
+const SETTING_ALIASES = { exclusions: 'excludeDisks' };
+
+// Keys yargs adds to the parsed arguments that are not settings
+const YARGS_KEYS = ['_', '$0'];
+
+/**
+ * Loads the configuration file, if there is one, and merges it with the
+ * command line arguments.
+ *
+ * @param {object} argv the parsed command line arguments
+ * @returns {Promise<object>} the merged options
+ */
+const loadConfig = async (argv) => {
+  const path = argv.config ?? DEFAULT_CONFIG_PATH;
+
+  if (!(await fileExists(path))) {
+    if (argv.config !== undefined) {
+      throw createError(`Config file ${path} not found`, ERR_CONFIG);
+    }
+
+    return mergeConfig({}, argv);
+  }
+
+  let fileConfig;
+
+  try {
+    fileConfig = parse(await readFile(path, 'utf8')) ?? {};
+  } catch (error) {
+    throw createError(`Unable to read ${path}: ${error.message}`, ERR_CONFIG);
+  }
+
+  if (argv.verbose) {
+    logger.info(`Loaded config from ${path}`);
+  }
+
+  return mergeConfig(fileConfig, argv);
+};
+
+/**
+ * Merges a parsed configuration file with the command line arguments.  The
+ * result holds the global settings, the per-domain profiles and the command
+ * line overrides so getDomainOptions can resolve the settings of a domain.
+ *
+ * @param {object} fileConfig the parsed configuration file
+ * @param {object} argv the parsed command line arguments
+ * @returns {object} the merged options
+ */
+const mergeConfig = (fileConfig, argv) => {
+  if (typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw createError('Config file must contain a mapping', ERR_CONFIG);
+  }
+
+  const defaults = resolveAliases(fileConfig.defaults ?? {});
+
+  const profiles = Object.fromEntries(
+    Object.entries(fileConfig.domains ?? {}).map(([domain, profile]) => [
+      domain,
+      resolveAliases(profile ?? {}),
+    ]),
+  );
+
+  for (const [domain, profile] of Object.entries(profiles)) {
+    for (const key of Object.keys(profile ?? {})) {
+      if (!PROFILE_KEYS.includes(key)) {
+        logger.warn(`Ignoring unknown setting ${key} for ${domain}`);
+      }
+    }
+  }
+
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(argv)) {
+    if (!YARGS_KEYS.includes(key)) {
+      overrides[key] = value;
+    }
+  }
+
+  const options = { ...defaults, ...overrides, profiles, overrides };
+
+  if (fileConfig.notifications !== undefined) {
+    options.notifications = fileConfig.notifications;
+  }
+
+  if (fileConfig.replication !== undefined) {
+    options.replication = fileConfig.replication;
+  }
+
+  if (fileConfig.schedules !== undefined) {
+    options.schedules = fileConfig.schedules;
+  }
+
+  // Without --domains every domain with a profile is selected
+  if (options.domains === undefined && Object.keys(profiles).length > 0) {
+    options.domains = Object.keys(profiles).join(',');
+  }
+
+  return options;
+};
+
+/**
+ * Renames the settings of a section of the file given by another name, like
+ * exclusions for excludeDisks.  A setting given by its own name wins.
+ *
+ * @param {object} settings the settings of the section
+ * @returns {object} the settings under their own names
+ */
+const resolveAliases = (settings) => {
+  const resolved = { ...settings };
+
+  for (const [alias, key] of Object.entries(SETTING_ALIASES)) {
+    if (resolved[alias] !== undefined) {
+      resolved[key] ??= resolved[alias];
+
+      delete resolved[alias];
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Resolves the settings for a single domain.  The domain's profile is laid
+ * over the global settings and the command line overrides are laid over that.
+ *
+ * @param {object} options the merged options
+ * @param {string} domain the domain to resolve settings for
+ * @returns {object} the settings for the domain
+ */
+const getDomainOptions = (options, domain) => {
+  const profile = options.profiles?.[domain] ?? {};
+
+  const settings = {};
+
+  for (const key of PROFILE_KEYS) {
+    if (profile[key] !== undefined) {
+      settings[key] = profile[key];
+    }
+  }
+
+  return { ...options, ...settings, ...(options.overrides ?? {}) };
+};
+
+/**
+ * Points virsh at the libvirt connection URIs in the merged options.  A
+ * connection URI on the command line applies to every domain.
+ *
+ * @param {object} options the merged options
+ */
+const configureConnections = (options) => {
+  if (options.connect) {
+    setLibvirtUri(options.connect);
+  }
+
+  if (options.overrides?.connect) {
+    return;
+  }
+
+  for (const [domain, profile] of Object.entries(options.profiles ?? {})) {
+    if (profile?.connect) {
+      setDomainUri(domain, profile.connect);
+    }
+  }
+};
+
+export { configureConnections, getDomainOptions, loadConfig, mergeConfig };
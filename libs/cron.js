@@ -0,0 +1,240 @@
+import { ERR_SCHEDULE } from '../vmsnap.js';
+import { createError } from './general.js';
+
+/**
+ * Cron expressions for the daemon's schedules.  The usual five fields are
+ * supported, minute, hour, day of month, month and day of week, each taking
+ * *, numbers, ranges like 1-5, steps like 0-30/10 and lists like 1,15.  Months
+ * and days of the week may be named (jan, mon) and @hourly, @daily,
+ * @weekly, @monthly and @yearly stand in for a whole expression.  Times are
+ * in the local time zone, as cron does.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The expressions the @ shorthands stand in for
+const MACROS = new Map([
+  ['@yearly', '0 0 1 1 *'],
+  ['@annually', '0 0 1 1 *'],
+  ['@monthly', '0 0 1 * *'],
+  ['@weekly', '0 0 * * 0'],
+  ['@daily', '0 0 * * *'],
+  ['@midnight', '0 0 * * *'],
+  ['@hourly', '0 * * * *'],
+]);
+
+// The fields of an expression in order, day of week 7 is Sunday as well as 0
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: [
+      'jan',
+      'feb',
+      'mar',
+      'apr',
+      'may',
+      'jun',
+      'jul',
+      'aug',
+      'sep',
+      'oct',
+      'nov',
+      'dec',
+    ],
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  },
+];
+
+// Matches a single part of a field, a range or value with an optional step
+const PART_REGEX = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/([0-9]+))?$/;
+
+// How far ahead the next run is looked for, an expression like 0 0 30 2 *
+// never matches
+const SEARCH_YEARS = 8;
+
+/**
+ * Parses a cron expression.
+ *
+ * @param {string} expression the expression, like 0 2 * * * or @daily
+ * @returns {object} the expression and the values each field matches
+ * @throws {Error} if the expression can not be understood
+ */
+const parseCron = (expression) => {
+  const text = `${expression ?? ''}`.trim().toLowerCase();
+
+  const fields = (MACROS.get(text) ?? text).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw createError(
+      `Invalid cron expression ${expression}: expected ${FIELDS.length} fields`,
+      ERR_SCHEDULE,
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseField(expression, field, FIELDS[index]),
+  );
+
+  // Sunday may be written as 7
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: `${expression}`.trim(),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*'),
+  };
+};
+
+/**
+ * Parses a single field of a cron expression.
+ *
+ * @param {string} expression the whole expression, for the error
+ * @param {string} field the field to parse
+ * @param {object} spec the name, bounds and value names of the field
+ * @returns {Set<number>} the values the field matches
+ * @throws {Error} if the field can not be understood
+ */
+const parseField = (expression, field, spec) => {
+  const values = new Set();
+
+  const invalid = () =>
+    createError(
+      `Invalid cron expression ${expression}: bad ${spec.name} ${field}`,
+      ERR_SCHEDULE,
+    );
+
+  for (const part of field.split(',')) {
+    const match = PART_REGEX.exec(part);
+
+    if (match === null) {
+      throw invalid();
+    }
+
+    const [, range, step] = match;
+
+    let first = spec.min;
+
+    let last = spec.max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-').map((value) => toValue(value, spec));
+
+      first = from;
+
+      // A value with a step runs to the end of the field, like 5/15
+      last = to ?? (step === undefined ? from : spec.max);
+    }
+
+    const increment = step === undefined ? 1 : Number(step);
+
+    if (
+      Number.isNaN(first) ||
+      Number.isNaN(last) ||
+      first < spec.min ||
+      last > spec.max ||
+      first > last ||
+      increment < 1
+    ) {
+      throw invalid();
+    }
+
+    for (let value = first; value <= last; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Converts a value of a field to a number, value names included.
+ *
+ * @param {string} value the value, like 5 or jan
+ * @param {object} spec the field the value belongs to
+ * @returns {number} the value, NaN if it is not one
+ */
+const toValue = (value, spec) => {
+  if (/^[0-9]+$/.test(value)) {
+    return Number(value);
+  }
+
+  const index = spec.names?.indexOf(value) ?? -1;
+
+  return index === -1 ? NaN : index + spec.min;
+};
+
+/**
+ * Works out when a parsed cron expression next matches.
+ *
+ * @param {object} cron the parsed cron expression
+ * @param {Date} after the time to look from, the next run is after it
+ * @returns {Date|undefined} the start of the next minute the expression
+ * matches, or undefined if it never does
+ */
+const getNextRun = (cron, after) => {
+  const next = new Date(after.getTime());
+
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = new Date(next.getTime());
+
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (next < limit) {
+    if (!cron.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!isDayMatched(cron, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Checks if the day of a date is matched.  As with cron, when both the day of
+ * month and day of week are restricted either one matching is enough.
+ *
+ * @param {object} cron the parsed cron expression
+ * @param {Date} date the date to check
+ * @returns {boolean} true if the day is matched
+ */
+const isDayMatched = (cron, date) => {
+  const day = cron.days.has(date.getDate());
+
+  const weekday = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+
+  return day || weekday;
+};
+
+export { getNextRun, parseCron };
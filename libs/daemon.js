@@ -0,0 +1,544 @@
+import process from 'process';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { logger, ERR_SCHEDULE } from '../vmsnap.js';
+import { createError, fileExists, resolveDomains } from './general.js';
+import { configureConnections, loadConfig } from './config.js';
+import { getNextRun, parseCron } from './cron.js';
+import {
+  performBackup,
+  performPrune,
+  RESULT_FAILED,
+  RESULT_SUCCESS,
+} from './libnbdbackup.js';
+import { performVerify } from './verify.js';
+import { exportMetrics } from './metrics.js';
+
+/**
+ * The scheduler daemon.  Instead of a cron entry for each job, vmsnap --daemon
+ * runs the backup, verify and prune jobs of the schedules in the config file
+ * itself:
+ *
+ * schedules:
+ *   - name: nightly
+ *     domains: '@tag:prod'
+ *     cron: '0 2 * * *'
+ *     job: backup
+ *
+ * A job never runs on a domain another job is still working on, it waits for
+ * the domain instead.  When each schedule last ran is kept in the state file
+ * along with the result of every run, so a run missed while the daemon was
+ * down is caught up on when it starts.  SIGHUP reloads the config file and
+ * SIGTERM or SIGINT stop the daemon once the running jobs finish.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// Where the state of the schedules and their runs are kept
+export const DEFAULT_STATE_FILE = '/var/lib/vmsnap/daemon.json';
+
+// Backs up the domains of a schedule
+export const JOB_BACKUP = 'backup';
+
+// Verifies the backups of the domains of a schedule
+export const JOB_VERIFY = 'verify';
+
+// Prunes the backups of the domains of a schedule
+export const JOB_PRUNE = 'prune';
+
+// What runs for each job
+const JOBS = new Map([
+  [JOB_BACKUP, performBackup],
+  [JOB_VERIFY, performVerify],
+  [JOB_PRUNE, performPrune],
+]);
+
+// How many runs the state file keeps the results of, oldest dropped first
+const MAX_RUNS = 100;
+
+// How often the schedules are checked, at the start of each minute
+const TICK = 60 * 1000;
+
+/**
+ * Runs the schedules in the config file until the daemon is stopped.
+ *
+ * @param {object} options the merged options (schedules, stateFile and the
+ * settings the jobs use)
+ * @returns {Promise<void>} resolves once the daemon is stopped
+ */
+const performDaemon = async (options) => {
+  const stateFile = options.stateFile ?? DEFAULT_STATE_FILE;
+
+  const state = await readState(stateFile);
+
+  // The options and schedules in use, both replaced on reload
+  let current = options;
+
+  let schedules = loadSchedules(options);
+
+  // When each schedule runs next
+  const nextRuns = new Map();
+
+  // Runs waiting for their domains, in the order they fell due
+  const queue = [];
+
+  // The domains being worked on and the jobs working on them
+  const busy = new Set();
+
+  const running = new Map();
+
+  let timer;
+
+  let stopped = false;
+
+  let stop;
+
+  // The state file writes, made one at a time so an older state never lands
+  // after a newer one
+  let saving = Promise.resolve();
+
+  /**
+   * Writes the state file once the writes before it are done.
+   *
+   * @returns {Promise<void>} resolves once the state is written
+   */
+  const saveState = () => {
+    const saved = saving.then(() => writeState(stateFile, state));
+
+    saving = saved.catch(() => {});
+
+    return saved;
+  };
+
+  /**
+   * Works out when each schedule runs next.  A schedule keeps its next run
+   * across a reload unless its cron expression changed.  A new schedule runs
+   * from when it was first seen, a run it missed since it last ran is due
+   * straight away.
+   *
+   * @param {Map<string, object>} previous the schedules before the reload
+   */
+  const planRuns = async (previous = new Map()) => {
+    const now = new Date();
+
+    for (const schedule of schedules) {
+      const { name, cron } = schedule;
+
+      if (
+        nextRuns.has(name) &&
+        previous.get(name)?.cron.expression === cron.expression
+      ) {
+        continue;
+      }
+
+      state.schedules[name] ??= { seenAt: now.toISOString() };
+
+      const { lastRunAt, seenAt } = state.schedules[name];
+
+      const nextRun = getNextRun(cron, new Date(lastRunAt ?? seenAt));
+
+      if (nextRun <= now) {
+        logger.info(
+          `Catching up on ${name}, its run at ${nextRun.toISOString()} was missed`,
+        );
+      }
+
+      nextRuns.set(name, nextRun);
+    }
+
+    for (const name of nextRuns.keys()) {
+      if (!schedules.some((schedule) => schedule.name === name)) {
+        nextRuns.delete(name);
+      }
+    }
+
+    await saveState();
+  };
+
+  /**
+   * Queues the schedules that are due and starts what can be started, then
+   * waits for the next minute.  An error is logged and the next minute is
+   * still waited for, so one bad tick does not stop the schedules.
+   */
+  const tick = async () => {
+    try {
+      const now = new Date();
+
+      for (const schedule of schedules) {
+        const dueAt = nextRuns.get(schedule.name);
+
+        if (dueAt === undefined || dueAt > now) {
+          continue;
+        }
+
+        nextRuns.set(schedule.name, getNextRun(schedule.cron, now));
+
+        await queueRun(schedule, dueAt);
+      }
+
+      if (!stopped) {
+        startRuns();
+      }
+    } catch (error) {
+      logger.error(`Unable to run the schedules: ${error.message}`);
+    }
+
+    if (stopped) {
+      return;
+    }
+
+    // A reload ticks straight away, the tick it interrupted is replaced
+    clearTimeout(timer);
+
+    timer = setTimeout(tick, TICK - (Date.now() % TICK));
+  };
+
+  /**
+   * Queues a run of a schedule.  A schedule whose last run is still waiting
+   * or running is not queued again.
+   *
+   * @param {object} schedule the schedule that is due
+   * @param {Date} dueAt when the run was due
+   */
+  const queueRun = async (schedule, dueAt) => {
+    const { name, job } = schedule;
+
+    if (running.has(name) || queue.some((run) => run.schedule.name === name)) {
+      logger.warn(
+        `Skipping the run of ${name} due at ${dueAt.toISOString()}, its last run has not finished`,
+      );
+
+      return;
+    }
+
+    let domains;
+
+    try {
+      domains = await resolveDomains(schedule.domains, schedule.exclude);
+    } catch (error) {
+      await recordRun(schedule, dueAt, new Date(), {
+        error: error.message,
+      });
+
+      return;
+    }
+
+    if (domains.length === 0) {
+      await recordRun(schedule, dueAt, new Date(), {
+        error: `No matching domains found for: ${schedule.domains}`,
+      });
+
+      return;
+    }
+
+    logger.info(`Queued the ${job} job ${name} for ${domains.join(', ')}`);
+
+    queue.push({ schedule, dueAt, domains, waiting: false });
+  };
+
+  /**
+   * Starts the queued runs whose domains are not being worked on.
+   */
+  const startRuns = () => {
+    for (const run of [...queue]) {
+      const held = run.domains.filter((domain) => busy.has(domain));
+
+      if (held.length > 0) {
+        if (!run.waiting) {
+          logger.info(
+            `${run.schedule.name} is waiting for ${held.join(', ')} to be free`,
+          );
+
+          run.waiting = true;
+        }
+
+        continue;
+      }
+
+      queue.splice(queue.indexOf(run), 1);
+
+      for (const domain of run.domains) {
+        busy.add(domain);
+      }
+
+      running.set(
+        run.schedule.name,
+        executeRun(run).finally(() => {
+          for (const domain of run.domains) {
+            busy.delete(domain);
+          }
+
+          running.delete(run.schedule.name);
+
+          startRuns();
+        }),
+      );
+    }
+  };
+
+  /**
+   * Runs the job of a schedule, records its result and refreshes the metrics.
+   *
+   * @param {object} run the schedule, when it was due and its domains
+   */
+  const executeRun = async ({ schedule, dueAt, domains }) => {
+    const { name, job } = schedule;
+
+    const startedAt = new Date();
+
+    logger.info(`Running the ${job} job ${name} for ${domains.join(', ')}`);
+
+    // The schedule's domains replace the ones on the command line
+    const options = {
+      ...current,
+      domains: domains.join(','),
+      exclude: undefined,
+    };
+
+    let outcome;
+
+    try {
+      outcome = { results: await JOBS.get(job)(options) };
+    } catch (error) {
+      // A job that fails for some domains still has the results of each
+      outcome = { results: error.results, error: error.message };
+    }
+
+    await recordRun(schedule, dueAt, startedAt, outcome);
+
+    // As on the command line, verifying leaves the metrics alone
+    if (current.metricsFile && job !== JOB_VERIFY) {
+      await exportMetrics(current);
+    }
+  };
+
+  /**
+   * Records the result of a run to the state file.
+   *
+   * @param {object} schedule the schedule that ran
+   * @param {Date} dueAt when the run was due
+   * @param {Date} startedAt when the run started
+   * @param {object} outcome the results of the job and the error it failed
+   * with, if it did
+   */
+  const recordRun = async (schedule, dueAt, startedAt, { results, error }) => {
+    const { name, job } = schedule;
+
+    const result = error === undefined ? RESULT_SUCCESS : RESULT_FAILED;
+
+    if (error === undefined) {
+      logger.info(`The ${job} job ${name} finished`);
+    } else {
+      logger.error(`The ${job} job ${name} failed: ${error}`);
+    }
+
+    state.schedules[name] = {
+      ...state.schedules[name],
+      lastRunAt: dueAt.toISOString(),
+      lastResult: result,
+    };
+
+    state.runs.push({
+      schedule: name,
+      job,
+      dueAt: dueAt.toISOString(),
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      result,
+      error: error ?? null,
+      results,
+    });
+
+    state.runs.splice(0, state.runs.length - MAX_RUNS);
+
+    try {
+      await saveState();
+    } catch (writeError) {
+      logger.error(`Unable to write ${stateFile}: ${writeError.message}`);
+    }
+  };
+
+  /**
+   * Reloads the config file with the same command line switches.  The
+   * schedules in use are kept if the new config can not be used.
+   */
+  const reload = async () => {
+    try {
+      const options = await loadConfig(current.overrides ?? {});
+
+      const previous = new Map(
+        schedules.map((schedule) => [schedule.name, schedule]),
+      );
+
+      schedules = loadSchedules(options);
+
+      current = options;
+
+      configureConnections(options);
+
+      await planRuns(previous);
+
+      logger.info(`Reloaded the config, ${describeSchedules(schedules)}`);
+
+      await tick();
+    } catch (error) {
+      logger.error(`Unable to reload the config: ${error.message}`);
+    }
+  };
+
+  const onReload = () => {
+    reload();
+  };
+
+  const onStop = () => {
+    stop();
+  };
+
+  await planRuns();
+
+  logger.info(`Started the daemon, ${describeSchedules(schedules)}`);
+
+  return new Promise((resolve) => {
+    stop = async () => {
+      stopped = true;
+
+      process.off('SIGHUP', onReload);
+      process.off('SIGTERM', onStop);
+      process.off('SIGINT', onStop);
+
+      clearTimeout(timer);
+
+      queue.length = 0;
+
+      if (running.size > 0) {
+        logger.info(`Stopping once ${[...running.keys()].join(', ')} finish`);
+      }
+
+      await Promise.all(running.values());
+
+      logger.info('Stopped the daemon');
+
+      resolve();
+    };
+
+    process.on('SIGHUP', onReload);
+    process.on('SIGTERM', onStop);
+    process.on('SIGINT', onStop);
+
+    tick();
+  });
+};
+
+/**
+ * Reads and checks the schedules in the merged options.
+ *
+ * @param {object} options the merged options
+ * @returns {Array<object>} the name, domains, exclude, parsed cron expression
+ * and job of each schedule
+ * @throws {Error} if there are no schedules or one can not be understood
+ */
+const loadSchedules = ({ schedules }) => {
+  if (!Array.isArray(schedules) || schedules.length === 0) {
+    throw createError('No schedules in the config file', ERR_SCHEDULE);
+  }
+
+  const names = new Set();
+
+  return schedules.map((schedule, index) => {
+    const { domains, exclude, job = JOB_BACKUP } = schedule ?? {};
+
+    const name = schedule?.name ?? `${job} ${domains}`;
+
+    if (!domains) {
+      throw createError(`No domains for schedule ${index + 1}`, ERR_SCHEDULE);
+    }
+
+    if (!JOBS.has(job)) {
+      throw createError(
+        `Invalid job ${job} for ${name}, use ${[...JOBS.keys()].join(', ')}`,
+        ERR_SCHEDULE,
+      );
+    }
+
+    if (names.has(name)) {
+      throw createError(
+        `More than one schedule is named ${name}`,
+        ERR_SCHEDULE,
+      );
+    }
+
+    names.add(name);
+
+    const cron = parseCron(schedule.cron);
+
+    if (getNextRun(cron, new Date()) === undefined) {
+      throw createError(
+        `The cron expression ${cron.expression} of ${name} never matches`,
+        ERR_SCHEDULE,
+      );
+    }
+
+    return { name, domains, exclude, cron, job };
+  });
+};
+
+/**
+ * Reads the state file.  Without one nothing has run yet.
+ *
+ * @param {string} file the state file
+ * @returns {Promise<object>} the state of each schedule and the recent runs
+ * @throws {Error} if the state file can not be read
+ */
+const readState = async (file) => {
+  if (!(await fileExists(file))) {
+    return { schedules: {}, runs: [] };
+  }
+
+  try {
+    const { schedules = {}, runs = [] } = JSON.parse(
+      await readFile(file, 'utf8'),
+    );
+
+    return { schedules, runs };
+  } catch (error) {
+    throw createError(`Unable to read ${file}: ${error.message}`, ERR_SCHEDULE);
+  }
+};
+
+/**
+ * Writes the state file.  It is written to a temporary file first and renamed
+ * into place so it is never seen half written.  Each write has a temporary
+ * file of its own.
+ *
+ * @param {string} file the state file
+ * @param {object} state the state of each schedule and the recent runs
+ */
+const writeState = async (file, state) => {
+  const tempFile = `${file}.${process.pid}.${randomUUID()}.tmp`;
+
+  try {
+    await mkdir(dirname(file), { recursive: true });
+
+    await writeFile(tempFile, JSON.stringify(state, undefined, 2));
+
+    await rename(tempFile, file);
+  } catch (error) {
+    await rm(tempFile, { force: true });
+
+    throw error;
+  }
+};
+
+/**
+ * Describes the schedules for log lines.
+ *
+ * @param {Array<object>} schedules the schedules
+ * @returns {string} the description, like 2 schedules: nightly (0 2 * * *)
+ */
+const describeSchedules = (schedules) =>
+  `${schedules.length} ${schedules.length === 1 ? 'schedule' : 'schedules'}: ${schedules
+    .map(({ name, cron }) => `${name} (${cron.expression})`)
+    .join(', ')}`;
+
+export { loadSchedules, performDaemon };
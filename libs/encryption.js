@@ -0,0 +1,496 @@
+import { sep } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import {
+  mkdir,
+  open,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  stat,
+  statfs,
+  symlink,
+  writeFile,
+} from 'fs/promises';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  randomBytes,
+  randomUUID,
+} from 'crypto';
+import prettyBytes from 'pretty-bytes';
+import { logger, ERR_ENCRYPTION } from '../vmsnap.js';
+import { createError, fileExists } from './general.js';
+import { readStreamMetadata } from './compression.js';
+
+/**
+ * Encryption at rest.  Once virtnbdbackup finishes, every data file in the
+ * period folder is encrypted with AES-256-GCM under a key read from a local
+ * key file and the plain file is removed.  A manifest in the folder records
+ * the files that were encrypted and which key did it.  Verify and restore
+ * decrypt the folder into a private staging directory and run against that.
+ *
+ * Each encrypted file is laid out as:
+ *
+ *   VMSNAPE1 | 12 byte IV | ciphertext | 16 byte authentication tag
+ *
+ * The name of the plain file is authenticated with the data, so encrypted
+ * files can not be swapped for one another.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The manifest of encrypted files kept in each encrypted period folder
+export const ENCRYPTION_MANIFEST = 'vmsnap-encryption.json';
+
+// Added to the name of a data file once it is encrypted
+export const ENCRYPTED_EXTENSION = '.enc';
+
+// The authenticated cipher used for every file
+const CIPHER = 'aes-256-gcm';
+
+// The length of the key, in bytes
+const KEY_LENGTH = 32;
+
+// The length of the random IV at the start of each file, in bytes
+const IV_LENGTH = 12;
+
+// The length of the authentication tag at the end of each file, in bytes
+const TAG_LENGTH = 16;
+
+// Marks a file as encrypted by vmsnap, and the version of the layout
+const MAGIC = Buffer.from('VMSNAPE1');
+
+// The length of everything before the ciphertext
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+
+// The data files virtnbdbackup writes, the ones that get encrypted
+const DATA_FILE_EXTENSION = '.data';
+
+/**
+ * Loads the encryption key from a key file.  The file may hold the 32 raw
+ * bytes of the key or the key as hex or base64.
+ *
+ * generate one with: openssl rand -hex 32 > /etc/vmsnap/key
+ *
+ * @param {string} keyFile the path to the key file
+ * @returns {Promise<Buffer>} the key
+ * @throws {Error} if the key file can not be read or does not hold a 256-bit
+ * key
+ */
+const loadKey = async (keyFile) => {
+  let contents;
+
+  try {
+    contents = await readFile(keyFile);
+
+    if (((await stat(keyFile)).mode & 0o077) !== 0) {
+      logger.warn(`Key file ${keyFile} can be read by other users`);
+    }
+  } catch (error) {
+    throw createError(
+      `Unable to read key file ${keyFile}: ${error.message}`,
+      ERR_ENCRYPTION,
+    );
+  }
+
+  if (contents.length === KEY_LENGTH) {
+    return contents;
+  }
+
+  const text = contents.toString('utf8').trim();
+
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+
+  const decoded = Buffer.from(text, 'base64');
+
+  if (decoded.length === KEY_LENGTH) {
+    return decoded;
+  }
+
+  throw createError(
+    `Key file ${keyFile} does not hold a 256-bit key`,
+    ERR_ENCRYPTION,
+  );
+};
+
+/**
+ * Identifies a key without giving it away, so a manifest can record which
+ * key encrypted a folder.
+ *
+ * @param {Buffer} key the key
+ * @returns {string} the key id
+ */
+const getKeyId = (key) =>
+  createHmac('sha256', key).update('vmsnap-key-id').digest('hex').slice(0, 16);
+
+/**
+ * Reads the encryption manifest of a period folder.  A manifest that can not
+ * be read is an error rather than a folder that is not encrypted, the data
+ * files it records could not be decrypted without it.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<object|undefined>} the manifest, or undefined if the folder
+ * is not encrypted
+ * @throws {Error} if the manifest can not be read
+ */
+const readManifest = async (path) => {
+  const file = `${path}${sep}${ENCRYPTION_MANIFEST}`;
+
+  if (!(await fileExists(file))) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw createError(
+      `Unable to read ${file}: ${error.message}`,
+      ERR_ENCRYPTION,
+    );
+  }
+};
+
+/**
+ * Writes the encryption manifest of a period folder.  The manifest is written
+ * under a temporary name and renamed into place, so it is never left half
+ * written.
+ *
+ * @param {string} path the period folder
+ * @param {object} manifest the manifest
+ */
+const writeManifest = async (path, manifest) => {
+  const file = `${path}${sep}${ENCRYPTION_MANIFEST}`;
+
+  const tempFile = `${file}.tmp`;
+
+  try {
+    await writeFile(tempFile, JSON.stringify(manifest, undefined, 2));
+
+    await rename(tempFile, file);
+  } catch (error) {
+    await rm(tempFile, { force: true });
+
+    throw error;
+  }
+};
+
+/**
+ * Encrypts the finished data files in a period folder.  Files already
+ * encrypted are left alone, so this runs after every backup of the chain.
+ *
+ * @param {string} path the period folder
+ * @param {Buffer} key the key to encrypt with
+ * @returns {Promise<Array<string>>} the names of the files encrypted
+ * @throws {Error} if the folder was encrypted with a different key, or its
+ * manifest can not be read
+ */
+const encryptFolder = async (path, key) => {
+  const keyId = getKeyId(key);
+
+  const manifest = (await readManifest(path)) ?? {
+    cipher: CIPHER,
+    keyId,
+    files: [],
+  };
+
+  if (manifest.keyId !== keyId) {
+    throw createError(
+      `${path} was encrypted with a different key`,
+      ERR_ENCRYPTION,
+    );
+  }
+
+  const encrypted = [];
+
+  for (const name of await readdir(path)) {
+    if (!name.endsWith(DATA_FILE_EXTENSION)) {
+      continue;
+    }
+
+    const file = `${path}${sep}${name}`;
+
+    const { size } = await stat(file);
+
+    const metadata = await readStreamMetadata(file);
+
+    await encryptFile(file, `${file}${ENCRYPTED_EXTENSION}`, key, name);
+
+    manifest.files = [
+      ...manifest.files.filter((entry) => entry.name !== name),
+      {
+        name,
+        size,
+        dataSize: metadata?.dataSize ?? size,
+        compressed: metadata?.compressed === true,
+        encryptedAt: new Date().toISOString(),
+      },
+    ];
+
+    // The manifest is written before the plain file goes, so a file is never
+    // encrypted without a record of it
+    await writeManifest(path, manifest);
+
+    await rm(file);
+
+    encrypted.push(name);
+  }
+
+  if (encrypted.length > 0) {
+    logger.info(`Encrypted ${encrypted.length} data file(s) in ${path}`);
+  }
+
+  return encrypted;
+};
+
+/**
+ * Runs a callback against a period folder with its data files decrypted.  An
+ * encrypted folder is decrypted into a private staging directory, readable by
+ * the owner only, under the directory given.  The staging directory is
+ * removed once the callback finishes.  Everything else in the folder is
+ * linked into the staging directory rather than copied.  A folder that is not
+ * encrypted is passed straight through.
+ *
+ * @param {string} path the period folder
+ * @param {string|undefined} keyFile the key file to decrypt with
+ * @param {string} stagingDir the directory to decrypt under, which needs room
+ * for the decrypted data files
+ * @param {Function} callback called with the path of the decrypted folder
+ * @returns {Promise<*>} whatever the callback returns
+ * @throws {Error} if the folder is encrypted and there is no key, or the key
+ * can not decrypt it
+ */
+const withDecryptedFolder = async (path, keyFile, stagingDir, callback) => {
+  const manifest = await readManifest(path);
+
+  if (manifest === undefined) {
+    return callback(path);
+  }
+
+  if (!keyFile) {
+    throw createError(
+      `${path} is encrypted, pass --encrypt-key to decrypt it`,
+      ERR_ENCRYPTION,
+    );
+  }
+
+  const key = await loadKey(keyFile);
+
+  if (manifest.keyId !== getKeyId(key)) {
+    throw createError(
+      `The key in ${keyFile} can not decrypt ${path}`,
+      ERR_ENCRYPTION,
+    );
+  }
+
+  const names = await readdir(path);
+
+  await mkdir(stagingDir, { recursive: true });
+
+  await checkFreeSpace(path, names.filter(isEncryptedDataFile), stagingDir);
+
+  const staging = `${stagingDir}${sep}vmsnap-decrypt-${randomUUID()}`;
+
+  await mkdir(staging, { mode: 0o700 });
+
+  try {
+    logger.info(`Decrypting ${path} into ${staging}`);
+
+    for (const name of names) {
+      if (isEncryptedDataFile(name)) {
+        const plainName = name.slice(0, -ENCRYPTED_EXTENSION.length);
+
+        await decryptFile(
+          `${path}${sep}${name}`,
+          `${staging}${sep}${plainName}`,
+          key,
+          plainName,
+        );
+      } else if (name !== ENCRYPTION_MANIFEST) {
+        await symlink(`${path}${sep}${name}`, `${staging}${sep}${name}`);
+      }
+    }
+
+    return await callback(staging);
+  } finally {
+    await rm(staging, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Checks that the decrypted data files of a folder fit in a directory.
+ *
+ * @param {string} path the encrypted folder
+ * @param {Array<string>} names the encrypted data files in the folder
+ * @param {string} stagingDir the directory they are to be decrypted under
+ * @throws {Error} if there is not enough free space for them
+ */
+const checkFreeSpace = async (path, names, stagingDir) => {
+  let needed = 0;
+
+  for (const name of names) {
+    const { size } = await stat(`${path}${sep}${name}`);
+
+    needed += Math.max(0, size - HEADER_LENGTH - TAG_LENGTH);
+  }
+
+  const { bavail, bsize } = await statfs(stagingDir);
+
+  if (needed > bavail * bsize) {
+    throw createError(
+      `Not enough space in ${stagingDir} to decrypt ${path}, ${prettyBytes(needed)} needed and ${prettyBytes(bavail * bsize)} free`,
+      ERR_ENCRYPTION,
+    );
+  }
+};
+
+/**
+ * Checks if a file in a period folder is an encrypted data file.
+ *
+ * @param {string} name the name of the file
+ * @returns {boolean} true if it is an encrypted data file
+ */
+const isEncryptedDataFile = (name) =>
+  name.endsWith(`${DATA_FILE_EXTENSION}${ENCRYPTED_EXTENSION}`);
+
+/**
+ * Checks if a period folder is encrypted and if a key can decrypt it.
+ *
+ * @param {object|undefined} manifest the encryption manifest of the folder
+ * @param {Buffer|undefined} key the configured key, if it could be loaded
+ * @returns {object} encrypted, and decryptable which is null for a folder
+ * that is not encrypted
+ */
+const getEncryptionState = (manifest, key) => {
+  if (manifest === undefined) {
+    return { encrypted: false, decryptable: null };
+  }
+
+  return {
+    encrypted: true,
+    decryptable: key !== undefined && manifest.keyId === getKeyId(key),
+  };
+};
+
+/**
+ * Encrypts a file.  The encrypted file is written next to its target and
+ * renamed into place once it is complete.
+ *
+ * @param {string} source the plain file
+ * @param {string} target the encrypted file to write
+ * @param {Buffer} key the key
+ * @param {string} name the name of the plain file, authenticated with the data
+ */
+const encryptFile = async (source, target, key, name) => {
+  const iv = randomBytes(IV_LENGTH);
+
+  const cipher = createCipheriv(CIPHER, key, iv);
+
+  cipher.setAAD(Buffer.from(name));
+
+  const tempTarget = `${target}.tmp`;
+
+  try {
+    await pipeline(
+      createReadStream(source),
+      cipher,
+      async function* (chunks) {
+        yield Buffer.concat([MAGIC, iv]);
+
+        for await (const chunk of chunks) {
+          yield chunk;
+        }
+
+        yield cipher.getAuthTag();
+      },
+      createWriteStream(tempTarget, { mode: 0o600 }),
+    );
+
+    await rename(tempTarget, target);
+  } catch (error) {
+    await rm(tempTarget, { force: true });
+
+    throw createError(
+      `Unable to encrypt ${source}: ${error.message}`,
+      ERR_ENCRYPTION,
+    );
+  }
+};
+
+/**
+ * Decrypts a file, checking it has not been tampered with.
+ *
+ * @param {string} source the encrypted file
+ * @param {string} target the plain file to write
+ * @param {Buffer} key the key
+ * @param {string} name the name of the plain file, authenticated with the data
+ */
+const decryptFile = async (source, target, key, name) => {
+  try {
+    const { size } = await stat(source);
+
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+      throw new Error('not a file encrypted by vmsnap');
+    }
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+
+    const tag = Buffer.alloc(TAG_LENGTH);
+
+    const handle = await open(source, 'r');
+
+    try {
+      await handle.read(header, 0, HEADER_LENGTH, 0);
+
+      await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+      await handle.close();
+    }
+
+    if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('not a file encrypted by vmsnap');
+    }
+
+    const decipher = createDecipheriv(
+      CIPHER,
+      key,
+      header.subarray(MAGIC.length),
+    );
+
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(tag);
+
+    const end = size - TAG_LENGTH - 1;
+
+    await pipeline(
+      end < HEADER_LENGTH
+        ? Readable.from([])
+        : createReadStream(source, { start: HEADER_LENGTH, end }),
+      decipher,
+      createWriteStream(target, { mode: 0o600 }),
+    );
+  } catch (error) {
+    await rm(target, { force: true });
+
+    throw createError(
+      `Unable to decrypt ${source}: ${error.message}`,
+      ERR_ENCRYPTION,
+    );
+  }
+};
+
+export {
+  decryptFile,
+  encryptFile,
+  encryptFolder,
+  getEncryptionState,
+  getKeyId,
+  loadKey,
+  readManifest,
+  withDecryptedFolder,
+};
@@ -0,0 +1,175 @@
+import process from 'process';
+import { execFile, spawn } from 'child_process';
+import { logger } from '../vmsnap.js';
+
+/**
+ * The process layer.  Every external program vmsnap runs goes through here
+ * with its arguments passed as an array, never through a shell, so domain
+ * names and disk paths reach the program exactly as they are.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The most output a captured command may produce, domblklist and qemu-img
+// info on large hosts can run past the default of 1 MB
+const MAX_BUFFER = 16 * 1024 * 1024;
+
+// Arguments made up only of these characters are shown without quotes
+const SAFE_ARG_REGEX = /^[A-Za-z0-9_\-+=.,:/@%]+$/;
+
+/**
+ * Runs a program to completion and captures its output.  The promise rejects
+ * when the program can not be started or exits non-zero.
+ *
+ * @param {string} program the program to run
+ * @param {Array<string>} args the arguments to pass to the program
+ * @returns {Promise<{stdout: string, stderr: string}>} the captured output
+ * @throws {Error} with command, exitCode, stdout and stderr properties set
+ */
+const execute = (program, args = []) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      program,
+      args,
+      { encoding: 'utf8', maxBuffer: MAX_BUFFER },
+      (error, stdout = '', stderr = '') => {
+        if (error) {
+          reject(createCommandError(program, args, error, stdout, stderr));
+
+          return;
+        }
+
+        resolve({ stdout, stderr });
+      },
+    );
+  });
+
+/**
+ * Runs a long running program, like virtnbdbackup, as the current user.  Its
+ * output is either passed straight through to the terminal or logged line by
+ * line.
+ *
+ * @param {string} program the program to run
+ * @param {Array<string>} args the arguments to pass to the program
+ * @param {object} options pipeOutput to log the program's output rather than
+ * pass it through
+ * @returns {Promise<number>} the exit code of the program
+ */
+const spawnCommand = (program, args = [], { pipeOutput = false } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(program, args, {
+      uid: process.getuid(),
+      gid: process.getgid(),
+      stdio: pipeOutput ? ['ignore', 'pipe', 'pipe'] : 'inherit',
+    });
+
+    if (child.stdout) {
+      child.stdout.setEncoding('utf8');
+
+      child.stdout.on('data', (data) => {
+        logLines(data, logger.info);
+      });
+    }
+
+    if (child.stderr) {
+      child.stderr.setEncoding('utf8');
+
+      child.stderr.on('data', (data) => {
+        logLines(data, logger.error);
+      });
+    }
+
+    child.on('error', (error) => {
+      reject(createCommandError(program, args, error));
+    });
+
+    child.on('close', resolve);
+  });
+
+/**
+ * Checks if a program can be found on the PATH.  The program name is handed
+ * to the shell as a positional parameter, so it is never interpreted.
+ *
+ * @param {string} program the program to look for
+ * @returns {Promise<boolean>} true if the program exists
+ */
+const commandExists = async (program) => {
+  try {
+    await execute('sh', ['-c', 'command -v "$1"', 'sh', program]);
+
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Formats a command the way it would be typed into a shell, quoting any
+ * argument that needs it.  Only used for showing commands, they are never run
+ * through a shell.
+ *
+ * @param {string} program the program
+ * @param {Array<string>} args the arguments to the program
+ * @returns {string} the command line
+ */
+const formatCommand = (program, args = []) =>
+  [program, ...args].map(quoteArg).join(' ');
+
+/**
+ * Quotes an argument for a shell, if it needs it.
+ *
+ * @param {string} arg the argument
+ * @returns {string} the argument, single quoted if it holds anything a shell
+ * would act on
+ */
+const quoteArg = (arg) =>
+  SAFE_ARG_REGEX.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`;
+
+/**
+ * Logs each non-empty line of a chunk of output on its own so every line gets
+ * the domain prefix.
+ *
+ * @param {string} data the chunk of output
+ * @param {Function} log the logger method to log with
+ */
+const logLines = (data, log) => {
+  for (const line of `${data}`.split('\n')) {
+    if (line.trim() !== '') {
+      log.call(logger, line);
+    }
+  }
+};
+
+/**
+ * Builds the error for a command that failed to start or exited non-zero.
+ *
+ * @param {string} program the program that was run
+ * @param {Array<string>} args the arguments it was run with
+ * @param {Error} error the error from child_process
+ * @param {string} stdout what the program wrote to stdout
+ * @param {string} stderr what the program wrote to stderr
+ * @returns {Error} the error
+ */
+const createCommandError = (program, args, error, stdout = '', stderr = '') => {
+  const exitCode = typeof error.code === 'number' ? error.code : null;
+
+  const reason =
+    exitCode === null
+      ? `could not be run (${error.code ?? error.message})`
+      : `exited with code ${exitCode}`;
+
+  const details = `${stderr}`.trim();
+
+  const err = new Error(
+    `${program} ${reason}${details === '' ? '' : `: ${details}`}`,
+  );
+
+  err.command = [program, ...args];
+  err.exitCode = exitCode;
+  err.stdout = stdout;
+  err.stderr = stderr;
+
+  return err;
+};
+
+export { commandExists, execute, formatCommand, spawnCommand };
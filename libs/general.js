@@ -1,6 +1,7 @@
-import { access } from 'fs/promises';
-import commandExists from 'command-exists';
+import { sep } from 'path';
+import { access, readdir, stat } from 'fs/promises';
 import {
+  ERR_CONFIG,
   ERR_DOMAINS,
   ERR_INVALID_SCRUB_TYPE,
   ERR_REQS,
@@ -8,9 +9,25 @@ import {
   ERR_TOO_MANY_COMMANDS,
   logger,
 } from '../vmsnap.js';
-import { cleanupCheckpoints, fetchAllDomains, VIRSH } from './virsh.js';
+import {
+  cleanupCheckpoints,
+  fetchAllDomains,
+  fetchDomains,
+  fetchDomainTags,
+  VIRSH,
+} from './virsh.js';
 import { cleanupBitmaps, QEMU_IMG } from './qemu-img.js';
 import { BACKUP } from './libnbdbackup.js';
+import { RESTORE } from './libnbdrestore.js';
+import { commandExists } from './exec.js';
+import {
+  EVENT_RUN_SUCCEEDED,
+  EVENT_SCRUB_FAILED,
+  isNotifyingOnSuccess,
+  notify,
+} from './notify.js';
+import { printPlan } from './print.js';
+import { withDomainLock } from './lock.js';
 
 const SCRUB_TYPE_CHECKPOINT = 'checkpoint';
 
@@ -20,6 +37,28 @@ const SCRUB_TYPE_BOTH = 'both';
 
 const SCRUB_TYPE_ALL = '*';
 
+// The domain selectors and the virsh list filters each one maps to
+const DOMAIN_SELECTORS = new Map([
+  ['@running', ['--state-running']],
+  ['@autostart', ['--all', '--autostart']],
+  ['@persistent', ['--all', '--persistent']],
+]);
+
+// Selects the domains with a tag in their vmsnap metadata, e.g. @tag:prod
+const TAG_SELECTOR = '@tag:';
+
+// Matches a duration and captures its amount and unit, e.g. 26h or 1.5d
+const DURATION_REGEX = /^([0-9]+(?:\.[0-9]+)?)([smhdw]?)$/;
+
+// The milliseconds in each unit of a duration
+const DURATION_UNITS = new Map([
+  ['s', 1000],
+  ['m', 60 * 1000],
+  ['h', 60 * 60 * 1000],
+  ['d', 24 * 60 * 60 * 1000],
+  ['w', 7 * 24 * 60 * 60 * 1000],
+]);
+
 /**
  * Creates an error with a code property set for proper exit code handling.
  *
@@ -41,16 +80,27 @@ const createError = (message, code) => {
 
 /**
  * Check if all dependencies are installed
+ *
+ * @param {object} options the command line options to destructure for
+ * restore, verify, verifyAfter and daemon, which also need virtnbdrestore.
  */
-const checkDependencies = async () => {
+const checkDependencies = async ({
+  restore,
+  verify,
+  verifyAfter,
+  daemon,
+} = {}) => {
   const requiredPrograms = [VIRSH, QEMU_IMG, BACKUP];
 
+  // The daemon may run verify jobs
+  if (restore || verify || verifyAfter || daemon) {
+    requiredPrograms.push(RESTORE);
+  }
+
   const missingPrograms = [];
 
   for (const program of requiredPrograms) {
-    try {
-      await commandExists(program);
-    } catch (error) {
+    if (!(await commandExists(program))) {
       missingPrograms.push(program);
     }
   }
@@ -67,9 +117,18 @@ const checkDependencies = async () => {
  * Checks the command line arguments to ensure only one command is being run.
  *
  * @param {object} options the command line options to destructure for status,
- * scrub, and backup.
+ * scrub, backup, restore, verify, history, repair and daemon.
  */
-const checkCommand = ({ status, scrub, backup }) => {
+const checkCommand = ({
+  status,
+  scrub,
+  backup,
+  restore,
+  verify,
+  history,
+  repair,
+  daemon,
+}) => {
   let commandCount = 0;
 
   if (status) {
@@ -84,6 +143,26 @@ const checkCommand = ({ status, scrub, backup }) => {
     ++commandCount;
   }
 
+  if (restore) {
+    ++commandCount;
+  }
+
+  if (verify) {
+    ++commandCount;
+  }
+
+  if (history) {
+    ++commandCount;
+  }
+
+  if (repair) {
+    ++commandCount;
+  }
+
+  if (daemon) {
+    ++commandCount;
+  }
+
   if (commandCount > 1) {
     throw createError(
       'Only one command can be run at a time',
@@ -106,6 +185,27 @@ const globToRegex = (pattern) => {
   return new RegExp(`^${escaped}$`);
 };
 
+/**
+ * Parses a duration like 90s, 30m, 26h, 7d or 2w.  A bare number is seconds.
+ *
+ * @param {string|number} value the duration to parse
+ * @param {string} name the switch or setting the duration came from, for the
+ * error
+ * @returns {number} the duration in milliseconds
+ */
+const parseDuration = (value, name) => {
+  const match = DURATION_REGEX.exec(`${value}`.trim());
+
+  if (match === null) {
+    throw createError(
+      `Invalid ${name}: ${value}.  Use a number followed by s, m, h, d or w, like 26h`,
+      ERR_CONFIG,
+    );
+  }
+
+  return Number(match[1]) * DURATION_UNITS.get(match[2] || 's');
+};
+
 /**
  * Parses a string parameter for an array.
  *
@@ -155,6 +255,116 @@ const parseArrayParam = async (param, fetchAll = async () => []) => {
   return parsed;
 };
 
+/**
+ * Resolves the domains to work on.  Each entry of the domains param may be a
+ * name, a glob or a selector (@running, @autostart, @persistent or @tag:name),
+ * then every domain matching an exclude pattern is dropped.  Exclude patterns
+ * come from the exclude param and from entries in the domains param that
+ * start with a !, they may be selectors too.  When the domains param holds
+ * nothing but exclusions every domain is included.
+ *
+ * @param {string} domains the domains param, e.g. "@tag:prod,!scratch-*"
+ * @param {string|Array<string>|undefined} exclude the exclude param, a comma
+ * separated list of names, globs and selectors
+ * @returns {Promise<Array<string>>} the domains to work on
+ * @throws {Error} with ERR_DOMAINS if a selector is unknown or the exclusions
+ * leave no domains
+ */
+const resolveDomains = async (domains, exclude = undefined) => {
+  if (typeof domains !== 'string') {
+    return [];
+  }
+
+  // Every domain on the host, only fetched if something needs it
+  let allDomains;
+
+  const fetchAll = async () => (allDomains ??= await fetchAllDomains());
+
+  const items = domains.split(',');
+
+  const includes = items.filter((item) => !item.startsWith('!'));
+
+  const excludes = [
+    ...items
+      .filter((item) => item.startsWith('!'))
+      .map((item) => item.slice(1)),
+    ...[exclude ?? []].flat().flatMap((item) => `${item}`.split(',')),
+  ].filter((pattern) => pattern !== '');
+
+  const expanded = [];
+
+  for (const item of includes.length === 0 ? ['*'] : includes) {
+    expanded.push(...(await expandDomains(item, fetchAll)));
+  }
+
+  const included = [...new Set(expanded)];
+
+  if (excludes.length === 0 || included.length === 0) {
+    return included;
+  }
+
+  let remaining = included;
+
+  for (const pattern of excludes) {
+    // Excludes only ever match the included domains
+    const matched = (await expandDomains(pattern, async () => included)).filter(
+      (domain) => included.includes(domain),
+    );
+
+    if (matched.length === 0) {
+      logger.warn(`Exclude pattern ${pattern} matched no domains`);
+    }
+
+    remaining = remaining.filter((domain) => !matched.includes(domain));
+  }
+
+  if (remaining.length === 0) {
+    throw createError(
+      `No domains left after excluding ${excludes.join(', ')} from: ${included.join(', ')}`,
+      ERR_DOMAINS,
+    );
+  }
+
+  return remaining;
+};
+
+/**
+ * Expands a single entry of the domains param, a name, a glob or a selector.
+ *
+ * @param {string} item the entry to expand
+ * @param {Function} fetchAll returns the domains globs and tags are matched
+ * against
+ * @returns {Promise<Array<string>>} the domains the entry stands for
+ */
+const expandDomains = async (item, fetchAll) => {
+  if (!item.startsWith('@')) {
+    return parseArrayParam(item, fetchAll);
+  }
+
+  if (item.startsWith(TAG_SELECTOR) && item.length > TAG_SELECTOR.length) {
+    const tag = item.slice(TAG_SELECTOR.length);
+
+    const tagged = [];
+
+    for (const domain of await fetchAll()) {
+      if ((await fetchDomainTags(domain)).includes(tag)) {
+        tagged.push(domain);
+      }
+    }
+
+    return tagged;
+  }
+
+  if (!DOMAIN_SELECTORS.has(item)) {
+    throw createError(
+      `Unknown domain selector: ${item}.  Use @running, @autostart, @persistent or @tag:<name>`,
+      ERR_DOMAINS,
+    );
+  }
+
+  return fetchDomains(DOMAIN_SELECTORS.get(item));
+};
+
 /**
  * Checks the local file system to see if the file exists.
  *
@@ -172,26 +382,64 @@ const fileExists = async (path) => {
 };
 
 /**
- * Scrubs off the checkpoints and bitmaps for the domains passed in.
+ * Adds up the size of every file under a directory.  A directory that does not
+ * exist is empty.
  *
- * @param {string} domains the domains to scrub checkpoints and bitmaps for
+ * @param {string} path the directory to measure
+ * @returns {Promise<number>} the total size in bytes
+ */
+const getDirectorySize = async (path) => {
+  if (!(await fileExists(path))) {
+    return 0;
+  }
+
+  let size = 0;
+
+  for (const entry of await readdir(path, { withFileTypes: true })) {
+    const entryPath = `${path}${sep}${entry.name}`;
+
+    size += entry.isDirectory()
+      ? await getDirectorySize(entryPath)
+      : (await stat(entryPath)).size;
+  }
+
+  return size;
+};
+
+/**
+ * Scrubs off the checkpoints and bitmaps for the domains passed in.  A failed
+ * scrub is notified to the webhooks, as is a clean one if asked for.  Each
+ * domain is locked while it is scrubbed.  With dryRun nothing is removed,
+ * what would be is printed instead.
+ *
+ * @param {object} options the merged options (domains, exclude,
+ * checkpointName, scrubType, dryRun, the lock settings and the notification
+ * settings)
  * @returns {Promise<boolean>} true if the scrubbing was successful, false if
  * there was a failure.
  */
-const scrubCheckpointsAndBitmaps = async ({
-  domains,
-  checkpointName,
-  scrubType,
-}) => {
+const scrubCheckpointsAndBitmaps = async (options) => {
+  const {
+    domains,
+    exclude,
+    checkpointName,
+    scrubType,
+    dryRun = false,
+  } = options;
+
   if (!domains) {
     throw createError('No domains specified', ERR_DOMAINS);
   }
 
-  logger.info('Scrubbing checkpoints and bitmaps');
+  if (!dryRun) {
+    logger.info('Scrubbing checkpoints and bitmaps');
+  }
 
   let scrubbed = false;
 
-  const parsedDomains = await parseArrayParam(domains, fetchAllDomains);
+  const plans = [];
+
+  const parsedDomains = await resolveDomains(domains, exclude);
 
   if (parsedDomains.length === 0) {
     throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
@@ -199,30 +447,30 @@ const scrubCheckpointsAndBitmaps = async ({
 
   try {
     for (const domain of parsedDomains) {
-      logger.info(`Scrubbing domain: ${domain}`);
+      if (!dryRun) {
+        logger.info(`Scrubbing domain: ${domain}`);
+      }
 
-      if (scrubType === SCRUB_TYPE_CHECKPOINT) {
-        await cleanupCheckpoints(domain, checkpointName);
-      } else if (scrubType === SCRUB_TYPE_BITMAP) {
-        await cleanupBitmaps(domain, checkpointName);
-      } else if (scrubType === SCRUB_TYPE_BOTH) {
-        await cleanupCheckpoints(domain, checkpointName);
+      plans.push(
+        await withDomainLock(options, domain, () =>
+          scrubDomain(domain, scrubType, checkpointName, dryRun),
+        ),
+      );
+    }
 
-        await cleanupBitmaps(domain, checkpointName);
-      } else if (scrubType === '*') {
-        await cleanupCheckpoints(domain);
+    if (dryRun) {
+      printPlan('scrub', plans, options);
 
-        await cleanupBitmaps(domain);
-      } else {
-        throw createError(
-          `Invalid scrub type: ${scrubType}`,
-          ERR_INVALID_SCRUB_TYPE,
-        );
-      }
+      return true;
     }
 
     scrubbed = true;
   } catch (err) {
+    await notify(options, EVENT_SCRUB_FAILED, `Scrub failed: ${err.message}`, {
+      domains: parsedDomains,
+      scrubType,
+    });
+
     // Re-throw errors with proper codes
     if (err.code) {
       throw err;
@@ -230,9 +478,54 @@ const scrubCheckpointsAndBitmaps = async ({
     throw createError(err.message, ERR_SCRUB);
   }
 
+  if (isNotifyingOnSuccess(options)) {
+    await notify(
+      options,
+      EVENT_RUN_SUCCEEDED,
+      `Scrubbed ${scrubType} from ${parsedDomains.join(', ')}`,
+      { domains: parsedDomains, scrubType },
+    );
+  }
+
   return scrubbed;
 };
 
+/**
+ * Scrubs off the checkpoints and bitmaps of a single domain.
+ *
+ * @param {string} domain the domain to scrub
+ * @param {string} scrubType the type of item to scrub (checkpoint, bitmap,
+ * both or * for all)
+ * @param {string|undefined} checkpointName the checkpoint to scrub
+ * @param {boolean} dryRun true to only work out what would be removed
+ * @returns {Promise<object>} the checkpoints and bitmaps removed, or that
+ * would be
+ */
+const scrubDomain = async (domain, scrubType, checkpointName, dryRun) => {
+  const plan = { domain, checkpoints: [], bitmaps: [] };
+
+  if (scrubType === SCRUB_TYPE_CHECKPOINT) {
+    plan.checkpoints = await cleanupCheckpoints(domain, checkpointName, dryRun);
+  } else if (scrubType === SCRUB_TYPE_BITMAP) {
+    plan.bitmaps = await cleanupBitmaps(domain, checkpointName, dryRun);
+  } else if (scrubType === SCRUB_TYPE_BOTH) {
+    plan.checkpoints = await cleanupCheckpoints(domain, checkpointName, dryRun);
+
+    plan.bitmaps = await cleanupBitmaps(domain, checkpointName, dryRun);
+  } else if (scrubType === '*') {
+    plan.checkpoints = await cleanupCheckpoints(domain, undefined, dryRun);
+
+    plan.bitmaps = await cleanupBitmaps(domain, undefined, dryRun);
+  } else {
+    throw createError(
+      `Invalid scrub type: ${scrubType}`,
+      ERR_INVALID_SCRUB_TYPE,
+    );
+  }
+
+  return plan;
+};
+
 /**
  * Returns the key corresponding to a given value in a map.
  *
@@ -257,6 +550,9 @@ export {
   createError,
   fileExists,
   findKeyByValue,
+  getDirectorySize,
   parseArrayParam,
+  parseDuration,
+  resolveDomains,
   scrubCheckpointsAndBitmaps,
 };
@@ -0,0 +1,199 @@
+import { sep } from 'path';
+import dayjs from 'dayjs';
+import { ERR_DOMAINS, ERR_HISTORY, ERR_OUTPUT_DIR } from '../vmsnap.js';
+import { createError, resolveDomains } from './general.js';
+import { RESULT_FAILED, RESULT_SUCCESS } from './libnbdbackup.js';
+import { listBackupFolders } from './retention.js';
+import { readBackupRuns } from './manifest.js';
+import { listChains } from './chain.js';
+import { getDomainOptions } from './config.js';
+
+/**
+ * The backup history.  Lists the runs recorded in the manifests of every
+ * chain of every backup folder of a domain, so past backups can be looked up
+ * without digging through the folders by hand.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// Matches a date without a time, which --until takes to mean the whole day
+const DATE_ONLY_REGEX = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/;
+
+/**
+ * Collects the backup runs of one or more domains, newest first.  The output
+ * setting of a domain's profile is used, if it has one.
+ *
+ * @param {object} args the command line arguments (domains, exclude, output,
+ * since, until, failedOnly, limit) merged with the config file
+ * @returns {Promise<object>} the runs of each domain, keyed by domain
+ */
+const getHistory = async (args) => {
+  const { domains, exclude, since, until, failedOnly = false, limit } = args;
+
+  if (!domains) {
+    throw createError('No domains specified', ERR_DOMAINS);
+  }
+
+  const from = parseDate(since, 'since');
+  const to = parseDate(until, 'until');
+  const count = parseLimit(limit);
+
+  const parsedDomains = await resolveDomains(domains, exclude);
+
+  if (parsedDomains.length === 0) {
+    throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
+  }
+
+  const history = {};
+
+  for (const domain of parsedDomains) {
+    const { output } = getDomainOptions(args, domain);
+
+    if (!output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
+
+    const runs = [];
+
+    for (const folder of await listBackupFolders(domain, output)) {
+      const path = `${output}${sep}${domain}${sep}${folder.name}`;
+
+      for (const chain of await listChains(path)) {
+        for (const run of await readBackupRuns(chain.path)) {
+          runs.push(toHistoryEntry(folder.name, chain.number, run));
+        }
+      }
+    }
+
+    history[domain] = runs
+      .filter(({ time }) => from === undefined || !dayjs(time).isBefore(from))
+      .filter(({ time }) => to === undefined || !dayjs(time).isAfter(to))
+      .filter(({ result }) => !failedOnly || result === RESULT_FAILED)
+      .sort((a, b) => b.time.localeCompare(a.time))
+      .slice(0, count);
+  }
+
+  return history;
+};
+
+/**
+ * Finds when a domain last backed up successfully, searching its backup
+ * folders newest first, and every chain within them.  A run from before there
+ * was a manifest has no recorded result, its data files are taken as a
+ * successful backup.
+ *
+ * @param {string} domain the domain to search the backups of
+ * @param {string} output the backup directory root
+ * @returns {Promise<string|null>} when the backup finished, or null if the
+ * domain has never backed up successfully
+ */
+const getLastSuccessfulBackup = async (domain, output) => {
+  for (const folder of await listBackupFolders(domain, output)) {
+    const path = `${output}${sep}${domain}${sep}${folder.name}`;
+
+    const runs = [];
+
+    for (const chain of await listChains(path)) {
+      runs.push(...(await readBackupRuns(chain.path)));
+    }
+
+    const finished = runs
+      .filter(({ result }) => result === RESULT_SUCCESS || result === null)
+      .map(({ finishedAt }) => finishedAt)
+      .sort();
+
+    if (finished.length > 0) {
+      return finished[finished.length - 1];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Shapes a run from a manifest for the history.
+ *
+ * @param {string} folder the backup folder the run wrote to
+ * @param {number} chain the number of the chain within the folder
+ * @param {object} run the run
+ * @returns {object} the entry, timed by when the run started, or finished if
+ * that is all that is known, with the size of everything it wrote
+ */
+const toHistoryEntry = (folder, chain, run) => {
+  const {
+    startedAt,
+    finishedAt,
+    level,
+    checkpoint,
+    disks = [],
+    result,
+    exitCode,
+    error,
+  } = run;
+
+  return {
+    time: startedAt ?? finishedAt,
+    folder,
+    chain,
+    level,
+    checkpoint,
+    duration:
+      startedAt === null
+        ? null
+        : new Date(finishedAt).getTime() - new Date(startedAt).getTime(),
+    size: disks.reduce((total, { size }) => total + size, 0),
+    result,
+    exitCode,
+    error,
+    disks,
+  };
+};
+
+/**
+ * Parses the date given to --since or --until.  A date without a time given
+ * to --until covers the whole day.
+ *
+ * @param {string|undefined} value the date
+ * @param {string} name the name of the switch, for the error
+ * @returns {dayjs.Dayjs|undefined} the date, or undefined if none was given
+ */
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const date = dayjs(`${value}`);
+
+  if (!date.isValid()) {
+    throw createError(`Invalid --${name} date: ${value}`, ERR_HISTORY);
+  }
+
+  return name === 'until' && DATE_ONLY_REGEX.test(`${value}`)
+    ? date.endOf('day')
+    : date;
+};
+
+/**
+ * Parses the number of runs given to --limit.
+ *
+ * @param {*} value the limit
+ * @returns {number} the most runs to list for each domain
+ */
+const parseLimit = (value) => {
+  if (value === undefined) {
+    return Infinity;
+  }
+
+  const limit = Number(value);
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw createError(
+      `Invalid --limit: ${value}.  Use a whole number of at least 1`,
+      ERR_HISTORY,
+    );
+  }
+
+  return limit;
+};
+
+export { getHistory, getLastSuccessfulBackup };
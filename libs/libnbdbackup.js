@@ -1,14 +1,69 @@
 import { sep } from 'path';
-import { spawn } from 'child_process';
-import { rm } from 'fs/promises';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
 import dayjs from 'dayjs';
 import advancedFormat from 'dayjs/plugin/advancedFormat.js';
 import quarterOfYear from 'dayjs/plugin/quarterOfYear.js';
 import dayOfYear from 'dayjs/plugin/dayOfYear.js';
-import { logger, ERR_DOMAINS, ERR_OUTPUT_DIR } from '../vmsnap.js';
-import { cleanupCheckpoints, domainExists, isDomainRunning, fetchAllDomains } from './virsh.js';
-import { createError, fileExists, parseArrayParam } from './general.js';
-import { cleanupBitmaps } from './qemu-img.js';
+import {
+  logger,
+  logContext,
+  ERR_BACKUP,
+  ERR_DOMAINS,
+  ERR_LOCKED,
+  ERR_OUTPUT_DIR,
+} from '../vmsnap.js';
+import {
+  cleanupCheckpoints,
+  domainExists,
+  fetchAllDisks,
+  isDomainRunning,
+} from './virsh.js';
+import {
+  createError,
+  fileExists,
+  getDirectorySize,
+  resolveDomains,
+} from './general.js';
+import {
+  cleanupBitmaps,
+  getDiskSelection,
+  isDiskSelected,
+} from './qemu-img.js';
+import { formatCommand, spawnCommand } from './exec.js';
+import { verifyBackup } from './verify.js';
+import { getCompressionLevel } from './compression.js';
+import { encryptFolder, loadKey, readManifest } from './encryption.js';
+import {
+  appendBackupManifest,
+  describeBackup,
+  readFolderState,
+} from './manifest.js';
+import { getDomainOptions } from './config.js';
+import {
+  clearNewChainRequest,
+  getChainPath,
+  getNextChainPath,
+  readNewChainRequest,
+} from './chain.js';
+import {
+  applyRetention,
+  getRetentionPolicy,
+  listBackupFolders,
+  pruneByRetention,
+} from './retention.js';
+import { replicateDomain } from './replication.js';
+import { withDomainLock } from './lock.js';
+import { printBackupSummary, printPlan } from './print.js';
+import { getStatus, STATUS_INCONSISTENT, STATUSES } from './serialization.js';
+import {
+  EVENT_BACKUP_FAILED,
+  EVENT_PRUNED,
+  EVENT_RUN_SUCCEEDED,
+  EVENT_STATUS_INCONSISTENT,
+  getWebhooks,
+  isNotifyingOnSuccess,
+  notify,
+} from './notify.js';
 
 /**
  * Our functions for interfacing with the virtnbdbackup utility.
@@ -34,12 +89,37 @@ const FORMAT_YEARLY = 'YYYY';
 
 export const FREQUENCY_MONTHLY = 'month';
 
+// The file the result of a domain's last backup is recorded to, it sits in the
+// domain's directory under the output directory
+export const LAST_BACKUP_FILE = 'vmsnap-last-backup.json';
+
+// The domain was backed up
+export const RESULT_SUCCESS = 'success';
+
+// The backup of the domain failed
+export const RESULT_FAILED = 'failed';
+
+// The domain was not backed up, it does not exist or an earlier backup failed
+export const RESULT_SKIPPED = 'skipped';
+
 const FREQUENCY_QUARTERLY = 'quarter';
 
 const FREQUENCY_BI_ANNUALLY = 'bi-annual';
 
 const FREQUENCY_YEARLY = 'year';
 
+// What the period part of a backup folder name looks like for each groupBy
+const PERIOD_PATTERNS = new Map([
+  [FREQUENCY_MONTHLY, /^[0-9]{4}-(0[1-9]|1[0-2])$/],
+  [FREQUENCY_QUARTERLY, /^[0-9]{4}-Q[1-4]$/],
+  [FREQUENCY_BI_ANNUALLY, /^[0-9]{4}-p[12]$/],
+  [FREQUENCY_YEARLY, /^[0-9]{4}$/],
+]);
+
+// The directory virtnbdbackup's socket files go in by default, QEMU can write
+// to it
+const SOCKET_DIR = '/var/lib/libvirt/qemu';
+
 const PRUNING_FREQUENCIES = [
   FREQUENCY_MONTHLY,
   FREQUENCY_QUARTERLY,
@@ -93,50 +173,771 @@ const getBackupFolder = (groupBy = FREQUENCY_MONTHLY, current = true) => {
       return undefined;
   }
 
-  return `vmsnap-backup-${groupBy}ly-${lastFolder}`;
+  return formatBackupFolder(groupBy, lastFolder);
+};
+
+/**
+ * Builds the name of a backup folder for the given groupBy and period.
+ *
+ * @param {string} groupBy how the backups are grouped on disk (month, quarter,
+ * bi-annual, year)
+ * @param {string} period the period part of the folder name (2024-03,
+ * 2024-Q1, 2024-p2, 2024, etc)
+ * @returns {string} the backup folder name
+ */
+const formatBackupFolder = (groupBy, period) =>
+  `vmsnap-backup-${groupBy}ly-${period}`;
+
+/**
+ * Checks that a period string has the right shape for the given groupBy.
+ *
+ * @param {string} groupBy how the backups are grouped on disk (month, quarter,
+ * bi-annual, year)
+ * @param {string} period the period to check
+ * @returns {boolean} true if the period is valid for the groupBy
+ */
+const isValidPeriod = (groupBy, period) => {
+  const pattern = PERIOD_PATTERNS.get(groupBy);
+
+  return pattern !== undefined && pattern.test(`${period}`);
 };
 
 /**
  * Performs a backup on one or more VM domains by inspecting passed in command
- * line arguments.
+ * line arguments.  Each domain is backed up with the settings from its
+ * profile, if it has one.  Up to concurrency domains are backed up at once.
+ * Each successful backup is replicated to the secondary targets, if there are
+ * any.  A domain is locked while it is backed up and is skipped if another run
+ * holds its lock past lockTimeout.  A summary of every domain's result is
+ * printed at the end.  With dryRun nothing is changed, the plan for each
+ * domain is printed instead.
  *
- * @param {Object} args the command line arguments (domans, output, raw, prune)
+ * @param {Object} args the command line arguments (domans, exclude, output,
+ * raw, prune, full, verifyAfter, concurrency, failFast, dryRun, replicate,
+ * lockDir, lockTimeout, wait) merged with the config file
+ * @returns {Promise<Array<object>>} the result of each domain's backup, or
+ * the plan for each domain on a dry run
+ * @throws {Error} if any domain failed, with the result of each domain's
+ * backup in its results
  */
-const performBackup = async ({ domains, output, raw, groupBy, prune, connect, socketfile }) => {
+const performBackup = async (args) => {
+  const { domains, exclude, failFast = false } = args;
+
   if (!domains) {
     throw createError('No domains specified', ERR_DOMAINS);
   }
 
-  if (!output) {
-    throw createError('No output directory specified', ERR_OUTPUT_DIR);
+  const parsedDomains = await resolveDomains(domains, exclude);
+
+  if (parsedDomains.length === 0) {
+    throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
+  }
+
+  for (const domain of parsedDomains) {
+    if (!getDomainOptions(args, domain).output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
+  }
+
+  const concurrency = getConcurrency(args.concurrency);
+
+  if (args.dryRun) {
+    const plans = [];
+
+    for (const [index, domain] of parsedDomains.entries()) {
+      plans.push(
+        await planBackup(args, domain, concurrency > 1 ? index : undefined),
+      );
+    }
+
+    printPlan('backup', plans, args);
+
+    return plans;
   }
 
-  const parsedDomains = await parseArrayParam(domains, fetchAllDomains);
+  if (concurrency > 1) {
+    logger.info(
+      `Backing up ${parsedDomains.length} domains, ${concurrency} at a time`,
+    );
+  }
+
+  const results = await runConcurrently(
+    parsedDomains,
+    concurrency,
+    (domain, index) =>
+      logContext.run({ domain }, () =>
+        withDomainLock(args, domain, async () => {
+          const result = await backupDomain(
+            args,
+            domain,
+            concurrency > 1 ? index : undefined,
+          );
+
+          const domainOptions = getDomainOptions(args, domain);
+
+          await recordLastBackup(domainOptions.output, result);
+
+          if (result.result === RESULT_SUCCESS) {
+            await replicateDomain(
+              domainOptions,
+              domain,
+              domainOptions.output,
+              getBackupFolder(domainOptions.groupBy),
+            );
+          }
+
+          return result;
+        }).catch((error) => skipLockedDomain(domain, error)),
+      ),
+    (result) => failFast && result.result === RESULT_FAILED,
+  );
+
+  // Domains that were never started because of an earlier failure
+  for (const [index, domain] of parsedDomains.entries()) {
+    results[index] ??= createResult(domain, RESULT_SKIPPED, {
+      reason: 'not started after an earlier failure',
+    });
+  }
+
+  printBackupSummary(results);
+
+  await notifyResults(args, results);
+
+  const failed = results.filter(({ result }) => result === RESULT_FAILED);
+
+  if (failed.length > 0) {
+    const error = createError(
+      `Backups failed for: ${failed.map(({ domain }) => domain).join(', ')}`,
+      ERR_BACKUP,
+    );
+
+    error.results = results;
+
+    throw error;
+  }
+
+  return results;
+};
+
+/**
+ * Prunes the backups of one or more VM domains without backing them up, the
+ * same pruning a backup does once it finishes.  Each domain is locked while
+ * its backups are pruned.  The daemon runs this for its prune jobs.
+ *
+ * @param {Object} args the merged options (domains, exclude, output, groupBy,
+ * prune, the retention policies and the lock settings)
+ * @returns {Promise<Array<object>>} the domain and the names of the pruned
+ * folders of each domain
+ */
+const performPrune = async (args) => {
+  const { domains, exclude } = args;
+
+  if (!domains) {
+    throw createError('No domains specified', ERR_DOMAINS);
+  }
+
+  const parsedDomains = await resolveDomains(domains, exclude);
 
   if (parsedDomains.length === 0) {
     throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
   }
 
+  const results = [];
+
   for (const domain of parsedDomains) {
-    if (await isCleanupRequired(domain, groupBy, output)) {
-      logger.info('Creating a new backup directory, running bitmap cleanup');
+    if (!getDomainOptions(args, domain).output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
 
-      await cleanupCheckpoints(domain);
+    const pruned = await logContext.run({ domain }, () =>
+      withDomainLock(args, domain, () => pruneDomain(args, domain)),
+    );
+
+    results.push({ domain, pruned });
+  }
+
+  return results;
+};
+
+/**
+ * Sends the notifications for a backup run: one for each failed domain, one
+ * for each domain the run left INCONSISTENT and, if asked for, one when the
+ * run finished without failures.
+ *
+ * @param {object} args the merged options
+ * @param {Array<object>} results the result of each domain's backup
+ */
+const notifyResults = async (args, results) => {
+  if (getWebhooks(args).length === 0) {
+    return;
+  }
 
-      await cleanupBitmaps(domain);
+  const failed = results.filter(({ result }) => result === RESULT_FAILED);
+
+  for (const { domain, exitCode, duration, reason } of failed) {
+    await notify(
+      args,
+      EVENT_BACKUP_FAILED,
+      `Backup of ${domain} failed: ${reason ?? `exit code ${exitCode}`}`,
+      { domain, exitCode, duration, reason },
+    );
+  }
+
+  const attempted = results
+    .filter(({ result }) => result !== RESULT_SKIPPED)
+    .map(({ domain }) => domain);
+
+  if (attempted.length > 0) {
+    try {
+      // The attempted domains are already resolved, excluding them again
+      // would only warn about patterns that match nothing
+      const statuses = await getStatus(
+        attempted.join(','),
+        args.output,
+        args.groupBy,
+        false,
+        { ...args, exclude: undefined },
+      );
+
+      for (const [domain, { overallStatus }] of Object.entries(statuses)) {
+        if (overallStatus === STATUS_INCONSISTENT) {
+          await notify(
+            args,
+            EVENT_STATUS_INCONSISTENT,
+            `${domain} is ${STATUSES.get(overallStatus)} after its backup`,
+            { domain, overallStatus },
+          );
+        }
+      }
+    } catch (error) {
+      logger.warn(`Unable to check the status after backup: ${error.message}`);
     }
+  }
+
+  if (failed.length === 0 && isNotifyingOnSuccess(args)) {
+    const counts = [RESULT_SUCCESS, RESULT_SKIPPED]
+      .map((type) => [type, results.filter(({ result }) => result === type)])
+      .filter(([, list]) => list.length > 0)
+      .map(([type, list]) => `${list.length} ${type}`);
+
+    await notify(
+      args,
+      EVENT_RUN_SUCCEEDED,
+      `Backup run finished: ${counts.join(', ')}`,
+      { domains: results.map(({ domain }) => domain) },
+    );
+  }
+};
+
+/**
+ * Sends the notification for backup folders deleted by pruning.
+ *
+ * @param {object} args the merged options
+ * @param {string} domain the domain the folders belonged to
+ * @param {Array<string>} folders the names of the deleted folders
+ */
+const notifyPruned = async (args, domain, folders) => {
+  if (folders.length === 0) {
+    return;
+  }
+
+  await notify(
+    args,
+    EVENT_PRUNED,
+    `Pruned ${folders.join(', ')} from the backups of ${domain}`,
+    { domain, folders },
+  );
+};
+
+/**
+ * Reads the concurrency switch.  Anything that is not a positive whole number
+ * falls back to backing up one domain at a time.
+ *
+ * @param {*} concurrency the concurrency switch
+ * @returns {number} the number of domains to back up at once
+ */
+const getConcurrency = (concurrency) => {
+  if (concurrency === undefined) {
+    return 1;
+  }
+
+  const count = Number(concurrency);
+
+  if (!Number.isInteger(count) || count < 1) {
+    logger.warn(
+      `Invalid concurrency: ${concurrency}.  Backing up one at a time`,
+    );
+
+    return 1;
+  }
+
+  return count;
+};
+
+/**
+ * Runs a worker over a list of items, no more than limit at a time.  Once a
+ * worker throws, or stop returns true for a worker's result, no new items are
+ * started and the running ones are waited on.  The first error thrown, if
+ * any, is rethrown.
+ *
+ * @param {Array} items the items to work on
+ * @param {number} limit the most workers to run at once
+ * @param {Function} worker called with each item and its index
+ * @param {Function} stop called with each worker's result, returns true to
+ * stop starting new items
+ * @returns {Promise<Array>} the worker results in item order, items that were
+ * never started are left undefined
+ */
+const runConcurrently = async (items, limit, worker, stop = () => false) => {
+  const queue = items.entries();
+
+  const results = new Array(items.length);
+
+  let stopped = false;
 
-    await backup(domain, output, raw, groupBy, connect, socketfile);
+  let failure;
 
-    if (await isPruningRequired(domain, groupBy, prune, output)) {
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      for (const [index, item] of queue) {
+        if (stopped) {
+          return;
+        }
+
+        try {
+          results[index] = await worker(item, index);
+
+          stopped ||= stop(results[index]);
+        } catch (error) {
+          failure ??= error;
+
+          stopped = true;
+        }
+      }
+    },
+  );
+
+  await Promise.all(runners);
+
+  if (failure !== undefined) {
+    throw failure;
+  }
+
+  return results;
+};
+
+/**
+ * Builds the result record for a domain's backup.
+ *
+ * @param {string} domain the domain the result is for
+ * @param {string} result one of RESULT_SUCCESS, RESULT_FAILED or
+ * RESULT_SKIPPED
+ * @param {object} details any of exitCode, duration, bytesWritten, pruned and
+ * reason to set on the record
+ * @returns {object} the result record
+ */
+const createResult = (domain, result, details = {}) => ({
+  domain,
+  result,
+  exitCode: null,
+  duration: 0,
+  bytesWritten: 0,
+  pruned: [],
+  reason: null,
+  ...details,
+});
+
+/**
+ * Records a domain as skipped because another run holds its lock.  Any other
+ * error is passed on.
+ *
+ * @param {string} domain the domain that could not be locked
+ * @param {Error} error why the domain could not be backed up
+ * @returns {object} the result of the domain's backup
+ */
+const skipLockedDomain = (domain, error) => {
+  if (error.code !== ERR_LOCKED) {
+    throw error;
+  }
+
+  logger.warn(`Skipping ${domain}: ${error.message}`);
+
+  return createResult(domain, RESULT_SKIPPED, { reason: error.message });
+};
+
+/**
+ * Runs the cleanup, backup, verify and prune steps for a single domain, in
+ * that order.  Errors are logged and recorded on the result rather than
+ * thrown so the other domains carry on.  A new chain asked for with full, or
+ * flagged by a repair, has the checkpoints and bitmaps cleared and is backed
+ * up to a new chain sub-folder of the period, the flag is cleared once that
+ * succeeds.
+ *
+ * @param {Object} args the merged options
+ * @param {string} domain the domain to back up
+ * @param {number|undefined} slot a number unique to this backup when several
+ * run at once, used to keep socket files apart
+ * @returns {Promise<object>} the result of the domain's backup
+ */
+const backupDomain = async (args, domain, slot) => {
+  const startedAt = Date.now();
+
+  const domainOptions = getDomainOptions(args, domain);
+
+  const {
+    output,
+    raw,
+    connect,
+    socketfile,
+    verifyAfter,
+    encryptKey,
+    decryptDir = output,
+  } = domainOptions;
+
+  const selection = getDiskSelection(domainOptions);
+
+  // The folder of the chain the backup goes to, once it is known
+  let backupPath;
+
+  // What the backup wrote, once virtnbdbackup has run
+  let run;
+
+  const recordRun = (result, error = null) =>
+    run === undefined
+      ? Promise.resolve()
+      : appendBackupManifest(backupPath, {
+          startedAt: new Date(startedAt).toISOString(),
+          finishedAt: new Date().toISOString(),
+          result,
+          exitCode: run.exitCode,
+          error,
+          level: run.level,
+          checkpoint: run.checkpoint,
+          disks: run.disks,
+          startedPaused: run.startedPaused,
+        });
+
+  try {
+    const compression = getCompressionLevel(domainOptions.compress);
+
+    const target = await getBackupTarget(args, domain);
+
+    backupPath = target.path;
+
+    if (target.newChain) {
       logger.info(
-        'Middle of the current backup window, running a cleanup on old backups',
+        target.requested
+          ? 'Starting a new backup chain, running bitmap cleanup'
+          : 'Creating a new backup directory, running bitmap cleanup',
       );
 
-      // Delete last months backups
-      await pruneLastMonthsBackups(domain, groupBy, output);
+      await cleanupCheckpoints(domain);
+
+      await cleanupBitmaps(domain, undefined, false, selection);
+    }
+
+    const sizeBefore = await getDirectorySize(backupPath);
+
+    const stateBefore = await readFolderState(backupPath);
+
+    const outcome = await backup(
+      domain,
+      backupPath,
+      raw,
+      connect,
+      getSocketPath(socketfile, slot),
+      slot !== undefined,
+      selection,
+      compression,
+    );
+
+    const exitCode = outcome?.exitCode;
+
+    if (outcome !== undefined) {
+      run = {
+        ...outcome,
+        ...describeBackup(stateBefore, await readFolderState(backupPath)),
+      };
     }
+
+    const bytesWritten = Math.max(
+      0,
+      (await getDirectorySize(backupPath)) - sizeBefore,
+    );
+
+    // Whatever started the chain, a repair's request for one is now met
+    if (target.newChain && exitCode === 0) {
+      await clearNewChainRequest(output, domain);
+    }
+
+    if (encryptKey && exitCode === 0) {
+      await encryptFolder(backupPath, await loadKey(encryptKey));
+    }
+
+    if (verifyAfter && exitCode === 0) {
+      await verifyBackup(domain, backupPath, encryptKey, decryptDir);
+    }
+
+    const pruned = await pruneDomain(args, domain);
+
+    if (exitCode === undefined) {
+      return createResult(domain, RESULT_SKIPPED, {
+        duration: Date.now() - startedAt,
+        pruned,
+        reason: 'domain does not exist',
+      });
+    }
+
+    const result = exitCode === 0 ? RESULT_SUCCESS : RESULT_FAILED;
+
+    await recordRun(result);
+
+    return createResult(domain, result, {
+      exitCode,
+      duration: Date.now() - startedAt,
+      bytesWritten,
+      pruned,
+    });
+  } catch (error) {
+    logger.error(`Backup for ${domain} failed: ${error.message}`);
+
+    await recordRun(RESULT_FAILED, error.message);
+
+    return createResult(domain, RESULT_FAILED, {
+      duration: Date.now() - startedAt,
+      reason: error.message,
+    });
+  }
+};
+
+/**
+ * Prunes the backups of a single domain.  A retention policy decides which
+ * period folders are kept when the domain has one, otherwise the previous
+ * period is deleted once the current one is halfway through, if prune is set.
+ *
+ * @param {Object} args the merged options
+ * @param {string} domain the domain to prune the backups of
+ * @returns {Promise<Array<string>>} the names of the pruned folders
+ */
+const pruneDomain = async (args, domain) => {
+  const domainOptions = getDomainOptions(args, domain);
+
+  const { output, groupBy, prune } = domainOptions;
+
+  const retentionPolicy = getRetentionPolicy(domainOptions);
+
+  if (retentionPolicy !== undefined) {
+    logger.info(`Applying the retention policy to backups of ${domain}`);
+
+    const pruned = await pruneByRetention(
+      domain,
+      output,
+      retentionPolicy,
+      getBackupFolder(groupBy),
+    );
+
+    await notifyPruned(args, domain, pruned);
+
+    return pruned;
   }
+
+  if (await isPruningRequired(domain, groupBy, prune, output)) {
+    logger.info(
+      'Middle of the current backup window, running a cleanup on old backups',
+    );
+
+    // Delete last months backups
+    return pruneLastMonthsBackups(domain, groupBy, output, args);
+  }
+
+  return [];
+};
+
+/**
+ * Works out what backing up a domain would do without doing any of it: the
+ * checkpoints and bitmaps a new chain would clear, the period folders pruning
+ * would delete and the exact virtnbdbackup command.
+ *
+ * @param {Object} args the merged options
+ * @param {string} domain the domain to plan the backup of
+ * @param {number|undefined} slot a number unique to this backup when several
+ * would run at once
+ * @returns {Promise<object>} the plan for the domain
+ */
+const planBackup = async (args, domain, slot) => {
+  if (!(await domainExists(domain))) {
+    return { domain, exists: false };
+  }
+
+  const domainOptions = getDomainOptions(args, domain);
+
+  const { output, raw, groupBy, prune, connect, socketfile } = domainOptions;
+
+  const selection = getDiskSelection(domainOptions);
+
+  const { path: backupFolder, newChain } = await getBackupTarget(args, domain);
+
+  const plan = {
+    domain,
+    exists: true,
+    backupFolder,
+    newChain,
+    checkpoints: newChain
+      ? await cleanupCheckpoints(domain, undefined, true)
+      : [],
+    bitmaps: newChain
+      ? await cleanupBitmaps(domain, undefined, true, selection)
+      : [],
+    prune: [],
+    command: [
+      BACKUP,
+      ...getBackupArgs(
+        domain,
+        backupFolder,
+        raw,
+        connect,
+        getSocketPath(socketfile, slot),
+        await isDomainRunning(domain),
+        {
+          excludedDisks: await getExcludedDisks(domain, selection),
+          compression: getCompressionLevel(domainOptions.compress),
+          level: await getBackupLevel(backupFolder),
+        },
+      ),
+    ],
+  };
+
+  plan.commandLine = formatCommand(plan.command[0], plan.command.slice(1));
+
+  const retentionPolicy = getRetentionPolicy(domainOptions);
+
+  if (retentionPolicy !== undefined) {
+    plan.prune = applyRetention(
+      await listBackupFolders(domain, output),
+      retentionPolicy,
+      getBackupFolder(groupBy),
+    )
+      .filter(({ keep }) => !keep)
+      .map(({ name }) => name);
+  } else if (await isPruningRequired(domain, groupBy, prune, output)) {
+    plan.prune = [getBackupFolder(groupBy, false)];
+  }
+
+  return plan;
+};
+
+/**
+ * Works out the folder a domain's backup goes to.  The first backup of a
+ * period starts its first chain in the period folder.  A new chain asked for
+ * with full, or flagged by a repair, goes in a new chain sub-folder of the
+ * period.  Otherwise the backup is added to the newest chain.
+ *
+ * @param {Object} args the merged options
+ * @param {string} domain the domain to back up
+ * @returns {Promise<object>} the path of the folder, whether the backup starts
+ * a new chain and whether that chain was requested
+ */
+const getBackupTarget = async (args, domain) => {
+  const { output, groupBy } = getDomainOptions(args, domain);
+
+  const periodPath = `${output}${sep}${domain}${sep}${getBackupFolder(groupBy)}`;
+
+  if (await isCleanupRequired(domain, groupBy, output)) {
+    return { path: periodPath, newChain: true, requested: false };
+  }
+
+  if (args.full || (await readNewChainRequest(output, domain)) !== undefined) {
+    return {
+      path: await getNextChainPath(periodPath),
+      newChain: true,
+      requested: true,
+    };
+  }
+
+  return {
+    path: await getChainPath(periodPath),
+    newChain: false,
+    requested: false,
+  };
+};
+
+/**
+ * Records the result of a domain's backup to its directory so status checks
+ * and metrics can report on it later.  Skipped domains are not recorded.
+ *
+ * @param {string} output the backup directory root
+ * @param {object} result the result of the domain's backup
+ */
+const recordLastBackup = async (output, result) => {
+  if (result.result === RESULT_SKIPPED) {
+    return;
+  }
+
+  const { domain, exitCode, duration, bytesWritten } = result;
+
+  const domainDir = `${output}${sep}${domain}`;
+
+  try {
+    await mkdir(domainDir, { recursive: true });
+
+    await writeFile(
+      `${domainDir}${sep}${LAST_BACKUP_FILE}`,
+      JSON.stringify(
+        {
+          finishedAt: new Date().toISOString(),
+          result: result.result,
+          exitCode,
+          duration,
+          bytesWritten,
+        },
+        undefined,
+        2,
+      ),
+    );
+  } catch (error) {
+    logger.warn(`Unable to record the backup of ${domain}: ${error.message}`);
+  }
+};
+
+/**
+ * Reads the result of a domain's last backup.
+ *
+ * @param {string} output the backup directory root
+ * @param {string} domain the domain to read the last backup of
+ * @returns {Promise<object|undefined>} the last backup record, or undefined if
+ * the domain has never been backed up
+ */
+const readLastBackup = async (output, domain) => {
+  const file = `${output}${sep}${domain}${sep}${LAST_BACKUP_FILE}`;
+
+  if (!(await fileExists(file))) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`Unable to read ${file}: ${error.message}`);
+
+    return undefined;
+  }
+};
+
+/**
+ * Works out the socket file for a backup.  When several backups run at once
+ * each gets its own socket file so their NBD servers don't collide.
+ *
+ * @param {string|undefined} socketfile the socket file from the options
+ * @param {number|undefined} slot a number unique to this backup when several
+ * run at once
+ * @returns {string} the socket file path
+ */
+const getSocketPath = (socketfile, slot) => {
+  const socketPath =
+    socketfile || `${SOCKET_DIR}${sep}virtnbdbackup.${process.pid}`;
+
+  return slot === undefined ? socketPath : `${socketPath}.${slot}`;
 };
 
 /**
@@ -191,8 +992,6 @@ const isPruningRequired = async (domain, groupBy, pruneFrequency, path) => {
 
   const previousBackupFolder = getBackupFolder(groupBy, false);
 
-  console.log(previousBackupFolder);
-
   if (previousBackupFolder === undefined) {
     logger.info('Unable to determine previous backup folder, skipping pruning');
 
@@ -207,11 +1006,23 @@ const isPruningRequired = async (domain, groupBy, pruneFrequency, path) => {
     return false;
   }
 
-  // The number of days between the current date and the start of the backup
-  // period.
-  const days = dayjs().diff(getBackupStartDate(groupBy), 'days');
+  logger.info(
+    `Days since the start of the ${groupBy}: ${getDaysIntoPeriod(groupBy)}`,
+  );
 
-  logger.info(`Days since the start of the ${groupBy}: ${days}`);
+  return isPruningWindowOpen(groupBy);
+};
+
+/**
+ * Checks if the current period is far enough along for the previous period's
+ * backups to be pruned, halfway through a month, quarter, half or year.
+ *
+ * @param {string} groupBy how the backups are grouped (month, quarter,
+ * bi-annual, year)
+ * @returns {boolean} true if the previous period may be pruned
+ */
+const isPruningWindowOpen = (groupBy = FREQUENCY_MONTHLY) => {
+  const days = getDaysIntoPeriod(groupBy);
 
   switch (groupBy.toLowerCase()) {
     case FREQUENCY_MONTHLY:
@@ -228,6 +1039,15 @@ const isPruningRequired = async (domain, groupBy, pruneFrequency, path) => {
   }
 };
 
+/**
+ * Counts the days between the start of the current period and now.
+ *
+ * @param {string} groupBy how the backups are grouped
+ * @returns {number} the days into the current period
+ */
+const getDaysIntoPeriod = (groupBy) =>
+  dayjs().diff(getBackupStartDate(groupBy), 'days');
+
 /**
  * Removes all backups for the previous period.  The period is determined by the
  * groupBy param.
@@ -236,14 +1056,17 @@ const isPruningRequired = async (domain, groupBy, pruneFrequency, path) => {
  * @param {*} groupBy how often to prune the backups (monthly, quarterly,
  * yearly)
  * @param {string} path the full backup directory path
+ * @param {object} options the merged options, used to send the pruned
+ * notification
+ * @returns {Promise<Array<string>>} the names of the pruned folders
  */
-const pruneLastMonthsBackups = async (domain, groupBy, path) => {
+const pruneLastMonthsBackups = async (domain, groupBy, path, options = {}) => {
   const previousBackupFolder = getBackupFolder(groupBy, false);
 
   if (previousBackupFolder === undefined) {
     logger.info('Unable to determine previous backup folder, skipping pruning');
 
-    return;
+    return [];
   }
 
   logger.info(
@@ -254,6 +1077,10 @@ const pruneLastMonthsBackups = async (domain, groupBy, path) => {
     recursive: true,
     force: true,
   });
+
+  await notifyPruned(options, domain, [previousBackupFolder]);
+
+  return [previousBackupFolder];
 };
 
 /**
@@ -279,27 +1106,95 @@ const getBackupStartDate = (groupBy) => {
  * Perform a backup of a domain, running or stopped.
  *
  * @param {string} domain the domain to backup
- * @param {string} outputDir the output directory for the backup
+ * @param {string} backupPath the folder of the chain to back up to
  * @param {boolean} raw whether to use raw format
- * @param {string} groupBy the grouping frequency
  * @param {string|undefined} connect the libvirt connection URI
- * @param {string|undefined} socketfile the socket file path for NBD server
+ * @param {string} socketPath the socket file path for NBD server
+ * @param {boolean} pipeOutput true to log virtnbdbackup's output line by line
+ * rather than passing it straight through, used when backups run at once
+ * @param {object} selection the disk selection from getDiskSelection
+ * @param {true|number|undefined} compression the compression level from
+ * getCompressionLevel, true for virtnbdbackup's default
+ * @returns {Promise<object|undefined>} the exit code of virtnbdbackup and
+ * whether the domain was started paused for it, or undefined if the domain
+ * does not exist
  */
-const backup = async (domain, outputDir, raw, groupBy, connect, socketfile) => {
+const backup = async (
+  domain,
+  backupPath,
+  raw,
+  connect,
+  socketPath,
+  pipeOutput = false,
+  selection = getDiskSelection(),
+  compression = undefined,
+) => {
   if (!(await domainExists(domain))) {
     logger.warn(`${domain} does not exist`);
 
-    return;
+    return undefined;
+  }
+
+  // Auto-detect if domain is offline and use -S flag to enable checkpoint creation
+  const isRunning = await isDomainRunning(domain);
+  if (!isRunning) {
+    logger.info(`${domain} is offline, starting in paused state for checkpoint backup`);
   }
 
+  const commandOpts = getBackupArgs(
+    domain,
+    backupPath,
+    raw,
+    connect,
+    socketPath,
+    isRunning,
+    {
+      excludedDisks: await getExcludedDisks(domain, selection),
+      compression,
+      level: await getBackupLevel(backupPath),
+    },
+  );
+
+  const code = await spawnCommand(BACKUP, commandOpts, { pipeOutput });
+
+  if (code !== 0) {
+    logger.error(`Backup for ${domain} failed with code ${code}`);
+  }
+
+  return { exitCode: code, startedPaused: !isRunning };
+};
+
+/**
+ * Builds the arguments virtnbdbackup is run with.
+ *
+ * @param {string} domain the domain to backup
+ * @param {string} backupPath the folder of the chain to back up to
+ * @param {boolean} raw whether to use raw format
+ * @param {string|undefined} connect the libvirt connection URI
+ * @param {string} socketPath the socket file path for NBD server
+ * @param {boolean} isRunning whether the domain is running, an offline domain
+ * is started paused so a checkpoint can be created
+ * @param {object} extras the excludedDisks to leave out, the compression
+ * level (true for virtnbdbackup's default) and the backup level
+ * @returns {Array<string>} the arguments
+ */
+const getBackupArgs = (
+  domain,
+  backupPath,
+  raw,
+  connect,
+  socketPath,
+  isRunning,
+  { excludedDisks = [], compression = undefined, level = 'auto' } = {},
+) => {
   const commandOpts = [
     '--noprogress',
     '-d',
     domain,
     '-l',
-    'auto',
+    level,
     '-o',
-    `${outputDir}${sep}${domain}${sep}${getBackupFolder(groupBy)}`,
+    backupPath,
   ];
 
   if (raw) {
@@ -310,49 +1205,62 @@ const backup = async (domain, outputDir, raw, groupBy, connect, socketfile) => {
     commandOpts.push('-U', connect);
   }
 
-  // Set socket file path - default to libvirt's qemu directory which the QEMU process can write to
-  const socketPath = socketfile || `/var/lib/libvirt/qemu/virtnbdbackup.${process.pid}`;
   commandOpts.push('-f', socketPath);
 
-  // Auto-detect if domain is offline and use -S flag to enable checkpoint creation
-  const isRunning = await isDomainRunning(domain);
   if (!isRunning) {
-    logger.info(`${domain} is offline, starting in paused state for checkpoint backup`);
     commandOpts.push('-S');
   }
 
-  const child = spawn(BACKUP, commandOpts, {
-    uid: process.getuid(),
-    gid: process.getgid(),
-    stdio: 'inherit',
-  });
-
-  if (child.stdout) {
-    child.stdout.setEncoding('utf8');
+  if (excludedDisks.length > 0) {
+    commandOpts.push('-x', excludedDisks.join(','));
+  }
 
-    child.stdout.on('data', (data) => {
-      logger.info(data);
-    });
+  if (compression === true) {
+    commandOpts.push('--compress');
+  } else if (compression !== undefined) {
+    commandOpts.push(`--compress=${compression}`);
   }
 
-  if (child.stderr) {
-    child.stderr.setEncoding('utf8');
+  return commandOpts;
+};
 
-    child.stderr.on('data', (data) => {
-      logger.error(data);
-    });
+/**
+ * Works out the backup level to ask virtnbdbackup for.  virtnbdbackup picks
+ * between a full and an incremental backup by looking for the full backup's
+ * data file, which is renamed once a folder is encrypted, so the chain of an
+ * encrypted folder is carried on explicitly.
+ *
+ * @param {string} backupPath the folder of the chain being backed up to
+ * @returns {Promise<string>} inc for an encrypted folder, otherwise auto
+ */
+const getBackupLevel = async (backupPath) =>
+  (await readManifest(backupPath)) === undefined ? 'auto' : 'inc';
+
+/**
+ * Works out which of a domain's disks virtnbdbackup should leave out.  Both
+ * --include-disks and --exclude-disks become a list of exclusions because
+ * virtnbdbackup's -i only takes a single disk.
+ *
+ * @param {string} domain the domain to backup
+ * @param {object} selection the disk selection from getDiskSelection
+ * @returns {Promise<Array<string>>} the disk targets to exclude
+ */
+const getExcludedDisks = async (domain, selection) => {
+  if (selection.include.length === 0 && selection.exclude.length === 0) {
+    return [];
   }
 
-  // Wait for the backup to finish
-  await new Promise((resolve) => {
-    child.on('close', (code) => {
-      if (code !== 0) {
-        logger.error(`Backup for ${domain} failed with code ${code}`);
-      }
+  const disks = await fetchAllDisks(domain);
 
-      resolve();
-    });
-  });
+  return [...disks.keys()].filter((disk) => !isDiskSelected(disk, selection));
 };
 
-export { getBackupFolder, performBackup };
+export {
+  formatBackupFolder,
+  getBackupFolder,
+  isPruningWindowOpen,
+  isValidPeriod,
+  performBackup,
+  performPrune,
+  readLastBackup,
+};
@@ -0,0 +1,273 @@
+import { sep } from 'path';
+import { mkdir, readdir } from 'fs/promises';
+import {
+  logger,
+  ERR_DOMAINS,
+  ERR_OUTPUT_DIR,
+  ERR_RESTORE,
+  ERR_TARGET_DIR,
+} from '../vmsnap.js';
+import { createError, fileExists, resolveDomains } from './general.js';
+import { getDomainOptions } from './config.js';
+import { spawnCommand } from './exec.js';
+import {
+  FREQUENCY_MONTHLY,
+  formatBackupFolder,
+  getBackupFolder,
+  isValidPeriod,
+} from './libnbdbackup.js';
+import { ENCRYPTED_EXTENSION, withDecryptedFolder } from './encryption.js';
+import { getChainFolder, getChainPath } from './chain.js';
+import { withDomainLock } from './lock.js';
+
+/**
+ * Our functions for interfacing with the virtnbdrestore utility.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+export const RESTORE = 'virtnbdrestore';
+
+// The checkpoint files virtnbdbackup leaves in the checkpoints folder
+const CHECKPOINT_FILE_REGEX = /^virtnbdbackup\.([0-9]+)\.xml$/;
+
+/**
+ * Restores one or more domains from their backup folders by inspecting passed
+ * in command line arguments.  The output, groupBy, connect and encryptKey
+ * settings of a domain's profile are used, if it has one.  The newest chain
+ * of the period is restored unless a chain is passed in.  Each domain is
+ * locked while it is restored so a backup does not change its chain midway.
+ * An encrypted chain is decrypted under decryptDir, or the target directory
+ * without one.
+ *
+ * @param {Object} args the command line arguments (domains, exclude, output,
+ * groupBy, period, chain, checkpointName, target, connect, encryptKey,
+ * decryptDir and the lock settings) merged with the config file
+ */
+const performRestore = async (args) => {
+  const { domains, exclude, period, chain, checkpointName, target } = args;
+
+  if (!domains) {
+    throw createError('No domains specified', ERR_DOMAINS);
+  }
+
+  if (!target) {
+    throw createError('No target directory specified', ERR_TARGET_DIR);
+  }
+
+  const parsedDomains = await resolveDomains(domains, exclude);
+
+  if (parsedDomains.length === 0) {
+    throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
+  }
+
+  for (const domain of parsedDomains) {
+    const {
+      output,
+      groupBy = FREQUENCY_MONTHLY,
+      connect,
+      encryptKey,
+      decryptDir = target,
+    } = getDomainOptions(args, domain);
+
+    if (!output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
+
+    const input = await getRestoreChain(
+      `${output}${sep}${domain}${sep}${getRestoreFolder(groupBy, period)}`,
+      chain,
+    );
+
+    await withDomainLock(args, domain, async () => {
+      const until = await checkChain(input, checkpointName);
+
+      await withDecryptedFolder(input, encryptKey, decryptDir, (decrypted) =>
+        restore(domain, decrypted, `${target}${sep}${domain}`, until, connect),
+      );
+    });
+  }
+};
+
+/**
+ * Works out which backup folder to restore from.  The current period is used
+ * when no period is passed in.
+ *
+ * @param {string} groupBy how the backups are grouped on disk (month, quarter,
+ * bi-annual, year)
+ * @param {string|undefined} period the period to restore from (2024-03,
+ * 2024-Q1, 2024-p2, 2024, etc)
+ * @returns {string} the backup folder name
+ */
+const getRestoreFolder = (groupBy, period) => {
+  if (period === undefined) {
+    const current = getBackupFolder(groupBy);
+
+    if (current === undefined) {
+      throw createError(`Invalid groupBy: ${groupBy}`, ERR_RESTORE);
+    }
+
+    return current;
+  }
+
+  if (!isValidPeriod(groupBy, period)) {
+    throw createError(
+      `Invalid period ${period} for groupBy ${groupBy}`,
+      ERR_RESTORE,
+    );
+  }
+
+  return formatBackupFolder(groupBy, period);
+};
+
+/**
+ * Works out which chain of a backup folder to restore from.  The newest chain
+ * is used when no chain is passed in.
+ *
+ * @param {string} folder the backup folder
+ * @param {string|number|undefined} chain the number of the chain to restore
+ * from, 1 being the chain in the backup folder itself
+ * @returns {Promise<string>} the folder holding the chain
+ */
+const getRestoreChain = async (folder, chain) => {
+  if (chain === undefined) {
+    return getChainPath(folder);
+  }
+
+  const number = Number(chain);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw createError(`Invalid chain: ${chain}`, ERR_RESTORE);
+  }
+
+  const path = await getChainFolder(folder, number);
+
+  if (path === undefined) {
+    throw createError(`No chain ${number} found in ${folder}`, ERR_RESTORE);
+  }
+
+  return path;
+};
+
+/**
+ * Checks that the backup chain in a backup folder is complete up to the
+ * requested checkpoint.  Every checkpoint from the full backup onward must
+ * have its checkpoint file and at least one data file, encrypted or not.
+ *
+ * @param {string} input the backup folder to check
+ * @param {string|number|undefined} checkpointName the checkpoint to restore up
+ * to, the latest one is used when undefined
+ * @returns {Promise<string>} the name of the checkpoint to restore up to
+ */
+const checkChain = async (input, checkpointName = undefined) => {
+  const checkpointDir = `${input}${sep}checkpoints`;
+
+  if (!(await fileExists(checkpointDir))) {
+    throw createError(`No backup found in ${input}`, ERR_RESTORE);
+  }
+
+  const indexes = (await readdir(checkpointDir))
+    .map((file) => CHECKPOINT_FILE_REGEX.exec(file))
+    .filter((match) => match !== null)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+
+  if (indexes.length === 0) {
+    throw createError(`No checkpoints found in ${input}`, ERR_RESTORE);
+  }
+
+  const until =
+    checkpointName === undefined
+      ? indexes[indexes.length - 1]
+      : parseCheckpointIndex(checkpointName);
+
+  const dataFiles = (await readdir(input))
+    .map((f) =>
+      f.endsWith(ENCRYPTED_EXTENSION)
+        ? f.slice(0, -ENCRYPTED_EXTENSION.length)
+        : f,
+    )
+    .filter((f) => f.endsWith('.data'));
+
+  for (let i = 0; i <= until; i++) {
+    if (!indexes.includes(i)) {
+      throw createError(
+        `Backup chain in ${input} is missing checkpoint virtnbdbackup.${i}`,
+        ERR_RESTORE,
+      );
+    }
+
+    const suffix = i === 0 ? '.full.data' : `.inc.virtnbdbackup.${i}.data`;
+
+    if (!dataFiles.some((f) => f.endsWith(suffix))) {
+      throw createError(
+        `Backup chain in ${input} is missing data for virtnbdbackup.${i}`,
+        ERR_RESTORE,
+      );
+    }
+  }
+
+  return `virtnbdbackup.${until}`;
+};
+
+/**
+ * Pulls the index out of a checkpoint name.  Accepts either the full name
+ * (virtnbdbackup.3) or just the index (3).
+ *
+ * @param {string|number} checkpointName the checkpoint name or index
+ * @returns {number} the checkpoint index
+ */
+const parseCheckpointIndex = (checkpointName) => {
+  const match = /^(virtnbdbackup\.)?([0-9]+)$/.exec(`${checkpointName}`);
+
+  if (match === null) {
+    throw createError(
+      `Invalid checkpoint name: ${checkpointName}`,
+      ERR_RESTORE,
+    );
+  }
+
+  return Number(match[2]);
+};
+
+/**
+ * Rebuilds the disk images for a domain from a backup folder.
+ *
+ * @param {string} domain the domain being restored
+ * @param {string} input the backup folder to restore from
+ * @param {string} targetDir the directory to rebuild the disk images in
+ * @param {string} until the checkpoint to restore up to
+ * @param {string|undefined} connect the libvirt connection URI
+ */
+const restore = async (domain, input, targetDir, until, connect) => {
+  await mkdir(targetDir, { recursive: true });
+
+  const commandOpts = [
+    '--noprogress',
+    '-a',
+    'restore',
+    '-i',
+    input,
+    '-o',
+    targetDir,
+    '--until',
+    until,
+  ];
+
+  if (connect) {
+    commandOpts.push('-U', connect);
+  }
+
+  logger.info(`Restoring ${domain} up to ${until} into ${targetDir}`);
+
+  const code = await spawnCommand(RESTORE, commandOpts);
+
+  if (code !== 0) {
+    throw createError(
+      `Restore for ${domain} failed with code ${code}`,
+      ERR_RESTORE,
+    );
+  }
+};
+
+export { checkChain, performRestore };
@@ -0,0 +1,345 @@
+import process from 'process';
+import { randomUUID } from 'crypto';
+import { hostname, tmpdir } from 'os';
+import { sep } from 'path';
+import { link, mkdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { logger, ERR_LOCK_RELEASE, ERR_LOCKED } from '../vmsnap.js';
+import { createError, parseDuration } from './general.js';
+
+/**
+ * Per-domain locks.  A run takes the lock of each domain it changes while it
+ * works on it, so runs on different domains do not wait on each other.  Each
+ * lock records the PID, host, command and start time of the run holding it,
+ * and a lock left behind by a run that is gone is cleared.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// Where the locks go when running as root
+export const DEFAULT_LOCK_DIR = '/run/vmsnap';
+
+// How long to wait for a lock held by another run
+export const DEFAULT_LOCK_TIMEOUT = '2m';
+
+// How often a held lock is checked again while waiting for it
+const LOCK_RETRY_WAIT = 1000;
+
+/**
+ * Runs a callback while holding the lock of a domain.  A dry run changes
+ * nothing so it takes no lock.  If the callback fails and the lock can not be
+ * released either, the release failure is logged and the callback's error is
+ * thrown.
+ *
+ * @param {object} options the merged options (lockDir, lockTimeout, wait,
+ * dryRun)
+ * @param {string} domain the domain to lock
+ * @param {function} callback what to run while holding the lock
+ * @returns {Promise<*>} what the callback returned
+ */
+const withDomainLock = async (options, domain, callback) => {
+  if (options.dryRun) {
+    return callback();
+  }
+
+  const file = await acquireLock(options, domain);
+
+  let result;
+
+  try {
+    result = await callback();
+  } catch (error) {
+    await releaseLock(file).catch((releaseError) =>
+      logger.error(releaseError.message),
+    );
+
+    throw error;
+  }
+
+  await releaseLock(file);
+
+  return result;
+};
+
+/**
+ * Takes the lock of a domain.  A lock held by another run is waited on for up
+ * to lockTimeout, or not at all when wait is false (--no-wait).  A lock left
+ * by a process on this host that is no longer running is cleared.
+ *
+ * @param {object} options the merged options (lockDir, lockTimeout, wait)
+ * @param {string} domain the domain to lock
+ * @returns {Promise<string>} the lock file
+ * @throws {Error} if the lock is still held once the wait is over
+ */
+const acquireLock = async (options, domain) => {
+  const lockDir = getLockDir(options);
+
+  const timeout =
+    options.wait === false
+      ? 0
+      : parseDuration(
+          options.lockTimeout ?? DEFAULT_LOCK_TIMEOUT,
+          '--lock-timeout',
+        );
+
+  const file = `${lockDir}${sep}${domain}.lock`;
+
+  const deadline = Date.now() + timeout;
+
+  let waiting = false;
+
+  await mkdir(lockDir, { recursive: true });
+
+  for (;;) {
+    if (await createLock(file)) {
+      return file;
+    }
+
+    const holder = await readLock(file);
+
+    // The lock was released while it was being read
+    if (holder === null) {
+      continue;
+    }
+
+    if (isStale(holder)) {
+      logger.warn(
+        `Clearing the stale lock on ${domain} left by ${describeHolder(holder)}`,
+      );
+
+      await clearStaleLock(file, holder);
+
+      continue;
+    }
+
+    const remaining = deadline - Date.now();
+
+    if (remaining <= 0) {
+      throw createError(
+        `${domain} is locked by ${describeHolder(holder)}`,
+        ERR_LOCKED,
+      );
+    }
+
+    if (!waiting) {
+      logger.info(
+        `Waiting for the lock on ${domain} held by ${describeHolder(holder)}`,
+      );
+
+      waiting = true;
+    }
+
+    await sleep(Math.min(LOCK_RETRY_WAIT, remaining));
+  }
+};
+
+/**
+ * Releases a lock.
+ *
+ * @param {string} file the lock file
+ */
+const releaseLock = async (file) => {
+  try {
+    await rm(file, { force: true });
+  } catch (error) {
+    throw createError(
+      `Unable to release ${file}: ${error.message}`,
+      ERR_LOCK_RELEASE,
+    );
+  }
+};
+
+/**
+ * Clears a stale lock.  Another run may clear the same lock and take a fresh
+ * one between the lock being read and being removed, so the lock is moved
+ * aside first, which only one run can do, and only removed if it is still
+ * the stale one.  A fresh lock moved aside is put back.
+ *
+ * @param {string} file the lock file
+ * @param {object} holder who held the stale lock when it was read
+ */
+const clearStaleLock = async (file, holder) => {
+  const staleFile = `${file}.${randomUUID()}.stale`;
+
+  try {
+    await rename(file, staleFile);
+  } catch (error) {
+    // Another run cleared it first
+    if (error.code === 'ENOENT') {
+      return;
+    }
+
+    throw error;
+  }
+
+  try {
+    const moved = await readLock(staleFile);
+
+    if (moved !== null && !isSameHolder(moved, holder)) {
+      await restoreLock(staleFile, file, moved);
+    }
+  } finally {
+    await rm(staleFile, { force: true });
+  }
+};
+
+/**
+ * Puts back a lock that was moved aside while clearing a stale lock.
+ *
+ * @param {string} staleFile where the lock was moved to
+ * @param {string} file the lock file
+ * @param {object} holder who holds the lock
+ */
+const restoreLock = async (staleFile, file, holder) => {
+  try {
+    await link(staleFile, file);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    logger.warn(
+      `Unable to put back the lock held by ${describeHolder(holder)}, another run has taken it`,
+    );
+  }
+};
+
+/**
+ * Works out where the locks go.  Without a lockDir the locks go in
+ * /run/vmsnap when running as root, which only root can write to, and in the
+ * temp directory otherwise.
+ *
+ * @param {object} options the merged options
+ * @returns {string} the lock directory
+ */
+const getLockDir = ({ lockDir }) => {
+  if (lockDir) {
+    return lockDir;
+  }
+
+  return process.getuid?.() === 0
+    ? DEFAULT_LOCK_DIR
+    : `${tmpdir()}${sep}vmsnap`;
+};
+
+/**
+ * Creates a lock file, unless there already is one.  The details of the run
+ * are written to a file of its own first and linked into place, so a lock
+ * file is never seen half written.  Each attempt gets its own file, a run may
+ * try for the same lock more than once at a time.
+ *
+ * @param {string} file the lock file
+ * @returns {Promise<boolean>} true if the lock was taken
+ */
+const createLock = async (file) => {
+  const tempFile = `${file}.${process.pid}.${randomUUID()}.tmp`;
+
+  await writeFile(
+    tempFile,
+    JSON.stringify(
+      {
+        pid: process.pid,
+        host: hostname(),
+        command: process.argv.slice(1).join(' '),
+        startedAt: new Date().toISOString(),
+      },
+      undefined,
+      2,
+    ),
+  );
+
+  try {
+    await link(tempFile, file);
+
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+
+    throw error;
+  } finally {
+    await rm(tempFile, { force: true });
+  }
+};
+
+/**
+ * Reads who holds a lock.
+ *
+ * @param {string} file the lock file
+ * @returns {Promise<object|null>} the pid, host, command and startedAt of the
+ * run holding the lock, empty if the file can not be understood, or null if
+ * there is no lock
+ */
+const readLock = async (file) => {
+  let contents;
+
+  try {
+    contents = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+
+    throw error;
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Checks if a lock was left behind by a run that is gone.  Only a process on
+ * this host can be checked, a lock from another host is never stale.
+ *
+ * @param {object} holder who holds the lock
+ * @returns {boolean} true if the process holding the lock is no longer running
+ */
+const isStale = ({ pid, host }) => {
+  if (!Number.isInteger(pid) || host !== hostname()) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+
+    return false;
+  } catch (error) {
+    // The process exists but belongs to someone else
+    return error.code !== 'EPERM';
+  }
+};
+
+/**
+ * Checks if two reads of a lock are of the same run's lock.
+ *
+ * @param {object} a who held the lock on one read
+ * @param {object} b who held the lock on the other
+ * @returns {boolean} true if the pid, host and start time match
+ */
+const isSameHolder = (a, b) =>
+  a.pid === b.pid && a.host === b.host && a.startedAt === b.startedAt;
+
+/**
+ * Describes who holds a lock for log lines and errors.
+ *
+ * @param {object} holder who holds the lock
+ * @returns {string} the description, like PID 123 on host1 (vmsnap.js
+ * --backup) since 2024-03-15T02:00:00.000Z
+ */
+const describeHolder = ({ pid, host, command, startedAt }) =>
+  pid === undefined
+    ? 'an unknown run'
+    : `PID ${pid} on ${host} (${command}) since ${startedAt}`;
+
+/**
+ * Waits for a while.
+ *
+ * @param {number} ms how long to wait in milliseconds
+ * @returns {Promise<void>} resolves once the time is up
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export { acquireLock, releaseLock, withDomainLock };
@@ -0,0 +1,303 @@
+import { hostname } from 'os';
+import { sep } from 'path';
+import { readdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { logger } from '../vmsnap.js';
+import { fileExists } from './general.js';
+import { ENCRYPTED_EXTENSION } from './encryption.js';
+
+/**
+ * The backup manifest.  Every backup run appends an entry to the manifest in
+ * its period folder, so what was backed up, when, by what and how it went is
+ * recorded by vmsnap rather than worked out from the files virtnbdbackup
+ * left behind.  Entries are only ever added, never changed or removed.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The manifest kept in each period folder
+export const MANIFEST_FILE = 'vmsnap-manifest.json';
+
+// A run that started a new chain with a full backup
+export const LEVEL_FULL = 'full';
+
+// A run that added an incremental backup to the chain
+export const LEVEL_INCREMENTAL = 'incremental';
+
+// A run that copied the disks without a checkpoint
+export const LEVEL_COPY = 'copy';
+
+// Matches the data files virtnbdbackup writes and captures the disk, level and
+// checkpoint index, vda.full.data, vda.inc.virtnbdbackup.3.data or
+// vda.copy.data
+const DATA_FILE_REGEX =
+  /^(.+)\.(full|inc|copy)(?:\.virtnbdbackup\.([0-9]+))?\.data$/;
+
+// Matches the checkpoint files virtnbdbackup writes and captures the index
+const CHECKPOINT_FILE_REGEX = /^virtnbdbackup\.([0-9]+)\.xml$/;
+
+// The level of a run from the data files it wrote
+const LEVELS = new Map([
+  ['full', LEVEL_FULL],
+  ['inc', LEVEL_INCREMENTAL],
+  ['copy', LEVEL_COPY],
+]);
+
+// The version of vmsnap, read once from package.json
+let version;
+
+/**
+ * Takes stock of a period folder: the checkpoints in it and its data files.
+ * Taken before and after a backup, the difference is what the backup wrote.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<object>} the checkpoint names and a map of data file names
+ * to their sizes, both empty if the folder does not exist
+ */
+const readFolderState = async (path) => {
+  const state = { checkpoints: [], dataFiles: new Map() };
+
+  if (!(await fileExists(path))) {
+    return state;
+  }
+
+  for (const name of await readdir(path)) {
+    const plainName = name.endsWith(ENCRYPTED_EXTENSION)
+      ? name.slice(0, -ENCRYPTED_EXTENSION.length)
+      : name;
+
+    if (DATA_FILE_REGEX.test(plainName)) {
+      state.dataFiles.set(plainName, (await stat(`${path}${sep}${name}`)).size);
+    }
+  }
+
+  const checkpointDir = `${path}${sep}checkpoints`;
+
+  if (await fileExists(checkpointDir)) {
+    state.checkpoints = (await readdir(checkpointDir))
+      .map((file) => CHECKPOINT_FILE_REGEX.exec(file))
+      .filter((match) => match !== null)
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+      .map((match) => `virtnbdbackup.${match[1]}`);
+  }
+
+  return state;
+};
+
+/**
+ * Works out what a backup wrote from the state of its period folder before
+ * and after it ran.
+ *
+ * @param {object} before the state of the folder before the backup
+ * @param {object} after the state of the folder after the backup
+ * @returns {object} the level of the backup, the checkpoint it created and the
+ * disks it wrote, each with its data file and size
+ */
+const describeBackup = (before, after) => {
+  const disks = [];
+
+  let level = null;
+
+  for (const [file, size] of after.dataFiles) {
+    if (before.dataFiles.has(file)) {
+      continue;
+    }
+
+    const [, disk, type] = DATA_FILE_REGEX.exec(file);
+
+    level = LEVELS.get(type);
+
+    disks.push({ disk, file, size });
+  }
+
+  const created = after.checkpoints.filter(
+    (checkpoint) => !before.checkpoints.includes(checkpoint),
+  );
+
+  return {
+    level,
+    checkpoint: created.length === 0 ? null : created[created.length - 1],
+    disks: disks.sort((a, b) => a.disk.localeCompare(b.disk)),
+  };
+};
+
+/**
+ * Reads the manifest of a period folder.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<Array<object>>} the entries, oldest first, empty if the
+ * folder has no manifest or it can not be read
+ */
+const readBackupManifest = async (path) => {
+  const file = `${path}${sep}${MANIFEST_FILE}`;
+
+  if (!(await fileExists(file))) {
+    return [];
+  }
+
+  try {
+    const entries = JSON.parse(await readFile(file, 'utf8'));
+
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    logger.warn(`Unable to read ${file}: ${error.message}`);
+
+    return [];
+  }
+};
+
+/**
+ * Reads the runs that wrote to a period folder, oldest first.  Most come from
+ * the manifest, the rest are worked out from data files no manifest entry
+ * accounts for, written before vmsnap kept a manifest.  All that is known of
+ * those is what they wrote and when they finished, so their result is null.
+ *
+ * @param {string} path the period folder
+ * @returns {Promise<Array<object>>} the runs, shaped like manifest entries
+ */
+const readBackupRuns = async (path) => {
+  const runs = await readBackupManifest(path);
+
+  if (!(await fileExists(path))) {
+    return runs;
+  }
+
+  const recorded = new Set(
+    runs.flatMap(({ disks = [] }) => disks.map(({ file }) => file)),
+  );
+
+  // The unrecorded runs by the checkpoint they created
+  const unrecorded = new Map();
+
+  for (const name of await readdir(path)) {
+    const plainName = name.endsWith(ENCRYPTED_EXTENSION)
+      ? name.slice(0, -ENCRYPTED_EXTENSION.length)
+      : name;
+
+    const match = DATA_FILE_REGEX.exec(plainName);
+
+    if (match === null || recorded.has(plainName)) {
+      continue;
+    }
+
+    const [, disk, type, index = '0'] = match;
+
+    const checkpoint = type === 'copy' ? null : `virtnbdbackup.${index}`;
+
+    const { size, mtime } = await stat(`${path}${sep}${name}`);
+
+    const run = unrecorded.get(checkpoint) ?? {
+      startedAt: null,
+      finishedAt: mtime.toISOString(),
+      result: null,
+      exitCode: null,
+      error: null,
+      level: LEVELS.get(type),
+      checkpoint,
+      disks: [],
+      startedPaused: null,
+    };
+
+    if (mtime.toISOString() > run.finishedAt) {
+      run.finishedAt = mtime.toISOString();
+    }
+
+    run.disks.push({ disk, file: plainName, size });
+
+    unrecorded.set(checkpoint, run);
+  }
+
+  for (const run of unrecorded.values()) {
+    run.disks.sort((a, b) => a.disk.localeCompare(b.disk));
+  }
+
+  return [...runs, ...unrecorded.values()].sort((a, b) =>
+    (a.startedAt ?? a.finishedAt).localeCompare(b.startedAt ?? b.finishedAt),
+  );
+};
+
+/**
+ * Appends an entry to the manifest of a period folder, stamped with the host
+ * and the version of vmsnap.  The manifest is written under a temporary name
+ * and renamed into place, so it is never left half written.  A manifest that
+ * can not be read is set aside rather than written over.  Nothing is written
+ * if the backup never created the period folder.
+ *
+ * @param {string} path the period folder
+ * @param {object} entry the entry for the run
+ */
+const appendBackupManifest = async (path, entry) => {
+  const file = `${path}${sep}${MANIFEST_FILE}`;
+
+  if (!(await fileExists(path))) {
+    return;
+  }
+
+  try {
+    let entries = [];
+
+    if (await fileExists(file)) {
+      try {
+        entries = JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        logger.warn(
+          `Unable to read ${file}, setting it aside: ${error.message}`,
+        );
+
+        await rename(file, `${file}.${Date.now()}.corrupt`);
+      }
+    }
+
+    entries.push({
+      ...entry,
+      version: await getVersion(),
+      host: hostname(),
+    });
+
+    await writeFile(`${file}.tmp`, JSON.stringify(entries, undefined, 2));
+
+    await rename(`${file}.tmp`, file);
+  } catch (error) {
+    logger.warn(`Unable to update ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Reads the version of vmsnap from its package.json.  The built copy in dist
+ * sits a directory further down than the source.
+ *
+ * @returns {Promise<string|null>} the version, or null if it can not be found
+ */
+const getVersion = async () => {
+  if (version !== undefined) {
+    return version;
+  }
+
+  for (const candidate of ['../package.json', '../../package.json']) {
+    try {
+      const pkg = JSON.parse(
+        await readFile(new URL(candidate, import.meta.url), 'utf8'),
+      );
+
+      if (pkg.name === 'vmsnap') {
+        version = pkg.version;
+
+        return version;
+      }
+    } catch (error) {
+      // Not in this directory, try the next
+    }
+  }
+
+  version = null;
+
+  return version;
+};
+
+export {
+  appendBackupManifest,
+  describeBackup,
+  getVersion,
+  readBackupManifest,
+  readBackupRuns,
+  readFolderState,
+};
@@ -0,0 +1,197 @@
+import { randomUUID } from 'crypto';
+import { rename, rm, writeFile } from 'fs/promises';
+import { logger } from '../vmsnap.js';
+import { getStatus } from './serialization.js';
+import {
+  FREQUENCY_MONTHLY,
+  RESULT_FAILED,
+  RESULT_SKIPPED,
+  RESULT_SUCCESS,
+} from './libnbdbackup.js';
+
+/**
+ * Exports the health of the domains as a Prometheus textfile for the
+ * node_exporter textfile collector.  The metrics are built from the same
+ * status the --json switch prints.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The backup results, each gets its own series of vmsnap_last_backup_result
+const RESULTS = [RESULT_SUCCESS, RESULT_FAILED, RESULT_SKIPPED];
+
+// The metrics written for each domain.  Each one turns a domain's status into
+// a list of [labels, value] samples.
+const METRICS = [
+  {
+    name: 'vmsnap_overall_status',
+    help: 'The overall status of the domain (0 OK, 1 INCONSISTENT, 2 UNVERIFIED, 3 CORRUPT, 4 STALE)',
+    samples: ({ overallStatus }) => [[{}, overallStatus]],
+  },
+  {
+    name: 'vmsnap_checkpoints',
+    help: 'The number of checkpoints on the domain',
+    samples: ({ checkpoints }) => [[{}, checkpoints.length]],
+  },
+  {
+    name: 'vmsnap_bitmaps',
+    help: 'The number of bitmaps on each disk of the domain',
+    samples: ({ disks }) =>
+      disks.map(({ disk, bitmaps }) => [{ disk }, bitmaps.length]),
+  },
+  {
+    name: 'vmsnap_backup_directory_size_bytes',
+    help: "The size of the domain's current backup directory",
+    samples: ({ backupDirStats }) =>
+      backupDirStats ? [[{}, backupDirStats.totalSize]] : [],
+  },
+  {
+    name: 'vmsnap_last_backup_timestamp_seconds',
+    help: 'When the last backup of the domain finished',
+    samples: ({ lastBackup }) =>
+      lastBackup
+        ? [[{}, Math.floor(Date.parse(lastBackup.finishedAt) / 1000)]]
+        : [],
+  },
+  {
+    name: 'vmsnap_last_backup_result',
+    help: 'The result of the last backup of the domain, 1 for the result it had',
+    samples: ({ lastBackup }) =>
+      lastBackup
+        ? RESULTS.map((result) => [
+            { result },
+            lastBackup.result === result ? 1 : 0,
+          ])
+        : [],
+  },
+  {
+    name: 'vmsnap_last_backup_duration_seconds',
+    help: 'How long the last backup of the domain took',
+    samples: ({ lastBackup }) =>
+      lastBackup ? [[{}, lastBackup.duration / 1000]] : [],
+  },
+  {
+    name: 'vmsnap_last_backup_bytes_written',
+    help: 'How many bytes the last backup of the domain wrote',
+    samples: ({ lastBackup }) =>
+      lastBackup ? [[{}, lastBackup.bytesWritten]] : [],
+  },
+];
+
+// The metrics exports, made one at a time so the metrics of an older status
+// never land after newer ones
+let exporting = Promise.resolve();
+
+/**
+ * Writes the metrics file for the domains in the options once the exports
+ * before it are done.  Failures are logged rather than thrown so they never
+ * change the outcome of the run.
+ *
+ * @param {object} options the merged options (metricsFile, domains, output,
+ * groupBy)
+ * @returns {Promise<void>} resolves once the metrics are written
+ */
+const exportMetrics = (options) => {
+  exporting = exporting.then(() => writeStatusMetrics(options));
+
+  return exporting;
+};
+
+/**
+ * Writes the metrics file for the domains in the options, logging failures.
+ *
+ * @param {object} options the merged options (metricsFile, domains, output,
+ * groupBy)
+ */
+const writeStatusMetrics = async (options) => {
+  const {
+    metricsFile,
+    domains = '*',
+    output,
+    groupBy = FREQUENCY_MONTHLY,
+  } = options;
+
+  try {
+    const statuses = await getStatus(domains, output, groupBy, false, options);
+
+    await writeMetricsFile(metricsFile, formatMetrics(statuses));
+
+    if (options.verbose) {
+      logger.info(`Wrote metrics to ${metricsFile}`);
+    }
+  } catch (error) {
+    logger.error(`Unable to write metrics to ${metricsFile}: ${error.message}`);
+  }
+};
+
+/**
+ * Formats domain statuses in the Prometheus text exposition format.
+ *
+ * @param {object} statuses the domain statuses from getStatus
+ * @param {Date} now when the metrics were generated
+ * @returns {string} the metrics
+ */
+const formatMetrics = (statuses, now = new Date()) => {
+  const lines = [];
+
+  for (const { name, help, samples } of METRICS) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+
+    for (const [domain, status] of Object.entries(statuses)) {
+      for (const [labels, value] of samples(status)) {
+        lines.push(`${name}${formatLabels({ domain, ...labels })} ${value}`);
+      }
+    }
+  }
+
+  lines.push(
+    '# HELP vmsnap_metrics_timestamp_seconds When these metrics were written',
+    '# TYPE vmsnap_metrics_timestamp_seconds gauge',
+    `vmsnap_metrics_timestamp_seconds ${Math.floor(now.getTime() / 1000)}`,
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Formats a set of labels, escaping their values.
+ *
+ * @param {object} labels the label names and values
+ * @returns {string} the formatted labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([label, value]) => {
+    const escaped = `${value}`
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+
+    return `${label}="${escaped}"`;
+  });
+
+  return `{${pairs.join(',')}}`;
+};
+
+/**
+ * Writes the metrics file atomically.  The metrics go to a temporary file next
+ * to it which is then renamed over it, so the collector never reads a half
+ * written file.  Each write has a temporary file of its own.
+ *
+ * @param {string} path the metrics file
+ * @param {string} metrics the metrics to write
+ */
+const writeMetricsFile = async (path, metrics) => {
+  const tempPath = `${path}.${process.pid}.${randomUUID()}.tmp`;
+
+  try {
+    await writeFile(tempPath, metrics);
+
+    await rename(tempPath, path);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+
+    throw error;
+  }
+};
+
+export { exportMetrics, formatMetrics, writeMetricsFile };
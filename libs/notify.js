@@ -0,0 +1,262 @@
+import { hostname } from 'os';
+import { logger } from '../vmsnap.js';
+
+/**
+ * Webhook notifications.  A JSON payload is POSTed to each configured webhook
+ * when something needs a human's attention.  A webhook that is down or slow
+ * is retried and then given up on, it never fails the run.
+ *
+ * notifications:
+ *   onSuccess: true
+ *   webhooks:
+ *     - url: https://hooks.slack.com/services/...
+ *       template: slack
+ *     - url: https://gotify.example.com/message?token=...
+ *       template: gotify
+ *       events: [backup-failed, scrub-failed]
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The backup of a domain failed
+export const EVENT_BACKUP_FAILED = 'backup-failed';
+
+// A domain was left INCONSISTENT by a backup
+export const EVENT_STATUS_INCONSISTENT = 'status-inconsistent';
+
+// Pruning deleted a period folder
+export const EVENT_PRUNED = 'pruned';
+
+// Scrubbing the checkpoints and bitmaps of the domains failed
+export const EVENT_SCRUB_FAILED = 'scrub-failed';
+
+// Replicating a backup to a secondary target failed
+export const EVENT_REPLICATION_FAILED = 'replication-failed';
+
+// A backup or scrub run finished without failures, only sent with onSuccess
+export const EVENT_RUN_SUCCEEDED = 'run-succeeded';
+
+// The template used when a webhook does not name one
+const TEMPLATE_GENERIC = 'generic';
+
+// How long to wait for a webhook to answer, in milliseconds
+const DEFAULT_TIMEOUT = 10000;
+
+// How many times to retry a webhook after the first attempt fails
+const DEFAULT_RETRIES = 2;
+
+// How long to wait before the first retry, doubled for each retry after it
+const RETRY_DELAY = 1000;
+
+// Turns a notification into the body a webhook expects
+const TEMPLATES = new Map([
+  [TEMPLATE_GENERIC, (notification) => notification],
+  ['slack', ({ host, message }) => ({ text: `[vmsnap@${host}] ${message}` })],
+  [
+    'mattermost',
+    ({ host, message }) => ({
+      username: 'vmsnap',
+      text: `[vmsnap@${host}] ${message}`,
+    }),
+  ],
+  [
+    'gotify',
+    ({ event, host, message }) => ({
+      title: `vmsnap@${host}: ${event}`,
+      message,
+      priority: event === EVENT_RUN_SUCCEEDED ? 2 : 8,
+    }),
+  ],
+]);
+
+/**
+ * Reads the webhooks from the options.  Webhooks come from the notifications
+ * section of the config file and from --webhook on the command line, which
+ * may be passed more than once.  A webhook may be a URL or an object with a
+ * url, a template and the events it wants.
+ *
+ * @param {object} options the merged options
+ * @returns {Array<object>} the webhooks
+ */
+const getWebhooks = (options) => {
+  const configured = options.notifications?.webhooks ?? [];
+
+  const fromSwitches = [options.webhook ?? []].flat().map((url) => ({
+    url,
+    template: options.webhookTemplate,
+  }));
+
+  return [...configured, ...fromSwitches]
+    .map((webhook) =>
+      typeof webhook === 'string' ? { url: webhook } : webhook,
+    )
+    .filter(
+      (webhook) => typeof webhook?.url === 'string' && webhook.url !== '',
+    );
+};
+
+/**
+ * Checks if run-succeeded notifications were asked for.
+ *
+ * @param {object} options the merged options
+ * @returns {boolean} true if clean runs are notified
+ */
+const isNotifyingOnSuccess = (options) =>
+  Boolean(options.notifyOnSuccess ?? options.notifications?.onSuccess);
+
+/**
+ * Sends a notification to every webhook that wants the event.  Failures are
+ * logged, never thrown.
+ *
+ * @param {object} options the merged options
+ * @param {string} event one of the EVENT_ constants
+ * @param {string} message a one line description of what happened
+ * @param {object} details the domain, if the event is about one, and any
+ * other details to send along
+ */
+const notify = async (options, event, message, details = {}) => {
+  const webhooks = getWebhooks(options).filter(
+    ({ events }) => !Array.isArray(events) || events.includes(event),
+  );
+
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const { domain = null, ...rest } = details;
+
+  const notification = {
+    event,
+    domain,
+    host: hostname(),
+    timestamp: new Date().toISOString(),
+    message,
+    details: rest,
+  };
+
+  await Promise.all(
+    webhooks.map((webhook) =>
+      sendWebhook(webhook, notification, options.notifications),
+    ),
+  );
+};
+
+/**
+ * POSTs a notification to a single webhook, retrying with a growing delay
+ * until it succeeds or the retries run out.
+ *
+ * @param {object} webhook the url, template and events of the webhook
+ * @param {object} notification the notification to send
+ * @param {object} settings the timeout and retries from the notifications
+ * section of the config file
+ * @returns {Promise<boolean>} true if the webhook accepted the notification
+ */
+const sendWebhook = async (webhook, notification, settings = {}) => {
+  const { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES } = settings;
+
+  const body = JSON.stringify(formatNotification(webhook, notification));
+
+  // Webhook URLs often hold a token, only the host is ever logged
+  const target = describeWebhook(webhook.url);
+
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    try {
+      await post(webhook.url, body, timeout);
+
+      return true;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  logger.warn(
+    `Unable to notify ${target} of ${notification.event}: ${lastError.message}`,
+  );
+
+  return false;
+};
+
+/**
+ * Builds the body for a webhook from its template.  An unknown template falls
+ * back to the generic payload.
+ *
+ * @param {object} webhook the webhook
+ * @param {object} notification the notification
+ * @returns {object} the body to POST
+ */
+const formatNotification = (webhook, notification) => {
+  const template = webhook.template ?? TEMPLATE_GENERIC;
+
+  if (!TEMPLATES.has(template)) {
+    logger.warn(`Unknown webhook template: ${template}.  Using generic`);
+
+    return notification;
+  }
+
+  return TEMPLATES.get(template)(notification);
+};
+
+/**
+ * POSTs a JSON body, giving up after the timeout.
+ *
+ * @param {string} url the webhook URL
+ * @param {string} body the JSON body
+ * @param {number} timeout how long to wait for an answer, in milliseconds
+ * @throws {Error} if the request fails, times out or gets a non-2xx answer
+ */
+const post = async (url, body, timeout) => {
+  const controller = new AbortController();
+
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`timed out after ${timeout}ms`);
+    }
+
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Describes a webhook without any credentials or tokens in its URL.
+ *
+ * @param {string} url the webhook URL
+ * @returns {string} the protocol and host of the URL
+ */
+const describeWebhook = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return 'webhook';
+  }
+};
+
+/**
+ * Waits for a while.
+ *
+ * @param {number} ms how long to wait, in milliseconds
+ * @returns {Promise<void>} resolves once the time is up
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export { getWebhooks, isNotifyingOnSuccess, notify, sendWebhook };
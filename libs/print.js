@@ -1,13 +1,60 @@
 import { EOL } from 'os';
 import chalk from 'chalk';
 import * as YAML from 'json-to-pretty-yaml';
+import prettyBytes from 'pretty-bytes';
+import dayjs from 'dayjs';
 import { spinner, logger } from '../vmsnap.js';
-import { getStatus, STATUS_OK, STATUSES } from './serialization.js';
-import { FREQUENCY_MONTHLY } from './libnbdbackup.js';
+import {
+  getStatus,
+  STATUS_CORRUPT,
+  STATUS_OK,
+  STATUS_STALE,
+  STATUSES,
+} from './serialization.js';
+import {
+  FREQUENCY_MONTHLY,
+  RESULT_FAILED,
+  RESULT_SUCCESS,
+} from './libnbdbackup.js';
+import { getHistory } from './history.js';
 
 // The screen size for the logger.
 export const SCREEN_SIZE = 80;
 
+// The columns of the backup summary table and how to print each one
+const SUMMARY_COLUMNS = [
+  ['Domain', ({ domain }) => domain],
+  ['Result', ({ result }) => result],
+  ['Exit', ({ exitCode }) => (exitCode === null ? '-' : `${exitCode}`)],
+  ['Duration', ({ duration }) => `${(duration / 1000).toFixed(1)}s`],
+  ['Written', ({ bytesWritten }) => prettyBytes(bytesWritten)],
+  ['Pruned', ({ pruned }) => (pruned.length === 0 ? '-' : pruned.join(', '))],
+];
+
+// The columns of the backup history table and how to print each one
+const HISTORY_COLUMNS = [
+  ['Domain', ({ domain }) => domain],
+  ['Time', ({ time }) => formatTime(time)],
+  ['Chain', ({ chain }) => `${chain ?? 1}`],
+  ['Level', ({ level }) => level ?? '-'],
+  ['Checkpoint', ({ checkpoint }) => checkpoint ?? '-'],
+  [
+    'Duration',
+    ({ duration }) =>
+      duration === null ? '-' : `${(duration / 1000).toFixed(1)}s`,
+  ],
+  ['Size', ({ size }) => prettyBytes(size)],
+  ['Result', ({ result }) => result ?? 'unknown'],
+];
+
+// The units an age is printed in and the seconds in each
+const AGE_UNITS = [
+  ['d', 24 * 60 * 60],
+  ['h', 60 * 60],
+  ['m', 60],
+  ['s', 1],
+];
+
 // The YAML type
 export const TYPE_YAML = 'YAML';
 
@@ -18,26 +65,28 @@ export const TYPE_JSON = 'JSON';
  * Prints out the status of the specified domains.
  *
  * @param {Object} args the command line arguments (domains, verbose, output,
- * pretty, machine, yml, yaml, json)
- */
-const printStatusCheck = async ({
-  domains = '*',
-  verbose = false,
-  output,
-  pretty = false,
-  machine = false,
-  groupBy = FREQUENCY_MONTHLY,
-  yml = false,
-  yaml = false,
-  json = false,
-}) => {
+ * pretty, machine, yml, yaml, json) merged with the config file
+ */
+const printStatusCheck = async (args) => {
+  const {
+    domains = '*',
+    verbose = false,
+    output,
+    pretty = false,
+    machine = false,
+    groupBy = FREQUENCY_MONTHLY,
+    yml = false,
+    yaml = false,
+    json = false,
+  } = args;
+
   if (verbose) {
     logger.info('Starting status check...');
   }
 
   spinner.start(`Querying for domains...${EOL}`);
 
-  const statuses = await getStatus(domains, output, groupBy, pretty);
+  const statuses = await getStatus(domains, output, groupBy, pretty, args);
 
   spinner.stop();
 
@@ -63,8 +112,7 @@ const printStatuses = (statuses) => {
 
     logger.info(`Status for ${chalk.bold.magentaBright(domain)}:`);
 
-    const statusColor =
-      status.overallStatus === STATUS_OK ? 'greenBright' : 'yellowBright';
+    const statusColor = getStatusColor(status.overallStatus);
 
     logger.info(
       `  Overall status: ${chalk.bold[statusColor](STATUSES.get(status.overallStatus))}`,
@@ -102,14 +150,372 @@ const printStatuses = (statuses) => {
       }
     }
 
+    if (status.problems?.length > 0) {
+      logger.info(`  Problems found for ${domain}:`);
+
+      for (const { type, object, fix } of status.problems) {
+        logger.info(`    ${chalk.yellowBright(type)}: ${object}`);
+        logger.info(`      Fix: ${fix}`);
+      }
+    }
+
+    if (status.newChainRequest) {
+      logger.info(
+        `  The next backup of ${domain} starts a new full chain, requested at ${status.newChainRequest.requestedAt}`,
+      );
+    }
+
     if (status.backupDirStats) {
       logger.info(`  Backup directory stats for ${domain}:`);
       logger.info(`    Path: ${status.backupDirStats.path}`);
+      logger.info(`    Chain: ${status.backupDirStats.chain}`);
       logger.info(`    Total files: ${status.backupDirStats.totalFiles}`);
       logger.info(`    Total size: ${status.backupDirStats.totalSize}`);
       logger.info(`    Checkpoints: ${status.backupDirStats.checkpoints}`);
     }
+
+    if (status.storage?.periods.length > 0) {
+      logger.info(`  Storage for ${domain}:`);
+
+      for (const period of [status.storage, ...status.storage.periods]) {
+        logger.info(
+          `    ${period.folder ?? 'Total'}: ${period.storedSize} stored, ${period.logicalSize} logical${formatRatio(period.compressionRatio)}${formatChains(period.chains)}${formatEncryption(period)}`,
+        );
+      }
+    }
+
+    if (status.verification) {
+      logger.info(
+        `  Last verified: ${status.verification.verifiedAt} (${status.verification.result}, ${status.verification.checkpoints} checkpoints)`,
+      );
+    } else if (status.verification === null) {
+      logger.info(`  Backups for ${domain} have never been verified`);
+    }
+
+    if (status.lastSuccessfulBackup) {
+      logger.info(
+        `  Last successful backup: ${status.lastSuccessfulBackup.finishedAt} (${formatAge(status.lastSuccessfulBackup.ageSeconds)} ago)`,
+      );
+    } else if (status.lastSuccessfulBackup === null) {
+      logger.info(`  ${domain} has never backed up successfully`);
+    }
+
+    if (status.overallStatus === STATUS_STALE) {
+      logger.info(
+        `  ${chalk.yellowBright(`No successful backup within the maximum age of ${formatAge(status.maxAgeSeconds)}`)}`,
+      );
+    }
+
+    if (status.replication) {
+      logger.info(`  Replication for ${domain}:`);
+
+      for (const target of status.replication) {
+        logger.info(
+          target.replicatedAt === null
+            ? `    ${target.target}: never replicated`
+            : `    ${target.target}: ${target.replicatedAt} (${target.lagSeconds}s behind)`,
+        );
+
+        if (target.error) {
+          logger.info(`      Last error: ${target.error}`);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Formats an age for the status report in its two largest units.
+ *
+ * @param {number} seconds the age in seconds
+ * @returns {string} the age, like 3d 4h, 5h 0m or 45s
+ */
+const formatAge = (seconds) => {
+  const parts = [];
+
+  let remaining = seconds;
+
+  for (const [unit, size] of AGE_UNITS) {
+    if (remaining >= size || parts.length > 0) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+
+      remaining %= size;
+    }
+
+    if (parts.length === 2) {
+      break;
+    }
+  }
+
+  return parts.length === 0 ? `${seconds}s` : parts.join(' ');
+};
+
+/**
+ * Formats a compression ratio for the status report.
+ *
+ * @param {number|null} ratio the compression ratio
+ * @returns {string} the ratio, like " (2.5x)", or nothing without one
+ */
+const formatRatio = (ratio) => (ratio === null ? '' : ` (${ratio}x)`);
+
+/**
+ * Formats the number of chains in a period folder for the status report.
+ *
+ * @param {number|undefined} chains the number of chains
+ * @returns {string} the chains, like ", 2 chains", or nothing for a folder
+ * with a single chain
+ */
+const formatChains = (chains) => (chains > 1 ? `, ${chains} chains` : '');
+
+/**
+ * Formats the encryption state of a period folder for the status report.
+ *
+ * @param {object} period the period folder from the storage stats
+ * @returns {string} whether the folder is encrypted and the key can decrypt
+ * it, or nothing for a folder that is not encrypted
+ */
+const formatEncryption = ({ encrypted, decryptable }) => {
+  if (!encrypted) {
+    return '';
+  }
+
+  return decryptable
+    ? ', encrypted'
+    : `, encrypted, ${chalk.redBright('the configured key can not decrypt it')}`;
+};
+
+/**
+ * Prints a table with the result of every domain's backup, followed by the
+ * reason any domain failed or was skipped.
+ *
+ * @param {Array<object>} results the backup results to print
+ */
+const printBackupSummary = (results) => {
+  printTable('Backup summary:', SUMMARY_COLUMNS, results);
+
+  for (const { domain, reason } of results) {
+    if (reason !== null) {
+      logger.info(`${domain}: ${reason}`);
+    }
+  }
+};
+
+/**
+ * Prints the backup runs of one or more domains, newest first.  The runs are
+ * serialized when --json or --yaml is passed.
+ *
+ * @param {object} args the command line arguments (domains, exclude, output,
+ * since, until, failedOnly, limit, machine, yml, yaml, json) merged with the
+ * config file
+ */
+const printHistory = async (args) => {
+  const { machine = false, yml = false, yaml = false, json = false } = args;
+
+  const history = await getHistory(args);
+
+  if (yml || yaml || json) {
+    printSerializedStatus(
+      history,
+      yml || yaml ? TYPE_YAML : TYPE_JSON,
+      machine,
+    );
+
+    return;
   }
+
+  const runs = Object.entries(history).flatMap(([domain, domainRuns]) =>
+    domainRuns.map((run) => ({ domain, ...run })),
+  );
+
+  if (runs.length === 0) {
+    logger.info('No backup runs found');
+
+    return;
+  }
+
+  printTable('Backup history:', HISTORY_COLUMNS, runs);
+
+  for (const { domain, time, error } of runs) {
+    if (error) {
+      logger.info(`${domain} at ${formatTime(time)}: ${error}`);
+    }
+  }
+};
+
+/**
+ * Prints a table with a row for each item, the result column colored by the
+ * item's result.
+ *
+ * @param {string} title the title above the table
+ * @param {Array<Array>} columns the heading of each column and how to print
+ * it for an item
+ * @param {Array<object>} items the items to print
+ */
+const printTable = (title, columns, items) => {
+  const rows = items.map((item) => columns.map(([, format]) => format(item)));
+
+  const widths = columns.map(([heading], column) =>
+    Math.max(heading.length, ...rows.map((row) => row[column].length)),
+  );
+
+  const pad = (cells) =>
+    cells.map((cell, column) => cell.padEnd(widths[column]));
+
+  const header = pad(columns.map(([heading]) => heading))
+    .join('  ')
+    .trimEnd();
+
+  const resultColumn = columns.findIndex(([heading]) => heading === 'Result');
+
+  logger.info(chalk.bold(title));
+  logger.info(header);
+  logger.info('-'.repeat(pad(widths.map(() => '')).join('  ').length));
+
+  for (const [index, row] of rows.entries()) {
+    const cells = pad(row);
+
+    cells[resultColumn] = chalk[getResultColor(items[index].result)](
+      cells[resultColumn],
+    );
+
+    logger.info(cells.join('  ').trimEnd());
+  }
+};
+
+/**
+ * Formats the time of a backup run for the history.
+ *
+ * @param {string} time the time as an ISO 8601 string
+ * @returns {string} the time in the local timezone
+ */
+const formatTime = (time) => dayjs(time).format('YYYY-MM-DD HH:mm:ss');
+
+/**
+ * Prints the plan of a dry run, what a backup, scrub or repair would do to
+ * each domain.  The plan is serialized when --json or --yaml is passed.
+ *
+ * @param {string} action the action that was planned (backup, scrub or
+ * repair)
+ * @param {Array<object>} plans the plan for each domain
+ * @param {object} args the merged options (machine, yml, yaml, json)
+ */
+const printPlan = (action, plans, args = {}) => {
+  const { machine = false, yml = false, yaml = false, json = false } = args;
+
+  if (yml || yaml || json) {
+    printSerializedStatus(
+      { dryRun: true, action, domains: plans },
+      yml || yaml ? TYPE_YAML : TYPE_JSON,
+      machine,
+    );
+
+    return;
+  }
+
+  logger.info(chalk.bold(`Dry run of the ${action}, nothing was changed`));
+
+  for (const plan of plans) {
+    logger.info(`Plan for ${chalk.bold.magentaBright(plan.domain)}:`);
+
+    if (plan.exists === false) {
+      logger.info(`  ${plan.domain} does not exist and would be skipped`);
+
+      continue;
+    }
+
+    if (plan.backupFolder !== undefined) {
+      logger.info(`  Backup folder: ${plan.backupFolder}`);
+      logger.info(
+        plan.newChain
+          ? '  Starts a new full backup chain'
+          : '  Adds an incremental backup to the current chain',
+      );
+    }
+
+    if (plan.problems !== undefined) {
+      logger.info(
+        plan.problems.length === 0
+          ? '  Problems found: none'
+          : '  Problems found:',
+      );
+
+      for (const { type, object } of plan.problems) {
+        logger.info(`    ${chalk.yellowBright(type)}: ${object}`);
+      }
+    }
+
+    logger.info(`  Checkpoints to delete: ${formatList(plan.checkpoints)}`);
+
+    if (plan.bitmaps.length === 0) {
+      logger.info('  Bitmaps to delete: none');
+    } else {
+      logger.info('  Bitmaps to delete:');
+
+      for (const { disk, path, bitmap } of plan.bitmaps) {
+        logger.info(`    ${bitmap} on ${disk} (${path})`);
+      }
+    }
+
+    if (plan.flagsNewChain !== undefined) {
+      logger.info(
+        plan.flagsNewChain
+          ? '  Flags the next backup to start a new full chain'
+          : '  Leaves the backup chain as it is',
+      );
+    }
+
+    if (plan.prune !== undefined) {
+      logger.info(`  Backup folders to delete: ${formatList(plan.prune)}`);
+    }
+
+    if (plan.commandLine !== undefined) {
+      logger.info(`  Command: ${plan.commandLine}`);
+    }
+  }
+};
+
+/**
+ * Joins a list for printing.
+ *
+ * @param {Array<string>} items the items to print
+ * @returns {string} the items separated by commas, or none
+ */
+const formatList = (items) => (items.length === 0 ? 'none' : items.join(', '));
+
+/**
+ * Picks the color to print a backup result in.
+ *
+ * @param {string} result the backup result
+ * @returns {string} the chalk color name
+ */
+const getResultColor = (result) => {
+  if (result === RESULT_SUCCESS) {
+    return 'greenBright';
+  }
+
+  if (result === RESULT_FAILED) {
+    return 'redBright';
+  }
+
+  return 'yellowBright';
+};
+
+/**
+ * Picks the color to print an overall status in.
+ *
+ * @param {number} overallStatus the overall status code
+ * @returns {string} the chalk color name
+ */
+const getStatusColor = (overallStatus) => {
+  if (overallStatus === STATUS_OK) {
+    return 'greenBright';
+  }
+
+  if (overallStatus === STATUS_CORRUPT) {
+    return 'redBright';
+  }
+
+  return 'yellowBright';
 };
 
 /**
@@ -149,4 +555,4 @@ const printSerializedStatus = (statuses, type = TYPE_JSON, machine = true) => {
   }
 };
 
-export { printStatusCheck };
+export { printBackupSummary, printHistory, printPlan, printStatusCheck };
@@ -1,5 +1,6 @@
 import { sep } from 'path';
-import { asyncExec, logger } from '../vmsnap.js';
+import { logger } from '../vmsnap.js';
+import { execute } from './exec.js';
 import { findKeyByValue } from './general.js';
 import { CHECKPOINT_REGEX, fetchAllDisks } from './virsh.js';
 
@@ -11,30 +12,73 @@ import { CHECKPOINT_REGEX, fetchAllDisks } from './virsh.js';
 
 export const QEMU_IMG = 'qemu-img';
 
+/**
+ * Reads the disks to include in and exclude from backups out of the options.
+ * Either may be a comma separated list of disk targets, like vdb,vdc, or an
+ * array of them from the config file.
+ *
+ * @param {object} options the domain's options (includeDisks, excludeDisks)
+ * @returns {{include: Array<string>, exclude: Array<string>}} the selection
+ */
+const getDiskSelection = ({ includeDisks, excludeDisks } = {}) => ({
+  include: toDiskList(includeDisks),
+  exclude: toDiskList(excludeDisks),
+});
+
+/**
+ * Turns a list of disk targets into an array.
+ *
+ * @param {string|Array<string>|undefined} disks the disk targets
+ * @returns {Array<string>} the disk targets
+ */
+const toDiskList = (disks) =>
+  [disks ?? []]
+    .flat()
+    .flatMap((disk) => `${disk}`.split(','))
+    .map((disk) => disk.trim())
+    .filter((disk) => disk !== '');
+
+/**
+ * Checks if a disk is backed up under a disk selection.  With no includes
+ * every disk is, excludes always win.
+ *
+ * @param {string} disk the disk target, like vda
+ * @param {object} selection the selection from getDiskSelection
+ * @returns {boolean} true if the disk is backed up
+ */
+const isDiskSelected = (disk, { include = [], exclude = [] } = {}) =>
+  (include.length === 0 || include.includes(disk)) && !exclude.includes(disk);
+
 /**
  * Finds all bitmaps for a given domain and returns a JSON object with the disk
- * properties and the bitmaps found.
+ * properties and the bitmaps found.  Disks left out of backups by the
+ * selection are flagged as excluded.
  *
  * @param {string} domain the name of the domain to find bitmaps for
+ * @param {object} selection the disk selection from getDiskSelection
  * @returns {Promise<Array<Object>>} a list of bitmaps found for the domain
  */
-const findBitmaps = async (domain) => {
+const findBitmaps = async (domain, selection = {}) => {
   const bitmaps = [];
 
   const disks = await fetchAllDisks(domain);
 
   for (const disk of disks.values()) {
-    const command = [QEMU_IMG, 'info', disk, '--output=json'];
-
     try {
-      const { stdout } = await asyncExec(command.join(' '));
+      const { stdout } = await execute(QEMU_IMG, [
+        'info',
+        disk,
+        '--output=json',
+      ]);
 
       const domainConfig = JSON.parse(stdout);
 
       const type = domainConfig['format'];
 
+      const target = findKeyByValue(disks, disk);
+
       bitmaps.push({
-        disk: findKeyByValue(disks, disk),
+        disk: target,
         virtualSize: domainConfig['virtual-size'],
         actualSize: domainConfig['actual-size'],
         type,
@@ -44,6 +88,7 @@ const findBitmaps = async (domain) => {
           type === 'raw'
             ? []
             : domainConfig['format-specific']['data']['bitmaps'] || [],
+        excluded: !isDiskSelected(target, selection),
       });
     } catch (error) {
       continue;
@@ -59,11 +104,29 @@ const findBitmaps = async (domain) => {
  *
  * @param {string} domain the domain to cleanup bitmaps for bitmaps for besides 
  * any virtual disks found.
+ * @param {string|undefined} checkpointName only remove the bitmap with this
+ * name
+ * @param {boolean} dryRun true to only work out what would be removed
+ * @param {object} selection the disk selection from getDiskSelection, bitmaps
+ * on excluded disks are left alone
+ * @returns {Promise<Array<object>>} the disk, path and bitmap name of each
+ * bitmap removed, or that would be
  */
-const cleanupBitmaps = async (domain, checkpointName = undefined) => {
-  const bitmaps = await findBitmaps(domain);
+const cleanupBitmaps = async (
+  domain,
+  checkpointName = undefined,
+  dryRun = false,
+  selection = {},
+) => {
+  const bitmaps = await findBitmaps(domain, selection);
+
+  const removed = [];
 
   for (const record of bitmaps) {
+    if (record.excluded) {
+      continue;
+    }
+
     if (record.bitmaps.length === 0) {
       logger.info(`No bitmaps found for ${record.disk} on domain ${domain}`);
 
@@ -82,20 +145,31 @@ const cleanupBitmaps = async (domain, checkpointName = undefined) => {
         continue;
       }
 
-      const command = [
-        QEMU_IMG,
-        'bitmap',
-        '--remove',
-        record.path,
-        bitmap.name,
-      ];
+      const entry = {
+        disk: record.disk,
+        path: record.path,
+        bitmap: bitmap.name,
+      };
+
+      if (dryRun) {
+        removed.push(entry);
+
+        continue;
+      }
 
       logger.info(
         `Removing bitmap ${bitmap.name} from ${record.path} on ${domain}`,
       );
 
       try {
-        await asyncExec(command.join(' '));
+        await execute(QEMU_IMG, [
+          'bitmap',
+          '--remove',
+          record.path,
+          bitmap.name,
+        ]);
+
+        removed.push(entry);
       } catch (error) {
         logger.warn(
           `Error removing bitmap ${bitmap.name} from ${record.path} on ${domain}: ${error.message}`,
@@ -105,6 +179,8 @@ const cleanupBitmaps = async (domain, checkpointName = undefined) => {
       }
     }
   }
+
+  return removed;
 };
 
-export { findBitmaps, cleanupBitmaps };
+export { cleanupBitmaps, findBitmaps, getDiskSelection, isDiskSelected };
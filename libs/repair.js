@@ -0,0 +1,228 @@
+import process from 'process';
+import { createInterface } from 'readline/promises';
+import { logger, ERR_DOMAINS, ERR_OUTPUT_DIR, ERR_REPAIR } from '../vmsnap.js';
+import { createError, resolveDomains } from './general.js';
+import { cleanupCheckpoints, domainExists } from './virsh.js';
+import { cleanupBitmaps, getDiskSelection } from './qemu-img.js';
+import { getDomainOptions } from './config.js';
+import { requestNewChain } from './chain.js';
+import { withDomainLock } from './lock.js';
+import { printPlan } from './print.js';
+import {
+  getStatus,
+  PROBLEM_MISSING_BITMAP,
+  PROBLEM_MISSING_CHECKPOINT_FILE,
+  PROBLEM_ORPHANED_BITMAP,
+} from './serialization.js';
+
+/**
+ * Repairs domains the status reports as INCONSISTENT.  The problems found
+ * between the checkpoints, bitmaps and backup folder of a domain say which
+ * checkpoints and bitmaps no longer match.  Only those are removed, and a
+ * domain whose chain is broken is flagged so its next backup starts a new
+ * full chain in a sub-folder of the period rather than adding to the old one.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The problems that leave a checkpoint without what an incremental backup
+// needs of it, the checkpoint and its bitmaps are removed
+const MISMATCHED_CHECKPOINT_PROBLEMS = [
+  PROBLEM_MISSING_BITMAP,
+  PROBLEM_MISSING_CHECKPOINT_FILE,
+];
+
+/**
+ * Repairs one or more domains by inspecting passed in command line arguments.
+ * The repair of every domain is worked out first and has to be confirmed
+ * before anything is changed, unless yes is set.  Each domain is locked while
+ * it is repaired.  With dryRun the repairs are printed instead.
+ *
+ * @param {object} args the command line arguments (domains, exclude, output,
+ * groupBy, dryRun, yes and the lock settings) merged with the config file
+ * @returns {Promise<Array<object>>} the repair of each domain
+ */
+const performRepair = async (args) => {
+  const { domains, exclude, dryRun = false, yes = false } = args;
+
+  if (!domains) {
+    throw createError('No domains specified', ERR_DOMAINS);
+  }
+
+  const parsedDomains = await resolveDomains(domains, exclude);
+
+  if (parsedDomains.length === 0) {
+    throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
+  }
+
+  for (const domain of parsedDomains) {
+    if (!getDomainOptions(args, domain).output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
+  }
+
+  const plans = [];
+
+  for (const domain of parsedDomains) {
+    plans.push(await repairDomain(args, domain, true));
+  }
+
+  if (dryRun) {
+    printPlan('repair', plans, args);
+
+    return plans;
+  }
+
+  const broken = plans.filter(isRepairNeeded).map(({ domain }) => domain);
+
+  if (broken.length === 0) {
+    logger.info('Nothing to repair');
+
+    return plans;
+  }
+
+  if (!yes && !(await confirm(`Repair ${broken.join(', ')}?`))) {
+    logger.info('Repair cancelled, nothing was changed');
+
+    return plans;
+  }
+
+  const repairs = [];
+
+  for (const domain of broken) {
+    try {
+      repairs.push(
+        await withDomainLock(args, domain, () =>
+          repairDomain(args, domain, false),
+        ),
+      );
+    } catch (error) {
+      throw createError(
+        `Repair of ${domain} failed: ${error.message}`,
+        ERR_REPAIR,
+      );
+    }
+  }
+
+  return repairs;
+};
+
+/**
+ * Works out and, unless dryRun is set, carries out the repair of a domain.
+ * An orphaned bitmap is removed.  A checkpoint without a bitmap on one of its
+ * disks, or without its checkpoint file, is removed along with its bitmaps.
+ * Any problem besides an orphaned bitmap means the chain is broken, so the
+ * domain is flagged for a new chain.
+ *
+ * @param {object} args the merged options
+ * @param {string} domain the domain to repair
+ * @param {boolean} dryRun true to only work out the repair
+ * @returns {Promise<object>} the problems found, the checkpoints and bitmaps
+ * removed, or that would be, and whether a new chain is flagged
+ */
+const repairDomain = async (args, domain, dryRun) => {
+  if (!(await domainExists(domain))) {
+    return { domain, exists: false };
+  }
+
+  const domainOptions = getDomainOptions(args, domain);
+
+  const { output } = domainOptions;
+
+  // The domain is already resolved, excluding it again would only warn about
+  // patterns that match nothing
+  const status = await getStatus(domain, output, domainOptions.groupBy, false, {
+    ...args,
+    exclude: undefined,
+  });
+
+  const { problems } = status[domain];
+
+  const selection = getDiskSelection(domainOptions);
+
+  const plan = {
+    domain,
+    exists: true,
+    problems,
+    checkpoints: [],
+    bitmaps: [],
+    flagsNewChain: problems.some(
+      ({ type }) => type !== PROBLEM_ORPHANED_BITMAP,
+    ),
+  };
+
+  const checkpoints = new Set(
+    problems
+      .filter(({ type }) => MISMATCHED_CHECKPOINT_PROBLEMS.includes(type))
+      .map(({ checkpoint }) => checkpoint),
+  );
+
+  const bitmaps = new Set([
+    ...checkpoints,
+    ...problems
+      .filter(({ type }) => type === PROBLEM_ORPHANED_BITMAP)
+      .map(({ checkpoint }) => checkpoint),
+  ]);
+
+  for (const checkpoint of checkpoints) {
+    plan.checkpoints.push(
+      ...(await cleanupCheckpoints(domain, checkpoint, dryRun)),
+    );
+  }
+
+  for (const bitmap of bitmaps) {
+    plan.bitmaps.push(
+      ...(await cleanupBitmaps(domain, bitmap, dryRun, selection)),
+    );
+  }
+
+  if (plan.flagsNewChain && !dryRun) {
+    await requestNewChain(output, domain, {
+      problems: problems.map(({ type, object }) => ({ type, object })),
+    });
+
+    logger.info(`The next backup of ${domain} starts a new full chain`);
+  }
+
+  return plan;
+};
+
+/**
+ * Checks if the repair of a domain would change anything.
+ *
+ * @param {object} plan the repair of the domain
+ * @returns {boolean} true if the domain has problems to repair
+ */
+const isRepairNeeded = ({ exists, problems = [] }) =>
+  exists !== false && problems.length > 0;
+
+/**
+ * Asks for confirmation on the terminal.  Without a terminal to ask on there
+ * is no one to confirm, so the repair is refused.
+ *
+ * @param {string} question the question to ask
+ * @returns {Promise<boolean>} true if the answer was yes
+ */
+const confirm = async (question) => {
+  if (!process.stdin.isTTY) {
+    throw createError(
+      'Not repairing without confirmation, pass --yes to repair without a terminal',
+      ERR_REPAIR,
+    );
+  }
+
+  const prompt = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  try {
+    const answer = await prompt.question(`${question} [y/N] `);
+
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    prompt.close();
+  }
+};
+
+export { performRepair };
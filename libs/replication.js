@@ -0,0 +1,619 @@
+import { dirname, sep } from 'path';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import {
+  copyFile,
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  stat,
+  utimes,
+  writeFile,
+} from 'fs/promises';
+import { logger, ERR_CONFIG } from '../vmsnap.js';
+import { createError, fileExists } from './general.js';
+import {
+  applyRetention,
+  getRetentionPolicy,
+  listBackupFolders,
+  parseBackupFolder,
+} from './retention.js';
+import { getBackupFolder, isPruningWindowOpen } from './libnbdbackup.js';
+import { EVENT_REPLICATION_FAILED, notify } from './notify.js';
+import {
+  createS3Target,
+  describeS3Target,
+  parseS3Url,
+  TARGET_TYPE_S3,
+} from './s3.js';
+
+/**
+ * Replication of finished backups to secondary targets.  Once a domain has
+ * been backed up its current period folder is mirrored to every target, only
+ * copying the files that changed since the last run.  Targets are pluggable,
+ * each type of target is a factory in TARGET_TYPES that returns an object
+ * with the methods below.
+ *
+ * replication:
+ *   compare: mtime
+ *   mirrorPrune: true
+ *   targets:
+ *     - /mnt/nfs/backups
+ *     - type: path
+ *       path: /mnt/usb/backups
+ *       compare: hash
+ *     - s3://backups/kvm1
+ *
+ * @typedef {object} ReplicationTarget
+ * @property {string} name describes the target in logs and the status
+ * @property {Function} listFiles (folder) => Map of relative path to size and
+ * mtimeMs, empty if the folder does not exist.  A target that keeps the mtime
+ * as metadata, like S3, lists writtenMs, when the file was written to it,
+ * instead of mtimeMs
+ * @property {Function} putFile (folder, file, source, stats) copies a local
+ * file to the target
+ * @property {Function} removeFile (folder, file) removes a file
+ * @property {Function} listFolders (domain) => the names of the domain's
+ * folders on the target
+ * @property {Function} removeFolder (folder) removes a folder and everything
+ * in it
+ * @property {Function} hashFile (folder, file) => the sha256 of a file
+ * @property {Function} [getMtime] (folder, file) => the mtimeMs kept with a
+ * file, for targets that list writtenMs
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The replication record kept in each domain's directory
+export const REPLICATION_FILE = 'vmsnap-replication.json';
+
+// Files are unchanged if their size and modification time match
+export const COMPARE_MTIME = 'mtime';
+
+// Files are unchanged if their size matches
+export const COMPARE_SIZE = 'size';
+
+// Files are unchanged if their size and sha256 match
+export const COMPARE_HASH = 'hash';
+
+const COMPARE_MODES = [COMPARE_MTIME, COMPARE_SIZE, COMPARE_HASH];
+
+// The target type used when a target does not name one
+const TARGET_TYPE_PATH = 'path';
+
+// Added to a file while it is being copied, so a partial copy never looks
+// like the real thing
+const PARTIAL_EXTENSION = '.vmsnap-partial';
+
+// Builds a target from its settings
+const TARGET_TYPES = new Map([
+  [TARGET_TYPE_PATH, (config) => createPathTarget(config)],
+  [TARGET_TYPE_S3, (config) => createS3Target(config)],
+]);
+
+/**
+ * Reads the replication targets from the options.  Targets come from the
+ * replication section of the config file and from --replicate on the command
+ * line, which may be passed more than once.  A target may be a path, an
+ * s3://bucket/prefix URL or an object with a type and the settings for that
+ * type.  S3 targets apply the domain's retention to their own period folders
+ * unless told not to.
+ *
+ * @param {object} options the merged options
+ * @returns {Array<object>} the settings of each target, with compare,
+ * mirrorPrune and retention filled in
+ */
+const getReplicationTargets = (options) => {
+  const settings = options.replication ?? {};
+
+  const configured = settings.targets ?? [];
+
+  const fromSwitches = [options.replicate ?? []].flat();
+
+  return [...configured, ...fromSwitches]
+    .map((target) =>
+      typeof target === 'string'
+        ? (parseS3Url(target) ?? { path: target })
+        : target,
+    )
+    .filter((target) => typeof target === 'object' && target !== null)
+    .map((target) => ({
+      type: TARGET_TYPE_PATH,
+      compare: options.replicateCompare ?? settings.compare ?? COMPARE_MTIME,
+      mirrorPrune: Boolean(options.mirrorPrune ?? settings.mirrorPrune),
+      retention: Boolean(settings.retention ?? target.type === TARGET_TYPE_S3),
+      ...target,
+    }));
+};
+
+/**
+ * Builds a target from its settings.
+ *
+ * @param {object} config the settings of the target
+ * @returns {ReplicationTarget} the target
+ * @throws {Error} if the type of target or the compare mode is unknown
+ */
+const createTarget = (config) => {
+  if (!TARGET_TYPES.has(config.type)) {
+    throw createError(
+      `Unknown replication target type: ${config.type}`,
+      ERR_CONFIG,
+    );
+  }
+
+  if (!COMPARE_MODES.includes(config.compare)) {
+    throw createError(
+      `Unknown replication compare mode: ${config.compare}.  Use ${COMPARE_MODES.join(', ')}`,
+      ERR_CONFIG,
+    );
+  }
+
+  return TARGET_TYPES.get(config.type)(config);
+};
+
+/**
+ * Names a target from its settings, without building it.
+ *
+ * @param {object} config the settings of the target
+ * @returns {string} the name of the target
+ */
+const getTargetName = (config) =>
+  config.type === TARGET_TYPE_S3
+    ? describeS3Target(config)
+    : (config.path ?? config.type);
+
+/**
+ * Replicates the period folder a domain was just backed up to, to every
+ * target.  A target that fails is logged, recorded and notified, it never
+ * fails the backup or stops the other targets.
+ *
+ * @param {object} options the merged options
+ * @param {string} domain the domain that was backed up
+ * @param {string} output the backup directory root of the domain
+ * @param {string} folder the period folder that was backed up to
+ * @returns {Promise<Array<object>>} the outcome for each target
+ */
+const replicateDomain = async (options, domain, output, folder) => {
+  const targets = getReplicationTargets(options);
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const source = `${output}${sep}${domain}${sep}${folder}`;
+
+  const localFiles = await walkFiles(source);
+
+  const outcomes = [];
+
+  for (const config of targets) {
+    const name = getTargetName(config);
+
+    try {
+      const target = createTarget(config);
+
+      logger.info(`Replicating ${folder} to ${name}`);
+
+      const summary = await replicateFolder(
+        target,
+        `${domain}/${folder}`,
+        source,
+        localFiles,
+        config.compare,
+      );
+
+      summary.pruned = [
+        ...(config.mirrorPrune
+          ? await mirrorPrune(target, domain, output)
+          : []),
+        ...(config.retention
+          ? await pruneTarget(target, domain, options, folder)
+          : []),
+      ];
+
+      logger.info(
+        `Replicated ${folder} to ${name}: ${summary.copied} copied, ${summary.skipped} unchanged, ${summary.removed} removed`,
+      );
+
+      await recordReplication(output, domain, name, {
+        replicatedAt: new Date().toISOString(),
+        folder,
+        ...summary,
+        error: null,
+      });
+
+      outcomes.push({ target: name, ...summary });
+    } catch (error) {
+      logger.error(`Replication to ${name} failed: ${error.message}`);
+
+      await recordReplication(output, domain, name, {
+        failedAt: new Date().toISOString(),
+        error: error.message,
+      });
+
+      await notify(
+        options,
+        EVENT_REPLICATION_FAILED,
+        `Replication of ${domain} to ${name} failed: ${error.message}`,
+        { domain, target: name },
+      );
+
+      outcomes.push({ target: name, error: error.message });
+    }
+  }
+
+  return outcomes;
+};
+
+/**
+ * Mirrors a local folder to a folder on a target.  Files that are unchanged
+ * are skipped and files the local folder no longer has are removed.
+ *
+ * @param {ReplicationTarget} target the target
+ * @param {string} folder the folder on the target, domain/period
+ * @param {string} source the local folder
+ * @param {Map<string, object>} localFiles the files in the local folder
+ * @param {string} compare one of the COMPARE_ constants
+ * @returns {Promise<object>} how many files were copied, skipped and removed
+ * and how many bytes were copied
+ */
+const replicateFolder = async (target, folder, source, localFiles, compare) => {
+  const remoteFiles = await target.listFiles(folder);
+
+  const summary = { copied: 0, skipped: 0, removed: 0, bytes: 0 };
+
+  for (const [file, local] of localFiles) {
+    const path = `${source}${sep}${file}`;
+
+    const remote = remoteFiles.get(file);
+
+    if (
+      remote !== undefined &&
+      (await isUnchanged(target, folder, file, path, local, remote, compare))
+    ) {
+      summary.skipped++;
+
+      continue;
+    }
+
+    await target.putFile(folder, file, path, local);
+
+    summary.copied++;
+    summary.bytes += local.size;
+  }
+
+  for (const file of remoteFiles.keys()) {
+    if (!localFiles.has(file)) {
+      await target.removeFile(folder, file);
+
+      summary.removed++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Checks if a file on a target is the same as the local file.
+ *
+ * @param {ReplicationTarget} target the target
+ * @param {string} folder the folder on the target
+ * @param {string} file the file, relative to the folder
+ * @param {string} path the local file
+ * @param {object} local the size and mtimeMs of the local file
+ * @param {object} remote the size and mtimeMs, or writtenMs, of the file on
+ * the target
+ * @param {string} compare one of the COMPARE_ constants
+ * @returns {Promise<boolean>} true if the file does not need copying
+ */
+const isUnchanged = async (
+  target,
+  folder,
+  file,
+  path,
+  local,
+  remote,
+  compare,
+) => {
+  if (local.size !== remote.size) {
+    return false;
+  }
+
+  if (compare === COMPARE_SIZE) {
+    return true;
+  }
+
+  if (compare === COMPARE_HASH) {
+    return (await hashFile(path)) === (await target.hashFile(folder, file));
+  }
+
+  let { mtimeMs } = remote;
+
+  if (mtimeMs === undefined) {
+    // A file written to the target since it last changed is a copy of it,
+    // only one that changed after that needs its kept mtime looked up
+    if (local.mtimeMs <= remote.writtenMs) {
+      return true;
+    }
+
+    mtimeMs = await target.getMtime(folder, file);
+  }
+
+  // Whole seconds, as not every filesystem keeps anything finer
+  return Math.floor(local.mtimeMs / 1000) === Math.floor(mtimeMs / 1000);
+};
+
+/**
+ * Removes the period folders of a domain from a target once they are no
+ * longer kept locally.  Only folders named like period folders are touched.
+ *
+ * @param {ReplicationTarget} target the target
+ * @param {string} domain the domain
+ * @param {string} output the backup directory root of the domain
+ * @returns {Promise<Array<string>>} the names of the folders removed
+ */
+const mirrorPrune = async (target, domain, output) => {
+  const kept = new Set(
+    (await listBackupFolders(domain, output)).map(({ name }) => name),
+  );
+
+  const pruned = (await target.listFolders(domain)).filter(
+    (name) => parseBackupFolder(name) !== undefined && !kept.has(name),
+  );
+
+  for (const name of pruned) {
+    logger.info(`Removing ${name} from ${target.name}`);
+
+    await target.removeFolder(`${domain}/${name}`);
+  }
+
+  return pruned;
+};
+
+/**
+ * Applies a domain's retention to the period folders on a target, making the
+ * same decisions pruning makes locally: the retention policy if there is one,
+ * otherwise the previous period is removed once the current one is halfway
+ * through, unless prune is false.
+ *
+ * @param {ReplicationTarget} target the target
+ * @param {string} domain the domain
+ * @param {object} options the settings of the domain
+ * @param {string} currentFolder the period folder that was just backed up to,
+ * which is always kept
+ * @returns {Promise<Array<string>>} the names of the folders removed
+ */
+const pruneTarget = async (target, domain, options, currentFolder) => {
+  const folders = (await target.listFolders(domain))
+    .map(parseBackupFolder)
+    .filter((folder) => folder !== undefined)
+    .sort((a, b) => b.start.valueOf() - a.start.valueOf());
+
+  const policy = getRetentionPolicy(options);
+
+  let pruned = [];
+
+  if (policy !== undefined) {
+    pruned = applyRetention(folders, policy, currentFolder)
+      .filter(({ keep }) => !keep)
+      .map(({ name }) => name);
+  } else if (options.prune !== false) {
+    const previous = getBackupFolder(options.groupBy, false);
+
+    if (
+      folders.some(({ name }) => name === previous) &&
+      isPruningWindowOpen(options.groupBy)
+    ) {
+      pruned = [previous];
+    }
+  }
+
+  for (const name of pruned) {
+    logger.info(`Pruning ${name} from ${target.name}`);
+
+    await target.removeFolder(`${domain}/${name}`);
+  }
+
+  return pruned;
+};
+
+/**
+ * Builds a target that replicates to another directory, like an NFS mount or
+ * a second disk.  Files are copied under a temporary name and renamed into
+ * place, keeping the modification time of the local file.
+ *
+ * @param {object} config the path of the target
+ * @returns {ReplicationTarget} the target
+ * @throws {Error} if there is no path
+ */
+const createPathTarget = ({ path }) => {
+  if (typeof path !== 'string' || path === '') {
+    throw createError('A path replication target needs a path', ERR_CONFIG);
+  }
+
+  const resolve = (...parts) => [path, ...parts].join(sep);
+
+  return {
+    name: path,
+    listFiles: async (folder) =>
+      (await fileExists(resolve(folder)))
+        ? walkFiles(resolve(folder))
+        : new Map(),
+    putFile: async (folder, file, source, { mtimeMs }) => {
+      const target = resolve(folder, file);
+
+      const partial = `${target}${PARTIAL_EXTENSION}`;
+
+      await mkdir(dirname(target), { recursive: true });
+
+      try {
+        await copyFile(source, partial);
+
+        await utimes(partial, new Date(), new Date(mtimeMs));
+
+        await rename(partial, target);
+      } catch (error) {
+        await rm(partial, { force: true });
+
+        throw error;
+      }
+    },
+    removeFile: (folder, file) => rm(resolve(folder, file), { force: true }),
+    listFolders: async (domain) =>
+      (await fileExists(resolve(domain))) ? readdir(resolve(domain)) : [],
+    removeFolder: (folder) =>
+      rm(resolve(folder), { recursive: true, force: true }),
+    hashFile: (folder, file) => hashFile(resolve(folder, file)),
+  };
+};
+
+/**
+ * Lists every file under a directory.
+ *
+ * @param {string} root the directory
+ * @param {string} prefix the path of the directory relative to the root, used
+ * when recursing
+ * @returns {Promise<Map<string, object>>} the size and mtimeMs of each file,
+ * keyed by its path relative to the root with / separators
+ */
+const walkFiles = async (root, prefix = '') => {
+  const files = new Map();
+
+  const dir = prefix === '' ? root : `${root}${sep}${prefix}`;
+
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const file = prefix === '' ? entry.name : `${prefix}/${entry.name}`;
+
+    if (entry.isDirectory()) {
+      for (const [name, stats] of await walkFiles(root, file)) {
+        files.set(name, stats);
+      }
+    } else if (entry.isFile()) {
+      const { size, mtimeMs } = await stat(`${root}${sep}${file}`);
+
+      files.set(file, { size, mtimeMs });
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Hashes a file.
+ *
+ * @param {string} path the file
+ * @returns {Promise<string>} the sha256 of the file, as hex
+ */
+const hashFile = (path) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+
+    createReadStream(path)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Reads the replication record of a domain.
+ *
+ * @param {string} output the backup directory root of the domain
+ * @param {string} domain the domain
+ * @returns {Promise<object>} the last replication to each target, keyed by the
+ * name of the target
+ */
+const readReplication = async (output, domain) => {
+  const file = `${output}${sep}${domain}${sep}${REPLICATION_FILE}`;
+
+  if (!(await fileExists(file))) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`Unable to read ${file}: ${error.message}`);
+
+    return {};
+  }
+};
+
+/**
+ * Records the outcome of replicating to a target.  The outcome is laid over
+ * the last one, so a failure keeps the time of the last good replication.
+ *
+ * @param {string} output the backup directory root of the domain
+ * @param {string} domain the domain
+ * @param {string} name the name of the target
+ * @param {object} outcome the outcome to record
+ */
+const recordReplication = async (output, domain, name, outcome) => {
+  const record = await readReplication(output, domain);
+
+  record[name] = { ...record[name], ...outcome };
+
+  try {
+    await writeFile(
+      `${output}${sep}${domain}${sep}${REPLICATION_FILE}`,
+      JSON.stringify(record, undefined, 2),
+    );
+  } catch (error) {
+    logger.warn(
+      `Unable to record the replication of ${domain}: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Reports how far behind each target of a domain is.  The lag is the time
+ * since the last good replication to the target.
+ *
+ * @param {object} options the settings of the domain
+ * @param {string} output the backup directory root of the domain
+ * @param {string} domain the domain
+ * @param {number} now the current time, in milliseconds
+ * @returns {Promise<Array<object>|undefined>} the target, replicatedAt,
+ * lagSeconds and last error of each target, or undefined if nothing is
+ * replicated
+ */
+const getReplicationStatus = async (
+  options,
+  output,
+  domain,
+  now = Date.now(),
+) => {
+  const targets = getReplicationTargets(options);
+
+  if (targets.length === 0) {
+    return undefined;
+  }
+
+  const record = await readReplication(output, domain);
+
+  return targets.map((config) => {
+    const name = getTargetName(config);
+
+    const { replicatedAt = null, error = null } = record[name] ?? {};
+
+    return {
+      target: name,
+      replicatedAt,
+      lagSeconds:
+        replicatedAt === null
+          ? null
+          : Math.max(0, Math.round((now - Date.parse(replicatedAt)) / 1000)),
+      error,
+    };
+  });
+};
+
+export {
+  getReplicationStatus,
+  getReplicationTargets,
+  hashFile,
+  readReplication,
+  replicateDomain,
+  walkFiles,
+};
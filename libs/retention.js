@@ -0,0 +1,247 @@
+import { sep } from 'path';
+import { readdir, rm } from 'fs/promises';
+import dayjs from 'dayjs';
+import quarterOfYear from 'dayjs/plugin/quarterOfYear.js';
+import { logger } from '../vmsnap.js';
+import { fileExists } from './general.js';
+import { listChains } from './chain.js';
+
+/**
+ * The retention engine.  Applies count based and grandfather-father-son
+ * policies to the backup folders of a domain.  A backup folder is kept or
+ * deleted as a whole, along with every chain in it.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+dayjs.extend(quarterOfYear);
+
+// Matches a backup folder name and captures its grouping and period
+const BACKUP_FOLDER_REGEX =
+  /^vmsnap-backup-(monthly|quarterly|bi-annually|yearly)-([0-9]{4}(?:-[0-9]{2}|-Q[1-4]|-p[12])?)$/;
+
+// The groupBy for each grouping found in a folder name
+const GROUPINGS = new Map([
+  ['monthly', 'month'],
+  ['quarterly', 'quarter'],
+  ['bi-annually', 'bi-annual'],
+  ['yearly', 'year'],
+]);
+
+// The retention policies and how each buckets a folder by its start date
+const POLICIES = [
+  ['keepMonthly', 'monthly', (start) => start.format('YYYY-MM')],
+  [
+    'keepQuarterly',
+    'quarterly',
+    (start) => `${start.year()}-Q${start.quarter()}`,
+  ],
+  ['keepYearly', 'yearly', (start) => start.format('YYYY')],
+];
+
+/**
+ * Pulls the retention policy out of the options.  Returns undefined when no
+ * retention policy is set, meaning the default mid-period pruning applies.
+ *
+ * @param {object} options the options to read keepLast, keepMonthly,
+ * keepQuarterly and keepYearly from
+ * @returns {object|undefined} the retention policy
+ */
+const getRetentionPolicy = ({
+  keepLast,
+  keepMonthly,
+  keepQuarterly,
+  keepYearly,
+}) => {
+  const policy = {
+    keepLast: toCount(keepLast),
+    keepMonthly: toCount(keepMonthly),
+    keepQuarterly: toCount(keepQuarterly),
+    keepYearly: toCount(keepYearly),
+  };
+
+  return Object.values(policy).some((count) => count > 0) ? policy : undefined;
+};
+
+/**
+ * Converts a policy value to a count, anything that is not a positive whole
+ * number counts as zero.
+ *
+ * @param {*} value the value to convert
+ * @returns {number} the count
+ */
+const toCount = (value) => {
+  const count = Number(value);
+
+  return Number.isInteger(count) && count > 0 ? count : 0;
+};
+
+/**
+ * Parses a backup folder name.
+ *
+ * @param {string} name the name of the folder
+ * @returns {object|undefined} the folder name, groupBy, period and start date,
+ * or undefined if it is not a backup folder
+ */
+const parseBackupFolder = (name) => {
+  const match = BACKUP_FOLDER_REGEX.exec(name);
+
+  if (match === null) {
+    return undefined;
+  }
+
+  const [, grouping, period] = match;
+
+  const year = Number(period.slice(0, 4));
+
+  let month = 0;
+
+  if (grouping === 'monthly') {
+    month = Number(period.slice(5)) - 1;
+  } else if (grouping === 'quarterly') {
+    month = (Number(period.slice(6)) - 1) * 3;
+  } else if (grouping === 'bi-annually') {
+    month = period.endsWith('p2') ? 6 : 0;
+  }
+
+  return {
+    name,
+    groupBy: GROUPINGS.get(grouping),
+    period,
+    start: dayjs(new Date(year, month, 1)),
+  };
+};
+
+/**
+ * Lists the backup folders of a domain, newest first.
+ *
+ * @param {string} domain the domain to list backup folders for
+ * @param {string} path the backup directory root
+ * @returns {Promise<Array<object>>} the parsed backup folders
+ */
+const listBackupFolders = async (domain, path) => {
+  const domainDir = `${path}${sep}${domain}`;
+
+  if (!(await fileExists(domainDir))) {
+    return [];
+  }
+
+  return (await readdir(domainDir))
+    .map(parseBackupFolder)
+    .filter((folder) => folder !== undefined)
+    .sort((a, b) => b.start.valueOf() - a.start.valueOf());
+};
+
+/**
+ * Decides which backup folders to keep under a retention policy.  A folder is
+ * kept if any policy keeps it.  The folder currently being backed up to is
+ * always kept.
+ *
+ * @param {Array<object>} folders the parsed backup folders, newest first
+ * @param {object} policy the retention policy
+ * @param {string|undefined} currentFolder the folder currently being backed up
+ * to
+ * @returns {Array<object>} the folders with keep and reasons properties added
+ */
+const applyRetention = (folders, policy, currentFolder = undefined) => {
+  const decisions = folders.map((folder, index) => {
+    const reasons = [];
+
+    if (folder.name === currentFolder) {
+      reasons.push('current backup folder');
+    }
+
+    if (index < (policy.keepLast ?? 0)) {
+      reasons.push(`last ${policy.keepLast}`);
+    }
+
+    return { ...folder, keep: false, reasons };
+  });
+
+  for (const [key, label, toBucket] of POLICIES) {
+    const buckets = new Set();
+
+    for (const decision of decisions) {
+      if (buckets.size >= (policy[key] ?? 0)) {
+        break;
+      }
+
+      const bucket = toBucket(decision.start);
+
+      if (!buckets.has(bucket)) {
+        buckets.add(bucket);
+
+        decision.reasons.push(`${label} ${bucket}`);
+      }
+    }
+  }
+
+  for (const decision of decisions) {
+    decision.keep = decision.reasons.length > 0;
+  }
+
+  return decisions;
+};
+
+/**
+ * Applies a retention policy to the backup folders of a domain, deleting the
+ * ones no policy keeps.  Every decision is logged, with the number of chains
+ * in any folder holding more than one.
+ *
+ * @param {string} domain the domain to prune backups for
+ * @param {string} path the backup directory root
+ * @param {object} policy the retention policy
+ * @param {string|undefined} currentFolder the folder currently being backed up
+ * to
+ * @returns {Promise<Array<string>>} the names of the deleted folders
+ */
+const pruneByRetention = async (
+  domain,
+  path,
+  policy,
+  currentFolder = undefined,
+) => {
+  const decisions = applyRetention(
+    await listBackupFolders(domain, path),
+    policy,
+    currentFolder,
+  );
+
+  const deleted = [];
+
+  for (const decision of decisions) {
+    const folder = `${path}${sep}${domain}${sep}${decision.name}`;
+
+    const chains = (await listChains(folder)).length;
+
+    const name =
+      chains > 1 ? `${decision.name} with ${chains} chains` : decision.name;
+
+    if (decision.keep) {
+      logger.info(
+        `Keeping ${name} for ${domain} (${decision.reasons.join(', ')})`,
+      );
+
+      continue;
+    }
+
+    logger.info(`Deleting ${name} for ${domain} (not kept by any policy)`);
+
+    await rm(folder, {
+      recursive: true,
+      force: true,
+    });
+
+    deleted.push(decision.name);
+  }
+
+  return deleted;
+};
+
+export {
+  applyRetention,
+  getRetentionPolicy,
+  listBackupFolders,
+  parseBackupFolder,
+  pruneByRetention,
+};
@@ -0,0 +1,677 @@
+import process from 'process';
+import { createHash, createHmac } from 'crypto';
+import { open, readFile } from 'fs/promises';
+import { logger, ERR_CONFIG } from '../vmsnap.js';
+import { createError } from './general.js';
+import { COMPARE_HASH, hashFile } from './replication.js';
+
+/**
+ * S3 compatible object storage as a replication target, AWS S3 or anything
+ * that speaks its API like MinIO.  Requests are signed with AWS Signature
+ * Version 4 and sent with fetch, so no SDK is needed.  Period folders are laid
+ * out under the bucket and prefix exactly as they are on disk.
+ *
+ * replication:
+ *   targets:
+ *     - type: s3
+ *       bucket: backups
+ *       prefix: kvm1
+ *       endpoint: https://minio.example.com:9000
+ *
+ * Large files are uploaded in parts.  An upload that is interrupted is picked
+ * up where it left off on the next run, parts already uploaded are checked
+ * against the local file and skipped.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The target type of S3 targets
+export const TARGET_TYPE_S3 = 's3';
+
+// S3 targets may be passed to --replicate as s3://bucket/prefix
+const S3_URL_REGEX = /^s3:\/\/([^/]+)\/?(.*)$/;
+
+// The region used when none is configured
+const DEFAULT_REGION = 'us-east-1';
+
+// Files bigger than this are uploaded in parts of this size
+const DEFAULT_PART_SIZE = 64 * 1024 * 1024;
+
+// The smallest part S3 accepts, other than the last
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// The most parts an upload may have
+const MAX_PARTS = 10000;
+
+// Keeps the modification time of the local file with the object
+const MTIME_HEADER = 'x-amz-meta-vmsnap-mtime';
+
+// Keeps the sha256 of the local file with the object
+const SHA256_HEADER = 'x-amz-meta-vmsnap-sha256';
+
+// How many times to retry a request after the first attempt fails
+const RETRIES = 3;
+
+// How long to wait before the first retry, doubled for each retry after it
+const RETRY_DELAY = 500;
+
+// The body of an answer that is an error, which S3 may send with HTTP 200 when
+// it fails a long request, like completing a multipart upload, part way
+const ERROR_BODY_REGEX = /^\s*(<\?xml[^>]*\?>\s*)?<Error>/;
+
+/**
+ * Reads an s3://bucket/prefix URL, as passed to --replicate.
+ *
+ * @param {string} url the URL
+ * @returns {object|undefined} the type, bucket and prefix of the target, or
+ * undefined if it is not an s3:// URL
+ */
+const parseS3Url = (url) => {
+  const match = S3_URL_REGEX.exec(url);
+
+  if (match === null) {
+    return undefined;
+  }
+
+  return { type: TARGET_TYPE_S3, bucket: match[1], prefix: match[2] };
+};
+
+/**
+ * Resolves the settings of an S3 target.  Anything the target does not set
+ * is read from the usual AWS environment variables: AWS_ACCESS_KEY_ID,
+ * AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_REGION and AWS_ENDPOINT_URL.
+ * A custom endpoint, like MinIO, is addressed path style by default.
+ *
+ * @param {object} config the settings of the target
+ * @param {object} env the environment to read credentials from
+ * @returns {object} the bucket, prefix, endpoint, region, credentials,
+ * pathStyle and partSize of the target
+ * @throws {Error} if there is no bucket or no credentials
+ */
+const getS3Settings = (config, env = process.env) => {
+  const { bucket, prefix = '' } = config;
+
+  if (typeof bucket !== 'string' || bucket === '') {
+    throw createError('An s3 replication target needs a bucket', ERR_CONFIG);
+  }
+
+  const region =
+    config.region ?? env.AWS_REGION ?? env.AWS_DEFAULT_REGION ?? DEFAULT_REGION;
+
+  const endpoint =
+    config.endpoint ?? env.AWS_ENDPOINT_URL_S3 ?? env.AWS_ENDPOINT_URL;
+
+  const accessKeyId = config.accessKeyId ?? env.AWS_ACCESS_KEY_ID;
+
+  const secretAccessKey = config.secretAccessKey ?? env.AWS_SECRET_ACCESS_KEY;
+
+  if (!accessKeyId || !secretAccessKey) {
+    throw createError(
+      `No credentials for s3://${bucket}, set accessKeyId and secretAccessKey or AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY`,
+      ERR_CONFIG,
+    );
+  }
+
+  const partSize = Number(config.partSize ?? DEFAULT_PART_SIZE);
+
+  if (!Number.isInteger(partSize) || partSize < MIN_PART_SIZE) {
+    throw createError(
+      `Invalid part size for s3://${bucket}: ${config.partSize}.  Use at least ${MIN_PART_SIZE} bytes`,
+      ERR_CONFIG,
+    );
+  }
+
+  return {
+    bucket,
+    prefix: normalizePrefix(prefix),
+    endpoint: endpoint ?? `https://s3.${region}.amazonaws.com`,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken: config.sessionToken ?? env.AWS_SESSION_TOKEN,
+    pathStyle: Boolean(config.pathStyle ?? endpoint !== undefined),
+    partSize,
+  };
+};
+
+/**
+ * Names an S3 target the way it would be passed to --replicate.
+ *
+ * @param {object} config the bucket and prefix of the target
+ * @returns {string} the s3://bucket/prefix URL of the target
+ */
+const describeS3Target = ({ bucket, prefix = '' }) => {
+  const path = normalizePrefix(prefix);
+
+  return `s3://${bucket}${path === '' ? '' : `/${path}`}`;
+};
+
+/**
+ * Builds a replication target that uploads to an S3 bucket.
+ *
+ * @param {object} config the settings of the target
+ * @returns {import('./replication.js').ReplicationTarget} the target
+ */
+const createS3Target = (config) => {
+  const settings = getS3Settings(config);
+
+  const { prefix } = settings;
+
+  const toKey = (...parts) =>
+    [prefix, ...parts].filter((part) => part !== '').join('/');
+
+  return {
+    name: describeS3Target(settings),
+    listFiles: async (folder) => {
+      const base = `${toKey(folder)}/`;
+
+      const files = new Map();
+
+      // The mtime of each file is kept as metadata, which the listing does
+      // not have, so it is only looked up for files that might have changed
+      for (const { key, size, lastModified } of (
+        await listObjects(settings, base)
+      ).objects) {
+        files.set(key.slice(base.length), { size, writtenMs: lastModified });
+      }
+
+      return files;
+    },
+    putFile: async (folder, file, source, { size, mtimeMs }) => {
+      const headers = { [MTIME_HEADER]: `${Math.floor(mtimeMs)}` };
+
+      if (config.compare === COMPARE_HASH) {
+        headers[SHA256_HEADER] = await hashFile(source);
+      }
+
+      if (size <= settings.partSize) {
+        await request(settings, 'PUT', toKey(folder, file), {
+          headers,
+          body: await readFile(source),
+        });
+      } else {
+        await uploadParts(settings, toKey(folder, file), source, size, headers);
+      }
+    },
+    removeFile: (folder, file) =>
+      request(settings, 'DELETE', toKey(folder, file)),
+    listFolders: async (domain) =>
+      (await listObjects(settings, `${toKey(domain)}/`, '/')).prefixes.map(
+        (folder) => folder.slice(toKey(domain).length + 1, -1),
+      ),
+    removeFolder: async (folder) => {
+      for (const { key } of (await listObjects(settings, `${toKey(folder)}/`))
+        .objects) {
+        await request(settings, 'DELETE', key);
+      }
+    },
+    hashFile: async (folder, file) =>
+      (await request(settings, 'HEAD', toKey(folder, file))).headers.get(
+        SHA256_HEADER,
+      ),
+    getMtime: async (folder, file) => {
+      const { headers } = await request(settings, 'HEAD', toKey(folder, file));
+
+      return Number(
+        headers.get(MTIME_HEADER) ?? Date.parse(headers.get('last-modified')),
+      );
+    },
+  };
+};
+
+/**
+ * Uploads a file in parts.  An unfinished upload of the same object is
+ * resumed, each part it already has is kept if it matches the local file.
+ * The metadata of an upload is fixed when it starts, so one started before
+ * the local file last changed is aborted and the upload starts over.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} key the object to upload to
+ * @param {string} source the local file
+ * @param {number} size the size of the local file
+ * @param {object} headers the metadata to keep with the object
+ */
+const uploadParts = async (settings, key, source, size, headers) => {
+  const partSize = Math.max(settings.partSize, Math.ceil(size / MAX_PARTS));
+
+  const count = Math.ceil(size / partSize);
+
+  let upload = await findUpload(settings, key);
+
+  if (
+    upload !== undefined &&
+    Number(headers[MTIME_HEADER]) >= upload.initiated
+  ) {
+    logger.info(`Restarting the upload of ${key}, the file has changed`);
+
+    await request(settings, 'DELETE', key, {
+      query: { uploadId: upload.uploadId },
+    });
+
+    upload = undefined;
+  }
+
+  let uploadId = upload?.uploadId;
+
+  const uploaded = new Map();
+
+  if (uploadId === undefined) {
+    const { body } = await request(settings, 'POST', key, {
+      query: { uploads: '' },
+      headers,
+    });
+
+    [uploadId] = getTags(body, 'UploadId');
+  } else {
+    for (const part of await listParts(settings, key, uploadId)) {
+      uploaded.set(part.number, part.etag);
+    }
+
+    logger.info(`Resuming the upload of ${key}, ${uploaded.size} part(s) sent`);
+  }
+
+  const etags = [];
+
+  const handle = await open(source, 'r');
+
+  try {
+    for (let number = 1; number <= count; number++) {
+      const chunk = Buffer.alloc(
+        Math.min(partSize, size - (number - 1) * partSize),
+      );
+
+      await handle.read(chunk, 0, chunk.length, (number - 1) * partSize);
+
+      const etag = `"${createHash('md5').update(chunk).digest('hex')}"`;
+
+      if (uploaded.get(number) !== etag) {
+        await request(settings, 'PUT', key, {
+          query: { partNumber: `${number}`, uploadId },
+          body: chunk,
+        });
+      }
+
+      etags.push(etag);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const parts = etags
+    .map(
+      (etag, index) =>
+        `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`,
+    )
+    .join('');
+
+  await request(settings, 'POST', key, {
+    query: { uploadId },
+    body: Buffer.from(
+      `<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`,
+    ),
+  });
+};
+
+/**
+ * Finds the newest unfinished upload of an object.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} key the object
+ * @returns {Promise<object|undefined>} the id of the upload and when it was
+ * started, or undefined if there is none
+ */
+const findUpload = async (settings, key) => {
+  const { body } = await request(settings, 'GET', '', {
+    query: { uploads: '', prefix: key },
+  });
+
+  const uploads = getTags(body, 'Upload')
+    .map((upload) => ({
+      key: getTags(upload, 'Key')[0],
+      uploadId: getTags(upload, 'UploadId')[0],
+      initiated: Date.parse(getTags(upload, 'Initiated')[0]),
+    }))
+    .filter((upload) => upload.key === key)
+    .sort((a, b) => b.initiated - a.initiated);
+
+  return uploads[0];
+};
+
+/**
+ * Lists the parts of an unfinished upload.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} key the object
+ * @param {string} uploadId the upload
+ * @returns {Promise<Array<object>>} the number and etag of each part
+ */
+const listParts = async (settings, key, uploadId) => {
+  const parts = [];
+
+  let marker;
+
+  do {
+    const { body } = await request(settings, 'GET', key, {
+      query: {
+        uploadId,
+        ...(marker === undefined ? {} : { 'part-number-marker': marker }),
+      },
+    });
+
+    for (const part of getTags(body, 'Part')) {
+      parts.push({
+        number: Number(getTags(part, 'PartNumber')[0]),
+        etag: getTags(part, 'ETag')[0],
+      });
+    }
+
+    marker =
+      getTags(body, 'IsTruncated')[0] === 'true'
+        ? getTags(body, 'NextPartNumberMarker')[0]
+        : undefined;
+  } while (marker !== undefined);
+
+  return parts;
+};
+
+/**
+ * Lists the objects under a prefix, following continuation tokens.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} prefix the prefix to list
+ * @param {string|undefined} delimiter groups keys into common prefixes
+ * @returns {Promise<object>} the key, size and lastModified of each object,
+ * and the common prefixes
+ */
+const listObjects = async (settings, prefix, delimiter = undefined) => {
+  const objects = [];
+
+  const prefixes = [];
+
+  let token;
+
+  do {
+    const { body } = await request(settings, 'GET', '', {
+      query: {
+        'list-type': '2',
+        prefix,
+        ...(delimiter === undefined ? {} : { delimiter }),
+        ...(token === undefined ? {} : { 'continuation-token': token }),
+      },
+    });
+
+    for (const object of getTags(body, 'Contents')) {
+      objects.push({
+        key: getTags(object, 'Key')[0],
+        size: Number(getTags(object, 'Size')[0]),
+        lastModified: Date.parse(getTags(object, 'LastModified')[0]),
+      });
+    }
+
+    for (const common of getTags(body, 'CommonPrefixes')) {
+      prefixes.push(getTags(common, 'Prefix')[0]);
+    }
+
+    token =
+      getTags(body, 'IsTruncated')[0] === 'true'
+        ? getTags(body, 'NextContinuationToken')[0]
+        : undefined;
+  } while (token !== undefined);
+
+  return { objects, prefixes };
+};
+
+/**
+ * Sends a signed request to the bucket, retrying with a growing delay when
+ * the request fails or the server answers with a 5xx.  An error sent with
+ * HTTP 200 is retried the same way.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} method the HTTP method
+ * @param {string} key the object, or an empty string for the bucket
+ * @param {object} options the query, headers and body of the request
+ * @returns {Promise<object>} the status, headers and body of the answer
+ * @throws {Error} if the request fails or the server answers with an error
+ */
+const request = async (
+  settings,
+  method,
+  key,
+  { query = {}, headers = {}, body = undefined } = {},
+) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    if (attempt > 0) {
+      await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    const url = getObjectUrl(settings, key, query);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: signRequest(settings, method, url, headers, body),
+        body,
+      });
+
+      const text = await response.text();
+
+      if (response.ok && !ERROR_BODY_REGEX.test(text)) {
+        return {
+          status: response.status,
+          headers: response.headers,
+          body: text,
+        };
+      }
+
+      lastError = new Error(
+        `${method} ${url.pathname} answered HTTP ${response.status}${formatS3Error(text)}`,
+      );
+
+      if (!response.ok && response.status < 500) {
+        break;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * Builds the URL of an object.
+ *
+ * @param {object} settings the settings of the target
+ * @param {string} key the object, or an empty string for the bucket
+ * @param {object} query the query parameters
+ * @returns {URL} the URL
+ */
+const getObjectUrl = (settings, key, query = {}) => {
+  const url = new URL(settings.endpoint);
+
+  if (!settings.pathStyle) {
+    url.hostname = `${settings.bucket}.${url.hostname}`;
+  }
+
+  const base = url.pathname.replace(/\/+$/, '');
+
+  const path = key.split('/').map(encodeRfc3986).join('/');
+
+  url.pathname = settings.pathStyle
+    ? `${base}/${encodeRfc3986(settings.bucket)}${key === '' ? '' : `/${path}`}`
+    : `${base}/${path}`;
+
+  url.search = Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  return url;
+};
+
+/**
+ * Signs a request with AWS Signature Version 4.
+ *
+ * @param {object} settings the region and credentials of the target
+ * @param {string} method the HTTP method
+ * @param {URL} url the URL of the request, its query already sorted
+ * @param {object} headers the headers to send, which are all signed
+ * @param {Buffer|undefined} body the body of the request
+ * @param {Date} date when the request is made
+ * @returns {object} the headers with the signature and the headers it signs
+ */
+const signRequest = (
+  settings,
+  method,
+  url,
+  headers = {},
+  body = undefined,
+  date = new Date(),
+) => {
+  const timestamp = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+  const day = timestamp.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        `${value}`.trim(),
+      ]),
+    ),
+    host: url.host,
+    'x-amz-content-sha256': sha256(body ?? ''),
+    'x-amz-date': timestamp,
+    ...(settings.sessionToken
+      ? { 'x-amz-security-token': settings.sessionToken }
+      : {}),
+  };
+
+  const names = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.search.slice(1),
+    ...names.map((name) => `${name}:${signed[name]}`),
+    '',
+    names.join(';'),
+    signed['x-amz-content-sha256'],
+  ].join('\n');
+
+  const scope = `${day}/${settings.region}/s3/aws4_request`;
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    timestamp,
+    scope,
+    sha256(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = [day, settings.region, 's3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    `AWS4${settings.secretAccessKey}`,
+  );
+
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  // fetch sets the host header itself
+  const sent = Object.fromEntries(
+    Object.entries(signed).filter(([name]) => name !== 'host'),
+  );
+
+  return {
+    ...sent,
+    authorization: `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Strips the slashes from the ends of a key prefix.
+ *
+ * @param {string} prefix the prefix
+ * @returns {string} the prefix without leading or trailing slashes
+ */
+const normalizePrefix = (prefix) => `${prefix}`.replace(/^\/+|\/+$/g, '');
+
+/**
+ * Encodes a URI component the way Signature Version 4 expects, which is
+ * stricter than encodeURIComponent.
+ *
+ * @param {string} value the value to encode
+ * @returns {string} the encoded value
+ */
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+
+/**
+ * Hashes some data with sha256.
+ *
+ * @param {string|Buffer} data the data
+ * @returns {string} the hash, as hex
+ */
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Signs some data with HMAC-sha256.
+ *
+ * @param {string|Buffer} key the key
+ * @param {string} data the data
+ * @returns {Buffer} the signature
+ */
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+/**
+ * Pulls the contents of every element with a tag out of an XML document.  The
+ * S3 answers read here are simple enough not to need a real parser.
+ *
+ * @param {string} xml the document
+ * @param {string} tag the tag of the elements
+ * @returns {Array<string>} the contents of each element, entities decoded
+ */
+const getTags = (xml, tag) =>
+  [...`${xml}`.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(
+    ([, contents]) =>
+      contents
+        .replaceAll('&quot;', '"')
+        .replaceAll('&apos;', "'")
+        .replaceAll('&lt;', '<')
+        .replaceAll('&gt;', '>')
+        .replaceAll('&amp;', '&'),
+  );
+
+/**
+ * Formats the error an S3 server answered with.
+ *
+ * @param {string} xml the body of the answer
+ * @returns {string} the code and message of the error, or nothing if the body
+ * is not an S3 error
+ */
+const formatS3Error = (xml) => {
+  const [code] = getTags(xml, 'Code');
+
+  const [message] = getTags(xml, 'Message');
+
+  return code === undefined ? '' : `: ${code}${message ? ` ${message}` : ''}`;
+};
+
+/**
+ * Waits for a while.
+ *
+ * @param {number} ms how long to wait, in milliseconds
+ * @returns {Promise<void>} resolves once the time is up
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export {
+  createS3Target,
+  describeS3Target,
+  getS3Settings,
+  parseS3Url,
+  signRequest,
+};
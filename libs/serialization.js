@@ -1,10 +1,27 @@
 import { sep } from 'path';
 import { readdir, stat } from 'fs/promises';
 import prettyBytes from 'pretty-bytes';
-import { createError, fileExists, parseArrayParam } from './general.js';
-import { findBitmaps } from './qemu-img.js';
-import { fetchAllDomains, findCheckpoints } from './virsh.js';
-import { FREQUENCY_MONTHLY, getBackupFolder } from './libnbdbackup.js';
+import {
+  createError,
+  fileExists,
+  parseDuration,
+  resolveDomains,
+} from './general.js';
+import { findBitmaps, getDiskSelection } from './qemu-img.js';
+import { findCheckpoints } from './virsh.js';
+import {
+  FREQUENCY_MONTHLY,
+  getBackupFolder,
+  readLastBackup,
+} from './libnbdbackup.js';
+import { readVerification, VERIFY_CORRUPT } from './verify.js';
+import { getDomainOptions } from './config.js';
+import { listBackupFolders } from './retention.js';
+import { getCompressionRatio, getStorageStats } from './compression.js';
+import { getEncryptionState, loadKey, readManifest } from './encryption.js';
+import { getReplicationStatus } from './replication.js';
+import { getLastSuccessfulBackup } from './history.js';
+import { listChains, readNewChainRequest } from './chain.js';
 import { ERR_DOMAINS } from '../vmsnap.js';
 
 // The all-clear code for the status of a domain
@@ -14,15 +31,51 @@ export const STATUS_OK = 0;
 // at the checkpoints and bitmaps to see what's going on.
 export const STATUS_INCONSISTENT = 1;
 
+// This code means the backups on disk for the current period have not been
+// verified since the last checkpoint was added.
+export const STATUS_UNVERIFIED = 2;
+
+// This code means the last verification of the current period's backups
+// failed.  The backups may not be restorable.
+export const STATUS_CORRUPT = 3;
+
+// This code means the domain has not backed up successfully within its
+// maximum age.  The backups are falling behind.
+export const STATUS_STALE = 4;
+
 // The domains overall status codes
 export const STATUSES = new Map([
   [STATUS_OK, 'OK'],
   [STATUS_INCONSISTENT, 'INCONSISTENT'],
+  [STATUS_UNVERIFIED, 'UNVERIFIED'],
+  [STATUS_CORRUPT, 'CORRUPT'],
+  [STATUS_STALE, 'STALE'],
 ]);
 
+// A libvirt checkpoint has no bitmap on a disk it covers
+export const PROBLEM_MISSING_BITMAP = 'missing-bitmap';
+
+// A disk has a bitmap without a libvirt checkpoint
+export const PROBLEM_ORPHANED_BITMAP = 'orphaned-bitmap';
+
+// A checkpoint is missing from the middle of the libvirt checkpoints
+export const PROBLEM_MISSING_CHECKPOINT = 'missing-checkpoint';
+
+// A libvirt checkpoint has no checkpoint file in the backup folder
+export const PROBLEM_MISSING_CHECKPOINT_FILE = 'missing-checkpoint-file';
+
+// The backup folder has a checkpoint file without a libvirt checkpoint
+export const PROBLEM_ORPHANED_CHECKPOINT_FILE = 'orphaned-checkpoint-file';
+
 // The maximum number of times to recurse into a directory
 const FOLDER_RECURSION_LIMIT = 5;
 
+// Matches the checkpoints vmsnap makes and captures their index
+const CHECKPOINT_INDEX_REGEX = /^virtnbdbackup\.([0-9]+)$/;
+
+// The extension of the checkpoint files in the backup folder
+const CHECKPOINT_FILE_EXTENSION = '.xml';
+
 /**
  * Creates a JSON representation of Domains, checkpoints, disks, and bitmaps.
  *
@@ -32,6 +85,9 @@ const FOLDER_RECURSION_LIMIT = 5;
  * @param {string} groupBy the frequency to group backups by on disk (month, 
  * quarter, or year).
  * @param {boolean} pretty whether to pretty print the size of disks or not.
+ * @param {object} options the merged options, the output and groupBy of a
+ * domain's profile are used for its backup directory and exclude drops
+ * domains.
  * @returns {Promise<object>} a JSON object representing the status of the
  * domains.
  */
@@ -40,10 +96,11 @@ const getStatus = async (
   path = undefined,
   groupBy = FREQUENCY_MONTHLY,
   pretty = false,
+  options = {},
 ) => {
   const json = {};
 
-  const domains = await parseArrayParam(rawDomains, fetchAllDomains);
+  const domains = await resolveDomains(rawDomains, options.exclude);
 
   if (domains.length === 0) {
     throw createError(`No matching domains found for: ${rawDomains}`, ERR_DOMAINS);
@@ -60,7 +117,12 @@ const getStatus = async (
       currentJson.checkpoints.push(checkpoint);
     }
 
-    const records = await findBitmaps(domain);
+    const domainOptions = getDomainOptions(
+      { ...options, output: path, groupBy },
+      domain,
+    );
+
+    const records = await findBitmaps(domain, getDiskSelection(domainOptions));
 
     currentJson.disks = [];
 
@@ -79,23 +141,69 @@ const getStatus = async (
         diskJson.bitmaps.push(b.name);
       }
 
+      if (record.excluded) {
+        diskJson.excluded = true;
+      }
+
       currentJson.disks.push(diskJson);
 
       diskJson = {};
     }
 
+    currentJson.problems = findProblems(domain, currentJson);
+
     currentJson.overallStatus = getOverallStatus(currentJson);
 
-    if (path && typeof path === 'string') {
-      await addBackupStats(domain, currentJson, path, groupBy, pretty);
+    const {
+      output,
+      groupBy: domainGroupBy = FREQUENCY_MONTHLY,
+      encryptKey,
+    } = domainOptions;
+
+    if (output && typeof output === 'string') {
+      const checkpointFiles = await addBackupStats(
+        domain,
+        currentJson,
+        output,
+        domainGroupBy,
+        pretty,
+        encryptKey,
+      );
+
+      currentJson.problems.push(
+        ...findBackupProblems(
+          domain,
+          currentJson.checkpoints,
+          checkpointFiles,
+          currentJson.backupDirStats.path,
+        ),
+      );
 
       if (
         currentJson.overallStatus === STATUS_OK &&
-        currentJson.backupDirStats.checkpoints !==
-        currentJson.checkpoints.length
+        currentJson.problems.length > 0
       ) {
         currentJson.overallStatus = STATUS_INCONSISTENT;
       }
+
+      await addVerification(currentJson);
+
+      await addStaleness(currentJson, domain, output, domainOptions.maxAge);
+
+      currentJson.newChainRequest =
+        (await readNewChainRequest(output, domain)) ?? null;
+
+      currentJson.lastBackup = (await readLastBackup(output, domain)) ?? null;
+
+      const replication = await getReplicationStatus(
+        domainOptions,
+        output,
+        domain,
+      );
+
+      if (replication !== undefined) {
+        currentJson.replication = replication;
+      }
     }
 
     json[domain] = currentJson;
@@ -118,29 +226,48 @@ const getDiskSize = (size, pretty = false) =>
   pretty ? prettyBytes(size) : size;
 
 /**
- * Inspects the backup directory for the domain and adds stats to the JSON.
+ * Inspects the folder of the current chain for the domain and adds stats to
+ * the JSON, along with the stored and logical size of each period folder.
  *
  * @param {string} domain the domain to add backup stats for
  * @param {*} json the JSON object to add the stats to
  * @param {*} path the path to the backup directory root
  * @param {boolean} pretty whether to pretty print the size of disks or not
+ * @param {string|undefined} encryptKey the key file configured for the domain
+ * @returns {Promise<Array<string>>} the checkpoint files in the folder of the
+ * current chain
  */
-const addBackupStats = async (domain, json, path, groupBy, pretty = false) => {
+const addBackupStats = async (
+  domain,
+  json,
+  path,
+  groupBy,
+  pretty = false,
+  encryptKey = undefined,
+) => {
   const stats = {
     path: null,
+    chain: null,
     totalFiles: 0,
     checkpoints: 0,
     totalSize: 0,
   };
 
-  const rootDir = `${path}${sep}${domain}${sep}${getBackupFolder(groupBy)}`;
+  const chains = await listChains(
+    `${path}${sep}${domain}${sep}${getBackupFolder(groupBy)}`,
+  );
+
+  const { path: rootDir, number } = chains[chains.length - 1];
 
   stats.path = rootDir;
+  stats.chain = number;
 
   const checkpointDir = `${rootDir}${sep}checkpoints`;
 
+  let checkpoints = [];
+
   if ((await fileExists(rootDir)) && (await fileExists(checkpointDir))) {
-    const checkpoints = await readdir(`${rootDir}${sep}checkpoints`);
+    checkpoints = await readdir(`${rootDir}${sep}checkpoints`);
 
     let fsStats;
 
@@ -163,36 +290,316 @@ const addBackupStats = async (domain, json, path, groupBy, pretty = false) => {
     ...stats,
     totalSize: getDiskSize(stats.totalSize, pretty),
   };
+
+  json.storage = await getDomainStorage(domain, path, pretty, encryptKey);
+
+  return checkpoints;
+};
+
+/**
+ * Measures what the disk data in each of a domain's period folders takes on
+ * disk against its logical size, and the totals across all of them.  Each
+ * period folder also shows how many chains it holds, if it is encrypted and
+ * if the configured key can decrypt it.
+ *
+ * @param {string} domain the domain to measure
+ * @param {string} path the path to the backup directory root
+ * @param {boolean} pretty whether to pretty print the sizes or not
+ * @param {string|undefined} encryptKey the key file configured for the domain
+ * @returns {Promise<object>} the storedSize, logicalSize and compressionRatio
+ * of the domain and of each period folder, newest first
+ */
+const getDomainStorage = async (
+  domain,
+  path,
+  pretty = false,
+  encryptKey = undefined,
+) => {
+  const periods = [];
+
+  // An unusable key file can not decrypt anything, it is not an error here
+  const key = encryptKey
+    ? await loadKey(encryptKey).catch(() => undefined)
+    : undefined;
+
+  let storedSize = 0;
+
+  let logicalSize = 0;
+
+  for (const { name } of await listBackupFolders(domain, path)) {
+    const stats = await getPeriodStorage(
+      `${path}${sep}${domain}${sep}${name}`,
+      key,
+    );
+
+    storedSize += stats.storedSize;
+    logicalSize += stats.logicalSize;
+
+    periods.push({
+      folder: name,
+      chains: stats.chains,
+      storedSize: getDiskSize(stats.storedSize, pretty),
+      logicalSize: getDiskSize(stats.logicalSize, pretty),
+      compressionRatio: getCompressionRatio(
+        stats.storedSize,
+        stats.logicalSize,
+      ),
+      compressed: stats.compressed,
+      encrypted: stats.encrypted,
+      decryptable: stats.decryptable,
+    });
+  }
+
+  return {
+    storedSize: getDiskSize(storedSize, pretty),
+    logicalSize: getDiskSize(logicalSize, pretty),
+    compressionRatio: getCompressionRatio(storedSize, logicalSize),
+    periods,
+  };
+};
+
+/**
+ * Measures the disk data of every chain in a period folder.  Each chain is
+ * encrypted on its own, the period only counts as decryptable if the key can
+ * decrypt every encrypted chain in it.
+ *
+ * @param {string} folder the period folder
+ * @param {Buffer|undefined} key the configured key
+ * @returns {Promise<object>} the number of chains, the storedSize and
+ * logicalSize of their data, and if any of it is compressed or encrypted
+ */
+const getPeriodStorage = async (folder, key) => {
+  const totals = {
+    chains: 0,
+    storedSize: 0,
+    logicalSize: 0,
+    compressed: false,
+    encrypted: false,
+    decryptable: null,
+  };
+
+  for (const chain of await listChains(folder)) {
+    const manifest = await readManifest(chain.path);
+
+    const stats = await getStorageStats(chain.path, manifest);
+
+    const { encrypted, decryptable } = getEncryptionState(manifest, key);
+
+    totals.chains++;
+    totals.storedSize += stats.storedSize;
+    totals.logicalSize += stats.logicalSize;
+    totals.compressed ||= stats.compressed;
+
+    if (encrypted) {
+      totals.encrypted = true;
+      totals.decryptable = (totals.decryptable ?? true) && decryptable;
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Adds the last verification of the backup directory to the JSON and adjusts
+ * the overall status.  A failed verification always marks the domain as
+ * corrupt, otherwise a domain with checkpoints added since the last
+ * verification is unverified.
+ *
+ * @param {object} json the JSON object with backup stats to add to
+ */
+const addVerification = async (json) => {
+  const verification = await readVerification(json.backupDirStats.path);
+
+  json.verification = verification
+    ? {
+        verifiedAt: verification.verifiedAt,
+        checkpoints: verification.checkpoints,
+        result: verification.result,
+      }
+    : null;
+
+  if (verification?.result === VERIFY_CORRUPT) {
+    json.overallStatus = STATUS_CORRUPT;
+  } else if (
+    json.overallStatus === STATUS_OK &&
+    json.backupDirStats.checkpoints > 0 &&
+    verification?.checkpoints !== json.backupDirStats.checkpoints
+  ) {
+    json.overallStatus = STATUS_UNVERIFIED;
+  }
+};
+
+/**
+ * Adds when the domain last backed up successfully to the JSON and marks the
+ * domain stale if that was longer ago than its maximum age, or it never has.
+ * An inconsistent or corrupt domain keeps its status, that is the bigger
+ * problem.
+ *
+ * @param {object} json the JSON object to add to
+ * @param {string} domain the domain to check
+ * @param {string} output the backup directory root
+ * @param {string|number|undefined} maxAge the maximum age, like 26h, if one
+ * is set
+ * @param {number} now the time to measure the age from
+ */
+const addStaleness = async (json, domain, output, maxAge, now = Date.now()) => {
+  const finishedAt = await getLastSuccessfulBackup(domain, output);
+
+  const age = finishedAt === null ? Infinity : now - Date.parse(finishedAt);
+
+  json.lastSuccessfulBackup =
+    finishedAt === null
+      ? null
+      : { finishedAt, ageSeconds: Math.floor(age / 1000) };
+
+  if (maxAge === undefined) {
+    return;
+  }
+
+  const limit = parseDuration(maxAge, '--max-age');
+
+  json.maxAgeSeconds = Math.floor(limit / 1000);
+
+  if (
+    age > limit &&
+    (json.overallStatus === STATUS_OK ||
+      json.overallStatus === STATUS_UNVERIFIED)
+  ) {
+    json.overallStatus = STATUS_STALE;
+  }
 };
 
 /**
  * Inspects the given JSON object and returns the overall status.  This is
- * currently determined by whether the number of checkpoints and bitmaps match
- * for each disk.
+ * currently determined by whether any problems were found between the
+ * checkpoints and bitmaps.
  *
  * @param {object} json The JSON object to get the overall status for
  * @returns {number} The overall status for the JSON object
  */
-const getOverallStatus = (json) => {
-  let overallStatus = STATUS_OK;
+const getOverallStatus = (json) =>
+  json.problems.length === 0 ? STATUS_OK : STATUS_INCONSISTENT;
+
+/**
+ * Compares the libvirt checkpoints of a domain with the bitmaps on each of
+ * its disks by name.  Every checkpoint needs a bitmap on every disk and every
+ * bitmap a checkpoint.  Disks excluded from backups never get bitmaps so they
+ * are not checked.  The checkpoints must also run from virtnbdbackup.0
+ * without a gap, or the chain is broken.
+ *
+ * @param {string} domain the domain the checkpoints and bitmaps belong to
+ * @param {object} json the status of the domain with its checkpoints and disks
+ * @returns {Array<object>} the problems found, each with its type, the object
+ * involved, the checkpoint and disk it concerns and a suggested fix
+ */
+const findProblems = (domain, { checkpoints, disks }) => {
+  const problems = [];
+
+  for (const { disk, bitmaps, excluded } of disks) {
+    if (excluded) {
+      continue;
+    }
+
+    for (const checkpoint of checkpoints) {
+      if (!bitmaps.includes(checkpoint)) {
+        problems.push({
+          type: PROBLEM_MISSING_BITMAP,
+          object: `${checkpoint} on ${disk}`,
+          checkpoint,
+          disk,
+          fix: getNewChainFix(domain),
+        });
+      }
+    }
 
-  const checkpoints = json.checkpoints;
+    for (const bitmap of bitmaps) {
+      if (!checkpoints.includes(bitmap)) {
+        problems.push({
+          type: PROBLEM_ORPHANED_BITMAP,
+          object: `${bitmap} on ${disk}`,
+          checkpoint: bitmap,
+          disk,
+          fix: `Remove it with vmsnap --domains=${domain} --repair`,
+        });
+      }
+    }
+  }
 
-  let bitmaps = [];
+  const indexes = new Set(
+    checkpoints
+      .map((checkpoint) => CHECKPOINT_INDEX_REGEX.exec(checkpoint))
+      .filter((match) => match !== null)
+      .map((match) => Number(match[1])),
+  );
+
+  for (let index = 0; index < Math.max(...indexes); index++) {
+    if (!indexes.has(index)) {
+      problems.push({
+        type: PROBLEM_MISSING_CHECKPOINT,
+        object: `virtnbdbackup.${index}`,
+        checkpoint: `virtnbdbackup.${index}`,
+        fix: getNewChainFix(domain),
+      });
+    }
+  }
 
-  for (const disk of json.disks) {
-    bitmaps = disk.bitmaps;
+  return problems;
+};
 
-    if (checkpoints.length !== bitmaps.length) {
-      overallStatus = STATUS_INCONSISTENT;
+/**
+ * Compares the libvirt checkpoints of a domain with the checkpoint files in
+ * its backup folder by name.  An incremental backup needs both.
+ *
+ * @param {string} domain the domain the checkpoints belong to
+ * @param {Array<string>} checkpoints the libvirt checkpoints
+ * @param {Array<string>} checkpointFiles the files in the checkpoints folder
+ * of the backup folder
+ * @param {string} path the backup folder
+ * @returns {Array<object>} the problems found, each with its type, the object
+ * involved, the checkpoint it concerns and a suggested fix
+ */
+const findBackupProblems = (domain, checkpoints, checkpointFiles, path) => {
+  const problems = [];
+
+  const backedUp = checkpointFiles
+    .filter((file) => file.endsWith(CHECKPOINT_FILE_EXTENSION))
+    .map((file) => file.slice(0, -CHECKPOINT_FILE_EXTENSION.length));
+
+  for (const checkpoint of checkpoints) {
+    if (!backedUp.includes(checkpoint)) {
+      problems.push({
+        type: PROBLEM_MISSING_CHECKPOINT_FILE,
+        object: `${path}${sep}checkpoints${sep}${checkpoint}${CHECKPOINT_FILE_EXTENSION}`,
+        checkpoint,
+        fix: getNewChainFix(domain),
+      });
+    }
+  }
 
-      break;
+  for (const checkpoint of backedUp) {
+    if (!checkpoints.includes(checkpoint)) {
+      problems.push({
+        type: PROBLEM_ORPHANED_CHECKPOINT_FILE,
+        object: `${path}${sep}checkpoints${sep}${checkpoint}${CHECKPOINT_FILE_EXTENSION}`,
+        checkpoint,
+        fix: getNewChainFix(domain),
+      });
     }
   }
 
-  return overallStatus;
+  return problems;
 };
 
+/**
+ * The fix for a broken backup chain, which can only be mended by starting a
+ * new one.
+ *
+ * @param {string} domain the domain with the broken chain
+ * @returns {string} the suggested fix
+ */
+const getNewChainFix = (domain) =>
+  `Start a new backup chain with vmsnap --domains=${domain} --repair`;
+
 /**
  * Drills down into the directory and collects stats for the directory and its
  * child directories up FOLDER_RECURSION_LIMIT levels.
@@ -0,0 +1,218 @@
+import { sep } from 'path';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import {
+  logger,
+  ERR_DOMAINS,
+  ERR_ENCRYPTION,
+  ERR_OUTPUT_DIR,
+  ERR_VERIFY,
+} from '../vmsnap.js';
+import { createError, fileExists, resolveDomains } from './general.js';
+import { FREQUENCY_MONTHLY, getBackupFolder } from './libnbdbackup.js';
+import { RESTORE } from './libnbdrestore.js';
+import { getDomainOptions } from './config.js';
+import { spawnCommand } from './exec.js';
+import { withDecryptedFolder } from './encryption.js';
+import { getChainPath } from './chain.js';
+import { withDomainLock } from './lock.js';
+
+/**
+ * Functions for proving a backup folder can be restored from.
+ *
+ * @author: Philip J. Guinchard <phil.guinchard@slackdaystudio.ca>
+ */
+
+// The file the verification result is recorded to in the backup folder
+export const VERIFY_FILE = 'vmsnap-verify.json';
+
+// The backup folder passed verification
+export const VERIFY_OK = 'ok';
+
+// The backup folder failed verification
+export const VERIFY_CORRUPT = 'corrupt';
+
+/**
+ * Verifies the current chain of the current period for one or more domains by
+ * inspecting passed in command line arguments.  The output, groupBy and
+ * encryptKey settings of a domain's profile are used, if it has one.  Each
+ * domain is locked while it is verified.  An encrypted backup is decrypted
+ * under decryptDir, or the output directory without one.
+ *
+ * @param {Object} args the command line arguments (domains, exclude, output,
+ * groupBy, encryptKey, decryptDir and the lock settings) merged with the
+ * config file
+ * @returns {Promise<Array<object>>} the verification record of each domain
+ * that has a backup
+ * @throws {Error} if any backup failed verification, with the verification
+ * record of each domain in its results
+ */
+const performVerify = async (args) => {
+  const { domains, exclude } = args;
+
+  if (!domains) {
+    throw createError('No domains specified', ERR_DOMAINS);
+  }
+
+  const parsedDomains = await resolveDomains(domains, exclude);
+
+  if (parsedDomains.length === 0) {
+    throw createError(`No matching domains found for: ${domains}`, ERR_DOMAINS);
+  }
+
+  const results = [];
+
+  const corrupt = [];
+
+  for (const domain of parsedDomains) {
+    const {
+      output,
+      groupBy = FREQUENCY_MONTHLY,
+      encryptKey,
+      decryptDir = output,
+    } = getDomainOptions(args, domain);
+
+    if (!output) {
+      throw createError('No output directory specified', ERR_OUTPUT_DIR);
+    }
+
+    const path = await getChainPath(
+      `${output}${sep}${domain}${sep}${getBackupFolder(groupBy)}`,
+    );
+
+    if (!(await fileExists(path))) {
+      logger.warn(`No backup found for ${domain} in ${path}`);
+
+      continue;
+    }
+
+    const verification = await withDomainLock(args, domain, () =>
+      verifyBackup(domain, path, encryptKey, decryptDir),
+    );
+
+    results.push({ domain, ...verification });
+
+    if (verification.result !== VERIFY_OK) {
+      corrupt.push(domain);
+    }
+  }
+
+  if (corrupt.length > 0) {
+    const error = createError(
+      `Verification failed for: ${corrupt.join(', ')}`,
+      ERR_VERIFY,
+    );
+
+    error.results = results;
+
+    throw error;
+  }
+
+  return results;
+};
+
+/**
+ * Runs virtnbdrestore in verify mode against a backup folder, which checks the
+ * data file of every checkpoint against its recorded checksum.  The result is
+ * recorded to the backup folder.  An encrypted folder is decrypted first, a
+ * folder that can not be decrypted, like one with a file that fails
+ * authentication, is recorded as corrupt with the reason.
+ *
+ * @param {string} domain the domain the backup belongs to
+ * @param {string} path the backup folder to verify
+ * @param {string|undefined} encryptKey the key file to decrypt the folder
+ * with, if it is encrypted
+ * @param {string|undefined} stagingDir the directory to decrypt the folder
+ * under, if it is encrypted
+ * @returns {Promise<object>} the verification record
+ */
+const verifyBackup = async (
+  domain,
+  path,
+  encryptKey = undefined,
+  stagingDir = undefined,
+) => {
+  logger.info(`Verifying backup of ${domain} in ${path}`);
+
+  let exitCode;
+
+  let reason;
+
+  try {
+    exitCode = await withDecryptedFolder(
+      path,
+      encryptKey,
+      stagingDir,
+      (input) => spawnCommand(RESTORE, ['-a', 'verify', '-i', input]),
+    );
+  } catch (error) {
+    if (error.code !== ERR_ENCRYPTION) {
+      throw error;
+    }
+
+    reason = error.message;
+  }
+
+  const verification = {
+    verifiedAt: new Date().toISOString(),
+    checkpoints: await countCheckpoints(path),
+    result: exitCode === 0 ? VERIFY_OK : VERIFY_CORRUPT,
+    exitCode,
+    ...(reason === undefined ? {} : { reason }),
+  };
+
+  if (verification.result === VERIFY_OK) {
+    logger.info(`Backup of ${domain} verified`);
+  } else {
+    logger.error(
+      `Backup of ${domain} failed verification (${reason ?? `code ${exitCode}`})`,
+    );
+  }
+
+  await writeFile(
+    `${path}${sep}${VERIFY_FILE}`,
+    JSON.stringify(verification, undefined, 2),
+  );
+
+  return verification;
+};
+
+/**
+ * Reads the last verification record out of a backup folder.
+ *
+ * @param {string} path the backup folder to read from
+ * @returns {Promise<object|undefined>} the verification record, or undefined
+ * if the folder was never verified
+ */
+const readVerification = async (path) => {
+  const file = `${path}${sep}${VERIFY_FILE}`;
+
+  if (!(await fileExists(file))) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`Unable to read ${file}: ${error.message}`);
+
+    return undefined;
+  }
+};
+
+/**
+ * Counts the checkpoint files in a backup folder.
+ *
+ * @param {string} path the backup folder
+ * @returns {Promise<number>} the number of checkpoints in the folder
+ */
+const countCheckpoints = async (path) => {
+  const checkpointDir = `${path}${sep}checkpoints`;
+
+  if (!(await fileExists(checkpointDir))) {
+    return 0;
+  }
+
+  return (await readdir(checkpointDir)).length;
+};
+
+export { performVerify, readVerification, verifyBackup };
@@ -1,6 +1,6 @@
 import { EOL } from 'os';
-import { asyncExec } from '../vmsnap.js';
 import { logger } from '../vmsnap.js';
+import { execute } from './exec.js';
 
 /**
  * The virsh command functions.
@@ -12,9 +12,22 @@ export const VIRSH = 'virsh';
 
 export const CHECKPOINT_REGEX = /^virtnbdbackup\.[0-9]*$/;
 
+// The namespace of vmsnap's element in the <metadata> of a domain
+export const METADATA_URI = 'https://github.com/slackdaystudio/vmsnap';
+
+// Matches a tag in vmsnap's metadata element, with or without a prefix
+const METADATA_TAG_REGEX =
+  /<(?:[\w.-]+:)?tag>\s*([^<]*?)\s*<\/(?:[\w.-]+:)?tag>/g;
+
+// Matches a line of domblklist --details output (type, device, target, source)
+const DOMBLKLIST_REGEX = /^\s*(\S+)\s+(\S+)\s+(\S+)\s+(\S.*?)\s*$/;
+
 // The libvirt connection URI (e.g., qemu:///system or qemu:///session)
 let libvirtUri = null;
 
+// Per-domain libvirt connection URIs, these win over libvirtUri
+const domainUris = new Map();
+
 /**
  * Sets the libvirt connection URI for all virsh commands.
  *
@@ -24,18 +37,55 @@ export const setLibvirtUri = (uri) => {
   libvirtUri = uri;
 };
 
+/**
+ * Sets the libvirt connection URI for the virsh commands of a single domain.
+ *
+ * @param {string} domain the name of the domain
+ * @param {string|undefined} uri the libvirt URI to use
+ */
+export const setDomainUri = (domain, uri) => {
+  if (uri) {
+    domainUris.set(domain, uri);
+  } else {
+    domainUris.delete(domain);
+  }
+};
+
 /**
  * Gets the base virsh command with connection URI if set.
  *
+ * @param {string|undefined} domain the domain the command is for, if any
  * @returns {string[]} the base virsh command array
  */
-const getVirshCommand = () => {
-  if (libvirtUri) {
-    return [VIRSH, '-c', libvirtUri];
+const getVirshCommand = (domain = undefined) => {
+  const uri = domainUris.get(domain) ?? libvirtUri;
+
+  if (uri) {
+    return [VIRSH, '-c', uri];
   }
   return [VIRSH];
 };
 
+/**
+ * Runs a virsh command.  Anything virsh writes to stderr on success is logged
+ * as a warning.
+ *
+ * @param {string[]} command the virsh command array, program first
+ * @returns {Promise<string>} what virsh wrote to stdout
+ * @throws {Error} if virsh exits non-zero
+ */
+const virsh = async (command) => {
+  const [program, ...args] = command;
+
+  const { stdout, stderr } = await execute(program, args);
+
+  if (stderr.trim() !== '') {
+    logger.warn(stderr.trim());
+  }
+
+  return stdout;
+};
+
 /**
  * Check if a domain is currently running.
  *
@@ -43,10 +93,10 @@ const getVirshCommand = () => {
  * @returns {Promise<boolean>} True if domain is running, false if shut off or doesn't exist
  */
 const isDomainRunning = async (domain) => {
-  const command = [...getVirshCommand(), 'domstate', domain];
+  const command = [...getVirshCommand(domain), 'domstate', domain];
 
   try {
-    const { stdout } = await asyncExec(command.join(' '));
+    const stdout = await virsh(command);
     const state = stdout.trim().toLowerCase();
     return state === 'running';
   } catch {
@@ -61,18 +111,10 @@ const isDomainRunning = async (domain) => {
  * @returns {Promise<boolean>} True if domain exists, false otherwise
  */
 const domainExists = async (domain) => {
-  // Check if domain name contains invalid characters
-  // https://bugs.launchpad.net/ubuntu/+source/libvirt/+bug/672948
-  if (/^[A-Za-z0-9_\.\+\-&:/]*$/.test(domain) === false) {
-    logger.error(`Domain ${domain} contains invalid characters`);
-
-    return false;
-  }
-
-  const command = [...getVirshCommand(), 'domstate', domain];
+  const command = [...getVirshCommand(domain), 'domstate', domain];
 
   try {
-    await asyncExec(command.join(' '));
+    await virsh(command);
 
     return true;
   } catch (error) {
@@ -85,16 +127,55 @@ const domainExists = async (domain) => {
  *
  * @returns {Promise<Array<string>>} List of all domains
  */
-const fetchAllDomains = async () => {
-  const command = [...getVirshCommand(), 'list', '--all', '--name'];
+const fetchAllDomains = async () => fetchDomains(['--all']);
+
+/**
+ * Lists the domains virsh list returns for a set of filters.
+ *
+ * @param {Array<string>} filters the virsh list filters, e.g. --state-running
+ * or --all --autostart
+ * @returns {Promise<Array<string>>} the matching domains
+ */
+const fetchDomains = async (filters = []) => {
+  const command = [...getVirshCommand(), 'list', ...filters, '--name'];
+
+  const stdout = await virsh(command);
+
+  return stdout.split(EOL).filter((d) => d.length > 0);
+};
+
+/**
+ * Reads the tags of a domain from vmsnap's element in its <metadata>.
+ *
+ * <vmsnap:vmsnap xmlns:vmsnap="https://github.com/slackdaystudio/vmsnap">
+ *   <vmsnap:tag>prod</vmsnap:tag>
+ * </vmsnap:vmsnap>
+ *
+ * @param {string} domain the domain to read the tags of
+ * @returns {Promise<Array<string>>} the tags, empty if the domain has no
+ * vmsnap metadata
+ */
+const fetchDomainTags = async (domain) => {
+  const command = [
+    ...getVirshCommand(domain),
+    'metadata',
+    domain,
+    '--uri',
+    METADATA_URI,
+  ];
 
-  const { stdout, stderr } = await asyncExec(command.join(' '));
+  let stdout;
 
-  if (stderr) {
-    throw new Error(stderr);
+  try {
+    // virsh fails when the domain has no metadata in the namespace
+    stdout = await virsh(command);
+  } catch (error) {
+    return [];
   }
 
-  return stdout.split(EOL).filter((d) => d.length > 0);
+  return [...stdout.matchAll(METADATA_TAG_REGEX)]
+    .map(([, tag]) => tag)
+    .filter((tag) => tag !== '');
 };
 
 /**
@@ -104,13 +185,9 @@ const fetchAllDomains = async () => {
  * @returns {Promise<Array<string>} a list of checkpoints for the domain
  */
 const findCheckpoints = async (domain) => {
-  const command = [...getVirshCommand(), 'checkpoint-list', domain, '--name'];
-
-  const { stdout, stderr } = await asyncExec(command.join(' '));
+  const command = [...getVirshCommand(domain), 'checkpoint-list', domain, '--name'];
 
-  if (stderr) {
-    throw new Error(stderr);
-  }
+  const stdout = await virsh(command);
 
   return stdout.split(EOL).filter((c) => c.trim() !== '');
 };
@@ -119,12 +196,21 @@ const findCheckpoints = async (domain) => {
  * Removes all checkpoints from a given domain.
  *
  * @param {string} domain the domain to cleanup checkpoints for
+ * @param {string|undefined} checkpointName only remove this checkpoint
+ * @param {boolean} dryRun true to only work out what would be removed
+ * @returns {Promise<Array<string>>} the checkpoints removed, or that would be
  */
-const cleanupCheckpoints = async (domain, checkpointName = undefined) => {
+const cleanupCheckpoints = async (
+  domain,
+  checkpointName = undefined,
+  dryRun = false,
+) => {
   const checkpoints = await findCheckpoints(domain);
 
+  const removed = [];
+
   if (checkpoints.length === 0) {
-    return;
+    return removed;
   }
 
   for (const checkpoint of checkpoints) {
@@ -139,8 +225,14 @@ const cleanupCheckpoints = async (domain, checkpointName = undefined) => {
       continue
     }
 
+    removed.push(checkpoint);
+
+    if (dryRun) {
+      continue;
+    }
+
     const command = [
-      ...getVirshCommand(),
+      ...getVirshCommand(domain),
       'checkpoint-delete',
       domain,
       checkpoint,
@@ -149,12 +241,10 @@ const cleanupCheckpoints = async (domain, checkpointName = undefined) => {
 
     logger.info(`Removing checkpoint ${checkpoint} from ${domain}`);
 
-    const { stderr } = await asyncExec(command.join(' '));
-
-    if (stderr) {
-      throw new Error(stderr);
-    }
+    await virsh(command);
   }
+
+  return removed;
 };
 
 /**
@@ -166,20 +256,17 @@ const cleanupCheckpoints = async (domain, checkpointName = undefined) => {
 const fetchAllDisks = async (domain) => {
   const diskList = new Map();
 
-  const command = [...getVirshCommand(), 'domblklist', domain, '--details'];
-
-  const { stdout, stderr } = await asyncExec(command.join(' '));
+  const command = [...getVirshCommand(domain), 'domblklist', domain, '--details'];
 
-  if (stderr) {
-    throw new Error(stderr);
-  }
+  const stdout = await virsh(command);
 
   for (const line of stdout.split(EOL).slice(1)) {
-    const words = line.split(' ').filter((d) => d.length > 0);
+    // Type, device and target are single words, the source is the rest of the
+    // line so paths with spaces survive
+    const match = DOMBLKLIST_REGEX.exec(line);
 
-    // Need at least 4 words to get the disk name
-    if (words.length >= 4 && words[1] === 'disk') {
-      diskList.set(words[2], words[3].trim());
+    if (match !== null && match[2] === 'disk') {
+      diskList.set(match[3], match[4]);
     }
   }
 
@@ -190,6 +277,8 @@ export {
   domainExists,
   isDomainRunning,
   fetchAllDomains,
+  fetchDomains,
+  fetchDomainTags,
   findCheckpoints,
   cleanupCheckpoints,
   fetchAllDisks,
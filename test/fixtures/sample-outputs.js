@@ -110,6 +110,7 @@ export const sampleStatus = {
     overallStatus: 0,
     backupDirStats: {
       path: '/backup/test-vm/vmsnap-backup-monthly-2024-03',
+      chain: 1,
       totalFiles: 5,
       totalSize: 1073741824,
       checkpoints: 2
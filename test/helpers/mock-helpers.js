@@ -25,8 +25,7 @@ vmsnap-20240315-100000    2024-03-15 10:00:00 +0000   vmsnap-20240301-100000`,
 
 // Mock external dependencies
 export const mockDependencies = {
-  commandExists: vi.fn(),
-  exec: vi.fn(),
+  execFile: vi.fn(),
   spawn: vi.fn(),
   access: vi.fn(),
   rm: vi.fn(),
@@ -37,12 +36,8 @@ export const mockDependencies = {
 
 // Helper to setup common mocks
 export const setupCommonMocks = () => {
-  vi.mock('command-exists', () => ({
-    default: mockDependencies.commandExists
-  }));
-
   vi.mock('child_process', () => ({
-    exec: mockDependencies.exec,
+    execFile: mockDependencies.execFile,
     spawn: mockDependencies.spawn
   }));
 
@@ -330,8 +330,8 @@ describe('Error Scenarios', () => {
           ]);
 
           // Should either handle the lock or report an error
-          // vmsnap uses lockfile with retries: 10, retryWait: 10000 (100s total)
-          // The lock file is stale (just text) so lockfile should acquire it
+          // vmsnap locks each domain in its lock directory and status takes
+          // no lock, so the old global lock file does not hold it up
           expect(result).toBeDefined();
         } finally {
           await fs.rm(lockFile, { force: true });
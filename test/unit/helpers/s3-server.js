@@ -0,0 +1,304 @@
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+
+/**
+ * A local stand-in for an S3 compatible server, like MinIO, for testing the
+ * s3 replication target without a network.  It keeps objects in memory and
+ * speaks just enough of the API for vmsnap: path style object PUT, HEAD and
+ * DELETE, ListObjectsV2 and multipart uploads.  Requests must carry a
+ * Signature Version 4 authorization header for the expected access key and a
+ * payload hash that matches the body.
+ */
+
+const xml = (body) => `<?xml version="1.0" encoding="UTF-8"?>${body}`;
+
+const escape = (value) =>
+  `${value}`.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+
+const md5 = (data) => `"${createHash('md5').update(data).digest('hex')}"`;
+
+/**
+ * Starts the stand-in on a free port.
+ *
+ * @param {object} options the bucket, the accessKeyId requests must be signed
+ * with and maxKeys, the most keys a listing returns before it is truncated
+ * @returns {Promise<object>} the endpoint, the objects and unfinished uploads
+ * of the bucket, every request seen, failPart to fail the upload of a part
+ * once, failCompletion to answer the next completion of an upload with HTTP
+ * 200 and an error, as S3 may, and close to stop the server
+ */
+export async function startS3Server({ bucket = 'backups', accessKeyId = 'AKIDTEST', maxKeys = 1000 } = {}) {
+  const objects = new Map();
+  const uploads = new Map();
+  const requests = [];
+  const failingParts = new Set();
+  let failingCompletions = 0;
+  let nextUploadId = 1;
+
+  const send = (res, status, body = '', headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml', ...headers });
+    res.end(body);
+  };
+
+  const sendError = (res, status, code, message) =>
+    send(res, status, xml(`<Error><Code>${code}</Code><Message>${message}</Message></Error>`));
+
+  const getMetadata = (headers) =>
+    Object.fromEntries(Object.entries(headers).filter(([name]) => name.startsWith('x-amz-meta-')));
+
+  const listObjects = (res, query) => {
+    const prefix = query.get('prefix') ?? '';
+    const delimiter = query.get('delimiter');
+    const start = query.get('continuation-token') ?? '';
+    const keys = [...objects.keys()].filter((key) => key.startsWith(prefix) && key > start).sort();
+    const contents = [];
+    const prefixes = new Set();
+    let last;
+
+    for (const key of keys) {
+      if (contents.length + prefixes.size >= maxKeys) {
+        break;
+      }
+
+      const rest = key.slice(prefix.length);
+
+      if (delimiter && rest.includes(delimiter)) {
+        const common = `${prefix}${rest.slice(0, rest.indexOf(delimiter) + 1)}`;
+
+        if (prefixes.has(common)) {
+          continue;
+        }
+
+        prefixes.add(common);
+
+        // The next page starts after every key under the common prefix
+        last = `${common}\uffff`;
+      } else {
+        contents.push(key);
+
+        last = key;
+      }
+    }
+
+    const truncated = last !== undefined && keys.some((key) => key > last);
+
+    send(
+      res,
+      200,
+      xml(
+        `<ListBucketResult><Name>${bucket}</Name><Prefix>${escape(prefix)}</Prefix>` +
+          `<IsTruncated>${truncated}</IsTruncated>` +
+          (truncated ? `<NextContinuationToken>${escape(last)}</NextContinuationToken>` : '') +
+          contents
+            .map((key) => {
+              const object = objects.get(key);
+
+              return `<Contents><Key>${escape(key)}</Key><Size>${object.body.length}</Size><LastModified>${object.lastModified}</LastModified><ETag>${object.etag}</ETag></Contents>`;
+            })
+            .join('') +
+          [...prefixes].map((common) => `<CommonPrefixes><Prefix>${escape(common)}</Prefix></CommonPrefixes>`).join('') +
+          '</ListBucketResult>'
+      )
+    );
+  };
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, requestBucket, ...rest] = url.pathname.split('/');
+    const key = rest.map(decodeURIComponent).join('/');
+    const query = url.searchParams;
+
+    requests.push({ method: req.method, key, query: Object.fromEntries(query) });
+
+    if (!`${req.headers.authorization}`.startsWith(`AWS4-HMAC-SHA256 Credential=${accessKeyId}/`)) {
+      return sendError(res, 403, 'AccessDenied', 'Access Denied');
+    }
+
+    if (req.headers['x-amz-content-sha256'] !== createHash('sha256').update(body).digest('hex')) {
+      return sendError(res, 400, 'XAmzContentSHA256Mismatch', 'The payload hash does not match');
+    }
+
+    if (requestBucket !== bucket) {
+      return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    if (key === '' && req.method === 'GET' && query.has('uploads')) {
+      const prefix = query.get('prefix') ?? '';
+
+      return send(
+        res,
+        200,
+        xml(
+          `<ListMultipartUploadsResult><Bucket>${bucket}</Bucket>` +
+            [...uploads.entries()]
+              .filter(([, upload]) => upload.key.startsWith(prefix))
+              .map(
+                ([uploadId, upload]) =>
+                  `<Upload><Key>${escape(upload.key)}</Key><UploadId>${uploadId}</UploadId><Initiated>${upload.initiated}</Initiated></Upload>`
+              )
+              .join('') +
+            '</ListMultipartUploadsResult>'
+        )
+      );
+    }
+
+    if (key === '' && req.method === 'GET') {
+      return listObjects(res, query);
+    }
+
+    if (req.method === 'POST' && query.has('uploads')) {
+      const uploadId = `upload-${nextUploadId++}`;
+
+      uploads.set(uploadId, {
+        key,
+        metadata: getMetadata(req.headers),
+        parts: new Map(),
+        initiated: new Date().toISOString()
+      });
+
+      return send(
+        res,
+        200,
+        xml(`<InitiateMultipartUploadResult><Key>${escape(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`)
+      );
+    }
+
+    if (query.has('uploadId')) {
+      const uploadId = query.get('uploadId');
+      const upload = uploads.get(uploadId);
+
+      if (upload === undefined) {
+        return sendError(res, 404, 'NoSuchUpload', 'The specified upload does not exist');
+      }
+
+      if (req.method === 'PUT') {
+        const number = Number(query.get('partNumber'));
+
+        if (failingParts.delete(number)) {
+          return sendError(res, 400, 'RequestTimeout', 'Your socket connection was closed');
+        }
+
+        upload.parts.set(number, { body, etag: md5(body) });
+
+        return send(res, 200, '', { ETag: md5(body) });
+      }
+
+      if (req.method === 'GET') {
+        return send(
+          res,
+          200,
+          xml(
+            `<ListPartsResult><UploadId>${uploadId}</UploadId><IsTruncated>false</IsTruncated>` +
+              [...upload.parts.entries()]
+                .map(
+                  ([number, part]) =>
+                    `<Part><PartNumber>${number}</PartNumber><ETag>${escape(part.etag)}</ETag><Size>${part.body.length}</Size></Part>`
+                )
+                .join('') +
+              '</ListPartsResult>'
+          )
+        );
+      }
+
+      if (req.method === 'POST') {
+        if (failingCompletions > 0) {
+          failingCompletions--;
+
+          return send(
+            res,
+            200,
+            xml('<Error><Code>InternalError</Code><Message>We encountered an internal error</Message></Error>')
+          );
+        }
+
+        const requested = [...`${body}`.matchAll(/<PartNumber>(\d+)<\/PartNumber><ETag>([^<]+)<\/ETag>/g)];
+        const chunks = [];
+
+        for (const [, number, etag] of requested) {
+          const part = upload.parts.get(Number(number));
+
+          if (part === undefined || part.etag !== etag) {
+            return sendError(res, 400, 'InvalidPart', `Part ${number} was not uploaded`);
+          }
+
+          chunks.push(part.body);
+        }
+
+        const data = Buffer.concat(chunks);
+
+        objects.set(upload.key, {
+          body: data,
+          metadata: upload.metadata,
+          etag: md5(data),
+          lastModified: new Date().toISOString()
+        });
+        uploads.delete(uploadId);
+
+        return send(res, 200, xml(`<CompleteMultipartUploadResult><Key>${escape(upload.key)}</Key></CompleteMultipartUploadResult>`));
+      }
+
+      if (req.method === 'DELETE') {
+        uploads.delete(uploadId);
+
+        return send(res, 204);
+      }
+    }
+
+    if (req.method === 'PUT') {
+      objects.set(key, {
+        body,
+        metadata: getMetadata(req.headers),
+        etag: md5(body),
+        lastModified: new Date().toISOString()
+      });
+
+      return send(res, 200, '', { ETag: md5(body) });
+    }
+
+    if (req.method === 'HEAD') {
+      const object = objects.get(key);
+
+      if (object === undefined) {
+        return send(res, 404);
+      }
+
+      return send(res, 200, undefined, {
+        'Content-Length': object.body.length,
+        'Last-Modified': new Date(object.lastModified).toUTCString(),
+        ETag: object.etag,
+        ...object.metadata
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+
+      return send(res, 204);
+    }
+
+    return sendError(res, 405, 'MethodNotAllowed', 'The method is not allowed');
+  };
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    uploads,
+    requests,
+    failPart: (number) => failingParts.add(number),
+    failCompletion: () => failingCompletions++,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      })
+  };
+}
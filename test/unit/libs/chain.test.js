@@ -0,0 +1,122 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { sep } from 'path';
+import { access, mkdir, mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import {
+  NEW_CHAIN_FILE,
+  clearNewChainRequest,
+  getChainFolder,
+  getChainPath,
+  getNextChainPath,
+  listChainFolders,
+  listChains,
+  readNewChainRequest,
+  requestNewChain
+} from '../../../libs/chain.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(async (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    )
+  )
+}));
+
+// These tests work on real folders in a scratch directory
+const MARCH = 'vmsnap-backup-monthly-2024-03';
+
+describe('chain.js', () => {
+  let vmSnapModule, output, period;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vmSnapModule = await import('../../../vmsnap.js');
+
+    output = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+    period = `${output}${sep}vm1${sep}${MARCH}`;
+
+    await mkdir(`${period}${sep}checkpoints`, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(output, { recursive: true, force: true });
+  });
+
+  describe('chain folders', () => {
+    test('uses the period folder until it has a chain sub-folder', async () => {
+      await expect(listChainFolders(period)).resolves.toEqual([]);
+      await expect(getChainPath(period)).resolves.toBe(period);
+      await expect(getNextChainPath(period)).resolves.toBe(`${period}${sep}chain-2`);
+    });
+
+    test('orders the chain sub-folders by number', async () => {
+      for (const name of ['chain-10', 'chain-2', 'chain-x']) {
+        await mkdir(`${period}${sep}${name}`);
+      }
+
+      await writeFile(`${period}${sep}chain-11`, 'not a folder');
+
+      await expect(listChainFolders(period)).resolves.toEqual([
+        { name: 'chain-2', number: 2, path: `${period}${sep}chain-2` },
+        { name: 'chain-10', number: 10, path: `${period}${sep}chain-10` }
+      ]);
+      await expect(getChainPath(period)).resolves.toBe(`${period}${sep}chain-10`);
+      await expect(getNextChainPath(period)).resolves.toBe(`${period}${sep}chain-11`);
+    });
+
+    test('counts the period folder as the first chain', async () => {
+      await mkdir(`${period}${sep}chain-2`);
+
+      await expect(listChains(period)).resolves.toEqual([
+        { name: null, number: 1, path: period },
+        { name: 'chain-2', number: 2, path: `${period}${sep}chain-2` }
+      ]);
+      await expect(getChainFolder(period, 1)).resolves.toBe(period);
+      await expect(getChainFolder(period, 2)).resolves.toBe(`${period}${sep}chain-2`);
+      await expect(getChainFolder(period, 3)).resolves.toBeUndefined();
+    });
+
+    test('has no chains in a period that was never backed up', async () => {
+      await expect(listChainFolders(`${output}${sep}missing`)).resolves.toEqual([]);
+    });
+  });
+
+  describe('new chain requests', () => {
+    test('records, reads and clears a request', async () => {
+      vi.setSystemTime(new Date('2024-03-15T10:00:00Z'));
+
+      await requestNewChain(output, 'vm2', { problems: [{ type: 'missing-checkpoint' }] });
+
+      await expect(readNewChainRequest(output, 'vm2')).resolves.toEqual({
+        requestedAt: '2024-03-15T10:00:00.000Z',
+        problems: [{ type: 'missing-checkpoint' }]
+      });
+
+      await clearNewChainRequest(output, 'vm2');
+
+      await expect(readNewChainRequest(output, 'vm2')).resolves.toBeUndefined();
+      expect(await readdir(`${output}${sep}vm2`)).toEqual([]);
+    });
+
+    test('still asks for a new chain when the request can not be read', async () => {
+      await writeFile(`${output}${sep}vm1${sep}${NEW_CHAIN_FILE}`, '{"requestedAt":');
+
+      await expect(readNewChainRequest(output, 'vm1')).resolves.toEqual({});
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Unable to read'));
+    });
+
+    test('clears nothing when there is no request', async () => {
+      await expect(clearNewChainRequest(output, 'vm1')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import {
+  getCompressionLevel,
+  getCompressionRatio,
+  getStorageStats,
+  readStreamMetadata
+} from '../../../libs/compression.js';
+
+// Mock external dependencies
+vi.mock('fs/promises', () => ({
+  open: vi.fn(),
+  readdir: vi.fn(),
+  stat: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_BACKUP: 13
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+/**
+ * Builds the start of a virtnbdbackup stream holding the given metadata.
+ */
+const createStream = (metadata) => {
+  const json = JSON.stringify(metadata);
+
+  const header = `meta ${'0'.repeat(16)} ${json.length.toString(16).padStart(16, '0')}\r\n`;
+
+  return Buffer.from(`${header}${json}\r\ndata ...`);
+};
+
+/**
+ * A file handle that reads from a buffer.
+ */
+const createHandle = (contents) => ({
+  read: vi.fn(async (buffer, offset, length, position) => ({
+    bytesRead: contents.copy(buffer, offset, position, position + length)
+  })),
+  close: vi.fn()
+});
+
+describe('compression.js', () => {
+  let fsModule;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fsModule = await import('fs/promises');
+  });
+
+  describe('getCompressionLevel', () => {
+    test('is off unless asked for', () => {
+      expect(getCompressionLevel(undefined)).toBeUndefined();
+      expect(getCompressionLevel(false)).toBeUndefined();
+      expect(getCompressionLevel('false')).toBeUndefined();
+    });
+
+    test('uses the default level for a bare --compress', () => {
+      expect(getCompressionLevel(true)).toBe(true);
+      expect(getCompressionLevel('')).toBe(true);
+    });
+
+    test('accepts levels from 0 to 16', () => {
+      expect(getCompressionLevel(0)).toBe(0);
+      expect(getCompressionLevel('9')).toBe(9);
+      expect(getCompressionLevel(16)).toBe(16);
+    });
+
+    test('rejects anything else', () => {
+      expect(() => getCompressionLevel(17)).toThrow('Invalid compression level: 17.  Use 0 to 16');
+      expect(() => getCompressionLevel('fast')).toThrow('Invalid compression level: fast');
+      expect(() => getCompressionLevel(2.5)).toThrow('Invalid compression level: 2.5');
+    });
+  });
+
+  describe('getCompressionRatio', () => {
+    test('divides the logical size by the stored size', () => {
+      expect(getCompressionRatio(1000, 2500)).toBe(2.5);
+      expect(getCompressionRatio(3000, 1000)).toBe(0.33);
+    });
+
+    test('has no ratio when nothing is stored', () => {
+      expect(getCompressionRatio(0, 0)).toBeNull();
+    });
+  });
+
+  describe('readStreamMetadata', () => {
+    test('reads the metadata frame at the start of a stream', async () => {
+      const handle = createHandle(createStream({ dataSize: 4096, compressed: true }));
+
+      fsModule.open.mockResolvedValue(handle);
+
+      await expect(readStreamMetadata('/backups/vm1/vda.full.data')).resolves.toEqual({
+        dataSize: 4096,
+        compressed: true
+      });
+      expect(handle.close).toHaveBeenCalled();
+    });
+
+    test('returns nothing for files that are not streams', async () => {
+      const handle = createHandle(Buffer.from('QFI\xfb raw disk image'));
+
+      fsModule.open.mockResolvedValue(handle);
+
+      await expect(readStreamMetadata('/backups/vm1/vda.copy.data')).resolves.toBeUndefined();
+      expect(handle.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('getStorageStats', () => {
+    test('compares the data files on disk with the data they hold', async () => {
+      fsModule.readdir.mockResolvedValue([
+        'vda.full.data',
+        'vdb.copy.data',
+        'vmconfig.virtnbdbackup.0.xml',
+        'checkpoints'
+      ]);
+      fsModule.stat
+        .mockResolvedValueOnce({ size: 1000 })
+        .mockResolvedValueOnce({ size: 500 });
+      fsModule.open
+        .mockResolvedValueOnce(createHandle(createStream({ dataSize: 4000, compressed: true })))
+        .mockResolvedValueOnce(createHandle(Buffer.from('raw')));
+
+      const stats = await getStorageStats('/backups/vm1/vmsnap-backup-monthly-2024-03');
+
+      expect(stats).toEqual({
+        storedSize: 1500,
+        logicalSize: 4500,
+        compressionRatio: 3,
+        compressed: true
+      });
+      expect(fsModule.stat).toHaveBeenCalledTimes(2);
+      expect(fsModule.stat).toHaveBeenCalledWith(
+        '/backups/vm1/vmsnap-backup-monthly-2024-03/vda.full.data'
+      );
+    });
+
+    test('has no ratio for an empty folder', async () => {
+      fsModule.readdir.mockResolvedValue([]);
+
+      await expect(getStorageStats('/backups/vm1/vmsnap-backup-monthly-2024-03')).resolves.toEqual({
+        storedSize: 0,
+        logicalSize: 0,
+        compressionRatio: null,
+        compressed: false
+      });
+    });
+  });
+});
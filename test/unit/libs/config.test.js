@@ -0,0 +1,241 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import {
+  DEFAULT_CONFIG_PATH,
+  configureConnections,
+  getDomainOptions,
+  loadConfig,
+  mergeConfig
+} from '../../../libs/config.js';
+
+// Mock external dependencies
+vi.mock('fs/promises', () => ({
+  readFile: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_CONFIG: 12,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }),
+}));
+
+vi.mock('../../../libs/virsh.js', () => ({
+  setDomainUri: vi.fn(),
+  setLibvirtUri: vi.fn()
+}));
+
+const SAMPLE_CONFIG = `
+defaults:
+  output: /backups
+  groupBy: month
+  prune: false
+domains:
+  vm1:
+    groupBy: quarter
+    prune: true
+  vm2:
+    output: /other-backups
+    connect: qemu+ssh://host2/system
+`;
+
+describe('config.js', () => {
+  let fsModule, generalModule, virshModule, vmSnapModule;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    fsModule = await import('fs/promises');
+    generalModule = await import('../../../libs/general.js');
+    virshModule = await import('../../../libs/virsh.js');
+    vmSnapModule = await import('../../../vmsnap.js');
+  });
+
+  describe('loadConfig', () => {
+    test('returns the command line arguments when there is no config file', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      const options = await loadConfig({ _: [], $0: 'vmsnap', domains: 'vm1', backup: true });
+
+      expect(generalModule.fileExists).toHaveBeenCalledWith(DEFAULT_CONFIG_PATH);
+      expect(options).toEqual({
+        domains: 'vm1',
+        backup: true,
+        profiles: {},
+        overrides: { domains: 'vm1', backup: true }
+      });
+    });
+
+    test('throws when an explicit config file is missing', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      await expect(loadConfig({ config: '/nope.yml' })).rejects.toMatchObject({
+        message: 'Config file /nope.yml not found',
+        code: 12
+      });
+    });
+
+    test('throws when the config file cannot be parsed', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue('defaults: [unclosed');
+
+      await expect(loadConfig({ config: '/bad.yml' })).rejects.toMatchObject({
+        code: 12
+      });
+    });
+
+    test('reads and merges the config file', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue(SAMPLE_CONFIG);
+
+      const options = await loadConfig({ config: '/etc/vmsnap/custom.yml', backup: true });
+
+      expect(fsModule.readFile).toHaveBeenCalledWith('/etc/vmsnap/custom.yml', 'utf8');
+      expect(options.output).toBe('/backups');
+      expect(options.domains).toBe('vm1,vm2');
+      expect(options.profiles.vm1).toEqual({ groupBy: 'quarter', prune: true });
+    });
+  });
+
+  describe('mergeConfig', () => {
+    test('lets command line arguments win over the defaults', () => {
+      const options = mergeConfig(
+        { defaults: { output: '/backups', raw: true } },
+        { output: '/cli' }
+      );
+
+      expect(options.output).toBe('/cli');
+      expect(options.raw).toBe(true);
+    });
+
+    test('keeps --domains over the profile names', () => {
+      const options = mergeConfig({ domains: { vm1: {}, vm2: {} } }, { domains: 'vm2' });
+
+      expect(options.domains).toBe('vm2');
+    });
+
+    test('warns about unknown profile settings', () => {
+      mergeConfig({ domains: { vm1: { colour: 'blue' } } }, {});
+
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Ignoring unknown setting colour for vm1'
+      );
+    });
+
+    test('reads exclusions as excludeDisks', () => {
+      const options = mergeConfig(
+        {
+          defaults: { exclusions: 'vdc' },
+          domains: { vm1: { exclusions: ['vdb'] }, vm2: { exclusions: 'vdb', excludeDisks: 'vdd' } }
+        },
+        {}
+      );
+
+      expect(options.excludeDisks).toBe('vdc');
+      expect(options).not.toHaveProperty('exclusions');
+      expect(getDomainOptions(options, 'vm1').excludeDisks).toEqual(['vdb']);
+      expect(getDomainOptions(options, 'vm2').excludeDisks).toBe('vdd');
+      expect(vmSnapModule.logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('keeps the notifications section', () => {
+      const notifications = { webhooks: ['https://hooks.example.com'], onSuccess: true };
+
+      expect(mergeConfig({ notifications }, {}).notifications).toEqual(notifications);
+      expect(mergeConfig({}, {})).not.toHaveProperty('notifications');
+    });
+
+    test('keeps the replication section', () => {
+      const replication = { targets: ['/mnt/nfs/backups'], mirrorPrune: true };
+
+      expect(mergeConfig({ replication }, {}).replication).toEqual(replication);
+      expect(mergeConfig({}, {})).not.toHaveProperty('replication');
+    });
+
+    test('keeps the schedules section', () => {
+      const schedules = [{ name: 'nightly', domains: '*', cron: '0 2 * * *', job: 'backup' }];
+
+      expect(mergeConfig({ schedules }, {}).schedules).toEqual(schedules);
+      expect(mergeConfig({}, {})).not.toHaveProperty('schedules');
+    });
+
+    test('throws when the file is not a mapping', () => {
+      expect(() => mergeConfig(['a', 'b'], {})).toThrow('Config file must contain a mapping');
+    });
+  });
+
+  describe('getDomainOptions', () => {
+    const fileConfig = {
+      defaults: { output: '/backups', groupBy: 'month', prune: false },
+      domains: {
+        vm1: { groupBy: 'quarter', prune: true, backup: false },
+        vm2: { output: '/other-backups' }
+      }
+    };
+
+    test('lays the profile over the defaults', () => {
+      const options = mergeConfig(fileConfig, { backup: true });
+
+      expect(getDomainOptions(options, 'vm1')).toMatchObject({
+        output: '/backups',
+        groupBy: 'quarter',
+        prune: true,
+        backup: true
+      });
+      expect(getDomainOptions(options, 'vm2')).toMatchObject({
+        output: '/other-backups',
+        groupBy: 'month',
+        prune: false
+      });
+    });
+
+    test('lets command line arguments win over the profile', () => {
+      const options = mergeConfig(fileConfig, { groupBy: 'year' });
+
+      expect(getDomainOptions(options, 'vm1').groupBy).toBe('year');
+    });
+
+    test('returns plain options for domains without a profile', () => {
+      expect(getDomainOptions({ output: '/backups' }, 'vm3')).toEqual({ output: '/backups' });
+    });
+  });
+
+  describe('configureConnections', () => {
+    test('sets the global and per-domain connection URIs', () => {
+      configureConnections(
+        mergeConfig(
+          {
+            defaults: { connect: 'qemu:///system' },
+            domains: { vm2: { connect: 'qemu+ssh://host2/system' } }
+          },
+          {}
+        )
+      );
+
+      expect(virshModule.setLibvirtUri).toHaveBeenCalledWith('qemu:///system');
+      expect(virshModule.setDomainUri).toHaveBeenCalledWith('vm2', 'qemu+ssh://host2/system');
+    });
+
+    test('uses only the command line connection URI when given', () => {
+      configureConnections(
+        mergeConfig(
+          { domains: { vm2: { connect: 'qemu+ssh://host2/system' } } },
+          { connect: 'qemu:///session' }
+        )
+      );
+
+      expect(virshModule.setLibvirtUri).toHaveBeenCalledWith('qemu:///session');
+      expect(virshModule.setDomainUri).not.toHaveBeenCalled();
+    });
+  });
+});
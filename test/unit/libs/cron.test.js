@@ -0,0 +1,92 @@
+import { describe, test, expect, vi } from 'vitest';
+import { getNextRun, parseCron } from '../../../libs/cron.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_SCHEDULE: 18
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+// Cron works in local time, so do these tests
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+const next = (expression, after) => getNextRun(parseCron(expression), after);
+
+describe('cron.js', () => {
+  describe('parseCron', () => {
+    test('parses values, ranges, steps and lists', () => {
+      const cron = parseCron('*/15 1-3,22 1 jan-mar mon-fri');
+
+      expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hours]).toEqual([1, 2, 3, 22]);
+      expect([...cron.days]).toEqual([1]);
+      expect([...cron.months]).toEqual([1, 2, 3]);
+      expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+      expect(cron.anyDay).toBe(false);
+      expect(cron.anyWeekday).toBe(false);
+    });
+
+    test('runs a value with a step to the end of the field', () => {
+      expect([...parseCron('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+    });
+
+    test('treats day of week 7 as Sunday', () => {
+      expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+    });
+
+    test('expands the @ shorthands', () => {
+      const cron = parseCron('@daily');
+
+      expect(cron.expression).toBe('@daily');
+      expect([...cron.minutes]).toEqual([0]);
+      expect([...cron.hours]).toEqual([0]);
+    });
+
+    test.each([
+      ['0 2 * *', 'Invalid cron expression 0 2 * *: expected 5 fields'],
+      ['60 * * * *', 'Invalid cron expression 60 * * * *: bad minute 60'],
+      ['0 5-1 * * *', 'Invalid cron expression 0 5-1 * * *: bad hour 5-1'],
+      ['0 0 0 * *', 'Invalid cron expression 0 0 0 * *: bad day of month 0'],
+      ['0 0 * foo *', 'Invalid cron expression 0 0 * foo *: bad month foo'],
+      ['*/0 * * * *', 'Invalid cron expression */0 * * * *: bad minute */0'],
+      [undefined, 'Invalid cron expression undefined: expected 5 fields']
+    ])('rejects %s', (expression, message) => {
+      expect(() => parseCron(expression)).toThrow(expect.objectContaining({ message, code: 18 }));
+    });
+  });
+
+  describe('getNextRun', () => {
+    test('finds the next matching minute after the time given', () => {
+      expect(next('0 2 * * *', at(2024, 3, 15, 10, 0))).toEqual(at(2024, 3, 16, 2, 0));
+      expect(next('0 2 * * *', at(2024, 3, 15, 1, 59))).toEqual(at(2024, 3, 15, 2, 0));
+      expect(next('0 2 * * *', at(2024, 3, 15, 2, 0))).toEqual(at(2024, 3, 16, 2, 0));
+      expect(next('*/15 * * * *', new Date(at(2024, 3, 15, 10, 7).getTime() + 30000))).toEqual(
+        at(2024, 3, 15, 10, 15)
+      );
+    });
+
+    test('carries over into the next month and year', () => {
+      expect(next('30 3 1 * *', at(2024, 3, 15))).toEqual(at(2024, 4, 1, 3, 30));
+      expect(next('@yearly', at(2024, 3, 15))).toEqual(at(2025, 1, 1));
+      expect(next('0 0 29 2 *', at(2024, 3, 15))).toEqual(at(2028, 2, 29));
+    });
+
+    test('matches either day when both day fields are restricted', () => {
+      // The 15th of March 2024 is a Friday
+      expect(next('0 6 20 * mon', at(2024, 3, 15, 10))).toEqual(at(2024, 3, 18, 6));
+      expect(next('0 6 * * mon', at(2024, 3, 15, 10))).toEqual(at(2024, 3, 18, 6));
+      expect(next('0 6 16 * *', at(2024, 3, 15, 10))).toEqual(at(2024, 3, 16, 6));
+    });
+
+    test('never matches an impossible date', () => {
+      expect(next('0 0 30 2 *', at(2024, 3, 15))).toBeUndefined();
+    });
+  });
+});
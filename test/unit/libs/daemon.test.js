@@ -0,0 +1,445 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { loadSchedules, performDaemon } from '../../../libs/daemon.js';
+
+// Mock external dependencies
+vi.mock('fs/promises', () => ({
+  mkdir: vi.fn(),
+  readFile: vi.fn(),
+  rename: vi.fn(),
+  rm: vi.fn(),
+  writeFile: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_SCHEDULE: 18,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }),
+  fileExists: vi.fn(),
+  resolveDomains: vi.fn()
+}));
+
+vi.mock('../../../libs/config.js', () => ({
+  configureConnections: vi.fn(),
+  loadConfig: vi.fn()
+}));
+
+vi.mock('../../../libs/libnbdbackup.js', () => ({
+  performBackup: vi.fn(),
+  performPrune: vi.fn(),
+  RESULT_SUCCESS: 'success',
+  RESULT_FAILED: 'failed'
+}));
+
+vi.mock('../../../libs/verify.js', () => ({
+  performVerify: vi.fn()
+}));
+
+vi.mock('../../../libs/metrics.js', () => ({
+  exportMetrics: vi.fn()
+}));
+
+// Cron works in local time, so do these tests
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+const STATE_FILE = '/var/lib/vmsnap/daemon.json';
+
+const MINUTE = 60 * 1000;
+
+describe('daemon.js', () => {
+  let vmSnapModule, fsModule, generalModule, configModule, backupModule, verifyModule, metricsModule;
+
+  // The signal handlers the daemon registered
+  let handlers;
+
+  // Resolves once the daemon stops
+  let daemon;
+
+  const nightly = { name: 'nightly', domains: 'vm1', cron: '0 2 * * *' };
+
+  // Resolves once the promise settles, letting everything it waits on run
+  const flush = () => vi.advanceTimersByTimeAsync(0);
+
+  const start = async (options) => {
+    daemon = performDaemon({ stateFile: STATE_FILE, ...options });
+
+    await flush();
+  };
+
+  const stop = async () => {
+    handlers.SIGTERM();
+
+    await flush();
+
+    await daemon;
+  };
+
+  const lastState = () => JSON.parse(fsModule.writeFile.mock.calls.at(-1)[1]);
+
+  const deferred = () => {
+    let resolve;
+
+    const promise = new Promise((done) => {
+      resolve = done;
+    });
+
+    return { promise, resolve };
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(at(2024, 3, 15, 1, 59));
+
+    vmSnapModule = await import('../../../vmsnap.js');
+    fsModule = await import('fs/promises');
+    generalModule = await import('../../../libs/general.js');
+    configModule = await import('../../../libs/config.js');
+    backupModule = await import('../../../libs/libnbdbackup.js');
+    verifyModule = await import('../../../libs/verify.js');
+    metricsModule = await import('../../../libs/metrics.js');
+
+    generalModule.fileExists.mockResolvedValue(false);
+    generalModule.resolveDomains.mockImplementation(async (domains) => domains.split(','));
+    backupModule.performBackup.mockImplementation(async ({ domains }) => [{ domain: domains, result: 'success' }]);
+
+    handlers = {};
+
+    const on = process.on.bind(process);
+
+    vi.spyOn(process, 'on').mockImplementation((event, handler) => {
+      if (!['SIGHUP', 'SIGTERM', 'SIGINT'].includes(event)) {
+        return on(event, handler);
+      }
+
+      handlers[event] = handler;
+
+      return process;
+    });
+
+    vi.spyOn(process, 'off').mockImplementation((event) => {
+      delete handlers[event];
+
+      return process;
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('performDaemon', () => {
+    test('runs a job when its schedule is due and records the run', async () => {
+      await start({ schedules: [nightly], output: '/backup' });
+
+      expect(backupModule.performBackup).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalledWith(
+        expect.objectContaining({ domains: 'vm1', exclude: undefined, output: '/backup' })
+      );
+
+      await stop();
+
+      expect(fsModule.rename).toHaveBeenCalledWith(
+        expect.stringMatching(new RegExp(`^${STATE_FILE}\\.${process.pid}\\.[0-9a-f-]{36}\\.tmp$`)),
+        STATE_FILE
+      );
+      expect(lastState()).toEqual({
+        schedules: {
+          nightly: {
+            seenAt: at(2024, 3, 15, 1, 59).toISOString(),
+            lastRunAt: at(2024, 3, 15, 2).toISOString(),
+            lastResult: 'success'
+          }
+        },
+        runs: [
+          {
+            schedule: 'nightly',
+            job: 'backup',
+            dueAt: at(2024, 3, 15, 2).toISOString(),
+            startedAt: at(2024, 3, 15, 2).toISOString(),
+            finishedAt: at(2024, 3, 15, 2).toISOString(),
+            result: 'success',
+            error: null,
+            results: [{ domain: 'vm1', result: 'success' }]
+          }
+        ]
+      });
+      expect(handlers).toEqual({});
+    });
+
+    test('catches up on a run missed while it was down', async () => {
+      vi.setSystemTime(at(2024, 3, 15, 10));
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue(
+        JSON.stringify({ schedules: { nightly: { lastRunAt: at(2024, 3, 14, 2).toISOString() } }, runs: [] })
+      );
+
+      await start({ schedules: [nightly] });
+
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        `Catching up on nightly, its run at ${at(2024, 3, 15, 2).toISOString()} was missed`
+      );
+      expect(backupModule.performBackup).toHaveBeenCalledTimes(1);
+
+      await stop();
+
+      // Run once for every run missed, not once for each
+      expect(lastState().schedules.nightly.lastRunAt).toBe(at(2024, 3, 15, 2).toISOString());
+    });
+
+    test('does not run a new schedule until it is next due', async () => {
+      vi.setSystemTime(at(2024, 3, 15, 10));
+
+      await start({ schedules: [nightly] });
+
+      await stop();
+
+      expect(backupModule.performBackup).not.toHaveBeenCalled();
+      expect(lastState().schedules.nightly).toEqual({ seenAt: at(2024, 3, 15, 10).toISOString() });
+    });
+
+    test('waits for a domain another job is working on', async () => {
+      const backup = deferred();
+
+      backupModule.performBackup.mockReturnValue(backup.promise);
+
+      await start({
+        schedules: [
+          nightly,
+          { name: 'check', domains: 'vm1', cron: '0 2 * * *', job: 'verify' },
+          { name: 'tidy', domains: 'vm2', cron: '0 2 * * *', job: 'prune' }
+        ]
+      });
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalled();
+      expect(backupModule.performPrune).toHaveBeenCalledWith(expect.objectContaining({ domains: 'vm2' }));
+      expect(verifyModule.performVerify).not.toHaveBeenCalled();
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('check is waiting for vm1 to be free');
+
+      backup.resolve([]);
+
+      await flush();
+
+      expect(verifyModule.performVerify).toHaveBeenCalledWith(expect.objectContaining({ domains: 'vm1' }));
+
+      await stop();
+    });
+
+    test('skips a run while the last run of the schedule has not finished', async () => {
+      const backup = deferred();
+
+      backupModule.performBackup.mockReturnValue(backup.promise);
+
+      await start({ schedules: [{ ...nightly, cron: '@hourly' }] });
+
+      await vi.advanceTimersByTimeAsync(MINUTE + 60 * MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalledTimes(1);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        `Skipping the run of nightly due at ${at(2024, 3, 15, 3).toISOString()}, its last run has not finished`
+      );
+
+      backup.resolve([]);
+
+      await stop();
+    });
+
+    test('writes the state file one run at a time', async () => {
+      const write = deferred();
+
+      await start({ schedules: [nightly, { name: 'tidy', domains: 'vm2', cron: '0 2 * * *', job: 'prune' }] });
+
+      fsModule.writeFile.mockClear();
+      fsModule.writeFile.mockReturnValueOnce(write.promise);
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(backupModule.performPrune).toHaveBeenCalled();
+      expect(fsModule.writeFile).toHaveBeenCalledTimes(1);
+
+      write.resolve();
+
+      await flush();
+
+      const tempFiles = fsModule.writeFile.mock.calls.map(([file]) => file);
+
+      expect(tempFiles).toHaveLength(2);
+      expect(new Set(tempFiles).size).toBe(2);
+      expect(lastState().runs.map(({ schedule }) => schedule)).toEqual(['nightly', 'tidy']);
+
+      await stop();
+    });
+
+    test('records a failed run and carries on', async () => {
+      const results = [
+        { domain: 'vm1', result: 'failed', exitCode: 2, duration: 1200 },
+        { domain: 'vm2', result: 'success', exitCode: 0, duration: 3400 }
+      ];
+
+      backupModule.performBackup.mockRejectedValue(Object.assign(new Error('Backups failed for: vm1'), { results }));
+
+      await start({ schedules: [{ ...nightly, cron: '@hourly' }], metricsFile: '/metrics/vmsnap.prom' });
+
+      await vi.advanceTimersByTimeAsync(MINUTE + 60 * MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalledTimes(2);
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith('The backup job nightly failed: Backups failed for: vm1');
+      expect(metricsModule.exportMetrics).toHaveBeenCalledTimes(2);
+
+      await stop();
+
+      expect(lastState().runs).toHaveLength(2);
+      expect(lastState().runs[0]).toMatchObject({ result: 'failed', error: 'Backups failed for: vm1', results });
+      expect(lastState().schedules.nightly.lastResult).toBe('failed');
+    });
+
+    test('keeps ticking after a tick fails', async () => {
+      generalModule.resolveDomains.mockResolvedValueOnce(null);
+
+      await start({ schedules: [{ ...nightly, cron: '@hourly' }] });
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        expect.stringMatching(/^Unable to run the schedules: /)
+      );
+      expect(backupModule.performBackup).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(60 * MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalledTimes(1);
+
+      await stop();
+    });
+
+    test('reloads the config file on SIGHUP', async () => {
+      const overrides = { config: '/etc/vmsnap/daemon.yml', daemon: true };
+
+      configModule.loadConfig.mockResolvedValue({
+        overrides,
+        schedules: [{ ...nightly, cron: '30 1 * * *' }, { name: 'weekly', domains: 'vm2', cron: '@weekly' }]
+      });
+
+      await start({ schedules: [nightly], overrides });
+
+      handlers.SIGHUP();
+
+      await flush();
+
+      expect(configModule.loadConfig).toHaveBeenCalledWith(overrides);
+      expect(configModule.configureConnections).toHaveBeenCalled();
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Reloaded the config, 2 schedules: nightly (30 1 * * *), weekly (@weekly)'
+      );
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(backupModule.performBackup).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(23 * 60 * MINUTE + 30 * MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalledTimes(1);
+
+      await stop();
+    });
+
+    test('keeps its schedules when the reloaded config can not be used', async () => {
+      configModule.loadConfig.mockResolvedValue({ schedules: [] });
+
+      await start({ schedules: [nightly] });
+
+      handlers.SIGHUP();
+
+      await flush();
+
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        'Unable to reload the config: No schedules in the config file'
+      );
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      expect(backupModule.performBackup).toHaveBeenCalled();
+
+      await stop();
+    });
+
+    test('waits for the running jobs before it stops', async () => {
+      const backup = deferred();
+
+      backupModule.performBackup.mockReturnValue(backup.promise);
+
+      await start({ schedules: [nightly] });
+
+      await vi.advanceTimersByTimeAsync(MINUTE);
+
+      let stopped = false;
+
+      handlers.SIGINT();
+
+      daemon.then(() => {
+        stopped = true;
+      });
+
+      await flush();
+
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('Stopping once nightly finish');
+      expect(stopped).toBe(false);
+
+      backup.resolve([]);
+
+      await flush();
+
+      expect(stopped).toBe(true);
+    });
+
+    test('refuses a state file it can not read', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue('{"schedules":');
+
+      await expect(performDaemon({ stateFile: STATE_FILE, schedules: [nightly] })).rejects.toMatchObject({
+        message: expect.stringContaining(`Unable to read ${STATE_FILE}`),
+        code: 18
+      });
+    });
+  });
+
+  describe('loadSchedules', () => {
+    test('names a schedule after its job and domains', () => {
+      const [schedule] = loadSchedules({ schedules: [{ domains: '@tag:prod', exclude: 'db*', cron: '0 2 * * *' }] });
+
+      expect(schedule).toMatchObject({
+        name: 'backup @tag:prod',
+        domains: '@tag:prod',
+        exclude: 'db*',
+        job: 'backup',
+        cron: { expression: '0 2 * * *' }
+      });
+    });
+
+    test.each([
+      [undefined, 'No schedules in the config file'],
+      [[{ cron: '0 2 * * *' }], 'No domains for schedule 1'],
+      [[{ ...nightly, job: 'scrub' }], 'Invalid job scrub for nightly, use backup, verify, prune'],
+      [[nightly, nightly], 'More than one schedule is named nightly'],
+      [[{ ...nightly, cron: '0 2 * *' }], 'Invalid cron expression 0 2 * *: expected 5 fields'],
+      [[{ ...nightly, cron: '0 0 31 2 *' }], 'The cron expression 0 0 31 2 * of nightly never matches']
+    ])('rejects %j', (schedules, message) => {
+      expect(() => loadSchedules({ schedules })).toThrow(expect.objectContaining({ message, code: 18 }));
+    });
+  });
+});
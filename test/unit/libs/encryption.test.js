@@ -0,0 +1,334 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { sep } from 'path';
+import { access, chmod, mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'fs/promises';
+import {
+  encryptFolder,
+  getEncryptionState,
+  getKeyId,
+  loadKey,
+  readManifest,
+  withDecryptedFolder
+} from '../../../libs/encryption.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_BACKUP: 13,
+  ERR_ENCRYPTION: 14,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', async (importOriginal) => {
+  const actual = await importOriginal();
+
+  return { ...actual, rename: vi.fn(actual.rename), statfs: vi.fn(actual.statfs) };
+});
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(async (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    )
+  ),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+// These tests encrypt and decrypt real files in a scratch directory
+const KEY = Buffer.alloc(32, 1);
+
+const OTHER_KEY = Buffer.alloc(32, 2);
+
+/**
+ * Builds a virtnbdbackup stream with a metadata frame and some data.
+ */
+const createStream = (metadata, data) => {
+  const json = JSON.stringify(metadata);
+
+  const header = `meta ${'0'.repeat(16)} ${json.length.toString(16).padStart(16, '0')}\r\n`;
+
+  return Buffer.concat([Buffer.from(`${header}${json}\r\n`), data]);
+};
+
+describe('encryption.js', () => {
+  let vmSnapModule, scratch, folder;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vmSnapModule = await import('../../../vmsnap.js');
+
+    scratch = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+    folder = `${scratch}${sep}vmsnap-backup-monthly-2024-03`;
+
+    await mkdir(`${folder}${sep}checkpoints`, { recursive: true });
+    await writeFile(
+      `${folder}${sep}vda.full.data`,
+      createStream({ dataSize: 4096, compressed: true }, Buffer.alloc(100_000, 'a'))
+    );
+    await writeFile(`${folder}${sep}vda.full.data.chksum`, '12345');
+    await writeFile(`${folder}${sep}vmconfig.virtnbdbackup.0.xml`, '<domain/>');
+    await writeFile(`${folder}${sep}checkpoints${sep}virtnbdbackup.0.xml`, '<checkpoint/>');
+  });
+
+  afterEach(async () => {
+    await rm(scratch, { recursive: true, force: true });
+  });
+
+  describe('loadKey', () => {
+    test('reads raw, hex and base64 keys', async () => {
+      const file = `${scratch}${sep}key`;
+
+      await writeFile(file, KEY, { mode: 0o600 });
+      await expect(loadKey(file)).resolves.toEqual(KEY);
+
+      await writeFile(file, `${KEY.toString('hex')}\n`);
+      await expect(loadKey(file)).resolves.toEqual(KEY);
+
+      await writeFile(file, KEY.toString('base64'));
+      await expect(loadKey(file)).resolves.toEqual(KEY);
+
+      expect(vmSnapModule.logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('rejects files that do not hold a 256-bit key', async () => {
+      const file = `${scratch}${sep}key`;
+
+      await writeFile(file, 'hunter2', { mode: 0o600 });
+
+      await expect(loadKey(file)).rejects.toThrow(`Key file ${file} does not hold a 256-bit key`);
+    });
+
+    test('rejects missing key files', async () => {
+      const error = await loadKey(`${scratch}${sep}missing`).catch((err) => err);
+
+      expect(error.message).toMatch(/^Unable to read key file .*missing/);
+      expect(error.code).toBe(14);
+    });
+
+    test('warns when other users can read the key file', async () => {
+      const file = `${scratch}${sep}key`;
+
+      await writeFile(file, KEY);
+      await chmod(file, 0o644);
+
+      await loadKey(file);
+
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        `Key file ${file} can be read by other users`
+      );
+    });
+  });
+
+  describe('encryptFolder', () => {
+    test('replaces the data files with encrypted ones and records them', async () => {
+      const encrypted = await encryptFolder(folder, KEY);
+
+      expect(encrypted).toEqual(['vda.full.data']);
+      expect((await readdir(folder)).sort()).toEqual([
+        'checkpoints',
+        'vda.full.data.chksum',
+        'vda.full.data.enc',
+        'vmconfig.virtnbdbackup.0.xml',
+        'vmsnap-encryption.json'
+      ]);
+
+      const contents = await readFile(`${folder}${sep}vda.full.data.enc`);
+
+      expect(contents.subarray(0, 8).toString()).toBe('VMSNAPE1');
+      expect(contents.includes(Buffer.alloc(64, 'a'))).toBe(false);
+
+      const manifest = await readManifest(folder);
+
+      expect(manifest.cipher).toBe('aes-256-gcm');
+      expect(manifest.keyId).toBe(getKeyId(KEY));
+      expect(manifest.files).toEqual([
+        expect.objectContaining({ name: 'vda.full.data', dataSize: 4096, compressed: true })
+      ]);
+    });
+
+    test('only encrypts files added since the last run', async () => {
+      await encryptFolder(folder, KEY);
+
+      await writeFile(
+        `${folder}${sep}vda.inc.virtnbdbackup.1.data`,
+        createStream({ dataSize: 512, compressed: false }, Buffer.alloc(512, 'b'))
+      );
+
+      await expect(encryptFolder(folder, KEY)).resolves.toEqual(['vda.inc.virtnbdbackup.1.data']);
+
+      const manifest = await readManifest(folder);
+
+      expect(manifest.files.map(({ name }) => name)).toEqual([
+        'vda.full.data',
+        'vda.inc.virtnbdbackup.1.data'
+      ]);
+    });
+
+    test('refuses to mix keys in a folder', async () => {
+      await encryptFolder(folder, KEY);
+
+      await expect(encryptFolder(folder, OTHER_KEY)).rejects.toThrow(
+        `${folder} was encrypted with a different key`
+      );
+    });
+
+    test('writes the manifest under a temporary name and renames it into place', async () => {
+      const fsModule = await import('fs/promises');
+
+      await encryptFolder(folder, KEY);
+
+      const manifest = `${folder}${sep}vmsnap-encryption.json`;
+
+      expect(fsModule.rename).toHaveBeenCalledWith(`${manifest}.tmp`, manifest);
+      expect(await readdir(folder)).not.toContain('vmsnap-encryption.json.tmp');
+    });
+
+    test('refuses to encrypt a folder whose manifest can not be read', async () => {
+      await encryptFolder(folder, KEY);
+
+      const manifest = `${folder}${sep}vmsnap-encryption.json`;
+
+      await writeFile(manifest, '{"cipher":');
+      await writeFile(
+        `${folder}${sep}vda.inc.virtnbdbackup.1.data`,
+        createStream({ dataSize: 512, compressed: false }, Buffer.alloc(512, 'b'))
+      );
+
+      const error = await encryptFolder(folder, KEY).catch((err) => err);
+
+      expect(error.message).toMatch(new RegExp(`^Unable to read ${manifest}: `));
+      expect(error.code).toBe(14);
+      expect(await readFile(manifest, 'utf8')).toBe('{"cipher":');
+      expect(await readdir(folder)).toContain('vda.inc.virtnbdbackup.1.data');
+    });
+  });
+
+  describe('withDecryptedFolder', () => {
+    let keyFile, stagingDir;
+
+    beforeEach(async () => {
+      keyFile = `${scratch}${sep}key`;
+      stagingDir = `${scratch}${sep}staging`;
+
+      await writeFile(keyFile, KEY.toString('hex'), { mode: 0o600 });
+    });
+
+    test('passes folders that are not encrypted straight through', async () => {
+      const callback = vi.fn(async () => 0);
+
+      await expect(withDecryptedFolder(folder, undefined, stagingDir, callback)).resolves.toBe(0);
+      expect(callback).toHaveBeenCalledWith(folder);
+    });
+
+    test('decrypts into a staging directory that is removed afterwards', async () => {
+      const original = await readFile(`${folder}${sep}vda.full.data`);
+
+      await encryptFolder(folder, KEY);
+
+      let staging;
+
+      const result = await withDecryptedFolder(folder, keyFile, stagingDir, async (input) => {
+        staging = input;
+
+        expect(input.startsWith(`${stagingDir}${sep}vmsnap-decrypt-`)).toBe(true);
+        expect((await stat(input)).mode & 0o777).toBe(0o700);
+        expect((await readdir(input)).sort()).toEqual([
+          'checkpoints',
+          'vda.full.data',
+          'vda.full.data.chksum',
+          'vmconfig.virtnbdbackup.0.xml'
+        ]);
+        expect(await readFile(`${input}${sep}vda.full.data`)).toEqual(original);
+        expect(await readFile(`${input}${sep}checkpoints${sep}virtnbdbackup.0.xml`, 'utf8')).toBe(
+          '<checkpoint/>'
+        );
+
+        return 0;
+      });
+
+      expect(result).toBe(0);
+      await expect(access(staging)).rejects.toThrow();
+      await expect(access(`${folder}${sep}vda.full.data.enc`)).resolves.toBeUndefined();
+    });
+
+    test('needs a key for an encrypted folder', async () => {
+      await encryptFolder(folder, KEY);
+
+      await expect(withDecryptedFolder(folder, undefined, stagingDir, vi.fn())).rejects.toThrow(
+        `${folder} is encrypted, pass --encrypt-key to decrypt it`
+      );
+    });
+
+    test('refuses a key that did not encrypt the folder', async () => {
+      await encryptFolder(folder, OTHER_KEY);
+
+      await expect(withDecryptedFolder(folder, keyFile, stagingDir, vi.fn())).rejects.toThrow(
+        `The key in ${keyFile} can not decrypt ${folder}`
+      );
+    });
+
+    test('fails on a file that was tampered with', async () => {
+      await encryptFolder(folder, KEY);
+
+      const file = `${folder}${sep}vda.full.data.enc`;
+
+      const contents = await readFile(file);
+
+      contents[100] ^= 0xff;
+
+      await writeFile(file, contents);
+
+      const callback = vi.fn();
+
+      await expect(withDecryptedFolder(folder, keyFile, stagingDir, callback)).rejects.toThrow(
+        `Unable to decrypt ${file}`
+      );
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('refuses to decrypt into a directory without room for the data', async () => {
+      const fsModule = await import('fs/promises');
+
+      await encryptFolder(folder, KEY);
+
+      fsModule.statfs.mockResolvedValueOnce({ bavail: 10, bsize: 4096 });
+
+      const callback = vi.fn();
+
+      await expect(withDecryptedFolder(folder, keyFile, stagingDir, callback)).rejects.toMatchObject({
+        message: `Not enough space in ${stagingDir} to decrypt ${folder}, 100 kB needed and 41 kB free`,
+        code: 14
+      });
+      expect(callback).not.toHaveBeenCalled();
+      expect(await readdir(stagingDir)).toEqual([]);
+    });
+  });
+
+  describe('getEncryptionState', () => {
+    test('reports folders that are not encrypted', () => {
+      expect(getEncryptionState(undefined, KEY)).toEqual({ encrypted: false, decryptable: null });
+    });
+
+    test('reports if the key can decrypt the folder', () => {
+      const manifest = { keyId: getKeyId(KEY), files: [] };
+
+      expect(getEncryptionState(manifest, KEY)).toEqual({ encrypted: true, decryptable: true });
+      expect(getEncryptionState(manifest, OTHER_KEY)).toEqual({
+        encrypted: true,
+        decryptable: false
+      });
+      expect(getEncryptionState(manifest, undefined)).toEqual({
+        encrypted: true,
+        decryptable: false
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { commandExists, execute, formatCommand, spawnCommand } from '../../../libs/exec.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+// These tests run real processes, node stands in for virsh and friends
+const NODE = process.execPath;
+
+// Prints the arguments the script was given as JSON
+const ECHO_ARGS = 'process.stdout.write(JSON.stringify(process.argv.slice(1)))';
+
+// Arguments a shell would split, expand or run
+const HOSTILE_ARGS = [
+  'my vm',
+  '/var/lib/libvirt/images/disk with spaces.qcow2',
+  'vm; rm -rf /',
+  '$(touch /tmp/vmsnap-pwned)',
+  '`id`',
+  "it's \"quoted\"",
+  'a|b&c>d<e',
+  '*',
+  '~',
+  'line\nbreak'
+];
+
+describe('exec.js', () => {
+  let vmSnapModule;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vmSnapModule = await import('../../../vmsnap.js');
+  });
+
+  describe('execute', () => {
+    test('passes arguments with spaces and shell metacharacters through untouched', async () => {
+      const { stdout, stderr } = await execute(NODE, ['-e', ECHO_ARGS, ...HOSTILE_ARGS]);
+
+      expect(JSON.parse(stdout)).toEqual(HOSTILE_ARGS);
+      expect(stderr).toBe('');
+    });
+
+    test('rejects with the exit code and stderr when the program fails', async () => {
+      const error = await execute(NODE, [
+        '-e',
+        'process.stdout.write("partial"); process.stderr.write("Domain not found\\n"); process.exit(3)'
+      ]).catch((err) => err);
+
+      expect(error.message).toBe(`${NODE} exited with code 3: Domain not found`);
+      expect(error.exitCode).toBe(3);
+      expect(error.stdout).toBe('partial');
+      expect(error.stderr).toBe('Domain not found\n');
+      expect(error.command[0]).toBe(NODE);
+    });
+
+    test('rejects when the program does not exist', async () => {
+      const error = await execute('vmsnap-no-such-program', ['a b']).catch((err) => err);
+
+      expect(error.message).toBe('vmsnap-no-such-program could not be run (ENOENT)');
+      expect(error.exitCode).toBeNull();
+      expect(error.command).toEqual(['vmsnap-no-such-program', 'a b']);
+    });
+  });
+
+  describe('spawnCommand', () => {
+    test('resolves with the exit code', async () => {
+      await expect(spawnCommand(NODE, ['-e', 'process.exit(4)'])).resolves.toBe(4);
+    });
+
+    test('logs piped output line by line', async () => {
+      const code = await spawnCommand(
+        NODE,
+        ['-e', 'console.log("one\\ntwo"); console.error("oops")'],
+        { pipeOutput: true }
+      );
+
+      expect(code).toBe(0);
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('one');
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('two');
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith('oops');
+    });
+
+    test('passes arguments with spaces and shell metacharacters through untouched', async () => {
+      await spawnCommand(NODE, ['-e', ECHO_ARGS, ...HOSTILE_ARGS], { pipeOutput: true });
+
+      expect(JSON.parse(vmSnapModule.logger.info.mock.calls[0][0])).toEqual(HOSTILE_ARGS);
+    });
+
+    test('rejects when the program does not exist', async () => {
+      await expect(spawnCommand('vmsnap-no-such-program')).rejects.toThrow(
+        'vmsnap-no-such-program could not be run (ENOENT)'
+      );
+    });
+  });
+
+  describe('formatCommand', () => {
+    test('quotes only the arguments a shell would act on', () => {
+      expect(
+        formatCommand('virtnbdbackup', ['-d', 'my vm', '-o', '/backups/vm1', '-U', 'qemu:///system'])
+      ).toBe("virtnbdbackup -d 'my vm' -o /backups/vm1 -U qemu:///system");
+    });
+
+    test('escapes single quotes and shows empty arguments', () => {
+      expect(formatCommand('virsh', ["it's", '', '$(id)'])).toBe(`virsh 'it'\\''s' '' '$(id)'`);
+    });
+  });
+
+  describe('commandExists', () => {
+    test('finds programs on the PATH', async () => {
+      await expect(commandExists('sh')).resolves.toBe(true);
+    });
+
+    test('does not find missing programs', async () => {
+      await expect(commandExists('vmsnap-no-such-program')).resolves.toBe(false);
+    });
+
+    test('never runs the program name through the shell', async () => {
+      await expect(commandExists('sh; exit 0')).resolves.toBe(false);
+      await expect(commandExists('$(echo sh)')).resolves.toBe(false);
+    });
+  });
+});
@@ -4,22 +4,29 @@ import {
   checkCommand,
   fileExists,
   findKeyByValue,
+  getDirectorySize,
   parseArrayParam,
+  parseDuration,
+  resolveDomains,
   scrubCheckpointsAndBitmaps
 } from '../../../libs/general.js';
 
 // Mock external dependencies
-vi.mock('command-exists', () => ({
-  default: vi.fn()
+vi.mock('../../../libs/exec.js', () => ({
+  commandExists: vi.fn()
 }));
 
 vi.mock('fs/promises', () => ({
-  access: vi.fn()
+  access: vi.fn(),
+  readdir: vi.fn(),
+  stat: vi.fn()
 }));
 
 // Mock virsh and qemu-img modules
 vi.mock('../../../libs/virsh.js', () => ({
   fetchAllDomains: vi.fn(),
+  fetchDomains: vi.fn(),
+  fetchDomainTags: vi.fn(),
   cleanupCheckpoints: vi.fn(),
   VIRSH: 'virsh'
 }));
@@ -33,7 +40,25 @@ vi.mock('../../../libs/libnbdbackup.js', () => ({
   BACKUP: 'virtnbdbackup'
 }));
 
+vi.mock('../../../libs/libnbdrestore.js', () => ({
+  RESTORE: 'virtnbdrestore'
+}));
+
+vi.mock('../../../libs/print.js', () => ({
+  printPlan: vi.fn()
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+vi.mock('../../../libs/notify.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  notify: vi.fn()
+}));
+
 vi.mock('../../../vmsnap.js', () => ({
+  ERR_CONFIG: 12,
   ERR_DOMAINS: 1,
   ERR_INVALID_SCRUB_TYPE: 5,
   ERR_REQS: 4,
@@ -41,6 +66,7 @@ vi.mock('../../../vmsnap.js', () => ({
   ERR_TOO_MANY_COMMANDS: 7,
   logger: {
     info: vi.fn(),
+    warn: vi.fn(),
     error: vi.fn()
   }
 }));
@@ -52,35 +78,47 @@ describe('general.js', () => {
 
   describe('checkDependencies', () => {
     test('passes when all dependencies exist', async () => {
-      const commandExists = await import('command-exists');
-      commandExists.default.mockResolvedValue(true);
+      const { commandExists } = await import('../../../libs/exec.js');
+      commandExists.mockResolvedValue(true);
 
       await expect(checkDependencies()).resolves.not.toThrow();
-      expect(commandExists.default).toHaveBeenCalledTimes(3);
-      expect(commandExists.default).toHaveBeenCalledWith('virsh');
-      expect(commandExists.default).toHaveBeenCalledWith('qemu-img');
-      expect(commandExists.default).toHaveBeenCalledWith('virtnbdbackup');
+      expect(commandExists).toHaveBeenCalledTimes(3);
+      expect(commandExists).toHaveBeenCalledWith('virsh');
+      expect(commandExists).toHaveBeenCalledWith('qemu-img');
+      expect(commandExists).toHaveBeenCalledWith('virtnbdbackup');
     });
 
     test('throws when dependencies are missing', async () => {
-      const commandExists = await import('command-exists');
-      commandExists.default
+      const { commandExists } = await import('../../../libs/exec.js');
+      commandExists
         .mockResolvedValueOnce(true)  // virsh exists
-        .mockRejectedValueOnce(new Error('not found'))  // qemu-img missing
+        .mockResolvedValueOnce(false)  // qemu-img missing
         .mockResolvedValueOnce(true);  // virtnbdbackup exists
 
       await expect(checkDependencies()).rejects.toThrow('Missing dependencies (qemu-img)');
     });
 
     test('throws when multiple dependencies are missing', async () => {
-      const commandExists = await import('command-exists');
-      commandExists.default
-        .mockRejectedValueOnce(new Error('not found'))  // virsh missing
-        .mockRejectedValueOnce(new Error('not found'))  // qemu-img missing
+      const { commandExists } = await import('../../../libs/exec.js');
+      commandExists
+        .mockResolvedValueOnce(false)  // virsh missing
+        .mockResolvedValueOnce(false)  // qemu-img missing
         .mockResolvedValueOnce(true);  // virtnbdbackup exists
 
       await expect(checkDependencies()).rejects.toThrow('Missing dependencies (virsh, qemu-img)');
     });
+
+    test('also requires virtnbdrestore when restoring', async () => {
+      const { commandExists } = await import('../../../libs/exec.js');
+      commandExists
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);  // virtnbdrestore missing
+
+      await expect(checkDependencies({ restore: true })).rejects.toThrow('Missing dependencies (virtnbdrestore)');
+      expect(commandExists).toHaveBeenCalledWith('virtnbdrestore');
+    });
   });
 
   describe('checkCommand', () => {
@@ -107,6 +145,41 @@ describe('general.js', () => {
       expect(() => checkCommand({ status: true, scrub: true, backup: true }))
         .toThrow('Only one command can be run at a time');
     });
+
+    test('counts restore as a command', () => {
+      expect(() => checkCommand({ restore: true })).not.toThrow();
+
+      expect(() => checkCommand({ backup: true, restore: true }))
+        .toThrow('Only one command can be run at a time');
+    });
+
+    test('counts verify as a command', () => {
+      expect(() => checkCommand({ verify: true })).not.toThrow();
+
+      expect(() => checkCommand({ verify: true, restore: true }))
+        .toThrow('Only one command can be run at a time');
+    });
+
+    test('counts history as a command', () => {
+      expect(() => checkCommand({ history: true })).not.toThrow();
+
+      expect(() => checkCommand({ history: true, backup: true }))
+        .toThrow('Only one command can be run at a time');
+    });
+
+    test('counts repair as a command', () => {
+      expect(() => checkCommand({ repair: true })).not.toThrow();
+
+      expect(() => checkCommand({ repair: true, status: true }))
+        .toThrow('Only one command can be run at a time');
+    });
+
+    test('counts daemon as a command', () => {
+      expect(() => checkCommand({ daemon: true })).not.toThrow();
+
+      expect(() => checkCommand({ daemon: true, backup: true }))
+        .toThrow('Only one command can be run at a time');
+    });
   });
 
   describe('fileExists', () => {
@@ -131,6 +204,34 @@ describe('general.js', () => {
     });
   });
 
+  describe('getDirectorySize', () => {
+    const entry = (name, directory = false) => ({ name, isDirectory: () => directory });
+
+    test('adds up the files in a directory and its sub-directories', async () => {
+      const fs = await import('fs/promises');
+      fs.access.mockResolvedValue();
+      fs.readdir.mockImplementation(async (path) =>
+        path === '/backup'
+          ? [entry('vda.full.data'), entry('checkpoints', true)]
+          : [entry('virtnbdbackup.0.xml')]
+      );
+      fs.stat.mockImplementation(async (path) => ({
+        size: path.endsWith('.data') ? 1000 : 24
+      }));
+
+      await expect(getDirectorySize('/backup')).resolves.toBe(1024);
+      expect(fs.stat).toHaveBeenCalledWith('/backup/checkpoints/virtnbdbackup.0.xml');
+    });
+
+    test('returns 0 for a directory that does not exist', async () => {
+      const fs = await import('fs/promises');
+      fs.access.mockRejectedValue(new Error('ENOENT'));
+
+      await expect(getDirectorySize('/missing')).resolves.toBe(0);
+      expect(fs.readdir).not.toHaveBeenCalled();
+    });
+  });
+
   describe('findKeyByValue', () => {
     test('finds key for existing value', () => {
       const map = new Map([
@@ -167,6 +268,26 @@ describe('general.js', () => {
     });
   });
 
+  describe('parseDuration', () => {
+    test('parses each unit', () => {
+      expect(parseDuration('90s', '--max-age')).toBe(90000);
+      expect(parseDuration('30m', '--max-age')).toBe(1800000);
+      expect(parseDuration('26h', '--max-age')).toBe(93600000);
+      expect(parseDuration('1.5d', '--max-age')).toBe(129600000);
+      expect(parseDuration('2w', '--max-age')).toBe(1209600000);
+    });
+
+    test('takes a bare number as seconds', () => {
+      expect(parseDuration(45, '--max-age')).toBe(45000);
+    });
+
+    test('rejects anything else', () => {
+      expect(() => parseDuration('a day', '--max-age')).toThrow(
+        'Invalid --max-age: a day.  Use a number followed by s, m, h, d or w, like 26h'
+      );
+    });
+  });
+
   describe('parseArrayParam', () => {
     test('parses single domain', async () => {
       const result = await parseArrayParam('vm1');
@@ -203,6 +324,113 @@ describe('general.js', () => {
     });
   });
 
+  describe('resolveDomains', () => {
+    let virshModule, vmSnapModule;
+
+    beforeEach(async () => {
+      virshModule = await import('../../../libs/virsh.js');
+      vmSnapModule = await import('../../../vmsnap.js');
+
+      virshModule.fetchAllDomains.mockResolvedValue([
+        'web1',
+        'web2',
+        'db1',
+        'scratch-a',
+        'scratch-b'
+      ]);
+    });
+
+    test('resolves domains like parseArrayParam without exclusions', async () => {
+      await expect(resolveDomains('web*,db1')).resolves.toEqual(['web1', 'web2', 'db1']);
+      await expect(resolveDomains(undefined)).resolves.toEqual([]);
+    });
+
+    test('drops domains matching --exclude after expansion', async () => {
+      await expect(resolveDomains('*', 'scratch-*,db?')).resolves.toEqual(['web1', 'web2']);
+      await expect(resolveDomains('*', ['scratch-a', 'scratch-b'])).resolves.toEqual([
+        'web1',
+        'web2',
+        'db1'
+      ]);
+    });
+
+    test('drops domains matching !pattern entries', async () => {
+      await expect(resolveDomains('*,!scratch-*,!web2')).resolves.toEqual(['web1', 'db1']);
+    });
+
+    test('includes every domain when there are only exclusions', async () => {
+      await expect(resolveDomains('!scratch-*')).resolves.toEqual(['web1', 'web2', 'db1']);
+    });
+
+    test('warns about exclude patterns that match nothing', async () => {
+      await expect(resolveDomains('web*', 'db*,web2')).resolves.toEqual(['web1']);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledTimes(1);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith('Exclude pattern db* matched no domains');
+    });
+
+    test('throws ERR_DOMAINS when the exclusions leave nothing', async () => {
+      await expect(resolveDomains('scratch-*', 'scratch-*')).rejects.toMatchObject({
+        message: 'No domains left after excluding scratch-* from: scratch-a, scratch-b',
+        code: 1
+      });
+    });
+
+    test('selects running, autostart and persistent domains', async () => {
+      virshModule.fetchDomains.mockImplementation(async (filters) =>
+        filters.includes('--state-running') ? ['web1', 'scratch-a'] : ['db1']
+      );
+
+      await expect(resolveDomains('@running')).resolves.toEqual(['web1', 'scratch-a']);
+      expect(virshModule.fetchDomains).toHaveBeenCalledWith(['--state-running']);
+
+      await expect(resolveDomains('@autostart,web2')).resolves.toEqual(['db1', 'web2']);
+      expect(virshModule.fetchDomains).toHaveBeenCalledWith(['--all', '--autostart']);
+
+      await resolveDomains('@persistent');
+      expect(virshModule.fetchDomains).toHaveBeenCalledWith(['--all', '--persistent']);
+    });
+
+    test('selects domains by tag and mixes selectors with globs and exclusions', async () => {
+      virshModule.fetchDomainTags.mockImplementation(async (domain) =>
+        domain.startsWith('web') || domain === 'scratch-a' ? ['prod'] : []
+      );
+      virshModule.fetchDomains.mockResolvedValue(['web2']);
+
+      await expect(resolveDomains('@tag:prod,db*,!scratch-*')).resolves.toEqual([
+        'web1',
+        'web2',
+        'db1'
+      ]);
+      await expect(resolveDomains('@tag:prod', '@running')).resolves.toEqual([
+        'web1',
+        'scratch-a'
+      ]);
+      expect(virshModule.fetchAllDomains).toHaveBeenCalledTimes(2);
+    });
+
+    test('only reads the tags of included domains for tag exclusions', async () => {
+      virshModule.fetchDomainTags.mockResolvedValue(['scratch']);
+
+      await expect(resolveDomains('web1,db1', '@tag:scratch')).rejects.toMatchObject({
+        code: 1
+      });
+      expect(virshModule.fetchDomainTags).toHaveBeenCalledTimes(2);
+      expect(virshModule.fetchAllDomains).not.toHaveBeenCalled();
+    });
+
+    test('throws ERR_DOMAINS for unknown selectors', async () => {
+      await expect(resolveDomains('@stopped')).rejects.toMatchObject({
+        message: expect.stringContaining('Unknown domain selector: @stopped'),
+        code: 1
+      });
+      await expect(resolveDomains('@tag:')).rejects.toMatchObject({ code: 1 });
+    });
+
+    test('leaves an empty match for the caller to report', async () => {
+      await expect(resolveDomains('nope-*', 'web1')).resolves.toEqual([]);
+    });
+  });
+
   describe('scrubCheckpointsAndBitmaps', () => {
     let virshModule, qemuImgModule, vmSnapModule;
 
@@ -229,8 +457,8 @@ describe('general.js', () => {
 
       expect(result).toBe(true);
       expect(virshModule.cleanupCheckpoints).toHaveBeenCalledTimes(2);
-      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'test-checkpoint');
-      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm2', 'test-checkpoint');
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'test-checkpoint', false);
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm2', 'test-checkpoint', false);
       expect(qemuImgModule.cleanupBitmaps).not.toHaveBeenCalled();
     });
 
@@ -245,7 +473,7 @@ describe('general.js', () => {
       });
 
       expect(result).toBe(true);
-      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'test-checkpoint');
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'test-checkpoint', false);
       expect(virshModule.cleanupCheckpoints).not.toHaveBeenCalled();
     });
 
@@ -261,8 +489,8 @@ describe('general.js', () => {
       });
 
       expect(result).toBe(true);
-      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'test-checkpoint');
-      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'test-checkpoint');
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'test-checkpoint', false);
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'test-checkpoint', false);
     });
 
     test('scrubs all with wildcard', async () => {
@@ -276,8 +504,8 @@ describe('general.js', () => {
       });
 
       expect(result).toBe(true);
-      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1');
-      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1');
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', undefined, false);
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', undefined, false);
     });
 
     test('throws error for invalid scrub type', async () => {
@@ -302,5 +530,80 @@ describe('general.js', () => {
         })
       ).rejects.toThrow('Cleanup failed');
     });
+
+    test('skips excluded domains', async () => {
+      virshModule.fetchAllDomains.mockResolvedValue(['vm1', 'scratch']);
+      virshModule.cleanupCheckpoints.mockResolvedValue([]);
+      qemuImgModule.cleanupBitmaps.mockResolvedValue([]);
+
+      await scrubCheckpointsAndBitmaps({ domains: '*', exclude: 'scratch', scrubType: '*' });
+
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledTimes(1);
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', undefined, false);
+    });
+
+    test('prints what would be scrubbed on a dry run', async () => {
+      const { printPlan } = await import('../../../libs/print.js');
+      const { notify } = await import('../../../libs/notify.js');
+      const bitmaps = [{ disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.0' }];
+      virshModule.fetchAllDomains.mockResolvedValue(['vm1']);
+      virshModule.cleanupCheckpoints.mockResolvedValue(['virtnbdbackup.0']);
+      qemuImgModule.cleanupBitmaps.mockResolvedValue(bitmaps);
+
+      const options = { domains: 'vm1', scrubType: '*', dryRun: true, notifyOnSuccess: true };
+
+      await expect(scrubCheckpointsAndBitmaps(options)).resolves.toBe(true);
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', undefined, true);
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', undefined, true);
+      expect(printPlan).toHaveBeenCalledWith(
+        'scrub',
+        [{ domain: 'vm1', checkpoints: ['virtnbdbackup.0'], bitmaps }],
+        options
+      );
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('notifies a failed scrub before throwing', async () => {
+      const { notify } = await import('../../../libs/notify.js');
+      virshModule.fetchAllDomains.mockResolvedValue(['vm1']);
+      virshModule.cleanupCheckpoints.mockRejectedValue(new Error('Cleanup failed'));
+
+      await expect(
+        scrubCheckpointsAndBitmaps({
+          domains: 'vm1',
+          scrubType: 'checkpoint',
+        })
+      ).rejects.toThrow('Cleanup failed');
+      expect(notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'scrub-failed',
+        'Scrub failed: Cleanup failed',
+        { domains: ['vm1'], scrubType: 'checkpoint' }
+      );
+    });
+
+    test('notifies a clean scrub only when asked to', async () => {
+      const { notify } = await import('../../../libs/notify.js');
+      virshModule.fetchAllDomains.mockResolvedValue(['vm1', 'vm2']);
+      virshModule.cleanupCheckpoints.mockResolvedValue();
+      qemuImgModule.cleanupBitmaps.mockResolvedValue();
+
+      await scrubCheckpointsAndBitmaps({ domains: 'vm1,vm2', scrubType: '*' });
+
+      expect(notify).not.toHaveBeenCalled();
+
+      await scrubCheckpointsAndBitmaps({
+        domains: 'vm1,vm2',
+        scrubType: '*',
+        notifyOnSuccess: true
+      });
+
+      expect(notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'run-succeeded',
+        'Scrubbed * from vm1, vm2',
+        { domains: ['vm1', 'vm2'], scrubType: '*' }
+      );
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,222 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { sep } from 'path';
+import { access, mkdir, mkdtemp, rm, utimes, writeFile } from 'fs/promises';
+import { getHistory, getLastSuccessfulBackup } from '../../../libs/history.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_DOMAINS: 1,
+  ERR_OUTPUT_DIR: 2,
+  ERR_HISTORY: 15,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  resolveDomains: vi.fn(),
+  fileExists: vi.fn(async (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    )
+  ),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+vi.mock('../../../libs/libnbdbackup.js', () => ({
+  RESULT_FAILED: 'failed',
+  RESULT_SUCCESS: 'success'
+}));
+
+// These tests read manifests from real folders in a scratch directory
+const MARCH = 'vmsnap-backup-monthly-2024-03';
+const APRIL = 'vmsnap-backup-monthly-2024-04';
+
+describe('history.js', () => {
+  let generalModule, output;
+
+  const createRun = (startedAt, seconds, result, level, checkpoint, size) => ({
+    startedAt,
+    finishedAt: new Date(new Date(startedAt).getTime() + seconds * 1000).toISOString(),
+    result,
+    exitCode: result === 'success' ? 0 : 1,
+    error: null,
+    level,
+    checkpoint,
+    disks: [{ disk: 'vda', file: `vda.${level === 'full' ? 'full' : `inc.${checkpoint}`}.data`, size }],
+    startedPaused: false
+  });
+
+  const writeManifest = async (domain, folder, runs) => {
+    const path = `${output}${sep}${domain}${sep}${folder}`;
+
+    await mkdir(path, { recursive: true });
+    await writeFile(`${path}${sep}vmsnap-manifest.json`, JSON.stringify(runs));
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    generalModule = await import('../../../libs/general.js');
+    generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+    output = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+
+    await writeManifest('vm1', MARCH, [
+      createRun('2024-03-01T02:00:00.000Z', 300, 'success', 'full', 'virtnbdbackup.0', 1000),
+      createRun('2024-03-02T02:00:00.000Z', 30, 'failed', 'incremental', 'virtnbdbackup.1', 0),
+      createRun('2024-03-03T02:00:00.000Z', 20, 'success', 'incremental', 'virtnbdbackup.1', 50)
+    ]);
+    await writeManifest('vm1', APRIL, [
+      createRun('2024-04-01T02:00:00.000Z', 310, 'success', 'full', 'virtnbdbackup.0', 1100)
+    ]);
+  });
+
+  afterEach(async () => {
+    await rm(output, { recursive: true, force: true });
+  });
+
+  test('lists the runs of every backup folder, newest first', async () => {
+    const history = await getHistory({ domains: 'vm1', output });
+
+    expect(history.vm1.map(({ time }) => time)).toEqual([
+      '2024-04-01T02:00:00.000Z',
+      '2024-03-03T02:00:00.000Z',
+      '2024-03-02T02:00:00.000Z',
+      '2024-03-01T02:00:00.000Z'
+    ]);
+    expect(history.vm1[1]).toEqual({
+      time: '2024-03-03T02:00:00.000Z',
+      folder: MARCH,
+      chain: 1,
+      level: 'incremental',
+      checkpoint: 'virtnbdbackup.1',
+      duration: 20000,
+      size: 50,
+      result: 'success',
+      exitCode: 0,
+      error: null,
+      disks: [{ disk: 'vda', file: 'vda.inc.virtnbdbackup.1.data', size: 50 }]
+    });
+  });
+
+  test('narrows the runs by date, result and count', async () => {
+    const times = async (args) =>
+      (await getHistory({ domains: 'vm1', output, ...args })).vm1.map(({ time }) => time);
+
+    await expect(times({ since: '2024-03-02T00:00:00Z', until: '2024-03-30' })).resolves.toEqual([
+      '2024-03-03T02:00:00.000Z',
+      '2024-03-02T02:00:00.000Z'
+    ]);
+    await expect(times({ until: '2024-03-02T01:00:00Z' })).resolves.toEqual(['2024-03-01T02:00:00.000Z']);
+    await expect(times({ failedOnly: true })).resolves.toEqual(['2024-03-02T02:00:00.000Z']);
+    await expect(times({ limit: 2 })).resolves.toEqual(['2024-04-01T02:00:00.000Z', '2024-03-03T02:00:00.000Z']);
+  });
+
+  test('lists the runs of every chain in a folder', async () => {
+    await writeManifest('vm1', `${APRIL}${sep}chain-2`, [
+      createRun('2024-04-05T02:00:00.000Z', 320, 'success', 'full', 'virtnbdbackup.0', 1200)
+    ]);
+
+    const history = await getHistory({ domains: 'vm1', output, limit: 2 });
+
+    expect(history.vm1.map(({ time, folder, chain }) => [time, folder, chain])).toEqual([
+      ['2024-04-05T02:00:00.000Z', APRIL, 2],
+      ['2024-04-01T02:00:00.000Z', APRIL, 1]
+    ]);
+  });
+
+  test('lists the runs written before there was a manifest', async () => {
+    const path = `${output}${sep}vm2${sep}${MARCH}`;
+
+    generalModule.resolveDomains.mockResolvedValue(['vm2']);
+
+    await mkdir(path, { recursive: true });
+    await writeFile(`${path}${sep}vda.full.data`, 'full');
+    await writeFile(`${path}${sep}vda.inc.virtnbdbackup.1.data`, 'inc');
+    await utimes(`${path}${sep}vda.full.data`, 1709258400, 1709258400);
+    await utimes(`${path}${sep}vda.inc.virtnbdbackup.1.data`, 1709344800, 1709344800);
+
+    const history = await getHistory({ domains: 'vm2', output });
+
+    expect(history.vm2).toEqual([
+      expect.objectContaining({
+        time: '2024-03-02T02:00:00.000Z',
+        level: 'incremental',
+        checkpoint: 'virtnbdbackup.1',
+        duration: null,
+        size: 3,
+        result: null
+      }),
+      expect.objectContaining({
+        time: '2024-03-01T02:00:00.000Z',
+        level: 'full',
+        checkpoint: 'virtnbdbackup.0',
+        size: 4,
+        result: null
+      })
+    ]);
+  });
+
+  test('uses the output of the domain profile', async () => {
+    const history = await getHistory({
+      domains: 'vm1',
+      output: '/nowhere',
+      profiles: { vm1: { output } }
+    });
+
+    expect(history.vm1).toHaveLength(4);
+  });
+
+  test('rejects dates and limits it can not understand', async () => {
+    await expect(getHistory({ domains: 'vm1', output, since: 'last tuesday' })).rejects.toThrow(
+      'Invalid --since date: last tuesday'
+    );
+    await expect(getHistory({ domains: 'vm1', output, limit: 0 })).rejects.toThrow(
+      'Invalid --limit: 0.  Use a whole number of at least 1'
+    );
+  });
+
+  describe('getLastSuccessfulBackup', () => {
+    test('finds the newest successful run', async () => {
+      await writeManifest('vm1', APRIL, [
+        createRun('2024-04-01T02:00:00.000Z', 310, 'success', 'full', 'virtnbdbackup.0', 1100),
+        createRun('2024-04-02T02:00:00.000Z', 30, 'failed', 'incremental', 'virtnbdbackup.1', 0)
+      ]);
+
+      await expect(getLastSuccessfulBackup('vm1', output)).resolves.toBe('2024-04-01T02:05:10.000Z');
+    });
+
+    test('searches older folders when the newest has no successful run', async () => {
+      await writeManifest('vm1', APRIL, [
+        createRun('2024-04-01T02:00:00.000Z', 30, 'failed', 'full', 'virtnbdbackup.0', 0)
+      ]);
+
+      await expect(getLastSuccessfulBackup('vm1', output)).resolves.toBe('2024-03-03T02:00:20.000Z');
+    });
+
+    test('finds a run in a newer chain of the folder', async () => {
+      await writeManifest('vm1', `${APRIL}${sep}chain-2`, [
+        createRun('2024-04-05T02:00:00.000Z', 320, 'success', 'full', 'virtnbdbackup.0', 1200)
+      ]);
+
+      await expect(getLastSuccessfulBackup('vm1', output)).resolves.toBe('2024-04-05T02:05:20.000Z');
+    });
+
+    test('is null for a domain that never backed up', async () => {
+      await expect(getLastSuccessfulBackup('vm2', output)).resolves.toBeNull();
+    });
+  });
+
+  test('requires domains and an output directory', async () => {
+    await expect(getHistory({ output })).rejects.toThrow('No domains specified');
+    await expect(getHistory({ domains: 'vm1' })).rejects.toThrow('No output directory specified');
+  });
+});
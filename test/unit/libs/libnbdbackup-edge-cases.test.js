@@ -17,12 +17,19 @@ vi.mock('child_process', () => ({
 }));
 
 vi.mock('fs/promises', () => ({
-  rm: vi.fn()
+  mkdir: vi.fn(),
+  readFile: vi.fn(),
+  rm: vi.fn(),
+  writeFile: vi.fn()
 }));
 
 vi.mock('../../../vmsnap.js', () => ({
   ERR_DOMAINS: 1,
   ERR_OUTPUT_DIR: 2,
+  ERR_BACKUP: 13,
+  logContext: {
+    run: vi.fn((store, callback) => callback())
+  },
   logger: {
     info: vi.fn(),
     warn: vi.fn(),
@@ -34,12 +41,14 @@ vi.mock('../../../libs/virsh.js', () => ({
   cleanupCheckpoints: vi.fn(),
   domainExists: vi.fn(),
   isDomainRunning: vi.fn(),
+  fetchAllDisks: vi.fn(),
   fetchAllDomains: vi.fn()
 }));
 
 vi.mock('../../../libs/general.js', () => ({
   fileExists: vi.fn(),
-  parseArrayParam: vi.fn(),
+  getDirectorySize: vi.fn(async () => 0),
+  resolveDomains: vi.fn(),
   createError: vi.fn((message, code) => {
     const err = new Error(message);
     err.code = code;
@@ -47,10 +56,47 @@ vi.mock('../../../libs/general.js', () => ({
   }),
 }));
 
-vi.mock('../../../libs/qemu-img.js', () => ({
+vi.mock('../../../libs/print.js', () => ({
+  printBackupSummary: vi.fn(),
+  printPlan: vi.fn()
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  clearNewChainRequest: vi.fn(),
+  getChainPath: vi.fn(async (path) => path),
+  getNextChainPath: vi.fn(async (path) => `${path}/chain-2`),
+  readNewChainRequest: vi.fn(async () => undefined)
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+vi.mock('../../../libs/encryption.js', () => ({
+  encryptFolder: vi.fn(),
+  loadKey: vi.fn(),
+  readManifest: vi.fn()
+}));
+
+vi.mock('../../../libs/qemu-img.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   cleanupBitmaps: vi.fn()
 }));
 
+vi.mock('../../../libs/verify.js', () => ({
+  verifyBackup: vi.fn()
+}));
+
+vi.mock('../../../libs/replication.js', () => ({
+  replicateDomain: vi.fn(async () => [])
+}));
+
+vi.mock('../../../libs/manifest.js', () => ({
+  appendBackupManifest: vi.fn(),
+  describeBackup: vi.fn(() => ({ level: 'full', checkpoint: 'virtnbdbackup.0', disks: [] })),
+  readFolderState: vi.fn(async () => ({ checkpoints: [], dataFiles: new Map() }))
+}));
+
 describe('libnbdbackup.js edge cases', () => {
   let childProcessModule, fsModule, vmSnapModule, virshModule, generalModule, qemuImgModule;
   let mockSpawnChild;
@@ -86,7 +132,7 @@ describe('libnbdbackup.js edge cases', () => {
       // This targets the uncovered lines around child.stdout null check
       const { performBackup } = await import('../../../libs/libnbdbackup.js');
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists.mockResolvedValue(true);
       
@@ -114,7 +160,7 @@ describe('libnbdbackup.js edge cases', () => {
       // Test the null check for stderr
       const { performBackup } = await import('../../../libs/libnbdbackup.js');
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists.mockResolvedValue(true);
       
@@ -147,7 +193,7 @@ describe('libnbdbackup.js edge cases', () => {
       // Test the data event handlers for stdout and stderr
       const { performBackup } = await import('../../../libs/libnbdbackup.js');
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists.mockResolvedValue(true);
       
@@ -199,7 +245,7 @@ describe('libnbdbackup.js edge cases', () => {
       // Set date to trigger pruning
       vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists
         .mockResolvedValueOnce(true)  // Current folder exists
@@ -233,7 +279,7 @@ describe('libnbdbackup.js edge cases', () => {
       
       vi.setSystemTime(new Date('2024-03-20T10:00:00Z')); // Past middle of month
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists
         .mockResolvedValueOnce(true)  // Current folder exists
@@ -273,7 +319,7 @@ describe('libnbdbackup.js edge cases', () => {
       
       vi.setSystemTime(new Date('2024-07-20T10:00:00Z')); // Past 90 days from start of year
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists
         .mockResolvedValueOnce(true)  // Current folder exists
@@ -303,7 +349,7 @@ describe('libnbdbackup.js edge cases', () => {
       
       const { performBackup } = await import('../../../libs/libnbdbackup.js');
       
-      generalModule.parseArrayParam.mockResolvedValue(['test-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['test-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       generalModule.fileExists
         .mockResolvedValueOnce(true)
@@ -8,8 +8,12 @@ import dayOfYear from 'dayjs/plugin/dayOfYear.js';
 import {
   BACKUP,
   FREQUENCY_MONTHLY,
+  formatBackupFolder,
   getBackupFolder,
-  performBackup
+  isValidPeriod,
+  performBackup,
+  performPrune,
+  readLastBackup
 } from '../../../libs/libnbdbackup.js';
 
 // Setup dayjs plugins for tests
@@ -23,12 +27,21 @@ vi.mock('child_process', () => ({
 }));
 
 vi.mock('fs/promises', () => ({
-  rm: vi.fn()
+  mkdir: vi.fn(),
+  readdir: vi.fn(async () => []),
+  readFile: vi.fn(),
+  rm: vi.fn(),
+  writeFile: vi.fn()
 }));
 
 vi.mock('../../../vmsnap.js', () => ({
   ERR_DOMAINS: 1,
   ERR_OUTPUT_DIR: 2,
+  ERR_BACKUP: 13,
+  ERR_LOCKED: 17,
+  logContext: {
+    run: vi.fn((store, callback) => callback())
+  },
   logger: {
     info: vi.fn(),
     warn: vi.fn(),
@@ -40,12 +53,14 @@ vi.mock('../../../libs/virsh.js', () => ({
   cleanupCheckpoints: vi.fn(),
   domainExists: vi.fn(),
   isDomainRunning: vi.fn(),
+  fetchAllDisks: vi.fn(),
   fetchAllDomains: vi.fn()
 }));
 
 vi.mock('../../../libs/general.js', () => ({
   fileExists: vi.fn(),
-  parseArrayParam: vi.fn(),
+  getDirectorySize: vi.fn(async () => 0),
+  resolveDomains: vi.fn(),
   createError: vi.fn((message, code) => {
     const err = new Error(message);
     err.code = code;
@@ -53,12 +68,72 @@ vi.mock('../../../libs/general.js', () => ({
   }),
 }));
 
-vi.mock('../../../libs/qemu-img.js', () => ({
+vi.mock('../../../libs/print.js', () => ({
+  printBackupSummary: vi.fn(),
+  printPlan: vi.fn()
+}));
+
+vi.mock('../../../libs/qemu-img.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   cleanupBitmaps: vi.fn()
 }));
 
+vi.mock('../../../libs/verify.js', () => ({
+  verifyBackup: vi.fn()
+}));
+
+vi.mock('../../../libs/replication.js', () => ({
+  replicateDomain: vi.fn(async () => [])
+}));
+
+vi.mock('../../../libs/manifest.js', () => ({
+  appendBackupManifest: vi.fn(),
+  describeBackup: vi.fn(() => ({ level: 'full', checkpoint: 'virtnbdbackup.0', disks: [] })),
+  readFolderState: vi.fn(async () => ({ checkpoints: [], dataFiles: new Map() }))
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  clearNewChainRequest: vi.fn(),
+  getChainPath: vi.fn(async (path) => path),
+  getNextChainPath: vi.fn(async (path) => `${path}/chain-2`),
+  readNewChainRequest: vi.fn(async () => undefined)
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+vi.mock('../../../libs/encryption.js', () => ({
+  encryptFolder: vi.fn(),
+  loadKey: vi.fn(),
+  readManifest: vi.fn()
+}));
+
+// A 256-bit key
+const KEY = Buffer.alloc(32, 1);
+
+vi.mock('../../../libs/retention.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  pruneByRetention: vi.fn(async () => [])
+}));
+
+vi.mock('../../../libs/serialization.js', () => ({
+  getStatus: vi.fn(),
+  STATUS_INCONSISTENT: 1,
+  STATUSES: new Map([
+    [0, 'OK'],
+    [1, 'INCONSISTENT']
+  ])
+}));
+
+vi.mock('../../../libs/notify.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  notify: vi.fn()
+}));
+
 describe('libnbdbackup.js', () => {
   let childProcessModule, fsModule, vmSnapModule, virshModule, generalModule, qemuImgModule;
+  let printModule;
   let mockSpawnChild;
 
   beforeEach(async () => {
@@ -73,6 +148,7 @@ describe('libnbdbackup.js', () => {
     virshModule = await import('../../../libs/virsh.js');
     generalModule = await import('../../../libs/general.js');
     qemuImgModule = await import('../../../libs/qemu-img.js');
+    printModule = await import('../../../libs/print.js');
 
     // Setup mock spawn child process
     mockSpawnChild = {
@@ -197,10 +273,33 @@ describe('libnbdbackup.js', () => {
     });
   });
 
+  describe('formatBackupFolder', () => {
+    test('builds folder names from a groupBy and period', () => {
+      expect(formatBackupFolder('month', '2023-11')).toBe('vmsnap-backup-monthly-2023-11');
+      expect(formatBackupFolder('bi-annual', '2023-p2')).toBe('vmsnap-backup-bi-annually-2023-p2');
+    });
+  });
+
+  describe('isValidPeriod', () => {
+    test('accepts periods matching the groupBy', () => {
+      expect(isValidPeriod('month', '2024-03')).toBe(true);
+      expect(isValidPeriod('quarter', '2024-Q4')).toBe(true);
+      expect(isValidPeriod('bi-annual', '2024-p1')).toBe(true);
+      expect(isValidPeriod('year', '2024')).toBe(true);
+    });
+
+    test('rejects periods not matching the groupBy', () => {
+      expect(isValidPeriod('month', '2024-13')).toBe(false);
+      expect(isValidPeriod('month', '2024-Q1')).toBe(false);
+      expect(isValidPeriod('year', '../2024')).toBe(false);
+      expect(isValidPeriod('invalid', '2024')).toBe(false);
+    });
+  });
+
   describe('performBackup', () => {
     beforeEach(() => {
       // Setup default mocks
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(true); // Default to running VM
       generalModule.fileExists.mockResolvedValue(false); // No existing backup folder
@@ -235,7 +334,10 @@ describe('libnbdbackup.js', () => {
       });
 
       expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('test-domain');
-      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('test-domain');
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('test-domain', undefined, false, {
+        include: [],
+        exclude: []
+      });
       expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
         'Creating a new backup directory, running bitmap cleanup'
       );
@@ -339,7 +441,7 @@ describe('libnbdbackup.js', () => {
     });
 
     test('handles multiple domains', async () => {
-      generalModule.parseArrayParam.mockResolvedValue(['domain1', 'domain2']);
+      generalModule.resolveDomains.mockResolvedValue(['domain1', 'domain2']);
       generalModule.fileExists.mockResolvedValue(true);
       
       mockSpawnChild.on.mockImplementation((event, callback) => {
@@ -497,19 +599,160 @@ describe('libnbdbackup.js', () => {
         }
       });
 
+      await expect(
+        performBackup({
+          domains: 'test-domain',
+          output: '/backup',
+          raw: false,
+          groupBy: 'month',
+          prune: false
+        })
+      ).rejects.toMatchObject({
+        message: 'Backups failed for: test-domain',
+        code: 13
+      });
+
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        'Backup for test-domain failed with code 1'
+      );
+    });
+
+    test('verifies the backup afterwards when verifyAfter is set', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      const verifyModule = await import('../../../libs/verify.js');
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
       await performBackup({
         domains: 'test-domain',
         output: '/backup',
-        raw: false,
         groupBy: 'month',
-        prune: false
+        prune: false,
+        verifyAfter: true
       });
 
-      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
-        'Backup for test-domain failed with code 1'
+      expect(verifyModule.verifyBackup).toHaveBeenCalledWith(
+        'test-domain',
+        `/backup${sep}test-domain${sep}vmsnap-backup-monthly-2024-03`,
+        undefined,
+        '/backup'
+      );
+    });
+
+    test('encrypts the backup before verifying it when encryptKey is set', async () => {
+      const verifyModule = await import('../../../libs/verify.js');
+      const encryptionModule = await import('../../../libs/encryption.js');
+
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      encryptionModule.loadKey.mockResolvedValue(KEY);
+      verifyModule.verifyBackup.mockImplementation(async () => {
+        expect(encryptionModule.encryptFolder).toHaveBeenCalled();
+
+        return { result: 'ok' };
+      });
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'test-domain',
+        output: '/backup',
+        groupBy: 'month',
+        verifyAfter: true,
+        encryptKey: '/etc/vmsnap/key'
+      });
+
+      const path = `/backup${sep}test-domain${sep}vmsnap-backup-monthly-2024-03`;
+
+      expect(encryptionModule.loadKey).toHaveBeenCalledWith('/etc/vmsnap/key');
+      expect(encryptionModule.encryptFolder).toHaveBeenCalledWith(path, KEY);
+      expect(verifyModule.verifyBackup).toHaveBeenCalledWith('test-domain', path, '/etc/vmsnap/key', '/backup');
+    });
+
+    test('carries on the chain of an encrypted folder explicitly', async () => {
+      const encryptionModule = await import('../../../libs/encryption.js');
+
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      encryptionModule.readManifest.mockResolvedValue({ keyId: 'abc', files: [] });
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({ domains: 'test-domain', output: '/backup', groupBy: 'month' });
+
+      const args = childProcessModule.spawn.mock.calls[0][1];
+
+      expect(args.slice(3, 5)).toEqual(['-l', 'inc']);
+      expect(encryptionModule.readManifest).toHaveBeenCalledWith(
+        `/backup${sep}test-domain${sep}vmsnap-backup-monthly-2024-03`
       );
     });
 
+    test('does not encrypt a failed backup', async () => {
+      const encryptionModule = await import('../../../libs/encryption.js');
+
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(1), 10);
+        }
+      });
+
+      await expect(
+        performBackup({
+          domains: 'test-domain',
+          output: '/backup',
+          groupBy: 'month',
+          encryptKey: '/etc/vmsnap/key'
+        })
+      ).rejects.toThrow('Backups failed for: test-domain');
+
+      expect(encryptionModule.encryptFolder).not.toHaveBeenCalled();
+    });
+
+    test('does not verify a failed backup', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      const verifyModule = await import('../../../libs/verify.js');
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(1), 10);
+        }
+      });
+
+      await expect(
+        performBackup({
+          domains: 'test-domain',
+          output: '/backup',
+          groupBy: 'month',
+          prune: false,
+          verifyAfter: true
+        })
+      ).rejects.toMatchObject({ code: 13 });
+
+      expect(verifyModule.verifyBackup).not.toHaveBeenCalled();
+    });
+
     test('handles stdout data from backup process', async () => {
       generalModule.fileExists.mockResolvedValue(true);
       
@@ -558,7 +801,7 @@ describe('libnbdbackup.js', () => {
       test('requires pruning after day 15 of month', async () => {
         vi.setSystemTime(new Date('2024-03-16T10:00:00Z'));
         
-        generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+        generalModule.resolveDomains.mockResolvedValue(['test-domain']);
         generalModule.fileExists
           .mockResolvedValueOnce(true)  // Current folder exists
           .mockResolvedValueOnce(true); // Previous folder exists
@@ -586,7 +829,7 @@ describe('libnbdbackup.js', () => {
       test('skips pruning before day 15 of month', async () => {
         vi.setSystemTime(new Date('2024-03-14T10:00:00Z'));
         
-        generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+        generalModule.resolveDomains.mockResolvedValue(['test-domain']);
         generalModule.fileExists
           .mockResolvedValueOnce(true)  // Current folder exists
           .mockResolvedValueOnce(true); // Previous folder exists
@@ -617,7 +860,7 @@ describe('libnbdbackup.js', () => {
         // Q1 2024 starts Jan 1, so 45 days later is ~Feb 15
         vi.setSystemTime(new Date('2024-02-16T10:00:00Z'));
         
-        generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+        generalModule.resolveDomains.mockResolvedValue(['test-domain']);
         generalModule.fileExists
           .mockResolvedValueOnce(true)  // Current folder exists
           .mockResolvedValueOnce(true); // Previous folder exists
@@ -648,7 +891,7 @@ describe('libnbdbackup.js', () => {
         // For bi-annual starting in January, 90 days is around April 1
         vi.setSystemTime(new Date('2024-04-02T10:00:00Z'));
         
-        generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+        generalModule.resolveDomains.mockResolvedValue(['test-domain']);
         generalModule.fileExists
           .mockResolvedValueOnce(true)  // Current folder exists
           .mockResolvedValueOnce(true); // Previous folder exists
@@ -679,7 +922,7 @@ describe('libnbdbackup.js', () => {
         // 180 days from Jan 1 is around June 29
         vi.setSystemTime(new Date('2024-06-30T10:00:00Z'));
         
-        generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+        generalModule.resolveDomains.mockResolvedValue(['test-domain']);
         generalModule.fileExists
           .mockResolvedValueOnce(true)  // Current folder exists
           .mockResolvedValueOnce(true); // Previous folder exists
@@ -706,7 +949,7 @@ describe('libnbdbackup.js', () => {
     });
 
     test('skips pruning for invalid groupBy', async () => {
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       generalModule.fileExists.mockResolvedValue(true);
       
       mockSpawnChild.on.mockImplementation((event, callback) => {
@@ -733,7 +976,7 @@ describe('libnbdbackup.js', () => {
     });
 
     test('skips pruning when previous backup folder does not exist', async () => {
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       generalModule.fileExists
         .mockResolvedValueOnce(true)   // Current folder exists
         .mockResolvedValueOnce(false); // Previous folder does not exist
@@ -759,10 +1002,179 @@ describe('libnbdbackup.js', () => {
     });
   });
 
+  describe('retention policies', () => {
+    test('applies the retention policy instead of mid-period pruning', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      const retentionModule = await import('../../../libs/retention.js');
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'test-domain',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true,
+        keepMonthly: 3,
+        keepYearly: 2
+      });
+
+      expect(retentionModule.pruneByRetention).toHaveBeenCalledWith(
+        'test-domain',
+        '/backup',
+        { keepLast: 0, keepMonthly: 3, keepQuarterly: 0, keepYearly: 2 },
+        'vmsnap-backup-monthly-2024-03'
+      );
+      expect(fsModule.rm).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('performPrune', () => {
+    test('prunes each domain under its lock without backing it up', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      generalModule.fileExists.mockResolvedValue(true);
+      const retentionModule = await import('../../../libs/retention.js');
+      const lockModule = await import('../../../libs/lock.js');
+
+      retentionModule.pruneByRetention.mockResolvedValueOnce(['vmsnap-backup-monthly-2023-11']);
+
+      const options = {
+        domains: 'vm1,vm2',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true,
+        keepMonthly: 3,
+        profiles: { vm2: { keepMonthly: 0 } }
+      };
+
+      const results = await performPrune(options);
+
+      expect(results).toEqual([
+        { domain: 'vm1', pruned: ['vmsnap-backup-monthly-2023-11'] },
+        { domain: 'vm2', pruned: ['vmsnap-backup-monthly-2024-02'] }
+      ]);
+      expect(retentionModule.pruneByRetention).toHaveBeenCalledWith(
+        'vm1',
+        '/backup',
+        { keepLast: 0, keepMonthly: 3, keepQuarterly: 0, keepYearly: 0 },
+        'vmsnap-backup-monthly-2024-03'
+      );
+      expect(lockModule.withDomainLock).toHaveBeenCalledWith(options, 'vm1', expect.any(Function));
+      expect(fsModule.rm).toHaveBeenCalledWith(`/backup${sep}vm2${sep}vmsnap-backup-monthly-2024-02`, {
+        recursive: true,
+        force: true
+      });
+      expect(lockModule.withDomainLock).toHaveBeenCalledWith(options, 'vm2', expect.any(Function));
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+    });
+
+    test('requires domains and an output directory', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+      await expect(performPrune({ output: '/backup' })).rejects.toThrow('No domains specified');
+      await expect(performPrune({ domains: 'vm1' })).rejects.toThrow('No output directory specified');
+    });
+  });
+
+  describe('domain profiles', () => {
+    test('backs up each domain with its own profile settings', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'vm1,vm2',
+        output: '/backup',
+        groupBy: 'month',
+        profiles: {
+          vm1: { groupBy: 'quarter', raw: true },
+          vm2: { output: '/other' }
+        },
+        overrides: {}
+      });
+
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdbackup',
+        expect.arrayContaining([
+          `/backup${sep}vm1${sep}vmsnap-backup-quarterly-2024-Q1`,
+          '--raw'
+        ]),
+        expect.any(Object)
+      );
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdbackup',
+        expect.arrayContaining([`/other${sep}vm2${sep}vmsnap-backup-monthly-2024-03`]),
+        expect.any(Object)
+      );
+    });
+
+    test('throws when a domain has no output directory', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+
+      await expect(
+        performBackup({
+          domains: 'vm1,vm2',
+          profiles: { vm1: { output: '/backup' } },
+          overrides: {}
+        })
+      ).rejects.toThrow('No output directory specified');
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('argument handling', () => {
+    test('passes domain names and paths with spaces through as single arguments', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['my vm; $(id)']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'my vm; $(id)',
+        output: '/mnt/backup dir',
+        groupBy: 'month',
+        prune: false,
+        socketfile: '/run/my socket'
+      });
+
+      const [program, args] = childProcessModule.spawn.mock.calls[0];
+
+      expect(program).toBe('virtnbdbackup');
+      expect(args).toEqual(
+        expect.arrayContaining([
+          'my vm; $(id)',
+          '/mnt/backup dir/my vm; $(id)/vmsnap-backup-monthly-2024-03',
+          '/run/my socket'
+        ])
+      );
+    });
+  });
+
   describe('socketfile option', () => {
     test('uses default socket path when socketfile not specified', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(true);
 
@@ -789,7 +1201,7 @@ describe('libnbdbackup.js', () => {
 
     test('uses custom socket path when socketfile is specified', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(true);
 
@@ -816,10 +1228,1003 @@ describe('libnbdbackup.js', () => {
     });
   });
 
+  describe('results', () => {
+    beforeEach(() => {
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+    });
+
+    test('records a result for every domain and prints a summary', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2', 'ghost']);
+      virshModule.domainExists.mockImplementation(async (domain) => domain !== 'ghost');
+      generalModule.getDirectorySize
+        .mockResolvedValueOnce(1000)
+        .mockResolvedValueOnce(5000)
+        .mockResolvedValueOnce(0)
+        .mockResolvedValueOnce(2000);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      const results = await performBackup({
+        domains: 'vm1,vm2,ghost',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true
+      });
+
+      expect(results).toMatchObject([
+        {
+          domain: 'vm1',
+          result: 'success',
+          exitCode: 0,
+          bytesWritten: 4000,
+          pruned: ['vmsnap-backup-monthly-2024-02'],
+          reason: null
+        },
+        { domain: 'vm2', result: 'success', bytesWritten: 2000 },
+        {
+          domain: 'ghost',
+          result: 'skipped',
+          exitCode: null,
+          reason: 'domain does not exist'
+        }
+      ]);
+      expect(results[0].duration).toBeGreaterThanOrEqual(0);
+      expect(printModule.printBackupSummary).toHaveBeenCalledWith(results);
+      expect(generalModule.getDirectorySize).toHaveBeenCalledWith(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03'
+      );
+    });
+
+    test('records the last backup of each domain that was not skipped', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'ghost']);
+      virshModule.domainExists.mockImplementation(async (domain) => domain !== 'ghost');
+      generalModule.getDirectorySize.mockResolvedValueOnce(0).mockResolvedValueOnce(512);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'vm1,ghost',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false
+      });
+
+      expect(fsModule.mkdir).toHaveBeenCalledWith('/backup/vm1', { recursive: true });
+      expect(fsModule.writeFile).toHaveBeenCalledTimes(1);
+
+      const [file, contents] = fsModule.writeFile.mock.calls[0];
+
+      expect(file).toBe('/backup/vm1/vmsnap-last-backup.json');
+      expect(JSON.parse(contents)).toMatchObject({
+        finishedAt: '2024-03-15T10:00:00.000Z',
+        result: 'success',
+        exitCode: 0,
+        bytesWritten: 512
+      });
+    });
+
+    test('warns when the last backup can not be recorded', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.domainExists.mockResolvedValue(true);
+      fsModule.writeFile.mockRejectedValueOnce(new Error('EACCES'));
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false
+      });
+
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Unable to record the backup of vm1: EACCES'
+      );
+    });
+
+    test('keeps going after a failure and throws ERR_BACKUP at the end', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      virshModule.domainExists.mockResolvedValue(true);
+
+      let backups = 0;
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          const code = backups++ === 0 ? 2 : 0;
+
+          setTimeout(() => callback(code), 10);
+        }
+      });
+
+      await expect(
+        performBackup({
+          domains: 'vm1,vm2',
+          output: '/backup',
+          groupBy: 'month',
+          prune: false
+        })
+      ).rejects.toMatchObject({ message: 'Backups failed for: vm1', code: 13 });
+
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(2);
+
+      const [results] = printModule.printBackupSummary.mock.calls[0];
+
+      expect(results).toMatchObject([
+        { domain: 'vm1', result: 'failed', exitCode: 2 },
+        { domain: 'vm2', result: 'success', exitCode: 0 }
+      ]);
+    });
+  });
+
+  describe('exclusions', () => {
+    test('resolves the domains with the exclude patterns', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.domainExists.mockResolvedValue(false);
+
+      await performBackup({ domains: '*,!scratch-*', exclude: 'test-*', output: '/backup' });
+
+      expect(generalModule.resolveDomains).toHaveBeenCalledWith('*,!scratch-*', 'test-*');
+    });
+  });
+
+  describe('dry run', () => {
+    let printModule;
+
+    beforeEach(async () => {
+      printModule = await import('../../../libs/print.js');
+
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+    });
+
+    test('plans a new chain without touching the domain or the disk', async () => {
+      const bitmaps = [{ disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.0' }];
+      generalModule.fileExists.mockResolvedValue(false);
+      virshModule.isDomainRunning.mockResolvedValue(false);
+      virshModule.cleanupCheckpoints.mockResolvedValue(['virtnbdbackup.0']);
+      qemuImgModule.cleanupBitmaps.mockResolvedValue(bitmaps);
+
+      const options = {
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        socketfile: '/run/vmsnap.sock',
+        prune: true,
+        dryRun: true
+      };
+
+      const [plan] = await performBackup(options);
+
+      expect(plan).toEqual({
+        domain: 'vm1',
+        exists: true,
+        backupFolder: '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        newChain: true,
+        checkpoints: ['virtnbdbackup.0'],
+        bitmaps,
+        prune: [],
+        command: [
+          'virtnbdbackup',
+          '--noprogress',
+          '-d',
+          'vm1',
+          '-l',
+          'auto',
+          '-o',
+          '/backup/vm1/vmsnap-backup-monthly-2024-03',
+          '-f',
+          '/run/vmsnap.sock',
+          '-S'
+        ],
+        commandLine:
+          'virtnbdbackup --noprogress -d vm1 -l auto -o /backup/vm1/vmsnap-backup-monthly-2024-03 -f /run/vmsnap.sock -S'
+      });
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', undefined, true);
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', undefined, true, {
+        include: [],
+        exclude: []
+      });
+      expect(printModule.printPlan).toHaveBeenCalledWith('backup', [plan], options);
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+      expect(fsModule.rm).not.toHaveBeenCalled();
+      expect(fsModule.writeFile).not.toHaveBeenCalled();
+      expect(printModule.printBackupSummary).not.toHaveBeenCalled();
+    });
+
+    test('plans the period folder mid-period pruning would delete', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.fileExists.mockResolvedValue(true);
+
+      const [plan] = await performBackup({
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true,
+        dryRun: true
+      });
+
+      expect(plan).toMatchObject({
+        newChain: false,
+        checkpoints: [],
+        bitmaps: [],
+        prune: ['vmsnap-backup-monthly-2024-02']
+      });
+      expect(virshModule.cleanupCheckpoints).not.toHaveBeenCalled();
+      expect(fsModule.rm).not.toHaveBeenCalled();
+    });
+
+    test('plans the folders a retention policy would delete', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readdir.mockResolvedValue([
+        'vmsnap-backup-monthly-2024-01',
+        'vmsnap-backup-monthly-2024-02',
+        'vmsnap-backup-monthly-2024-03'
+      ]);
+
+      const [plan] = await performBackup({
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        keepLast: 2,
+        dryRun: true
+      });
+
+      expect(plan.prune).toEqual(['vmsnap-backup-monthly-2024-01']);
+      expect(fsModule.rm).not.toHaveBeenCalled();
+    });
+
+    test('plans to skip domains that do not exist', async () => {
+      virshModule.domainExists.mockResolvedValue(false);
+
+      await expect(
+        performBackup({ domains: 'vm1', output: '/backup', dryRun: true })
+      ).resolves.toEqual([{ domain: 'vm1', exists: false }]);
+    });
+  });
+
+  describe('notifications', () => {
+    const WEBHOOK = { notifications: { webhooks: ['https://hooks.example.com/abc'] } };
+
+    let notifyModule, serializationModule;
+
+    beforeEach(async () => {
+      notifyModule = await import('../../../libs/notify.js');
+      serializationModule = await import('../../../libs/serialization.js');
+
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      serializationModule.getStatus.mockResolvedValue({});
+    });
+
+    const closeWith = (codes) => {
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          const code = codes.shift();
+
+          setTimeout(() => callback(code), 10);
+        }
+      });
+    };
+
+    test('sends nothing and skips the status check without webhooks', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      closeWith([1]);
+
+      await expect(
+        performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', prune: false })
+      ).rejects.toMatchObject({ code: 13 });
+
+      expect(notifyModule.notify).not.toHaveBeenCalled();
+      expect(serializationModule.getStatus).not.toHaveBeenCalled();
+    });
+
+    test('notifies failed and inconsistent domains', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      serializationModule.getStatus.mockResolvedValue({
+        vm1: { overallStatus: 0 },
+        vm2: { overallStatus: 1 }
+      });
+      closeWith([0, 2]);
+
+      await expect(
+        performBackup({
+          ...WEBHOOK,
+          domains: 'vm1,vm2',
+          output: '/backup',
+          groupBy: 'month',
+          prune: false
+        })
+      ).rejects.toMatchObject({ code: 13 });
+
+      expect(serializationModule.getStatus).toHaveBeenCalledWith(
+        'vm1,vm2',
+        '/backup',
+        'month',
+        false,
+        expect.objectContaining({ domains: 'vm1,vm2' })
+      );
+      expect(notifyModule.notify).toHaveBeenCalledTimes(2);
+      expect(notifyModule.notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'backup-failed',
+        'Backup of vm2 failed: exit code 2',
+        expect.objectContaining({ domain: 'vm2', exitCode: 2 })
+      );
+      expect(notifyModule.notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'status-inconsistent',
+        'vm2 is INCONSISTENT after its backup',
+        { domain: 'vm2', overallStatus: 1 }
+      );
+    });
+
+    test('notifies pruned period folders', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      closeWith([0]);
+
+      await performBackup({
+        ...WEBHOOK,
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true
+      });
+
+      expect(notifyModule.notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'pruned',
+        'Pruned vmsnap-backup-monthly-2024-02 from the backups of vm1',
+        { domain: 'vm1', folders: ['vmsnap-backup-monthly-2024-02'] }
+      );
+    });
+
+    test('notifies a clean run only when asked to', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      closeWith([0]);
+
+      await performBackup({
+        ...WEBHOOK,
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false
+      });
+
+      expect(notifyModule.notify).not.toHaveBeenCalled();
+
+      closeWith([0]);
+
+      await performBackup({
+        ...WEBHOOK,
+        notifyOnSuccess: true,
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false
+      });
+
+      expect(notifyModule.notify).toHaveBeenCalledWith(
+        expect.anything(),
+        'run-succeeded',
+        'Backup run finished: 1 success',
+        { domains: ['vm1'] }
+      );
+    });
+  });
+
+  describe('readLastBackup', () => {
+    test('reads the last backup record of a domain', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue('{"result":"failed","exitCode":1}');
+
+      await expect(readLastBackup('/backup', 'vm1')).resolves.toEqual({
+        result: 'failed',
+        exitCode: 1
+      });
+      expect(fsModule.readFile).toHaveBeenCalledWith('/backup/vm1/vmsnap-last-backup.json', 'utf8');
+    });
+
+    test('returns undefined for domains never backed up', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      await expect(readLastBackup('/backup', 'vm1')).resolves.toBeUndefined();
+    });
+
+    test('returns undefined and warns for an unreadable record', async () => {
+      generalModule.fileExists.mockResolvedValue(true);
+      fsModule.readFile.mockResolvedValue('{oops');
+
+      await expect(readLastBackup('/backup', 'vm1')).resolves.toBeUndefined();
+      expect(vmSnapModule.logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrency', () => {
+    let closeCallbacks;
+
+    beforeEach(() => {
+      closeCallbacks = [];
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2', 'vm3']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      childProcessModule.spawn.mockImplementation(() => ({
+        ...mockSpawnChild,
+        on: vi.fn((event, callback) => {
+          if (event === 'close') {
+            closeCallbacks.push(callback);
+          }
+        })
+      }));
+    });
+
+    const waitForSpawns = async (count) => {
+      await vi.waitFor(() => {
+        expect(childProcessModule.spawn).toHaveBeenCalledTimes(count);
+      });
+
+      // Give any further backups a chance to start
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    };
+
+    const socketOf = (call) => call[1][call[1].indexOf('-f') + 1];
+
+    test('backs up no more than concurrency domains at once', async () => {
+      const backups = performBackup({
+        domains: 'vm1,vm2,vm3',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false,
+        concurrency: 2
+      });
+
+      await waitForSpawns(2);
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(2);
+
+      closeCallbacks[0](0);
+      await waitForSpawns(3);
+
+      closeCallbacks[1](0);
+      closeCallbacks[2](0);
+      await backups;
+
+      expect(vmSnapModule.logContext.run).toHaveBeenCalledWith(
+        { domain: 'vm2' },
+        expect.any(Function)
+      );
+    });
+
+    test('gives each backup its own socket file and pipes its output', async () => {
+      const backups = performBackup({
+        domains: 'vm1,vm2,vm3',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false,
+        concurrency: 3
+      });
+
+      await waitForSpawns(3);
+      closeCallbacks.forEach((callback) => callback(0));
+      await backups;
+
+      const sockets = childProcessModule.spawn.mock.calls.map(socketOf);
+
+      expect(new Set(sockets).size).toBe(3);
+      expect(sockets[0]).toMatch(/^\/var\/lib\/libvirt\/qemu\/virtnbdbackup\.\d+\.0$/);
+      expect(childProcessModule.spawn.mock.calls[0][2].stdio).toEqual([
+        'ignore',
+        'pipe',
+        'pipe'
+      ]);
+    });
+
+    test('keeps cleanup, backup and prune in order for each domain', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+      generalModule.fileExists.mockImplementation(async (path) => !path.includes('2024-03'));
+      const backups = performBackup({
+        domains: 'vm1,vm2,vm3',
+        output: '/backup',
+        groupBy: 'month',
+        prune: true,
+        concurrency: 3
+      });
+
+      await waitForSpawns(3);
+      expect(fsModule.rm).not.toHaveBeenCalled();
+
+      closeCallbacks.forEach((callback) => callback(0));
+      await backups;
+
+      const cleanupOrder = virshModule.cleanupCheckpoints.mock.invocationCallOrder;
+      const spawnOrder = childProcessModule.spawn.mock.invocationCallOrder;
+      const pruneOrder = fsModule.rm.mock.invocationCallOrder;
+
+      expect(cleanupOrder).toHaveLength(3);
+      expect(pruneOrder).toHaveLength(3);
+      for (let i = 0; i < 3; i++) {
+        expect(cleanupOrder[i]).toBeLessThan(spawnOrder[i]);
+        expect(spawnOrder[i]).toBeLessThan(pruneOrder[i]);
+      }
+    });
+
+    test('stops starting backups after a failure with failFast', async () => {
+      virshModule.cleanupCheckpoints.mockRejectedValueOnce(new Error('boom'));
+      generalModule.fileExists.mockResolvedValue(false);
+
+      const backups = performBackup({
+        domains: 'vm1,vm2,vm3',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false,
+        concurrency: 2,
+        failFast: true
+      });
+
+      await waitForSpawns(1);
+      closeCallbacks[0](0);
+
+      const error = await backups.catch((failure) => failure);
+
+      expect(error).toMatchObject({
+        message: 'Backups failed for: vm1',
+        code: 13
+      });
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(1);
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith('Backup for vm1 failed: boom');
+
+      const [results] = printModule.printBackupSummary.mock.calls[0];
+
+      expect(error.results).toBe(results);
+
+      expect(results.map(({ result }) => result)).toEqual(['failed', 'success', 'skipped']);
+      expect(results[2].reason).toBe('not started after an earlier failure');
+    });
+
+    test('falls back to one at a time for an invalid concurrency', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      const backups = performBackup({
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        prune: false,
+        concurrency: 'lots'
+      });
+
+      await waitForSpawns(1);
+      closeCallbacks[0](0);
+      await backups;
+
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Invalid concurrency: lots.  Backing up one at a time'
+      );
+      expect(socketOf(childProcessModule.spawn.mock.calls[0])).toMatch(
+        /^\/var\/lib\/libvirt\/qemu\/virtnbdbackup\.\d+$/
+      );
+    });
+  });
+
+  describe('disk selection', () => {
+    beforeEach(() => {
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      virshModule.fetchAllDisks.mockResolvedValue(
+        new Map([
+          ['vda', '/var/lib/libvirt/images/vm1.qcow2'],
+          ['vdb', '/var/lib/libvirt/images/vm1-scratch.qcow2'],
+          ['vdc', '/var/lib/libvirt/images/vm1-swap.qcow2']
+        ])
+      );
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+    });
+
+    test('passes excluded disks to virtnbdbackup', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+      await performBackup({
+        domains: 'vm1',
+        output: '/backup',
+        groupBy: 'month',
+        excludeDisks: 'vdb,vdc,vdz'
+      });
+
+      const args = childProcessModule.spawn.mock.calls[0][1];
+
+      expect(args.slice(-2)).toEqual(['-x', 'vdb,vdc']);
+    });
+
+    test('turns included disks into exclusions, per domain', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+
+      await performBackup({
+        domains: 'vm1,vm2',
+        output: '/backup',
+        groupBy: 'month',
+        profiles: { vm1: { includeDisks: ['vda'] } }
+      });
+
+      const [vm1Args, vm2Args] = childProcessModule.spawn.mock.calls.map(([, args]) => args);
+
+      expect(vm1Args.slice(-2)).toEqual(['-x', 'vdb,vdc']);
+      expect(vm2Args).not.toContain('-x');
+    });
+
+    test('does not look up the disks without a selection', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      expect(virshModule.fetchAllDisks).not.toHaveBeenCalled();
+      expect(childProcessModule.spawn.mock.calls[0][1]).not.toContain('-x');
+    });
+  });
+
+  describe('compression', () => {
+    beforeEach(() => {
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+    });
+
+    test('compresses at the default or the given level', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+
+      await performBackup({
+        domains: 'vm1,vm2',
+        output: '/backup',
+        groupBy: 'month',
+        compress: true,
+        profiles: { vm2: { compress: 9 } }
+      });
+
+      const [vm1Args, vm2Args] = childProcessModule.spawn.mock.calls.map(([, args]) => args);
+
+      expect(vm1Args).toContain('--compress');
+      expect(vm2Args).toContain('--compress=9');
+    });
+
+    test('fails the domain for an invalid level', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+      await expect(
+        performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', compress: 'max' })
+      ).rejects.toThrow('Backups failed for: vm1');
+
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        'Backup for vm1 failed: Invalid compression level: max.  Use 0 to 16'
+      );
+    });
+  });
+
+  describe('replication', () => {
+    let replicationModule;
+
+    beforeEach(async () => {
+      replicationModule = await import('../../../libs/replication.js');
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+    });
+
+    test('replicates the period folder of each successful backup', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({
+        domains: 'vm1,vm2',
+        output: '/backup',
+        groupBy: 'month',
+        replicate: '/mnt/nfs',
+        profiles: { vm2: { groupBy: 'quarter' } }
+      });
+
+      expect(replicationModule.replicateDomain).toHaveBeenCalledTimes(2);
+      expect(replicationModule.replicateDomain).toHaveBeenCalledWith(
+        expect.objectContaining({ replicate: '/mnt/nfs' }),
+        'vm1',
+        '/backup',
+        'vmsnap-backup-monthly-2024-03'
+      );
+      expect(replicationModule.replicateDomain).toHaveBeenCalledWith(
+        expect.objectContaining({ groupBy: 'quarter' }),
+        'vm2',
+        '/backup',
+        'vmsnap-backup-quarterly-2024-Q1'
+      );
+    });
+
+    test('does not replicate a failed backup', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(1), 10);
+        }
+      });
+
+      await expect(
+        performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', replicate: '/mnt/nfs' })
+      ).rejects.toThrow('Backups failed for: vm1');
+
+      expect(replicationModule.replicateDomain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('locking', () => {
+    let lockModule;
+
+    beforeEach(async () => {
+      lockModule = await import('../../../libs/lock.js');
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+    });
+
+    test('skips a domain locked by another run and backs up the rest', async () => {
+      const locked = Object.assign(new Error('vm1 is locked by PID 42 on host1 (vmsnap.js --backup) since 2024-03-15T02:00:00.000Z'), {
+        code: 17
+      });
+
+      lockModule.withDomainLock.mockImplementation(async (options, domain, callback) => {
+        if (domain === 'vm1') {
+          throw locked;
+        }
+
+        return callback();
+      });
+
+      const options = { domains: 'vm1,vm2', output: '/backup', groupBy: 'month', wait: false };
+
+      const results = await performBackup(options);
+
+      expect(results.map(({ domain, result }) => [domain, result])).toEqual([
+        ['vm1', 'skipped'],
+        ['vm2', 'success']
+      ]);
+      expect(results[0].reason).toBe(locked.message);
+      expect(lockModule.withDomainLock).toHaveBeenCalledWith(options, 'vm2', expect.any(Function));
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(1);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(`Skipping vm1: ${locked.message}`);
+    });
+  });
+
+  describe('new chain', () => {
+    let chainModule;
+
+    beforeEach(async () => {
+      chainModule = await import('../../../libs/chain.js');
+      generalModule.fileExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.domainExists.mockResolvedValue(true);
+      virshModule.isDomainRunning.mockResolvedValue(true);
+      chainModule.readNewChainRequest.mockResolvedValue({ requestedAt: '2024-03-14T09:00:00.000Z' });
+    });
+
+    test('starts a requested chain in a new sub-folder and clears the request', async () => {
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      const args = childProcessModule.spawn.mock.calls[0][1];
+
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1');
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', undefined, false, {
+        include: [],
+        exclude: []
+      });
+      expect(args[args.indexOf('-o') + 1]).toBe('/backup/vm1/vmsnap-backup-monthly-2024-03/chain-2');
+      expect(chainModule.clearNewChainRequest).toHaveBeenCalledWith('/backup', 'vm1');
+    });
+
+    test('keeps the request when the new chain fails', async () => {
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(1), 10);
+        }
+      });
+
+      await expect(performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' })).rejects.toThrow(
+        'Backups failed for: vm1'
+      );
+
+      expect(chainModule.clearNewChainRequest).not.toHaveBeenCalled();
+    });
+
+    test('clears a request when a new period starts the chain instead', async () => {
+      const periodPath = '/backup/vm1/vmsnap-backup-monthly-2024-03';
+      let periodExists = false;
+
+      generalModule.fileExists.mockImplementation(async (path) => path !== periodPath || periodExists);
+      chainModule.clearNewChainRequest.mockImplementation(async () => {
+        chainModule.readNewChainRequest.mockResolvedValue(undefined);
+      });
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      periodExists = true;
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      const folders = childProcessModule.spawn.mock.calls.map(([, args]) => args[args.indexOf('-o') + 1]);
+
+      expect(folders).toEqual([periodPath, periodPath]);
+      expect(chainModule.getNextChainPath).not.toHaveBeenCalled();
+      expect(chainModule.clearNewChainRequest).toHaveBeenCalledWith('/backup', 'vm1');
+    });
+
+    test('adds to the newest chain when none was requested', async () => {
+      chainModule.readNewChainRequest.mockResolvedValue(undefined);
+      chainModule.getChainPath.mockResolvedValue('/backup/vm1/vmsnap-backup-monthly-2024-03/chain-3');
+
+      const [plan] = await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', dryRun: true });
+
+      expect(plan).toMatchObject({
+        backupFolder: '/backup/vm1/vmsnap-backup-monthly-2024-03/chain-3',
+        newChain: false,
+        checkpoints: []
+      });
+    });
+
+    test('plans the requested chain on a dry run', async () => {
+      virshModule.cleanupCheckpoints.mockResolvedValue(['virtnbdbackup.0']);
+      qemuImgModule.cleanupBitmaps.mockResolvedValue([]);
+
+      const [plan] = await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', dryRun: true });
+
+      expect(plan).toMatchObject({
+        backupFolder: '/backup/vm1/vmsnap-backup-monthly-2024-03/chain-2',
+        newChain: true,
+        checkpoints: ['virtnbdbackup.0']
+      });
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', undefined, true);
+    });
+
+    test('starts a new chain with full without a request', async () => {
+      chainModule.readNewChainRequest.mockResolvedValue(undefined);
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month', full: true });
+
+      const args = childProcessModule.spawn.mock.calls[0][1];
+
+      expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1');
+      expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', undefined, false, {
+        include: [],
+        exclude: []
+      });
+      expect(args[args.indexOf('-o') + 1]).toBe('/backup/vm1/vmsnap-backup-monthly-2024-03/chain-2');
+    });
+  });
+
+  describe('manifest', () => {
+    let manifestModule;
+
+    beforeEach(async () => {
+      manifestModule = await import('../../../libs/manifest.js');
+      generalModule.fileExists.mockResolvedValue(true);
+      virshModule.domainExists.mockResolvedValue(true);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      manifestModule.readFolderState.mockResolvedValue({ checkpoints: [], dataFiles: new Map() });
+      manifestModule.describeBackup.mockReturnValue({
+        level: 'full',
+        checkpoint: 'virtnbdbackup.0',
+        disks: [{ disk: 'vda', file: 'vda.full.data', size: 1024 }]
+      });
+    });
+
+    test('records each run in the period folder', async () => {
+      virshModule.isDomainRunning.mockResolvedValue(false);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(0), 10);
+        }
+      });
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      expect(manifestModule.appendBackupManifest).toHaveBeenCalledWith(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        {
+          startedAt: expect.any(String),
+          finishedAt: expect.any(String),
+          result: 'success',
+          exitCode: 0,
+          error: null,
+          level: 'full',
+          checkpoint: 'virtnbdbackup.0',
+          disks: [{ disk: 'vda', file: 'vda.full.data', size: 1024 }],
+          startedPaused: true
+        }
+      );
+    });
+
+    test('records a failed run with its exit code', async () => {
+      virshModule.isDomainRunning.mockResolvedValue(true);
+
+      mockSpawnChild.on.mockImplementation((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(2), 10);
+        }
+      });
+
+      await expect(performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' })).rejects.toThrow(
+        'Backups failed for: vm1'
+      );
+
+      expect(manifestModule.appendBackupManifest).toHaveBeenCalledWith(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        expect.objectContaining({ result: 'failed', exitCode: 2, startedPaused: false })
+      );
+    });
+
+    test('does not record a domain that does not exist', async () => {
+      virshModule.domainExists.mockResolvedValue(false);
+
+      await performBackup({ domains: 'vm1', output: '/backup', groupBy: 'month' });
+
+      expect(manifestModule.appendBackupManifest).not.toHaveBeenCalled();
+    });
+  });
+
   describe('VM state detection', () => {
     test('correctly detects running VM and omits -S flag', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(true);
 
@@ -847,7 +2252,7 @@ describe('libnbdbackup.js', () => {
 
     test('correctly detects offline VM and adds -S flag', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(false);
 
@@ -875,7 +2280,7 @@ describe('libnbdbackup.js', () => {
 
     test('handles multiple domains with mixed running states', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['running-vm', 'offline-vm']);
+      generalModule.resolveDomains.mockResolvedValue(['running-vm', 'offline-vm']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning
         .mockResolvedValueOnce(true)   // running-vm is running
@@ -908,7 +2313,7 @@ describe('libnbdbackup.js', () => {
   describe('process credentials', () => {
     test('spawns child process with current user credentials', async () => {
       generalModule.fileExists.mockResolvedValue(true);
-      generalModule.parseArrayParam.mockResolvedValue(['test-domain']);
+      generalModule.resolveDomains.mockResolvedValue(['test-domain']);
       virshModule.domainExists.mockResolvedValue(true);
       virshModule.isDomainRunning.mockResolvedValue(true);
 
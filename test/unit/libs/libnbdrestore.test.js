@@ -0,0 +1,320 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { RESTORE, checkChain, performRestore } from '../../../libs/libnbdrestore.js';
+
+// Mock external dependencies
+vi.mock('child_process', () => ({
+  spawn: vi.fn()
+}));
+
+vi.mock('fs/promises', () => ({
+  mkdir: vi.fn(),
+  readdir: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_DOMAINS: 1,
+  ERR_OUTPUT_DIR: 2,
+  ERR_RESTORE: 9,
+  ERR_TARGET_DIR: 10,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/virsh.js', () => ({
+  fetchAllDomains: vi.fn()
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(),
+  resolveDomains: vi.fn(),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }),
+}));
+
+vi.mock('../../../libs/libnbdbackup.js', () => ({
+  FREQUENCY_MONTHLY: 'month',
+  formatBackupFolder: vi.fn((groupBy, period) => `vmsnap-backup-${groupBy}ly-${period}`),
+  getBackupFolder: vi.fn(),
+  isValidPeriod: vi.fn()
+}));
+
+vi.mock('../../../libs/encryption.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  withDecryptedFolder: vi.fn((path, encryptKey, stagingDir, callback) => callback(path))
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  getChainFolder: vi.fn(async (path, number) => (number === 1 ? path : undefined)),
+  getChainPath: vi.fn(async (path) => path)
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+const CHAIN_FILES = ['virtnbdbackup.0.xml', 'virtnbdbackup.1.xml', 'virtnbdbackup.2.xml'];
+
+const DATA_FILES = [
+  'vda.full.data',
+  'vda.inc.virtnbdbackup.1.data',
+  'vda.inc.virtnbdbackup.2.data',
+  'checkpoints',
+  'vm1.cpt'
+];
+
+describe('libnbdrestore.js', () => {
+  let childProcessModule, fsModule, generalModule, libnbdbackupModule, encryptionModule, chainModule;
+  let closeCode;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    childProcessModule = await import('child_process');
+    fsModule = await import('fs/promises');
+    generalModule = await import('../../../libs/general.js');
+    libnbdbackupModule = await import('../../../libs/libnbdbackup.js');
+    encryptionModule = await import('../../../libs/encryption.js');
+    chainModule = await import('../../../libs/chain.js');
+
+    closeCode = 0;
+
+    childProcessModule.spawn.mockReturnValue({
+      on: vi.fn((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(closeCode), 0);
+        }
+      })
+    });
+
+    generalModule.resolveDomains.mockResolvedValue(['vm1']);
+    generalModule.fileExists.mockResolvedValue(true);
+    libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+    libnbdbackupModule.isValidPeriod.mockReturnValue(true);
+    fsModule.readdir.mockImplementation(async (path) =>
+      path.endsWith('checkpoints') ? CHAIN_FILES : DATA_FILES
+    );
+  });
+
+  test('exports correct RESTORE constant', () => {
+    expect(RESTORE).toBe('virtnbdrestore');
+  });
+
+  describe('checkChain', () => {
+    test('returns the latest checkpoint when none is requested', async () => {
+      await expect(checkChain('/backup/vm1/folder')).resolves.toBe('virtnbdbackup.2');
+    });
+
+    test('accepts a checkpoint by name or index', async () => {
+      await expect(checkChain('/backup/vm1/folder', 'virtnbdbackup.1')).resolves.toBe('virtnbdbackup.1');
+      await expect(checkChain('/backup/vm1/folder', 0)).resolves.toBe('virtnbdbackup.0');
+    });
+
+    test('throws when the backup folder has no checkpoints folder', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      await expect(checkChain('/backup/vm1/folder')).rejects.toMatchObject({
+        message: 'No backup found in /backup/vm1/folder',
+        code: 9
+      });
+    });
+
+    test('throws when a checkpoint in the middle of the chain is missing', async () => {
+      fsModule.readdir.mockImplementation(async (path) =>
+        path.endsWith('checkpoints')
+          ? ['virtnbdbackup.0.xml', 'virtnbdbackup.2.xml']
+          : DATA_FILES
+      );
+
+      await expect(checkChain('/backup/vm1/folder')).rejects.toThrow(
+        'Backup chain in /backup/vm1/folder is missing checkpoint virtnbdbackup.1'
+      );
+    });
+
+    test('only checks the chain up to the requested checkpoint', async () => {
+      fsModule.readdir.mockImplementation(async (path) =>
+        path.endsWith('checkpoints')
+          ? CHAIN_FILES
+          : ['vda.full.data', 'vda.inc.virtnbdbackup.1.data']
+      );
+
+      await expect(checkChain('/backup/vm1/folder', 1)).resolves.toBe('virtnbdbackup.1');
+      await expect(checkChain('/backup/vm1/folder', 2)).rejects.toThrow(
+        'Backup chain in /backup/vm1/folder is missing data for virtnbdbackup.2'
+      );
+    });
+
+    test('counts encrypted data files', async () => {
+      fsModule.readdir.mockImplementation(async (path) =>
+        path.endsWith('checkpoints')
+          ? CHAIN_FILES
+          : ['vda.full.data.enc', 'vda.inc.virtnbdbackup.1.data.enc', 'vda.inc.virtnbdbackup.2.data']
+      );
+
+      await expect(checkChain('/backup/vm1/folder')).resolves.toBe('virtnbdbackup.2');
+    });
+
+    test('throws for invalid checkpoint names', async () => {
+      await expect(checkChain('/backup/vm1/folder', 'bogus')).rejects.toThrow(
+        'Invalid checkpoint name: bogus'
+      );
+    });
+  });
+
+  describe('performRestore', () => {
+    test('throws when required arguments are missing', async () => {
+      await expect(performRestore({ output: '/backup', target: '/restore' }))
+        .rejects.toMatchObject({ code: 1 });
+      await expect(performRestore({ domains: 'vm1', target: '/restore' }))
+        .rejects.toMatchObject({ code: 2 });
+      await expect(performRestore({ domains: 'vm1', output: '/backup' }))
+        .rejects.toMatchObject({ code: 10 });
+    });
+
+    test('throws when no domains match', async () => {
+      generalModule.resolveDomains.mockResolvedValue([]);
+
+      await expect(
+        performRestore({ domains: 'nope*', output: '/backup', target: '/restore' })
+      ).rejects.toThrow('No matching domains found for: nope*');
+    });
+
+    test('restores the current period into the target directory', async () => {
+      await performRestore({ domains: 'vm1', output: '/backup', target: '/restore' });
+
+      expect(fsModule.mkdir).toHaveBeenCalledWith('/restore/vm1', { recursive: true });
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        [
+          '--noprogress',
+          '-a',
+          'restore',
+          '-i',
+          '/backup/vm1/vmsnap-backup-monthly-2024-03',
+          '-o',
+          '/restore/vm1',
+          '--until',
+          'virtnbdbackup.2'
+        ],
+        expect.objectContaining({ stdio: 'inherit' })
+      );
+    });
+
+    test('restores from the decrypted copy of an encrypted folder', async () => {
+      encryptionModule.withDecryptedFolder.mockImplementationOnce((path, encryptKey, stagingDir, callback) =>
+        callback('/restore/vmsnap-decrypt-abc')
+      );
+
+      await performRestore({
+        domains: 'vm1',
+        output: '/backup',
+        target: '/restore',
+        encryptKey: '/etc/vmsnap/key'
+      });
+
+      expect(encryptionModule.withDecryptedFolder).toHaveBeenCalledWith(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        '/etc/vmsnap/key',
+        '/restore',
+        expect.any(Function)
+      );
+      expect(childProcessModule.spawn.mock.calls[0][1]).toContain('/restore/vmsnap-decrypt-abc');
+    });
+
+    test('decrypts under decryptDir when one is given', async () => {
+      await performRestore({
+        domains: 'vm1',
+        output: '/backup',
+        target: '/restore',
+        encryptKey: '/etc/vmsnap/key',
+        decryptDir: '/scratch'
+      });
+
+      expect(encryptionModule.withDecryptedFolder).toHaveBeenCalledWith(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        '/etc/vmsnap/key',
+        '/scratch',
+        expect.any(Function)
+      );
+    });
+
+    test('restores a requested period and checkpoint', async () => {
+      await performRestore({
+        domains: 'vm1',
+        output: '/backup',
+        target: '/restore',
+        groupBy: 'quarter',
+        period: '2023-Q4',
+        checkpointName: 'virtnbdbackup.1',
+        connect: 'qemu:///system'
+      });
+
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        expect.arrayContaining([
+          '/backup/vm1/vmsnap-backup-quarterly-2023-Q4',
+          'virtnbdbackup.1',
+          '-U',
+          'qemu:///system'
+        ]),
+        expect.any(Object)
+      );
+    });
+
+    test('restores the newest chain of the period', async () => {
+      chainModule.getChainPath.mockResolvedValue('/backup/vm1/vmsnap-backup-monthly-2024-03/chain-2');
+
+      await performRestore({ domains: 'vm1', output: '/backup', target: '/restore' });
+
+      expect(chainModule.getChainPath).toHaveBeenCalledWith('/backup/vm1/vmsnap-backup-monthly-2024-03');
+      expect(childProcessModule.spawn.mock.calls[0][1]).toContain(
+        '/backup/vm1/vmsnap-backup-monthly-2024-03/chain-2'
+      );
+    });
+
+    test('restores a requested chain', async () => {
+      await performRestore({ domains: 'vm1', output: '/backup', target: '/restore', chain: '1' });
+
+      expect(chainModule.getChainFolder).toHaveBeenCalledWith('/backup/vm1/vmsnap-backup-monthly-2024-03', 1);
+      expect(childProcessModule.spawn.mock.calls[0][1]).toContain('/backup/vm1/vmsnap-backup-monthly-2024-03');
+    });
+
+    test('throws for a chain the period does not have', async () => {
+      await expect(
+        performRestore({ domains: 'vm1', output: '/backup', target: '/restore', chain: 3 })
+      ).rejects.toMatchObject({
+        message: 'No chain 3 found in /backup/vm1/vmsnap-backup-monthly-2024-03',
+        code: 9
+      });
+      await expect(
+        performRestore({ domains: 'vm1', output: '/backup', target: '/restore', chain: 'latest' })
+      ).rejects.toThrow('Invalid chain: latest');
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+    });
+
+    test('throws for a period that does not match the groupBy', async () => {
+      libnbdbackupModule.isValidPeriod.mockReturnValue(false);
+
+      await expect(
+        performRestore({ domains: 'vm1', output: '/backup', target: '/restore', period: '2024-Q1' })
+      ).rejects.toThrow('Invalid period 2024-Q1 for groupBy month');
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+    });
+
+    test('throws when virtnbdrestore fails', async () => {
+      closeCode = 1;
+
+      await expect(
+        performRestore({ domains: 'vm1', output: '/backup', target: '/restore' })
+      ).rejects.toMatchObject({
+        message: 'Restore for vm1 failed with code 1',
+        code: 9
+      });
+    });
+  });
+});
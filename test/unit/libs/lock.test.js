@@ -0,0 +1,201 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hostname, tmpdir } from 'os';
+import { sep } from 'path';
+import { access, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { acquireLock, releaseLock, withDomainLock } from '../../../libs/lock.js';
+
+// Lets a test step in just before a lock is moved aside or removed
+vi.mock('fs/promises', async (importOriginal) => {
+  const actual = await importOriginal();
+
+  return { ...actual, rename: vi.fn(actual.rename), rm: vi.fn(actual.rm) };
+});
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_CONFIG: 12,
+  ERR_LOCK_RELEASE: 6,
+  ERR_LOCKED: 17,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }),
+  parseDuration: vi.fn((value) => Number.parseInt(value, 10) * 1000)
+}));
+
+// A PID above the kernel's limit, no process can have it
+const GONE_PID = 999999999;
+
+// These tests take locks in a scratch directory
+describe('lock.js', () => {
+  let vmSnapModule, fsModule, lockDir, options;
+
+  const writeLock = (domain, holder) =>
+    writeFile(`${lockDir}${sep}${domain}.lock`, JSON.stringify(holder));
+
+  const exists = (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    );
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vmSnapModule = await import('../../../vmsnap.js');
+    fsModule = await import('fs/promises');
+
+    lockDir = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+    options = { lockDir, wait: false };
+  });
+
+  afterEach(async () => {
+    await rm(lockDir, { recursive: true, force: true });
+  });
+
+  test('records who holds the lock and releases it', async () => {
+    vi.setSystemTime(new Date('2024-03-15T02:00:00Z'));
+
+    const file = await acquireLock(options, 'vm1');
+
+    expect(file).toBe(`${lockDir}${sep}vm1.lock`);
+    expect(JSON.parse(await readFile(file, 'utf8'))).toEqual({
+      pid: process.pid,
+      host: hostname(),
+      command: process.argv.slice(1).join(' '),
+      startedAt: '2024-03-15T02:00:00.000Z'
+    });
+
+    await releaseLock(file);
+
+    expect(await readdir(lockDir)).toEqual([]);
+  });
+
+  test('lets only one of several tries at once take the lock', async () => {
+    const tries = await Promise.allSettled([1, 2, 3].map(() => acquireLock(options, 'vm1')));
+
+    expect(tries.filter(({ status }) => status === 'fulfilled')).toHaveLength(1);
+    expect(await readdir(lockDir)).toEqual(['vm1.lock']);
+  });
+
+  test('locks each domain on its own', async () => {
+    await acquireLock(options, 'vm1');
+
+    await expect(acquireLock(options, 'vm2')).resolves.toBe(`${lockDir}${sep}vm2.lock`);
+  });
+
+  test('fails straight away with --no-wait when the lock is held', async () => {
+    await writeLock('vm1', {
+      pid: process.pid,
+      host: hostname(),
+      command: 'vmsnap.js --domains=vm1 --backup',
+      startedAt: '2024-03-15T02:00:00.000Z'
+    });
+
+    await expect(acquireLock(options, 'vm1')).rejects.toMatchObject({
+      message: `vm1 is locked by PID ${process.pid} on ${hostname()} (vmsnap.js --domains=vm1 --backup) since 2024-03-15T02:00:00.000Z`,
+      code: 17
+    });
+  });
+
+  test('clears a stale lock left by a process that is gone', async () => {
+    await writeLock('vm1', { pid: GONE_PID, host: hostname(), command: 'vmsnap.js', startedAt: '2024-03-15T02:00:00.000Z' });
+
+    const file = await acquireLock(options, 'vm1');
+
+    expect(JSON.parse(await readFile(file, 'utf8')).pid).toBe(process.pid);
+    expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining(`Clearing the stale lock on vm1 left by PID ${GONE_PID}`)
+    );
+  });
+
+  test('leaves a lock another run took after clearing the same stale lock', async () => {
+    const { rename } = await vi.importActual('fs/promises');
+
+    const fresh = { pid: process.pid, host: hostname(), command: 'vmsnap.js --backup', startedAt: '2024-03-15T02:00:05.000Z' };
+
+    await writeLock('vm1', { pid: GONE_PID, host: hostname(), command: 'vmsnap.js', startedAt: '2024-03-15T02:00:00.000Z' });
+
+    // The other run clears the stale lock and takes its own before this one
+    // moves the lock aside
+    fsModule.rename.mockImplementationOnce(async (from, to) => {
+      await writeLock('vm1', fresh);
+
+      return rename(from, to);
+    });
+
+    await expect(acquireLock(options, 'vm1')).rejects.toThrow(`vm1 is locked by PID ${process.pid}`);
+    expect(JSON.parse(await readFile(`${lockDir}${sep}vm1.lock`, 'utf8'))).toEqual(fresh);
+    expect(await readdir(lockDir)).toEqual(['vm1.lock']);
+  });
+
+  test('never clears a lock held on another host', async () => {
+    await writeLock('vm1', { pid: GONE_PID, host: 'elsewhere', command: 'vmsnap.js', startedAt: '2024-03-15T02:00:00.000Z' });
+
+    await expect(acquireLock(options, 'vm1')).rejects.toThrow(`vm1 is locked by PID ${GONE_PID} on elsewhere`);
+  });
+
+  test('waits up to --lock-timeout for the lock to be released', async () => {
+    const file = await acquireLock(options, 'vm1');
+
+    setTimeout(() => releaseLock(file), 100);
+
+    await expect(acquireLock({ lockDir, lockTimeout: '5s' }, 'vm1')).resolves.toBe(file);
+    expect(vmSnapModule.logger.info).toHaveBeenCalledWith(expect.stringContaining('Waiting for the lock on vm1'));
+  });
+
+  describe('withDomainLock', () => {
+    test('holds the lock while the callback runs', async () => {
+      const result = await withDomainLock(options, 'vm1', async () => exists(`${lockDir}${sep}vm1.lock`));
+
+      expect(result).toBe(true);
+      expect(await exists(`${lockDir}${sep}vm1.lock`)).toBe(false);
+    });
+
+    test('releases the lock when the callback fails', async () => {
+      await expect(
+        withDomainLock(options, 'vm1', async () => {
+          throw new Error('virtnbdbackup failed');
+        })
+      ).rejects.toThrow('virtnbdbackup failed');
+
+      expect(await exists(`${lockDir}${sep}vm1.lock`)).toBe(false);
+    });
+
+    test('keeps the callback error when the lock can not be released either', async () => {
+      const { rm } = await vi.importActual('fs/promises');
+
+      fsModule.rm.mockImplementation(async (path, opts) => {
+        if (path.endsWith('vm1.lock')) {
+          throw new Error('read-only file system');
+        }
+
+        return rm(path, opts);
+      });
+
+      await expect(
+        withDomainLock(options, 'vm1', async () => {
+          throw new Error('virtnbdbackup failed');
+        })
+      ).rejects.toThrow('virtnbdbackup failed');
+
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        `Unable to release ${lockDir}${sep}vm1.lock: read-only file system`
+      );
+    });
+
+    test('takes no lock on a dry run', async () => {
+      await writeLock('vm1', { pid: process.pid, host: hostname(), command: 'vmsnap.js', startedAt: '2024-03-15T02:00:00.000Z' });
+
+      await expect(withDomainLock({ ...options, dryRun: true }, 'vm1', async () => 'planned')).resolves.toBe('planned');
+    });
+  });
+});
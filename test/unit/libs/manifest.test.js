@@ -0,0 +1,203 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hostname, tmpdir } from 'os';
+import { sep } from 'path';
+import { access, mkdir, mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'fs/promises';
+import {
+  MANIFEST_FILE,
+  appendBackupManifest,
+  describeBackup,
+  getVersion,
+  readBackupManifest,
+  readBackupRuns,
+  readFolderState
+} from '../../../libs/manifest.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(async (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    )
+  )
+}));
+
+vi.mock('../../../libs/encryption.js', () => ({
+  ENCRYPTED_EXTENSION: '.enc'
+}));
+
+describe('manifest.js', () => {
+  let vmSnapModule, scratch;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vmSnapModule = await import('../../../vmsnap.js');
+
+    scratch = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+  });
+
+  afterEach(async () => {
+    await rm(scratch, { recursive: true, force: true });
+  });
+
+  describe('readFolderState', () => {
+    test('lists the data files and checkpoints in order', async () => {
+      await mkdir(`${scratch}${sep}checkpoints`);
+      await writeFile(`${scratch}${sep}vda.full.data`, 'full');
+      await writeFile(`${scratch}${sep}vdb.inc.virtnbdbackup.1.data.enc`, 'encrypted');
+      await writeFile(`${scratch}${sep}vmconfig.virtnbdbackup.0.xml`, '<domain/>');
+
+      for (const index of [10, 2, 0]) {
+        await writeFile(`${scratch}${sep}checkpoints${sep}virtnbdbackup.${index}.xml`, '<checkpoint/>');
+      }
+
+      const state = await readFolderState(scratch);
+
+      expect(state.checkpoints).toEqual(['virtnbdbackup.0', 'virtnbdbackup.2', 'virtnbdbackup.10']);
+      expect(state.dataFiles).toEqual(
+        new Map([
+          ['vda.full.data', 4],
+          ['vdb.inc.virtnbdbackup.1.data', 9]
+        ])
+      );
+    });
+
+    test('is empty for a folder that does not exist', async () => {
+      await expect(readFolderState(`${scratch}${sep}missing`)).resolves.toEqual({
+        checkpoints: [],
+        dataFiles: new Map()
+      });
+    });
+  });
+
+  describe('describeBackup', () => {
+    const empty = { checkpoints: [], dataFiles: new Map() };
+
+    test('describes a full backup', () => {
+      const after = {
+        checkpoints: ['virtnbdbackup.0'],
+        dataFiles: new Map([
+          ['vdb.full.data', 20],
+          ['vda.full.data', 10]
+        ])
+      };
+
+      expect(describeBackup(empty, after)).toEqual({
+        level: 'full',
+        checkpoint: 'virtnbdbackup.0',
+        disks: [
+          { disk: 'vda', file: 'vda.full.data', size: 10 },
+          { disk: 'vdb', file: 'vdb.full.data', size: 20 }
+        ]
+      });
+    });
+
+    test('only describes what the backup added', () => {
+      const before = {
+        checkpoints: ['virtnbdbackup.0'],
+        dataFiles: new Map([['vda.full.data', 10]])
+      };
+      const after = {
+        checkpoints: ['virtnbdbackup.0', 'virtnbdbackup.1'],
+        dataFiles: new Map([
+          ['vda.full.data', 10],
+          ['vda.inc.virtnbdbackup.1.data', 3]
+        ])
+      };
+
+      expect(describeBackup(before, after)).toEqual({
+        level: 'incremental',
+        checkpoint: 'virtnbdbackup.1',
+        disks: [{ disk: 'vda', file: 'vda.inc.virtnbdbackup.1.data', size: 3 }]
+      });
+    });
+
+    test('describes a backup that wrote nothing', () => {
+      expect(describeBackup(empty, empty)).toEqual({ level: null, checkpoint: null, disks: [] });
+    });
+  });
+
+  describe('appendBackupManifest', () => {
+    test('appends each run, stamped with the version and host', async () => {
+      await appendBackupManifest(scratch, { result: 'success', exitCode: 0 });
+      await appendBackupManifest(scratch, { result: 'failed', exitCode: 1 });
+
+      const version = await getVersion();
+      const entries = await readBackupManifest(scratch);
+
+      expect(version).toBe(JSON.parse(await readFile(new URL('../../../package.json', import.meta.url))).version);
+      expect(entries).toEqual([
+        { result: 'success', exitCode: 0, version, host: hostname() },
+        { result: 'failed', exitCode: 1, version, host: hostname() }
+      ]);
+      expect(await readdir(scratch)).toEqual([MANIFEST_FILE]);
+    });
+
+    test('sets aside a manifest it can not read', async () => {
+      await writeFile(`${scratch}${sep}${MANIFEST_FILE}`, '[{"result":');
+
+      await appendBackupManifest(scratch, { result: 'success' });
+
+      expect(await readBackupManifest(scratch)).toEqual([expect.objectContaining({ result: 'success' })]);
+      expect((await readdir(scratch)).filter((file) => file.endsWith('.corrupt'))).toHaveLength(1);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(expect.stringContaining('setting it aside'));
+    });
+
+    test('does not create the period folder', async () => {
+      await appendBackupManifest(`${scratch}${sep}missing`, { result: 'failed' });
+
+      expect(await readdir(scratch)).toEqual([]);
+      expect(vmSnapModule.logger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readBackupRuns', () => {
+    test('adds the runs no manifest entry accounts for', async () => {
+      await writeFile(`${scratch}${sep}vda.full.data`, 'full');
+      await writeFile(`${scratch}${sep}vdb.full.data.enc`, 'encrypted');
+      await writeFile(`${scratch}${sep}vda.inc.virtnbdbackup.1.data`, 'inc');
+      await utimes(`${scratch}${sep}vda.full.data`, 1709258400, 1709258400);
+      await utimes(`${scratch}${sep}vdb.full.data.enc`, 1709258460, 1709258460);
+
+      await appendBackupManifest(scratch, {
+        startedAt: '2024-03-02T02:00:00.000Z',
+        finishedAt: '2024-03-02T02:01:00.000Z',
+        result: 'success',
+        disks: [{ disk: 'vda', file: 'vda.inc.virtnbdbackup.1.data', size: 3 }]
+      });
+
+      const runs = await readBackupRuns(scratch);
+
+      expect(runs).toHaveLength(2);
+      expect(runs[0]).toEqual({
+        startedAt: null,
+        finishedAt: '2024-03-01T02:01:00.000Z',
+        result: null,
+        exitCode: null,
+        error: null,
+        level: 'full',
+        checkpoint: 'virtnbdbackup.0',
+        disks: [
+          { disk: 'vda', file: 'vda.full.data', size: 4 },
+          { disk: 'vdb', file: 'vdb.full.data', size: 9 }
+        ],
+        startedPaused: null
+      });
+      expect(runs[1]).toMatchObject({ startedAt: '2024-03-02T02:00:00.000Z', result: 'success' });
+    });
+  });
+
+  describe('readBackupManifest', () => {
+    test('is empty without a manifest', async () => {
+      await expect(readBackupManifest(scratch)).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { exportMetrics, formatMetrics, writeMetricsFile } from '../../../libs/metrics.js';
+
+// Mock external dependencies
+vi.mock('fs/promises', () => ({
+  rename: vi.fn(),
+  rm: vi.fn(),
+  writeFile: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/serialization.js', () => ({
+  getStatus: vi.fn()
+}));
+
+vi.mock('../../../libs/libnbdbackup.js', () => ({
+  FREQUENCY_MONTHLY: 'month',
+  RESULT_SUCCESS: 'success',
+  RESULT_FAILED: 'failed',
+  RESULT_SKIPPED: 'skipped'
+}));
+
+const NOW = new Date('2024-03-15T10:00:00Z');
+
+// The temporary file a metrics file is written to first
+const TEMP_PATH = new RegExp(`^/metrics/vmsnap\\.prom\\.${process.pid}\\.[0-9a-f-]{36}\\.tmp$`);
+
+const STATUSES = {
+  vm1: {
+    overallStatus: 0,
+    checkpoints: ['virtnbdbackup.0', 'virtnbdbackup.1'],
+    disks: [
+      { disk: 'vda', bitmaps: ['virtnbdbackup.0', 'virtnbdbackup.1'] },
+      { disk: 'vdb', bitmaps: [] }
+    ],
+    backupDirStats: { totalSize: 4096 },
+    lastBackup: {
+      finishedAt: '2024-03-15T09:00:00.000Z',
+      result: 'failed',
+      exitCode: 1,
+      duration: 1500,
+      bytesWritten: 1024
+    }
+  },
+  'my "odd"\\vm': {
+    overallStatus: 3,
+    checkpoints: [],
+    disks: [],
+    lastBackup: null
+  }
+};
+
+describe('metrics.js', () => {
+  let fsModule, vmSnapModule, serializationModule;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    fsModule = await import('fs/promises');
+    vmSnapModule = await import('../../../vmsnap.js');
+    serializationModule = await import('../../../libs/serialization.js');
+  });
+
+  describe('formatMetrics', () => {
+    test('writes a gauge per metric with a domain label on every sample', () => {
+      const lines = formatMetrics(STATUSES, NOW).split('\n');
+
+      expect(lines).toContain('# TYPE vmsnap_overall_status gauge');
+      expect(lines).toContain('vmsnap_overall_status{domain="vm1"} 0');
+      expect(lines).toContain('vmsnap_checkpoints{domain="vm1"} 2');
+      expect(lines).toContain('vmsnap_bitmaps{domain="vm1",disk="vda"} 2');
+      expect(lines).toContain('vmsnap_bitmaps{domain="vm1",disk="vdb"} 0');
+      expect(lines).toContain('vmsnap_backup_directory_size_bytes{domain="vm1"} 4096');
+      expect(lines).toContain('vmsnap_metrics_timestamp_seconds 1710496800');
+    });
+
+    test('writes the last backup of each domain', () => {
+      const lines = formatMetrics(STATUSES, NOW).split('\n');
+
+      expect(lines).toContain('vmsnap_last_backup_timestamp_seconds{domain="vm1"} 1710493200');
+      expect(lines).toContain('vmsnap_last_backup_result{domain="vm1",result="success"} 0');
+      expect(lines).toContain('vmsnap_last_backup_result{domain="vm1",result="failed"} 1');
+      expect(lines).toContain('vmsnap_last_backup_result{domain="vm1",result="skipped"} 0');
+      expect(lines).toContain('vmsnap_last_backup_duration_seconds{domain="vm1"} 1.5');
+      expect(lines).toContain('vmsnap_last_backup_bytes_written{domain="vm1"} 1024');
+    });
+
+    test('escapes label values and skips metrics a domain has no data for', () => {
+      const metrics = formatMetrics(STATUSES, NOW);
+
+      expect(metrics).toContain('vmsnap_overall_status{domain="my \\"odd\\"\\\\vm"} 3');
+      expect(metrics.match(/vmsnap_last_backup_result\{/g)).toHaveLength(3);
+      expect(metrics.match(/vmsnap_backup_directory_size_bytes\{/g)).toHaveLength(1);
+      expect(metrics.endsWith('\n')).toBe(true);
+    });
+  });
+
+  describe('writeMetricsFile', () => {
+    test('writes a temporary file and renames it into place', async () => {
+      await writeMetricsFile('/metrics/vmsnap.prom', 'metrics\n');
+
+      const [[tempPath]] = fsModule.writeFile.mock.calls;
+
+      expect(tempPath).toMatch(TEMP_PATH);
+      expect(fsModule.writeFile).toHaveBeenCalledWith(tempPath, 'metrics\n');
+      expect(fsModule.rename).toHaveBeenCalledWith(tempPath, '/metrics/vmsnap.prom');
+      expect(fsModule.rm).not.toHaveBeenCalled();
+    });
+
+    test('gives each write its own temporary file', async () => {
+      await writeMetricsFile('/metrics/vmsnap.prom', 'metrics\n');
+      await writeMetricsFile('/metrics/vmsnap.prom', 'metrics\n');
+
+      const [[first], [second]] = fsModule.writeFile.mock.calls;
+
+      expect(first).not.toBe(second);
+    });
+
+    test('removes the temporary file when the write fails', async () => {
+      fsModule.rename.mockRejectedValueOnce(new Error('EXDEV'));
+
+      await expect(writeMetricsFile('/metrics/vmsnap.prom', 'metrics\n')).rejects.toThrow('EXDEV');
+      expect(fsModule.rm).toHaveBeenCalledWith(fsModule.writeFile.mock.calls[0][0], {
+        force: true
+      });
+    });
+  });
+
+  describe('exportMetrics', () => {
+    test('writes the status of every domain by default', async () => {
+      serializationModule.getStatus.mockResolvedValue(STATUSES);
+
+      const options = { metricsFile: '/metrics/vmsnap.prom', output: '/backup' };
+
+      await exportMetrics(options);
+
+      expect(serializationModule.getStatus).toHaveBeenCalledWith('*', '/backup', 'month', false, options);
+      expect(fsModule.rename).toHaveBeenCalledWith(expect.stringMatching(TEMP_PATH), '/metrics/vmsnap.prom');
+    });
+
+    test('exports one at a time', async () => {
+      let resolveStatus;
+
+      serializationModule.getStatus.mockReturnValueOnce(
+        new Promise((resolve) => {
+          resolveStatus = resolve;
+        })
+      );
+      serializationModule.getStatus.mockResolvedValueOnce({});
+
+      const first = exportMetrics({ metricsFile: '/metrics/vmsnap.prom' });
+      const second = exportMetrics({ metricsFile: '/metrics/vmsnap.prom' });
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(serializationModule.getStatus).toHaveBeenCalledTimes(1);
+
+      resolveStatus(STATUSES);
+
+      await Promise.all([first, second]);
+
+      expect(serializationModule.getStatus).toHaveBeenCalledTimes(2);
+      expect(fsModule.rename).toHaveBeenCalledTimes(2);
+      expect(fsModule.writeFile.mock.calls[1][1]).not.toContain('vmsnap_overall_status{');
+    });
+
+    test('logs failures instead of throwing', async () => {
+      serializationModule.getStatus.mockRejectedValue(new Error('virsh exploded'));
+
+      await expect(exportMetrics({ metricsFile: '/metrics/vmsnap.prom' })).resolves.toBeUndefined();
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        'Unable to write metrics to /metrics/vmsnap.prom: virsh exploded'
+      );
+      expect(fsModule.writeFile).not.toHaveBeenCalled();
+    });
+  });
+});
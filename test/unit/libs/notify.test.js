@@ -0,0 +1,217 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getWebhooks, isNotifyingOnSuccess, notify, sendWebhook } from '../../../libs/notify.js';
+
+// Mock external dependencies
+vi.mock('os', () => ({
+  hostname: vi.fn(() => 'kvm1')
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const NOTIFICATION = {
+  event: 'backup-failed',
+  domain: 'vm1',
+  host: 'kvm1',
+  timestamp: '2024-03-15T10:00:00.000Z',
+  message: 'Backup of vm1 failed: exit code 1',
+  details: { exitCode: 1 }
+};
+
+const respond = (status) => ({ ok: status >= 200 && status < 300, status });
+
+describe('notify.js', () => {
+  let vmSnapModule, fetchMock;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    vmSnapModule = await import('../../../vmsnap.js');
+
+    fetchMock = vi.fn(async () => respond(200));
+
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  const sentBody = (call = 0) => JSON.parse(fetchMock.mock.calls[call][1].body);
+
+  describe('getWebhooks', () => {
+    test('merges the config file webhooks with --webhook', () => {
+      const webhooks = getWebhooks({
+        notifications: {
+          webhooks: ['https://a.example.com/hook', { url: 'https://b.example.com', template: 'slack' }]
+        },
+        webhook: ['https://c.example.com', 'https://d.example.com'],
+        webhookTemplate: 'gotify'
+      });
+
+      expect(webhooks).toEqual([
+        { url: 'https://a.example.com/hook' },
+        { url: 'https://b.example.com', template: 'slack' },
+        { url: 'https://c.example.com', template: 'gotify' },
+        { url: 'https://d.example.com', template: 'gotify' }
+      ]);
+    });
+
+    test('accepts a single --webhook and ignores webhooks without a URL', () => {
+      expect(getWebhooks({ webhook: 'https://c.example.com' })).toEqual([
+        { url: 'https://c.example.com', template: undefined }
+      ]);
+      expect(getWebhooks({ notifications: { webhooks: [{ template: 'slack' }, ''] } })).toEqual([]);
+      expect(getWebhooks({})).toEqual([]);
+    });
+  });
+
+  describe('isNotifyingOnSuccess', () => {
+    test('lets --notify-on-success win over the config file', () => {
+      expect(isNotifyingOnSuccess({})).toBe(false);
+      expect(isNotifyingOnSuccess({ notifications: { onSuccess: true } })).toBe(true);
+      expect(
+        isNotifyingOnSuccess({ notifyOnSuccess: false, notifications: { onSuccess: true } })
+      ).toBe(false);
+    });
+  });
+
+  describe('notify', () => {
+    test('does nothing without webhooks', async () => {
+      await notify({}, 'backup-failed', 'Backup of vm1 failed');
+
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    test('POSTs the generic payload to every webhook', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2024-03-15T10:00:00Z'));
+
+      await notify(
+        { webhook: ['https://a.example.com/hook', 'https://b.example.com/hook'] },
+        'backup-failed',
+        'Backup of vm1 failed: exit code 1',
+        { domain: 'vm1', exitCode: 1 }
+      );
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://a.example.com/hook');
+      expect(fetchMock.mock.calls[0][1]).toMatchObject({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(sentBody()).toEqual(NOTIFICATION);
+    });
+
+    test('only sends events a webhook asked for', async () => {
+      const options = {
+        notifications: {
+          webhooks: [{ url: 'https://a.example.com', events: ['scrub-failed'] }]
+        }
+      };
+
+      await notify(options, 'pruned', 'Pruned vmsnap-backup-monthly-2024-02');
+
+      expect(fetchMock).not.toHaveBeenCalled();
+
+      await notify(options, 'scrub-failed', 'Scrub failed: oops');
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sendWebhook', () => {
+    test('formats the body for slack, mattermost and gotify', async () => {
+      await sendWebhook({ url: 'https://slack.example.com', template: 'slack' }, NOTIFICATION);
+      await sendWebhook({ url: 'https://mm.example.com', template: 'mattermost' }, NOTIFICATION);
+      await sendWebhook({ url: 'https://gotify.example.com', template: 'gotify' }, NOTIFICATION);
+
+      expect(sentBody(0)).toEqual({ text: '[vmsnap@kvm1] Backup of vm1 failed: exit code 1' });
+      expect(sentBody(1)).toEqual({
+        username: 'vmsnap',
+        text: '[vmsnap@kvm1] Backup of vm1 failed: exit code 1'
+      });
+      expect(sentBody(2)).toEqual({
+        title: 'vmsnap@kvm1: backup-failed',
+        message: 'Backup of vm1 failed: exit code 1',
+        priority: 8
+      });
+    });
+
+    test('falls back to the generic payload for unknown templates', async () => {
+      await sendWebhook({ url: 'https://a.example.com', template: 'teams' }, NOTIFICATION);
+
+      expect(sentBody()).toEqual(NOTIFICATION);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Unknown webhook template: teams.  Using generic'
+      );
+    });
+
+    test('retries a failing webhook with a growing delay', async () => {
+      vi.useFakeTimers();
+      fetchMock
+        .mockResolvedValueOnce(respond(502))
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(respond(204));
+
+      const sent = sendWebhook({ url: 'https://a.example.com' }, NOTIFICATION);
+
+      await vi.advanceTimersByTimeAsync(999);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(2000);
+
+      await expect(sent).resolves.toBe(true);
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(vmSnapModule.logger.warn).not.toHaveBeenCalled();
+    });
+
+    test('gives up without throwing and never logs the full URL', async () => {
+      fetchMock.mockResolvedValue(respond(500));
+
+      await expect(
+        sendWebhook(
+          { url: 'https://hooks.example.com/services/SECRET-TOKEN' },
+          NOTIFICATION,
+          { retries: 0 }
+        )
+      ).resolves.toBe(false);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Unable to notify https://hooks.example.com of backup-failed: HTTP 500'
+      );
+    });
+
+    test('times out a webhook that does not answer', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockImplementation(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+          })
+      );
+
+      const sent = sendWebhook({ url: 'https://a.example.com' }, NOTIFICATION, {
+        timeout: 500,
+        retries: 0
+      });
+
+      await vi.advanceTimersByTimeAsync(500);
+
+      await expect(sent).resolves.toBe(false);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'Unable to notify https://a.example.com of backup-failed: timed out after 500ms'
+      );
+    });
+  });
+});
@@ -4,6 +4,9 @@ import {
   SCREEN_SIZE,
   TYPE_YAML,
   TYPE_JSON,
+  printBackupSummary,
+  printHistory,
+  printPlan,
   printStatusCheck
 } from '../../../libs/print.js';
 import { sampleStatus, sampleStatusInconsistent } from '../../fixtures/sample-outputs.js';
@@ -25,14 +28,25 @@ vi.mock('../../../libs/serialization.js', () => ({
   getStatus: vi.fn(),
   STATUS_OK: 0,
   STATUS_INCONSISTENT: 1,
+  STATUS_CORRUPT: 3,
+  STATUS_STALE: 4,
   STATUSES: new Map([
     [0, 'OK'],
-    [1, 'INCONSISTENT']
+    [1, 'INCONSISTENT'],
+    [2, 'UNVERIFIED'],
+    [3, 'CORRUPT'],
+    [4, 'STALE']
   ])
 }));
 
 vi.mock('../../../libs/libnbdbackup.js', () => ({
-  FREQUENCY_MONTHLY: 'month'
+  FREQUENCY_MONTHLY: 'month',
+  RESULT_SUCCESS: 'success',
+  RESULT_FAILED: 'failed'
+}));
+
+vi.mock('../../../libs/history.js', () => ({
+  getHistory: vi.fn()
 }));
 
 describe('print.js', () => {
@@ -94,7 +108,13 @@ describe('print.js', () => {
         'test-vm',
         '/backup',
         'quarter',
-        true
+        true,
+        {
+          domains: 'test-vm',
+          output: '/backup',
+          groupBy: 'quarter',
+          pretty: true
+        }
       );
     });
 
@@ -105,7 +125,8 @@ describe('print.js', () => {
         '*',
         undefined,
         'month',
-        false
+        false,
+        {}
       );
     });
 
@@ -239,6 +260,51 @@ describe('print.js', () => {
         );
       });
 
+      test('displays the chains of each period folder', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            storage: {
+              storedSize: 3000,
+              logicalSize: 3000,
+              compressionRatio: 1,
+              periods: [
+                {
+                  folder: 'vmsnap-backup-monthly-2024-03',
+                  chains: 2,
+                  storedSize: 2000,
+                  logicalSize: 2000,
+                  compressionRatio: 1,
+                  compressed: false,
+                  encrypted: false,
+                  decryptable: null
+                },
+                {
+                  folder: 'vmsnap-backup-monthly-2024-02',
+                  chains: 1,
+                  storedSize: 1000,
+                  logicalSize: 1000,
+                  compressionRatio: 1,
+                  compressed: false,
+                  encrypted: false,
+                  decryptable: null
+                }
+              ]
+            }
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith('    Chain: 1');
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '    vmsnap-backup-monthly-2024-03: 2000 stored, 2000 logical (1x), 2 chains'
+        );
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '    vmsnap-backup-monthly-2024-02: 1000 stored, 1000 logical (1x)'
+        );
+      });
+
       test('skips backup directory stats when not available', async () => {
         const statusWithoutBackupStats = {
           'test-vm': {
@@ -265,6 +331,126 @@ describe('print.js', () => {
         );
       });
 
+      test('displays the last verification of the backups', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            overallStatus: 3,
+            verification: {
+              verifiedAt: '2024-03-15T10:00:00.000Z',
+              checkpoints: 2,
+              result: 'corrupt'
+            }
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          expect.stringContaining('CORRUPT')
+        );
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '  Last verified: 2024-03-15T10:00:00.000Z (corrupt, 2 checkpoints)'
+        );
+      });
+
+      test('notes when backups have never been verified', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': { ...sampleStatus['test-vm'], verification: null }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '  Backups for test-vm have never been verified'
+        );
+      });
+
+      test('prints each problem with its fix and a pending new chain', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            overallStatus: 1,
+            problems: [
+              {
+                type: 'orphaned-bitmap',
+                object: 'virtnbdbackup.7 on vda',
+                fix: 'Remove it with vmsnap --domains=test-vm --repair'
+              }
+            ],
+            newChainRequest: { requestedAt: '2024-03-14T09:00:00.000Z' }
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        const lines = vmSnapModule.logger.info.mock.calls.map(([line]) => line.replace(/\u001b\[[0-9;]*m/g, ''));
+
+        expect(lines).toContain('  Problems found for test-vm:');
+        expect(lines).toContain('    orphaned-bitmap: virtnbdbackup.7 on vda');
+        expect(lines).toContain('      Fix: Remove it with vmsnap --domains=test-vm --repair');
+        expect(lines).toContain(
+          '  The next backup of test-vm starts a new full chain, requested at 2024-03-14T09:00:00.000Z'
+        );
+      });
+
+      test('prints the age of the last successful backup', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            lastSuccessfulBackup: { finishedAt: '2024-03-12T02:00:00.000Z', ageSeconds: 295200 }
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '  Last successful backup: 2024-03-12T02:00:00.000Z (3d 10h ago)'
+        );
+      });
+
+      test('flags stale domains with their maximum age', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            overallStatus: 4,
+            lastSuccessfulBackup: null,
+            maxAgeSeconds: 93600
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(expect.stringContaining('STALE'));
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '  test-vm has never backed up successfully'
+        );
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          expect.stringContaining('No successful backup within the maximum age of 1d 2h')
+        );
+      });
+
+      test('prints the lag of each replication target', async () => {
+        serializationModule.getStatus.mockResolvedValue({
+          'test-vm': {
+            ...sampleStatus['test-vm'],
+            replication: [
+              { target: '/mnt/nfs', replicatedAt: '2024-03-15T09:00:00.000Z', lagSeconds: 3600, error: 'disk full' },
+              { target: '/mnt/usb', replicatedAt: null, lagSeconds: null, error: null }
+            ]
+          }
+        });
+
+        await printStatusCheck({ domains: 'test-vm' });
+
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith('  Replication for test-vm:');
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+          '    /mnt/nfs: 2024-03-15T09:00:00.000Z (3600s behind)'
+        );
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith('      Last error: disk full');
+        expect(vmSnapModule.logger.info).toHaveBeenCalledWith('    /mnt/usb: never replicated');
+      });
+
       test('handles multiple domains', async () => {
         const multiDomainStatus = {
           'vm1': sampleStatus['test-vm'],
@@ -456,4 +642,245 @@ describe('print.js', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('printBackupSummary', () => {
+    const results = [
+      {
+        domain: 'vm1',
+        result: 'success',
+        exitCode: 0,
+        duration: 65400,
+        bytesWritten: 1500000,
+        pruned: ['vmsnap-backup-monthly-2024-02'],
+        reason: null
+      },
+      {
+        domain: 'long-domain-name',
+        result: 'failed',
+        exitCode: 1,
+        duration: 1200,
+        bytesWritten: 0,
+        pruned: [],
+        reason: null
+      },
+      {
+        domain: 'ghost',
+        result: 'skipped',
+        exitCode: null,
+        duration: 0,
+        bytesWritten: 0,
+        pruned: [],
+        reason: 'domain does not exist'
+      }
+    ];
+
+    // Strips the colours chalk adds so the columns can be checked
+    const lines = () =>
+      vmSnapModule.logger.info.mock.calls.map(([line]) =>
+        line.replace(/\u001b\[[0-9;]*m/g, '')
+      );
+
+    test('prints a row per domain in aligned columns', () => {
+      printBackupSummary(results);
+
+      const [title, header, rule, ...rows] = lines();
+
+      expect(title).toBe('Backup summary:');
+      expect(header).toMatch(/^Domain\s+Result\s+Exit\s+Duration\s+Written\s+Pruned$/);
+      expect(rule).toBe('-'.repeat(Math.max(...rows.map((row) => row.length))));
+      expect(rows[0]).toMatch(
+        /^vm1\s+success\s+0\s+65\.4s\s+1\.5 MB\s+vmsnap-backup-monthly-2024-02$/
+      );
+      expect(rows[1]).toMatch(/^long-domain-name\s+failed\s+1\s+1\.2s\s+0 B\s+-$/);
+      expect(rows[2]).toMatch(/^ghost\s+skipped\s+-\s+0\.0s/);
+      expect(rows[0].indexOf('success')).toBe(header.indexOf('Result'));
+      expect(rows[1].indexOf('failed')).toBe(header.indexOf('Result'));
+    });
+
+    test('prints why domains were skipped or failed', () => {
+      printBackupSummary(results);
+
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('ghost: domain does not exist');
+    });
+  });
+
+  describe('printHistory', () => {
+    let historyModule;
+
+    const history = {
+      vm1: [
+        {
+          time: '2024-03-03T02:00:00.000Z',
+          folder: 'vmsnap-backup-monthly-2024-03',
+          chain: 2,
+          level: 'incremental',
+          checkpoint: 'virtnbdbackup.1',
+          duration: 20000,
+          size: 52428800,
+          result: 'success',
+          exitCode: 0,
+          error: null,
+          disks: []
+        },
+        {
+          time: '2024-03-02T02:00:00.000Z',
+          folder: 'vmsnap-backup-monthly-2024-03',
+          chain: 1,
+          level: null,
+          checkpoint: null,
+          duration: 3000,
+          size: 0,
+          result: 'failed',
+          exitCode: 1,
+          error: 'virtnbdbackup exited with code 1',
+          disks: []
+        }
+      ],
+      vm2: [
+        {
+          time: '2024-02-01T02:00:00.000Z',
+          folder: 'vmsnap-backup-monthly-2024-02',
+          chain: 1,
+          level: 'full',
+          checkpoint: 'virtnbdbackup.0',
+          duration: null,
+          size: 1000,
+          result: null,
+          exitCode: null,
+          error: null,
+          disks: []
+        }
+      ]
+    };
+
+    // Strips the colours chalk adds so the columns can be checked
+    const lines = () =>
+      vmSnapModule.logger.info.mock.calls.map(([line]) =>
+        line.replace(/\u001b\[[0-9;]*m/g, '')
+      );
+
+    beforeEach(async () => {
+      historyModule = await import('../../../libs/history.js');
+      historyModule.getHistory.mockResolvedValue(history);
+    });
+
+    test('prints a row per run in aligned columns', async () => {
+      await printHistory({ domains: 'vm1,vm2', output: '/backup' });
+
+      const [title, header, , ...rows] = lines();
+
+      expect(title).toBe('Backup history:');
+      expect(header).toMatch(/^Domain\s+Time\s+Chain\s+Level\s+Checkpoint\s+Duration\s+Size\s+Result$/);
+      expect(rows[0]).toMatch(/^vm1\s+\S+ \S+\s+2\s+incremental\s+virtnbdbackup\.1\s+20\.0s\s+52\.4 MB\s+success$/);
+      expect(rows[1]).toMatch(/^vm1\s+\S+ \S+\s+1\s+-\s+-\s+3\.0s\s+0 B\s+failed$/);
+      expect(rows[2]).toMatch(/^vm2\s+\S+ \S+\s+1\s+full\s+virtnbdbackup\.0\s+-\s+1 kB\s+unknown$/);
+      expect(rows[3]).toMatch(/^vm1 at \S+ \S+: virtnbdbackup exited with code 1$/);
+      expect(historyModule.getHistory).toHaveBeenCalledWith({ domains: 'vm1,vm2', output: '/backup' });
+    });
+
+    test('says when there are no runs', async () => {
+      historyModule.getHistory.mockResolvedValue({ vm1: [] });
+
+      await printHistory({ domains: 'vm1', output: '/backup' });
+
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith('No backup runs found');
+    });
+
+    test('serializes the runs', async () => {
+      await printHistory({ domains: 'vm1,vm2', output: '/backup', json: true, machine: true });
+
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(JSON.stringify(history));
+    });
+  });
+
+  describe('printPlan', () => {
+    const plans = [
+      {
+        domain: 'vm1',
+        exists: true,
+        backupFolder: '/backup/vm1/vmsnap-backup-monthly-2024-03',
+        newChain: true,
+        checkpoints: ['virtnbdbackup.0', 'virtnbdbackup.1'],
+        bitmaps: [{ disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.0' }],
+        prune: ['vmsnap-backup-monthly-2024-02'],
+        command: ['virtnbdbackup', '-d', 'vm1'],
+        commandLine: 'virtnbdbackup -d vm1'
+      },
+      { domain: 'ghost', exists: false }
+    ];
+
+    const lines = () =>
+      vmSnapModule.logger.info.mock.calls.map(([line]) =>
+        line.replace(/\u001b\[[0-9;]*m/g, '')
+      );
+
+    test('prints what a backup would do to each domain', () => {
+      printPlan('backup', plans);
+
+      expect(lines()).toEqual([
+        'Dry run of the backup, nothing was changed',
+        'Plan for vm1:',
+        '  Backup folder: /backup/vm1/vmsnap-backup-monthly-2024-03',
+        '  Starts a new full backup chain',
+        '  Checkpoints to delete: virtnbdbackup.0, virtnbdbackup.1',
+        '  Bitmaps to delete:',
+        '    virtnbdbackup.0 on vda (/disks/vm1.qcow2)',
+        '  Backup folders to delete: vmsnap-backup-monthly-2024-02',
+        '  Command: virtnbdbackup -d vm1',
+        'Plan for ghost:',
+        '  ghost does not exist and would be skipped'
+      ]);
+    });
+
+    test('prints what a scrub would do to each domain', () => {
+      printPlan('scrub', [{ domain: 'vm1', checkpoints: [], bitmaps: [] }]);
+
+      expect(lines()).toEqual([
+        'Dry run of the scrub, nothing was changed',
+        'Plan for vm1:',
+        '  Checkpoints to delete: none',
+        '  Bitmaps to delete: none'
+      ]);
+    });
+
+    test('prints what a repair would do to each domain', () => {
+      printPlan('repair', [
+        {
+          domain: 'vm1',
+          exists: true,
+          problems: [{ type: 'missing-bitmap', object: 'virtnbdbackup.1 on vdb' }],
+          checkpoints: ['virtnbdbackup.1'],
+          bitmaps: [{ disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.1' }],
+          flagsNewChain: true
+        },
+        { domain: 'vm2', exists: true, problems: [], checkpoints: [], bitmaps: [], flagsNewChain: false }
+      ]);
+
+      expect(lines()).toEqual([
+        'Dry run of the repair, nothing was changed',
+        'Plan for vm1:',
+        '  Problems found:',
+        '    missing-bitmap: virtnbdbackup.1 on vdb',
+        '  Checkpoints to delete: virtnbdbackup.1',
+        '  Bitmaps to delete:',
+        '    virtnbdbackup.1 on vda (/disks/vm1.qcow2)',
+        '  Flags the next backup to start a new full chain',
+        'Plan for vm2:',
+        '  Problems found: none',
+        '  Checkpoints to delete: none',
+        '  Bitmaps to delete: none',
+        '  Leaves the backup chain as it is'
+      ]);
+    });
+
+    test('serializes the plan with --json', () => {
+      printPlan('backup', plans, { json: true, machine: true });
+
+      expect(JSON.parse(vmSnapModule.logger.info.mock.calls[0][0])).toEqual({
+        dryRun: true,
+        action: 'backup',
+        domains: plans
+      });
+    });
+  });
+});
@@ -3,12 +3,13 @@ import { sep } from 'path';
 import {
   QEMU_IMG,
   findBitmaps,
-  cleanupBitmaps
+  cleanupBitmaps,
+  getDiskSelection,
+  isDiskSelected
 } from '../../../libs/qemu-img.js';
 
 // Mock external dependencies
 vi.mock('../../../vmsnap.js', () => ({
-  asyncExec: vi.fn(),
   logger: {
     info: vi.fn(),
     warn: vi.fn(),
@@ -16,6 +17,10 @@ vi.mock('../../../vmsnap.js', () => ({
   }
 }));
 
+vi.mock('../../../libs/exec.js', () => ({
+  execute: vi.fn()
+}));
+
 vi.mock('../../../libs/general.js', () => ({
   findKeyByValue: vi.fn()
 }));
@@ -26,11 +31,12 @@ vi.mock('../../../libs/virsh.js', () => ({
 }));
 
 describe('qemu-img.js', () => {
-  let vmSnapModule, generalModule, virshModule;
+  let vmSnapModule, execModule, generalModule, virshModule;
 
   beforeEach(async () => {
     vi.clearAllMocks();
     vmSnapModule = await import('../../../vmsnap.js');
+    execModule = await import('../../../libs/exec.js');
     generalModule = await import('../../../libs/general.js');
     virshModule = await import('../../../libs/virsh.js');
   });
@@ -80,7 +86,7 @@ describe('qemu-img.js', () => {
         .mockReturnValueOnce('vda')
         .mockReturnValueOnce('vdb');
 
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo1) })
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo2) });
 
@@ -99,6 +105,8 @@ describe('qemu-img.js', () => {
           { name: 'virtnbdbackup.123' },
           { name: 'virtnbdbackup.456' }
         ]
+     ,
+        excluded: false
       });
 
       expect(result[1]).toEqual({
@@ -111,13 +119,15 @@ describe('qemu-img.js', () => {
         bitmaps: [
           { name: 'virtnbdbackup.789' }
         ]
+     ,
+        excluded: false
       });
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'qemu-img info /var/lib/libvirt/images/vm1.qcow2 --output=json'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'qemu-img', ['info', '/var/lib/libvirt/images/vm1.qcow2', '--output=json']
       );
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'qemu-img info /var/lib/libvirt/images/vm1-data.qcow2 --output=json'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'qemu-img', ['info', '/var/lib/libvirt/images/vm1-data.qcow2', '--output=json']
       );
     });
 
@@ -132,7 +142,7 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       const result = await findBitmaps('test-domain');
 
@@ -155,7 +165,7 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       const result = await findBitmaps('test-domain');
 
@@ -175,7 +185,7 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       const result = await findBitmaps('test-domain');
 
@@ -199,7 +209,7 @@ describe('qemu-img.js', () => {
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
       
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo) })
         .mockRejectedValueOnce(new Error('Failed to read disk'));
 
@@ -213,13 +223,38 @@ describe('qemu-img.js', () => {
       const mockDisks = new Map([['vda', '/var/lib/libvirt/images/vm1.qcow2']]);
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'invalid json' });
+      execModule.execute.mockResolvedValue({ stdout: 'invalid json' });
 
       const result = await findBitmaps('test-domain');
 
       expect(result).toHaveLength(0);
     });
 
+    test('flags disks left out by the selection as excluded', async () => {
+      virshModule.fetchAllDisks.mockResolvedValue(
+        new Map([
+          ['vda', '/var/lib/libvirt/images/vm1.qcow2'],
+          ['vdb', '/var/lib/libvirt/images/vm1-swap.qcow2']
+        ])
+      );
+      generalModule.findKeyByValue.mockReturnValueOnce('vda').mockReturnValueOnce('vdb');
+      execModule.execute.mockResolvedValue({
+        stdout: JSON.stringify({
+          'virtual-size': 1,
+          'actual-size': 1,
+          'format': 'qcow2',
+          'format-specific': { 'data': { 'bitmaps': [] } }
+        })
+      });
+
+      const result = await findBitmaps('test-domain', { include: ['vda'], exclude: [] });
+
+      expect(result.map(({ disk, excluded }) => [disk, excluded])).toEqual([
+        ['vda', false],
+        ['vdb', true]
+      ]);
+    });
+
     test('returns empty array when no disks found', async () => {
       virshModule.fetchAllDisks.mockResolvedValue(new Map());
 
@@ -228,6 +263,35 @@ describe('qemu-img.js', () => {
       expect(result).toEqual([]);
     });
 
+    test('passes disk paths with spaces and shell metacharacters as one argument', async () => {
+      const path = "/var/lib/libvirt/images/my vm's disk;$(id)&.qcow2";
+
+      virshModule.fetchAllDisks.mockResolvedValue(new Map([['vda', path]]));
+      generalModule.findKeyByValue.mockReturnValue('vda');
+      execModule.execute.mockResolvedValue({
+        stdout: JSON.stringify({
+          'virtual-size': 1,
+          'actual-size': 1,
+          'format': 'qcow2',
+          'format-specific': { 'data': { 'bitmaps': [{ name: 'virtnbdbackup.0' }] } }
+        })
+      });
+
+      const result = await findBitmaps('test-domain');
+
+      expect(execModule.execute).toHaveBeenCalledWith('qemu-img', ['info', path, '--output=json']);
+      expect(result[0].name).toBe("my vm's disk;$(id)&.qcow2");
+
+      await cleanupBitmaps('test-domain');
+
+      expect(execModule.execute).toHaveBeenCalledWith('qemu-img', [
+        'bitmap',
+        '--remove',
+        path,
+        'virtnbdbackup.0'
+      ]);
+    });
+
     test('handles complex directory paths correctly', async () => {
       const mockDisks = new Map([['vda', '/var/lib/libvirt/images/subfolder/vm1.qcow2']]);
 
@@ -240,7 +304,7 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       const result = await findBitmaps('test-domain');
 
@@ -249,7 +313,98 @@ describe('qemu-img.js', () => {
     });
   });
 
+  describe('getDiskSelection', () => {
+    test('reads comma separated lists and arrays', () => {
+      expect(getDiskSelection({ includeDisks: 'vda', excludeDisks: 'vdb, vdc' })).toEqual({
+        include: ['vda'],
+        exclude: ['vdb', 'vdc']
+      });
+      expect(getDiskSelection({ excludeDisks: ['vdb', 'vdc,vdd'] })).toEqual({
+        include: [],
+        exclude: ['vdb', 'vdc', 'vdd']
+      });
+    });
+
+    test('selects nothing out when no disks are given', () => {
+      expect(getDiskSelection({})).toEqual({ include: [], exclude: [] });
+      expect(getDiskSelection()).toEqual({ include: [], exclude: [] });
+    });
+  });
+
+  describe('isDiskSelected', () => {
+    test('selects every disk without a selection', () => {
+      expect(isDiskSelected('vda', { include: [], exclude: [] })).toBe(true);
+      expect(isDiskSelected('vda')).toBe(true);
+    });
+
+    test('selects only included disks and never excluded ones', () => {
+      expect(isDiskSelected('vda', { include: ['vda'], exclude: [] })).toBe(true);
+      expect(isDiskSelected('vdb', { include: ['vda'], exclude: [] })).toBe(false);
+      expect(isDiskSelected('vdb', { include: [], exclude: ['vdb'] })).toBe(false);
+      expect(isDiskSelected('vda', { include: ['vda'], exclude: ['vda'] })).toBe(false);
+    });
+  });
+
   describe('cleanupBitmaps', () => {
+    test('leaves the bitmaps on excluded disks alone', async () => {
+      const mockQemuInfo = {
+        'virtual-size': 10737418240,
+        'actual-size': 5368709120,
+        'format': 'qcow2',
+        'format-specific': { 'data': { 'bitmaps': [{ name: 'virtnbdbackup.0' }] } }
+      };
+
+      virshModule.fetchAllDisks.mockResolvedValue(
+        new Map([
+          ['vda', '/var/lib/libvirt/images/vm1.qcow2'],
+          ['vdb', '/var/lib/libvirt/images/vm1-scratch.qcow2']
+        ])
+      );
+      generalModule.findKeyByValue.mockReturnValueOnce('vda').mockReturnValueOnce('vdb');
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+
+      const removed = await cleanupBitmaps('test-domain', undefined, false, {
+        include: [],
+        exclude: ['vdb']
+      });
+
+      expect(removed).toEqual([
+        { disk: 'vda', path: '/var/lib/libvirt/images/vm1.qcow2', bitmap: 'virtnbdbackup.0' }
+      ]);
+      expect(execModule.execute).not.toHaveBeenCalledWith('qemu-img', [
+        'bitmap',
+        '--remove',
+        '/var/lib/libvirt/images/vm1-scratch.qcow2',
+        'virtnbdbackup.0'
+      ]);
+    });
+
+    test('only lists the bitmaps it would remove on a dry run', async () => {
+      const mockQemuInfo = {
+        'virtual-size': 10737418240,
+        'actual-size': 5368709120,
+        'format': 'qcow2',
+        'format-specific': {
+          'data': {
+            'bitmaps': [{ name: 'virtnbdbackup.0' }, { name: 'invalid-bitmap' }]
+          }
+        }
+      };
+
+      virshModule.fetchAllDisks.mockResolvedValue(
+        new Map([['vda', '/var/lib/libvirt/images/vm1.qcow2']])
+      );
+      generalModule.findKeyByValue.mockReturnValue('vda');
+      execModule.execute.mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo) });
+
+      const removed = await cleanupBitmaps('test-domain', undefined, true);
+
+      expect(removed).toEqual([
+        { disk: 'vda', path: '/var/lib/libvirt/images/vm1.qcow2', bitmap: 'virtnbdbackup.0' }
+      ]);
+      expect(execModule.execute).toHaveBeenCalledTimes(1);
+    });
+
     test('removes all valid bitmaps when no specific name given', async () => {
       const mockBitmaps = [
         {
@@ -282,19 +437,19 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo) })
         .mockResolvedValue({ stdout: '', stderr: '' }); // For bitmap removal commands
 
       await cleanupBitmaps('test-domain');
 
       // Should call qemu-img bitmap --remove for valid bitmaps only
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(3); // 1 info + 2 bitmap removes
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'qemu-img bitmap --remove /var/lib/libvirt/images/vm1.qcow2 virtnbdbackup.123'
+      expect(execModule.execute).toHaveBeenCalledTimes(3); // 1 info + 2 bitmap removes
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'qemu-img', ['bitmap', '--remove', '/var/lib/libvirt/images/vm1.qcow2', 'virtnbdbackup.123']
       );
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'qemu-img bitmap --remove /var/lib/libvirt/images/vm1.qcow2 virtnbdbackup.456'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'qemu-img', ['bitmap', '--remove', '/var/lib/libvirt/images/vm1.qcow2', 'virtnbdbackup.456']
       );
       
       expect(vmSnapModule.logger.info).toHaveBeenCalledTimes(2);
@@ -318,15 +473,15 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo) })
         .mockResolvedValue({ stdout: '', stderr: '' });
 
       await cleanupBitmaps('test-domain', 'virtnbdbackup.123');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(2); // 1 info + 1 remove
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'qemu-img bitmap --remove /var/lib/libvirt/images/vm1.qcow2 virtnbdbackup.123'
+      expect(execModule.execute).toHaveBeenCalledTimes(2); // 1 info + 1 remove
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'qemu-img', ['bitmap', '--remove', '/var/lib/libvirt/images/vm1.qcow2', 'virtnbdbackup.123']
       );
       expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
         'Removing bitmap virtnbdbackup.123 from /var/lib/libvirt/images/vm1.qcow2 on test-domain'
@@ -343,11 +498,11 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       await cleanupBitmaps('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only info call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only info call
       expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
         'No bitmaps found for vda on domain test-domain'
       );
@@ -371,11 +526,11 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       await cleanupBitmaps('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only info call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only info call
     });
 
     test('continues processing after bitmap removal failure', async () => {
@@ -396,14 +551,14 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo) })
         .mockRejectedValueOnce(new Error('Failed to remove bitmap'))
         .mockResolvedValueOnce({ stdout: '', stderr: '' });
 
       await cleanupBitmaps('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(3); // 1 info + 2 removes
+      expect(execModule.execute).toHaveBeenCalledTimes(3); // 1 info + 2 removes
       expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
         'Error removing bitmap virtnbdbackup.123 from /var/lib/libvirt/images/vm1.qcow2 on test-domain: Failed to remove bitmap'
       );
@@ -430,11 +585,11 @@ describe('qemu-img.js', () => {
 
       virshModule.fetchAllDisks.mockResolvedValue(mockDisks);
       generalModule.findKeyByValue.mockReturnValue('vda');
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
+      execModule.execute.mockResolvedValue({ stdout: JSON.stringify(mockQemuInfo) });
 
       await cleanupBitmaps('test-domain', 'virtnbdbackup.999');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only info call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only info call
     });
 
     test('handles multiple disks correctly', async () => {
@@ -462,14 +617,14 @@ describe('qemu-img.js', () => {
         .mockReturnValueOnce('vda')
         .mockReturnValueOnce('vdb');
       
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo1) })
         .mockResolvedValueOnce({ stdout: JSON.stringify(mockQemuInfo2) })
         .mockResolvedValue({ stdout: '', stderr: '' });
 
       await cleanupBitmaps('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(4); // 2 info + 2 removes
+      expect(execModule.execute).toHaveBeenCalledTimes(4); // 2 info + 2 removes
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,253 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { performRepair } from '../../../libs/repair.js';
+
+// Mock external dependencies
+vi.mock('readline/promises', () => ({
+  createInterface: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_DOMAINS: 1,
+  ERR_OUTPUT_DIR: 2,
+  ERR_REPAIR: 16,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  resolveDomains: vi.fn(),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+vi.mock('../../../libs/virsh.js', () => ({
+  cleanupCheckpoints: vi.fn(async (domain, checkpoint) => [checkpoint]),
+  domainExists: vi.fn(async () => true)
+}));
+
+vi.mock('../../../libs/qemu-img.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  cleanupBitmaps: vi.fn(async (domain, bitmap) => [{ disk: 'vda', path: '/disks/vm1.qcow2', bitmap }])
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  requestNewChain: vi.fn()
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+vi.mock('../../../libs/print.js', () => ({
+  printPlan: vi.fn()
+}));
+
+vi.mock('../../../libs/serialization.js', () => ({
+  PROBLEM_MISSING_BITMAP: 'missing-bitmap',
+  PROBLEM_MISSING_CHECKPOINT_FILE: 'missing-checkpoint-file',
+  PROBLEM_ORPHANED_BITMAP: 'orphaned-bitmap',
+  getStatus: vi.fn()
+}));
+
+describe('repair.js', () => {
+  let generalModule, virshModule, qemuImgModule, chainModule, printModule, serializationModule;
+  let readlineModule;
+
+  const ORPHANED_BITMAP = {
+    type: 'orphaned-bitmap',
+    object: 'virtnbdbackup.7 on vda',
+    checkpoint: 'virtnbdbackup.7',
+    disk: 'vda'
+  };
+
+  const MISSING_BITMAP = {
+    type: 'missing-bitmap',
+    object: 'virtnbdbackup.1 on vdb',
+    checkpoint: 'virtnbdbackup.1',
+    disk: 'vdb'
+  };
+
+  const ORPHANED_CHECKPOINT_FILE = {
+    type: 'orphaned-checkpoint-file',
+    object: '/backup/vm1/vmsnap-backup-monthly-2024-03/checkpoints/virtnbdbackup.5.xml',
+    checkpoint: 'virtnbdbackup.5'
+  };
+
+  const setProblems = (problems) =>
+    serializationModule.getStatus.mockImplementation(async (domain) => ({
+      [domain]: { problems: problems[domain] ?? [] }
+    }));
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    generalModule = await import('../../../libs/general.js');
+    virshModule = await import('../../../libs/virsh.js');
+    qemuImgModule = await import('../../../libs/qemu-img.js');
+    chainModule = await import('../../../libs/chain.js');
+    printModule = await import('../../../libs/print.js');
+    serializationModule = await import('../../../libs/serialization.js');
+    readlineModule = await import('readline/promises');
+
+    generalModule.resolveDomains.mockResolvedValue(['vm1']);
+  });
+
+  test('plans the repair on a dry run without changing anything', async () => {
+    setProblems({ vm1: [ORPHANED_BITMAP, MISSING_BITMAP] });
+
+    const options = { domains: 'vm1', output: '/backup', dryRun: true };
+
+    const [plan] = await performRepair(options);
+
+    expect(plan).toEqual({
+      domain: 'vm1',
+      exists: true,
+      problems: [ORPHANED_BITMAP, MISSING_BITMAP],
+      checkpoints: ['virtnbdbackup.1'],
+      bitmaps: [
+        { disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.1' },
+        { disk: 'vda', path: '/disks/vm1.qcow2', bitmap: 'virtnbdbackup.7' }
+      ],
+      flagsNewChain: true
+    });
+    expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'virtnbdbackup.1', true);
+    expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'virtnbdbackup.7', true, {
+      include: [],
+      exclude: []
+    });
+    expect(printModule.printPlan).toHaveBeenCalledWith('repair', [plan], options);
+    expect(chainModule.requestNewChain).not.toHaveBeenCalled();
+  });
+
+  test('removes only the mismatched checkpoints and bitmaps and flags a new chain', async () => {
+    setProblems({ vm1: [MISSING_BITMAP, ORPHANED_CHECKPOINT_FILE] });
+
+    const [repair] = await performRepair({ domains: 'vm1', output: '/backup', yes: true });
+
+    expect(virshModule.cleanupCheckpoints).toHaveBeenCalledWith('vm1', 'virtnbdbackup.1', false);
+    expect(virshModule.cleanupCheckpoints).not.toHaveBeenCalledWith('vm1', 'virtnbdbackup.5', false);
+    expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'virtnbdbackup.1', false, {
+      include: [],
+      exclude: []
+    });
+    expect(repair.flagsNewChain).toBe(true);
+    expect(chainModule.requestNewChain).toHaveBeenCalledWith('/backup', 'vm1', {
+      problems: [
+        { type: 'missing-bitmap', object: 'virtnbdbackup.1 on vdb' },
+        {
+          type: 'orphaned-checkpoint-file',
+          object: '/backup/vm1/vmsnap-backup-monthly-2024-03/checkpoints/virtnbdbackup.5.xml'
+        }
+      ]
+    });
+  });
+
+  test('leaves the chain alone when only a bitmap is orphaned', async () => {
+    setProblems({ vm1: [ORPHANED_BITMAP] });
+
+    const [repair] = await performRepair({ domains: 'vm1', output: '/backup', yes: true });
+
+    expect(repair.flagsNewChain).toBe(false);
+    expect(virshModule.cleanupCheckpoints).not.toHaveBeenCalled();
+    expect(qemuImgModule.cleanupBitmaps).toHaveBeenCalledWith('vm1', 'virtnbdbackup.7', false, {
+      include: [],
+      exclude: []
+    });
+    expect(chainModule.requestNewChain).not.toHaveBeenCalled();
+  });
+
+  test('only repairs the domains with problems', async () => {
+    generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2', 'vm3']);
+    virshModule.domainExists.mockImplementation(async (domain) => domain !== 'vm3');
+    setProblems({ vm2: [MISSING_BITMAP] });
+
+    const repairs = await performRepair({ domains: '*', output: '/backup', yes: true });
+
+    expect(repairs.map(({ domain }) => domain)).toEqual(['vm2']);
+    expect(chainModule.requestNewChain).toHaveBeenCalledTimes(1);
+  });
+
+  test("checks each domain's backups by the period of its profile", async () => {
+    setProblems({});
+
+    await performRepair({
+      domains: 'vm1',
+      output: '/backup',
+      groupBy: 'month',
+      profiles: { vm1: { groupBy: 'year', output: '/yearly' } },
+      yes: true
+    });
+
+    expect(serializationModule.getStatus).toHaveBeenCalledWith('vm1', '/yearly', 'year', false, expect.any(Object));
+  });
+
+  describe('confirmation', () => {
+    let stdinIsTTY, prompt;
+
+    beforeEach(() => {
+      setProblems({ vm1: [MISSING_BITMAP] });
+
+      stdinIsTTY = process.stdin.isTTY;
+      process.stdin.isTTY = true;
+
+      prompt = { question: vi.fn(), close: vi.fn() };
+      readlineModule.createInterface.mockReturnValue(prompt);
+    });
+
+    afterEach(() => {
+      process.stdin.isTTY = stdinIsTTY;
+    });
+
+    test('repairs once confirmed', async () => {
+      prompt.question.mockResolvedValue('y');
+
+      await performRepair({ domains: 'vm1', output: '/backup' });
+
+      expect(prompt.question).toHaveBeenCalledWith('Repair vm1? [y/N] ');
+      expect(prompt.close).toHaveBeenCalled();
+      expect(chainModule.requestNewChain).toHaveBeenCalled();
+    });
+
+    test('changes nothing when not confirmed', async () => {
+      prompt.question.mockResolvedValue('');
+
+      await performRepair({ domains: 'vm1', output: '/backup' });
+
+      expect(virshModule.cleanupCheckpoints).not.toHaveBeenCalledWith('vm1', 'virtnbdbackup.1', false);
+      expect(chainModule.requestNewChain).not.toHaveBeenCalled();
+    });
+
+    test('refuses to repair without a terminal to confirm on', async () => {
+      process.stdin.isTTY = undefined;
+
+      await expect(performRepair({ domains: 'vm1', output: '/backup' })).rejects.toMatchObject({
+        message: 'Not repairing without confirmation, pass --yes to repair without a terminal',
+        code: 16
+      });
+      expect(chainModule.requestNewChain).not.toHaveBeenCalled();
+    });
+  });
+
+  test('reports a repair that fails', async () => {
+    setProblems({ vm1: [MISSING_BITMAP] });
+    virshModule.cleanupCheckpoints
+      .mockResolvedValueOnce(['virtnbdbackup.1'])
+      .mockRejectedValueOnce(new Error('virsh failed'));
+
+    await expect(performRepair({ domains: 'vm1', output: '/backup', yes: true })).rejects.toMatchObject({
+      message: 'Repair of vm1 failed: virsh failed',
+      code: 16
+    });
+  });
+
+  test('requires domains and an output directory', async () => {
+    await expect(performRepair({ output: '/backup' })).rejects.toThrow('No domains specified');
+    await expect(performRepair({ domains: 'vm1' })).rejects.toThrow('No output directory specified');
+  });
+});
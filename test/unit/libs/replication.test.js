@@ -0,0 +1,416 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { sep } from 'path';
+import { access, mkdir, mkdtemp, readFile, rm, stat, utimes, writeFile } from 'fs/promises';
+import { startS3Server } from '../helpers/s3-server.js';
+import {
+  getReplicationStatus,
+  getReplicationTargets,
+  readReplication,
+  replicateDomain
+} from '../../../libs/replication.js';
+
+// Mock the vmsnap module
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_CONFIG: 12,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(async (path) =>
+    access(path).then(
+      () => true,
+      () => false
+    )
+  ),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  })
+}));
+
+vi.mock('../../../libs/notify.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  notify: vi.fn()
+}));
+
+// These tests replicate real files between scratch directories
+const FOLDER = 'vmsnap-backup-monthly-2024-03';
+
+describe('replication.js', () => {
+  let notifyModule, scratch, output, target, source;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    notifyModule = await import('../../../libs/notify.js');
+
+    scratch = await mkdtemp(`${tmpdir()}${sep}vmsnap-test-`);
+    output = `${scratch}${sep}backups`;
+    target = `${scratch}${sep}nfs`;
+    source = `${output}${sep}vm1${sep}${FOLDER}`;
+
+    await mkdir(`${source}${sep}checkpoints`, { recursive: true });
+    await writeFile(`${source}${sep}vda.full.data`, 'full');
+    await writeFile(`${source}${sep}vda.inc.virtnbdbackup.1.data`, 'inc');
+    await writeFile(`${source}${sep}checkpoints${sep}virtnbdbackup.0.xml`, '<checkpoint/>');
+  });
+
+  afterEach(async () => {
+    await rm(scratch, { recursive: true, force: true });
+  });
+
+  describe('getReplicationTargets', () => {
+    test('reads targets from the config file and the command line', () => {
+      const targets = getReplicationTargets({
+        replicate: ['/mnt/usb', 's3://backups/kvm1'],
+        replication: {
+          compare: 'hash',
+          targets: ['/mnt/nfs', { type: 'path', path: '/mnt/nas', compare: 'size', mirrorPrune: true }]
+        }
+      });
+
+      expect(targets).toEqual([
+        { type: 'path', path: '/mnt/nfs', compare: 'hash', mirrorPrune: false, retention: false },
+        { type: 'path', path: '/mnt/nas', compare: 'size', mirrorPrune: true, retention: false },
+        { type: 'path', path: '/mnt/usb', compare: 'hash', mirrorPrune: false, retention: false },
+        { type: 's3', bucket: 'backups', prefix: 'kvm1', compare: 'hash', mirrorPrune: false, retention: true }
+      ]);
+    });
+
+    test('has no targets by default', () => {
+      expect(getReplicationTargets({})).toEqual([]);
+    });
+  });
+
+  describe('replicateDomain', () => {
+    test('copies the period folder and records the replication', async () => {
+      const [outcome] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(outcome).toEqual({
+        target,
+        copied: 3,
+        skipped: 0,
+        removed: 0,
+        bytes: 20,
+        pruned: []
+      });
+      await expect(readFile(`${target}${sep}vm1${sep}${FOLDER}${sep}vda.full.data`, 'utf8')).resolves.toBe(
+        'full'
+      );
+      await expect(
+        readFile(`${target}${sep}vm1${sep}${FOLDER}${sep}checkpoints${sep}virtnbdbackup.0.xml`, 'utf8')
+      ).resolves.toBe('<checkpoint/>');
+
+      const record = await readReplication(output, 'vm1');
+
+      expect(record[target]).toMatchObject({ folder: FOLDER, copied: 3, error: null });
+      expect(Date.parse(record[target].replicatedAt)).not.toBeNaN();
+    });
+
+    test('keeps the modification time so unchanged files are skipped', async () => {
+      await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      const copy = `${target}${sep}vm1${sep}${FOLDER}${sep}vda.full.data`;
+
+      expect(Math.floor((await stat(copy)).mtimeMs / 1000)).toBe(
+        Math.floor((await stat(`${source}${sep}vda.full.data`)).mtimeMs / 1000)
+      );
+
+      await writeFile(`${source}${sep}vda.inc.virtnbdbackup.2.data`, 'inc2');
+
+      const [outcome] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(outcome).toMatchObject({ copied: 1, skipped: 3, bytes: 4 });
+    });
+
+    test('copies a file whose modification time changed', async () => {
+      await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      await utimes(`${source}${sep}vda.full.data`, new Date(), new Date('2020-01-01T00:00:00Z'));
+
+      const [outcome] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(outcome).toMatchObject({ copied: 1, skipped: 2 });
+    });
+
+    test('compares contents with hash', async () => {
+      await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      const copy = `${target}${sep}vm1${sep}${FOLDER}${sep}vda.full.data`;
+
+      // Same size and modification time, different contents
+      const { mtime } = await stat(copy);
+
+      await writeFile(copy, 'FULL');
+      await utimes(copy, new Date(), mtime);
+
+      const [byMtime] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(byMtime).toMatchObject({ copied: 0, skipped: 3 });
+
+      const [byHash] = await replicateDomain(
+        { replicate: target, replicateCompare: 'hash' },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(byHash).toMatchObject({ copied: 1, skipped: 2 });
+      await expect(readFile(copy, 'utf8')).resolves.toBe('full');
+    });
+
+    test('removes files the period folder no longer has', async () => {
+      await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      await rm(`${source}${sep}vda.inc.virtnbdbackup.1.data`);
+
+      const [outcome] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(outcome).toMatchObject({ removed: 1 });
+      await expect(
+        access(`${target}${sep}vm1${sep}${FOLDER}${sep}vda.inc.virtnbdbackup.1.data`)
+      ).rejects.toThrow();
+    });
+
+    test('mirrors prunes only when asked to', async () => {
+      const old = `${target}${sep}vm1${sep}vmsnap-backup-monthly-2024-01`;
+
+      await mkdir(old, { recursive: true });
+      await mkdir(`${target}${sep}vm1${sep}keep-me`, { recursive: true });
+
+      const [kept] = await replicateDomain({ replicate: target }, 'vm1', output, FOLDER);
+
+      expect(kept.pruned).toEqual([]);
+      await expect(access(old)).resolves.toBeUndefined();
+
+      const [pruned] = await replicateDomain(
+        { replicate: target, mirrorPrune: true },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(pruned.pruned).toEqual(['vmsnap-backup-monthly-2024-01']);
+      await expect(access(old)).rejects.toThrow();
+      await expect(access(`${target}${sep}vm1${sep}keep-me`)).resolves.toBeUndefined();
+      await expect(access(`${target}${sep}vm1${sep}${FOLDER}`)).resolves.toBeUndefined();
+    });
+
+    test('records, logs and notifies a failed target without stopping the others', async () => {
+      // A file where the target directory should be
+      const blocked = `${scratch}${sep}blocked`;
+
+      await writeFile(blocked, '');
+
+      const outcomes = await replicateDomain(
+        { replication: { targets: [blocked, target] } },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(outcomes[0].target).toBe(blocked);
+      expect(outcomes[0].error).toBeDefined();
+      expect(outcomes[1]).toMatchObject({ target, copied: 3 });
+      expect(notifyModule.notify).toHaveBeenCalledWith(
+        expect.any(Object),
+        'replication-failed',
+        expect.stringMatching(`^Replication of vm1 to ${blocked} failed: `),
+        { domain: 'vm1', target: blocked }
+      );
+
+      const record = await readReplication(output, 'vm1');
+
+      expect(record[blocked].error).toBe(outcomes[0].error);
+      expect(record[blocked]).not.toHaveProperty('replicatedAt');
+    });
+
+    test('rejects unknown target types and compare modes', async () => {
+      const outcomes = await replicateDomain(
+        {
+          replication: {
+            targets: [
+              { type: 'tape', path: '/dev/st0' },
+              { path: target, compare: 'vibes' }
+            ]
+          }
+        },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(outcomes).toEqual([
+        { target: '/dev/st0', error: 'Unknown replication target type: tape' },
+        { target, error: 'Unknown replication compare mode: vibes.  Use mtime, size, hash' }
+      ]);
+    });
+
+    test('applies the retention of the domain to the folders on a target', async () => {
+      const old = `${target}${sep}vm1${sep}vmsnap-backup-monthly-2024-01`;
+
+      await mkdir(old, { recursive: true });
+      await mkdir(`${target}${sep}vm1${sep}vmsnap-backup-monthly-2024-02`, { recursive: true });
+
+      const [outcome] = await replicateDomain(
+        { replication: { retention: true, targets: [target] }, keepLast: 2 },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(outcome.pruned).toEqual(['vmsnap-backup-monthly-2024-01']);
+      await expect(access(old)).rejects.toThrow();
+    });
+
+    test('replicates to an S3 bucket and prunes it like the host', async () => {
+      vi.setSystemTime(new Date('2024-03-20T10:00:00Z'));
+
+      const server = await startS3Server();
+      const s3 = {
+        type: 's3',
+        bucket: 'backups',
+        prefix: 'kvm1',
+        endpoint: server.endpoint,
+        accessKeyId: 'AKIDTEST',
+        secretAccessKey: 'secret'
+      };
+
+      try {
+        server.objects.set('kvm1/vm1/vmsnap-backup-monthly-2024-02/vda.full.data', {
+          body: Buffer.from('old'),
+          metadata: {},
+          etag: '"0"',
+          lastModified: '2024-02-01T00:00:00.000Z'
+        });
+
+        const [first] = await replicateDomain(
+          { groupBy: 'month', replication: { targets: [s3] } },
+          'vm1',
+          output,
+          FOLDER
+        );
+
+        expect(first).toMatchObject({
+          target: 's3://backups/kvm1',
+          copied: 3,
+          pruned: ['vmsnap-backup-monthly-2024-02']
+        });
+        expect([...server.objects.keys()].sort()).toEqual([
+          `kvm1/vm1/${FOLDER}/checkpoints/virtnbdbackup.0.xml`,
+          `kvm1/vm1/${FOLDER}/vda.full.data`,
+          `kvm1/vm1/${FOLDER}/vda.inc.virtnbdbackup.1.data`
+        ]);
+
+        const [second] = await replicateDomain(
+          { groupBy: 'month', replication: { targets: [s3] } },
+          'vm1',
+          output,
+          FOLDER
+        );
+
+        expect(second).toMatchObject({ copied: 0, skipped: 3 });
+      } finally {
+        vi.useRealTimers();
+        await server.close();
+      }
+    });
+
+    test('only looks up the kept modification time of S3 objects that might have changed', async () => {
+      const server = await startS3Server();
+      const s3 = {
+        type: 's3',
+        bucket: 'backups',
+        prefix: 'kvm1',
+        endpoint: server.endpoint,
+        accessKeyId: 'AKIDTEST',
+        secretAccessKey: 'secret'
+      };
+      const options = { replication: { targets: [s3] } };
+      const hour = 60 * 60 * 1000;
+      const heads = () => server.requests.filter(({ method }) => method === 'HEAD').length;
+
+      try {
+        for (const file of ['vda.full.data', 'vda.inc.virtnbdbackup.1.data', `checkpoints${sep}virtnbdbackup.0.xml`]) {
+          await utimes(`${source}${sep}${file}`, new Date(), new Date(Date.now() - hour));
+        }
+
+        await replicateDomain(options, 'vm1', output, FOLDER);
+
+        const [unchanged] = await replicateDomain(options, 'vm1', output, FOLDER);
+
+        expect(unchanged).toMatchObject({ copied: 0, skipped: 3 });
+        expect(heads()).toBe(0);
+
+        await utimes(`${source}${sep}vda.full.data`, new Date(), new Date(Date.now() + hour));
+
+        const [changed] = await replicateDomain(options, 'vm1', output, FOLDER);
+
+        expect(changed).toMatchObject({ copied: 1, skipped: 2 });
+        expect(heads()).toBe(1);
+      } finally {
+        await server.close();
+      }
+    });
+
+    test('names an S3 target that can not be built by its URL', async () => {
+      const [outcome] = await replicateDomain(
+        { replication: { targets: [{ type: 's3', prefix: 'kvm1' }] } },
+        'vm1',
+        output,
+        FOLDER
+      );
+
+      expect(outcome).toEqual({
+        target: 's3://undefined/kvm1',
+        error: 'An s3 replication target needs a bucket'
+      });
+    });
+
+    test('does nothing without targets', async () => {
+      await expect(replicateDomain({}, 'vm1', output, FOLDER)).resolves.toEqual([]);
+      await expect(readReplication(output, 'vm1')).resolves.toEqual({});
+    });
+  });
+
+  describe('getReplicationStatus', () => {
+    test('reports the lag of each target', async () => {
+      await writeFile(
+        `${output}${sep}vm1${sep}vmsnap-replication.json`,
+        JSON.stringify({
+          [target]: {
+            replicatedAt: '2024-03-15T09:00:00.000Z',
+            failedAt: '2024-03-15T09:30:00.000Z',
+            error: 'disk full'
+          }
+        })
+      );
+
+      const status = await getReplicationStatus(
+        { replication: { targets: [target, '/mnt/usb'] } },
+        output,
+        'vm1',
+        Date.parse('2024-03-15T10:00:00.000Z')
+      );
+
+      expect(status).toEqual([
+        {
+          target,
+          replicatedAt: '2024-03-15T09:00:00.000Z',
+          lagSeconds: 3600,
+          error: 'disk full'
+        },
+        { target: '/mnt/usb', replicatedAt: null, lagSeconds: null, error: null }
+      ]);
+    });
+
+    test('is undefined without targets', async () => {
+      await expect(getReplicationStatus({}, output, 'vm1')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import {
+  applyRetention,
+  getRetentionPolicy,
+  listBackupFolders,
+  parseBackupFolder,
+  pruneByRetention
+} from '../../../libs/retention.js';
+
+// Mock external dependencies
+vi.mock('fs/promises', () => ({
+  readdir: vi.fn(),
+  rm: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn()
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  listChains: vi.fn(async (path) => [{ name: null, number: 1, path }])
+}));
+
+const MONTHLY_FOLDERS = [
+  'vmsnap-backup-monthly-2023-11',
+  'vmsnap-backup-monthly-2024-03',
+  'vmsnap-backup-monthly-2023-12',
+  'vmsnap-backup-monthly-2024-01',
+  'vmsnap-backup-monthly-2024-02',
+  'vmsnap-backup-monthly-2022-12',
+  'unrelated-folder'
+];
+
+const names = (decisions, keep) =>
+  decisions.filter((d) => d.keep === keep).map((d) => d.name);
+
+describe('retention.js', () => {
+  let fsModule, generalModule, vmSnapModule, chainModule;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    fsModule = await import('fs/promises');
+    generalModule = await import('../../../libs/general.js');
+    vmSnapModule = await import('../../../vmsnap.js');
+    chainModule = await import('../../../libs/chain.js');
+
+    generalModule.fileExists.mockResolvedValue(true);
+    fsModule.readdir.mockResolvedValue(MONTHLY_FOLDERS);
+  });
+
+  describe('getRetentionPolicy', () => {
+    test('returns undefined when no policy is set', () => {
+      expect(getRetentionPolicy({})).toBeUndefined();
+      expect(getRetentionPolicy({ keepLast: 0, keepMonthly: 'nope' })).toBeUndefined();
+    });
+
+    test('returns counts for each policy', () => {
+      expect(getRetentionPolicy({ keepLast: '2', keepYearly: 1 })).toEqual({
+        keepLast: 2,
+        keepMonthly: 0,
+        keepQuarterly: 0,
+        keepYearly: 1
+      });
+    });
+  });
+
+  describe('parseBackupFolder', () => {
+    test('parses every grouping', () => {
+      expect(parseBackupFolder('vmsnap-backup-monthly-2024-03')).toMatchObject({
+        groupBy: 'month',
+        period: '2024-03'
+      });
+      expect(parseBackupFolder('vmsnap-backup-quarterly-2024-Q3').start.month()).toBe(6);
+      expect(parseBackupFolder('vmsnap-backup-bi-annually-2024-p2').start.month()).toBe(6);
+      expect(parseBackupFolder('vmsnap-backup-yearly-2024')).toMatchObject({
+        groupBy: 'year',
+        period: '2024'
+      });
+    });
+
+    test('ignores folders that are not backup folders', () => {
+      expect(parseBackupFolder('unrelated-folder')).toBeUndefined();
+      expect(parseBackupFolder('vmsnap-backup-monthly-2024-03-old')).toBeUndefined();
+    });
+  });
+
+  describe('listBackupFolders', () => {
+    test('lists backup folders newest first', async () => {
+      const folders = await listBackupFolders('vm1', '/backup');
+
+      expect(fsModule.readdir).toHaveBeenCalledWith('/backup/vm1');
+      expect(folders.map((f) => f.period)).toEqual([
+        '2024-03',
+        '2024-02',
+        '2024-01',
+        '2023-12',
+        '2023-11',
+        '2022-12'
+      ]);
+    });
+
+    test('returns an empty list when the domain has no backups', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      await expect(listBackupFolders('vm1', '/backup')).resolves.toEqual([]);
+    });
+  });
+
+  describe('applyRetention', () => {
+    let folders;
+
+    beforeEach(async () => {
+      folders = await listBackupFolders('vm1', '/backup');
+    });
+
+    test('keeps the last N folders', () => {
+      const decisions = applyRetention(folders, { keepLast: 2 });
+
+      expect(names(decisions, true)).toEqual([
+        'vmsnap-backup-monthly-2024-03',
+        'vmsnap-backup-monthly-2024-02'
+      ]);
+    });
+
+    test('keeps monthly and yearly folders grandfather-father-son style', () => {
+      const decisions = applyRetention(folders, { keepMonthly: 3, keepYearly: 2 });
+
+      expect(names(decisions, true)).toEqual([
+        'vmsnap-backup-monthly-2024-03',
+        'vmsnap-backup-monthly-2024-02',
+        'vmsnap-backup-monthly-2024-01',
+        'vmsnap-backup-monthly-2023-12'
+      ]);
+      expect(decisions[0].reasons).toEqual(['monthly 2024-03', 'yearly 2024']);
+      expect(decisions[3].reasons).toEqual(['yearly 2023']);
+    });
+
+    test('keeps quarterly folders', () => {
+      const decisions = applyRetention(folders, { keepQuarterly: 3 });
+
+      expect(names(decisions, true)).toEqual([
+        'vmsnap-backup-monthly-2024-03',
+        'vmsnap-backup-monthly-2023-12',
+        'vmsnap-backup-monthly-2022-12'
+      ]);
+    });
+
+    test('always keeps the current backup folder', () => {
+      const decisions = applyRetention(
+        folders,
+        { keepLast: 1 },
+        'vmsnap-backup-monthly-2024-02'
+      );
+
+      expect(names(decisions, true)).toEqual([
+        'vmsnap-backup-monthly-2024-03',
+        'vmsnap-backup-monthly-2024-02'
+      ]);
+    });
+  });
+
+  describe('pruneByRetention', () => {
+    test('deletes folders no policy keeps and logs every decision', async () => {
+      const deleted = await pruneByRetention(
+        'vm1',
+        '/backup',
+        { keepLast: 4, keepYearly: 3 },
+        'vmsnap-backup-monthly-2024-03'
+      );
+
+      expect(deleted).toEqual(['vmsnap-backup-monthly-2023-11']);
+      expect(fsModule.rm).toHaveBeenCalledTimes(1);
+      expect(fsModule.rm).toHaveBeenCalledWith('/backup/vm1/vmsnap-backup-monthly-2023-11', {
+        recursive: true,
+        force: true
+      });
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Keeping vmsnap-backup-monthly-2024-03 for vm1 (current backup folder, last 4, yearly 2024)'
+      );
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Keeping vmsnap-backup-monthly-2022-12 for vm1 (yearly 2022)'
+      );
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Deleting vmsnap-backup-monthly-2023-11 for vm1 (not kept by any policy)'
+      );
+    });
+
+    test('deletes a folder along with every chain in it', async () => {
+      chainModule.listChains.mockImplementation(async (path) => [
+        { name: null, number: 1, path },
+        { name: 'chain-2', number: 2, path: `${path}/chain-2` }
+      ]);
+
+      const deleted = await pruneByRetention('vm1', '/backup', { keepLast: 5 });
+
+      expect(deleted).toEqual(['vmsnap-backup-monthly-2022-12']);
+      expect(fsModule.rm).toHaveBeenCalledWith('/backup/vm1/vmsnap-backup-monthly-2022-12', {
+        recursive: true,
+        force: true
+      });
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Keeping vmsnap-backup-monthly-2024-03 with 2 chains for vm1 (last 5)'
+      );
+      expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
+        'Deleting vmsnap-backup-monthly-2022-12 with 2 chains for vm1 (not kept by any policy)'
+      );
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import { getStatus } from '../../../libs/serialization.js';
 
 // Mock external dependencies
@@ -9,7 +9,8 @@ vi.mock('fs/promises', () => ({
 
 vi.mock('../../../libs/general.js', () => ({
   fileExists: vi.fn(),
-  parseArrayParam: vi.fn(),
+  parseDuration: vi.fn(),
+  resolveDomains: vi.fn(),
   createError: vi.fn((message, code) => {
     const err = new Error(message);
     err.code = code;
@@ -17,7 +18,8 @@ vi.mock('../../../libs/general.js', () => ({
   }),
 }));
 
-vi.mock('../../../libs/qemu-img.js', () => ({
+vi.mock('../../../libs/qemu-img.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   findBitmaps: vi.fn()
 }));
 
@@ -28,15 +30,50 @@ vi.mock('../../../libs/virsh.js', () => ({
 
 vi.mock('../../../libs/libnbdbackup.js', () => ({
   FREQUENCY_MONTHLY: 'month',
-  getBackupFolder: vi.fn()
+  getBackupFolder: vi.fn(),
+  readLastBackup: vi.fn()
+}));
+
+vi.mock('../../../libs/verify.js', () => ({
+  VERIFY_CORRUPT: 'corrupt',
+  readVerification: vi.fn()
 }));
 
 vi.mock('../../../vmsnap.js', () => ({
   ERR_DOMAINS: 1,
 }));
 
+vi.mock('../../../libs/retention.js', () => ({
+  listBackupFolders: vi.fn(async () => [])
+}));
+
+vi.mock('../../../libs/compression.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getStorageStats: vi.fn()
+}));
+
+vi.mock('../../../libs/encryption.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadKey: vi.fn(),
+  readManifest: vi.fn()
+}));
+
+vi.mock('../../../libs/replication.js', () => ({
+  getReplicationStatus: vi.fn(async () => undefined)
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  listChains: vi.fn(async (path) => [{ name: null, number: 1, path }]),
+  readNewChainRequest: vi.fn(async () => undefined)
+}));
+
+vi.mock('../../../libs/history.js', () => ({
+  getLastSuccessfulBackup: vi.fn(async () => null)
+}));
+
 describe('serialization.js', () => {
-  let generalModule, qemuImgModule, virshModule, libnbdbackupModule, fsModule;
+  let generalModule, qemuImgModule, virshModule, libnbdbackupModule, fsModule, verifyModule;
+  let retentionModule, compressionModule, encryptionModule, chainModule;
 
   beforeEach(async () => {
     vi.clearAllMocks();
@@ -46,9 +83,24 @@ describe('serialization.js', () => {
     virshModule = await import('../../../libs/virsh.js');
     libnbdbackupModule = await import('../../../libs/libnbdbackup.js');
     fsModule = await import('fs/promises');
+    verifyModule = await import('../../../libs/verify.js');
+    retentionModule = await import('../../../libs/retention.js');
+    compressionModule = await import('../../../libs/compression.js');
+    encryptionModule = await import('../../../libs/encryption.js');
+    chainModule = await import('../../../libs/chain.js');
   });
 
   describe('getStatus', () => {
+    test('resolves the domains with the exclude patterns', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.findCheckpoints.mockResolvedValue([]);
+      qemuImgModule.findBitmaps.mockResolvedValue([]);
+
+      await getStatus('*', undefined, 'month', false, { exclude: 'scratch-*' });
+
+      expect(generalModule.resolveDomains).toHaveBeenCalledWith('*', 'scratch-*');
+    });
+
     test('returns basic status for single domain without backup path', async () => {
       const mockCheckpoints = ['checkpoint1', 'checkpoint2'];
       const mockBitmaps = [
@@ -63,7 +115,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
 
@@ -80,6 +132,7 @@ describe('serialization.js', () => {
               bitmaps: ['checkpoint1', 'checkpoint2']
             }
           ],
+          problems: [],
           overallStatus: 0 // STATUS_OK
         }
       });
@@ -96,7 +149,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
 
@@ -117,7 +170,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
 
@@ -126,8 +179,142 @@ describe('serialization.js', () => {
       expect(result.vm1.overallStatus).toBe(1); // STATUS_INCONSISTENT
     });
 
+    describe('problems', () => {
+      const disk = (name, bitmaps, excluded = false) => ({
+        disk: name,
+        virtualSize: 1,
+        actualSize: 1,
+        bitmaps: bitmaps.map((bitmap) => ({ name: bitmap })),
+        excluded
+      });
+
+      beforeEach(() => {
+        generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      });
+
+      test('names the checkpoints a disk has no bitmap for and its orphaned bitmaps', async () => {
+        virshModule.findCheckpoints.mockResolvedValue(['virtnbdbackup.0', 'virtnbdbackup.1']);
+        qemuImgModule.findBitmaps.mockResolvedValue([
+          disk('vda', ['virtnbdbackup.0', 'virtnbdbackup.1']),
+          disk('vdb', ['virtnbdbackup.0', 'virtnbdbackup.7'])
+        ]);
+
+        const result = await getStatus('vm1');
+
+        expect(result.vm1.problems).toEqual([
+          {
+            type: 'missing-bitmap',
+            object: 'virtnbdbackup.1 on vdb',
+            checkpoint: 'virtnbdbackup.1',
+            disk: 'vdb',
+            fix: 'Start a new backup chain with vmsnap --domains=vm1 --repair'
+          },
+          {
+            type: 'orphaned-bitmap',
+            object: 'virtnbdbackup.7 on vdb',
+            checkpoint: 'virtnbdbackup.7',
+            disk: 'vdb',
+            fix: 'Remove it with vmsnap --domains=vm1 --repair'
+          }
+        ]);
+        expect(result.vm1.overallStatus).toBe(1); // STATUS_INCONSISTENT
+      });
+
+      test('catches mismatched names even when the counts agree', async () => {
+        virshModule.findCheckpoints.mockResolvedValue(['virtnbdbackup.0', 'virtnbdbackup.1']);
+        qemuImgModule.findBitmaps.mockResolvedValue([disk('vda', ['virtnbdbackup.0', 'virtnbdbackup.2'])]);
+
+        const result = await getStatus('vm1');
+
+        expect(result.vm1.problems.map(({ type, object }) => [type, object])).toEqual([
+          ['missing-bitmap', 'virtnbdbackup.1 on vda'],
+          ['orphaned-bitmap', 'virtnbdbackup.2 on vda']
+        ]);
+      });
+
+      test('finds a checkpoint missing from the middle of the chain', async () => {
+        const checkpoints = ['virtnbdbackup.0', 'virtnbdbackup.1', 'virtnbdbackup.3'];
+
+        virshModule.findCheckpoints.mockResolvedValue(checkpoints);
+        qemuImgModule.findBitmaps.mockResolvedValue([disk('vda', checkpoints)]);
+
+        const result = await getStatus('vm1');
+
+        expect(result.vm1.problems).toEqual([
+          expect.objectContaining({ type: 'missing-checkpoint', object: 'virtnbdbackup.2' })
+        ]);
+        expect(result.vm1.overallStatus).toBe(1); // STATUS_INCONSISTENT
+      });
+
+      test('compares the checkpoints with the checkpoint files in the backup folder', async () => {
+        const checkpoints = ['virtnbdbackup.0', 'virtnbdbackup.1'];
+
+        virshModule.findCheckpoints.mockResolvedValue(checkpoints);
+        qemuImgModule.findBitmaps.mockResolvedValue([disk('vda', checkpoints)]);
+        libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+        generalModule.fileExists.mockResolvedValue(true);
+        fsModule.readdir
+          .mockResolvedValueOnce(['virtnbdbackup.0.xml', 'virtnbdbackup.5.xml'])
+          .mockResolvedValueOnce([]);
+        fsModule.stat.mockResolvedValue({ size: 1024 });
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        const folder = '/backup/path/vm1/vmsnap-backup-monthly-2024-03';
+
+        expect(result.vm1.problems).toEqual([
+          {
+            type: 'missing-checkpoint-file',
+            object: `${folder}/checkpoints/virtnbdbackup.1.xml`,
+            checkpoint: 'virtnbdbackup.1',
+            fix: 'Start a new backup chain with vmsnap --domains=vm1 --repair'
+          },
+          expect.objectContaining({
+            type: 'orphaned-checkpoint-file',
+            object: `${folder}/checkpoints/virtnbdbackup.5.xml`
+          })
+        ]);
+        expect(result.vm1.overallStatus).toBe(1); // STATUS_INCONSISTENT
+      });
+    });
+
+    test('leaves excluded disks out of the consistency check', async () => {
+      const mockBitmaps = [
+        {
+          disk: 'vda',
+          virtualSize: 10737418240,
+          actualSize: 5368709120,
+          bitmaps: [{ name: 'checkpoint1' }],
+          excluded: false
+        },
+        {
+          disk: 'vdb',
+          virtualSize: 4294967296,
+          actualSize: 196608,
+          bitmaps: [],
+          excluded: true
+        }
+      ];
+
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.findCheckpoints.mockResolvedValue(['checkpoint1']);
+      qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
+
+      const result = await getStatus('vm1', undefined, 'month', false, {
+        profiles: { vm1: { excludeDisks: 'vdb' } }
+      });
+
+      expect(qemuImgModule.findBitmaps).toHaveBeenCalledWith('vm1', {
+        include: [],
+        exclude: ['vdb']
+      });
+      expect(result.vm1.overallStatus).toBe(0); // STATUS_OK
+      expect(result.vm1.disks[0].excluded).toBeUndefined();
+      expect(result.vm1.disks[1].excluded).toBe(true);
+    });
+
     test('handles multiple domains', async () => {
-      generalModule.parseArrayParam.mockResolvedValue(['vm1', 'vm2']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
       
       virshModule.findCheckpoints
         .mockResolvedValueOnce(['checkpoint1'])
@@ -172,7 +359,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
       
@@ -200,6 +387,147 @@ describe('serialization.js', () => {
       expect(result.vm1.backupDirStats.checkpoints).toBe(2);
     });
 
+    test('reports the stored and logical size of each period folder', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.findCheckpoints.mockResolvedValue([]);
+      qemuImgModule.findBitmaps.mockResolvedValue([]);
+      libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+      generalModule.fileExists.mockResolvedValue(false);
+      retentionModule.listBackupFolders.mockResolvedValue([
+        { name: 'vmsnap-backup-monthly-2024-03' },
+        { name: 'vmsnap-backup-monthly-2024-02' }
+      ]);
+      compressionModule.getStorageStats
+        .mockResolvedValueOnce({
+          storedSize: 1000,
+          logicalSize: 3000,
+          compressionRatio: 3,
+          compressed: true
+        })
+        .mockResolvedValueOnce({
+          storedSize: 3000,
+          logicalSize: 3000,
+          compressionRatio: 1,
+          compressed: false
+        });
+
+      const result = await getStatus('vm1', '/backup/path', 'month');
+
+      expect(compressionModule.getStorageStats).toHaveBeenCalledWith(
+        '/backup/path/vm1/vmsnap-backup-monthly-2024-03',
+        undefined
+      );
+      expect(result.vm1.storage).toEqual({
+        storedSize: 4000,
+        logicalSize: 6000,
+        compressionRatio: 1.5,
+        periods: [
+          {
+            folder: 'vmsnap-backup-monthly-2024-03',
+            chains: 1,
+            storedSize: 1000,
+            logicalSize: 3000,
+            compressionRatio: 3,
+            compressed: true,
+            encrypted: false,
+            decryptable: null
+          },
+          {
+            folder: 'vmsnap-backup-monthly-2024-02',
+            chains: 1,
+            storedSize: 3000,
+            logicalSize: 3000,
+            compressionRatio: 1,
+            compressed: false,
+            encrypted: false,
+            decryptable: null
+          }
+        ]
+      });
+    });
+
+    test('adds up every chain of a period folder', async () => {
+      const key = Buffer.alloc(32, 7);
+      const march = '/backup/path/vm1/vmsnap-backup-monthly-2024-03';
+
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.findCheckpoints.mockResolvedValue([]);
+      qemuImgModule.findBitmaps.mockResolvedValue([]);
+      libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+      generalModule.fileExists.mockResolvedValue(false);
+      chainModule.listChains.mockImplementation(async (path) => [
+        { name: null, number: 1, path },
+        { name: 'chain-2', number: 2, path: `${path}/chain-2` }
+      ]);
+      retentionModule.listBackupFolders.mockResolvedValue([{ name: 'vmsnap-backup-monthly-2024-03' }]);
+      compressionModule.getStorageStats
+        .mockResolvedValueOnce({ storedSize: 1000, logicalSize: 3000, compressionRatio: 3, compressed: true })
+        .mockResolvedValueOnce({ storedSize: 1000, logicalSize: 1000, compressionRatio: 1, compressed: false });
+      encryptionModule.loadKey.mockResolvedValue(key);
+      encryptionModule.readManifest
+        .mockResolvedValueOnce(undefined)
+        .mockResolvedValueOnce({ keyId: encryptionModule.getKeyId(Buffer.alloc(32, 8)), files: [] });
+
+      const result = await getStatus('vm1', '/backup/path', 'month', false, {
+        encryptKey: '/etc/vmsnap/key'
+      });
+
+      expect(result.vm1.backupDirStats).toMatchObject({ path: `${march}/chain-2`, chain: 2 });
+      expect(compressionModule.getStorageStats).toHaveBeenCalledWith(march, undefined);
+      expect(compressionModule.getStorageStats).toHaveBeenCalledWith(`${march}/chain-2`, expect.any(Object));
+      expect(result.vm1.storage.periods).toEqual([
+        {
+          folder: 'vmsnap-backup-monthly-2024-03',
+          chains: 2,
+          storedSize: 2000,
+          logicalSize: 4000,
+          compressionRatio: 2,
+          compressed: true,
+          encrypted: true,
+          decryptable: false
+        }
+      ]);
+    });
+
+    test('reports if each period is encrypted and if the key can decrypt it', async () => {
+      const key = Buffer.alloc(32, 7);
+
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
+      virshModule.findCheckpoints.mockResolvedValue([]);
+      qemuImgModule.findBitmaps.mockResolvedValue([]);
+      libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+      generalModule.fileExists.mockResolvedValue(false);
+      retentionModule.listBackupFolders.mockResolvedValue([
+        { name: 'vmsnap-backup-monthly-2024-03' },
+        { name: 'vmsnap-backup-monthly-2024-02' },
+        { name: 'vmsnap-backup-monthly-2024-01' }
+      ]);
+      compressionModule.getStorageStats.mockResolvedValue({
+        storedSize: 0,
+        logicalSize: 0,
+        compressionRatio: null,
+        compressed: false
+      });
+      encryptionModule.loadKey.mockResolvedValue(key);
+      encryptionModule.readManifest
+        .mockResolvedValueOnce({ keyId: encryptionModule.getKeyId(key), files: [] })
+        .mockResolvedValueOnce({ keyId: encryptionModule.getKeyId(Buffer.alloc(32, 8)), files: [] })
+        .mockResolvedValueOnce(undefined);
+
+      const result = await getStatus('vm1', '/backup/path', 'month', false, {
+        encryptKey: '/etc/vmsnap/key'
+      });
+
+      expect(encryptionModule.loadKey).toHaveBeenCalledTimes(1);
+      expect(
+        result.vm1.storage.periods.map(({ encrypted, decryptable }) => [encrypted, decryptable])
+      ).toEqual([
+        [true, true],
+        [true, false],
+        [false, null]
+      ]);
+    });
+
     test('marks as inconsistent when backup checkpoint count differs', async () => {
       const mockCheckpoints = ['checkpoint1', 'checkpoint2'];
       const mockBitmaps = [
@@ -214,7 +542,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
       
@@ -244,7 +572,7 @@ describe('serialization.js', () => {
         }
       ];
 
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(mockCheckpoints);
       qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
       
@@ -255,6 +583,7 @@ describe('serialization.js', () => {
 
       expect(result.vm1.backupDirStats).toEqual({
         path: '/backup/path/vm1/vmsnap-backup-monthly-2024-03',
+        chain: 1,
         totalFiles: 0,
         checkpoints: 0,
         totalSize: 0
@@ -262,13 +591,13 @@ describe('serialization.js', () => {
     });
 
     test('throws error for empty domains list', async () => {
-      generalModule.parseArrayParam.mockResolvedValue([]);
+      generalModule.resolveDomains.mockResolvedValue([]);
 
       await expect(getStatus('')).rejects.toThrow('No matching domains found');
     });
 
     test('handles domains with no disks', async () => {
-      generalModule.parseArrayParam.mockResolvedValue(['vm1']);
+      generalModule.resolveDomains.mockResolvedValue(['vm1']);
       virshModule.findCheckpoints.mockResolvedValue(['checkpoint1']);
       qemuImgModule.findBitmaps.mockResolvedValue([]); // No disks
 
@@ -277,5 +606,224 @@ describe('serialization.js', () => {
       expect(result.vm1.disks).toEqual([]);
       expect(result.vm1.overallStatus).toBe(0); // STATUS_OK (no disks to compare)
     });
+
+    describe('last backup', () => {
+      beforeEach(() => {
+        generalModule.resolveDomains.mockResolvedValue(['vm1']);
+        virshModule.findCheckpoints.mockResolvedValue([]);
+        qemuImgModule.findBitmaps.mockResolvedValue([]);
+        libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+        generalModule.fileExists.mockResolvedValue(false);
+      });
+
+      test('adds the last backup of the domain', async () => {
+        const lastBackup = {
+          finishedAt: '2024-03-15T10:00:00.000Z',
+          result: 'success',
+          exitCode: 0,
+          duration: 1000,
+          bytesWritten: 2048
+        };
+        libnbdbackupModule.readLastBackup.mockResolvedValue(lastBackup);
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(libnbdbackupModule.readLastBackup).toHaveBeenCalledWith('/backup/path', 'vm1');
+        expect(result.vm1.lastBackup).toEqual(lastBackup);
+      });
+
+      test('sets the last backup to null for domains never backed up', async () => {
+        libnbdbackupModule.readLastBackup.mockResolvedValue(undefined);
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(result.vm1.lastBackup).toBeNull();
+      });
+    });
+
+    describe('replication', () => {
+      beforeEach(() => {
+        generalModule.resolveDomains.mockResolvedValue(['vm1']);
+        virshModule.findCheckpoints.mockResolvedValue([]);
+        qemuImgModule.findBitmaps.mockResolvedValue([]);
+        libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+        generalModule.fileExists.mockResolvedValue(false);
+      });
+
+      test('adds the lag of each replication target', async () => {
+        const replicationModule = await import('../../../libs/replication.js');
+        const replication = [
+          { target: '/mnt/nfs', replicatedAt: '2024-03-15T09:00:00.000Z', lagSeconds: 3600, error: null }
+        ];
+        replicationModule.getReplicationStatus.mockResolvedValue(replication);
+
+        const result = await getStatus('vm1', '/backup/path', 'month', false, {
+          replicate: '/mnt/nfs'
+        });
+
+        expect(replicationModule.getReplicationStatus).toHaveBeenCalledWith(
+          expect.objectContaining({ replicate: '/mnt/nfs' }),
+          '/backup/path',
+          'vm1'
+        );
+        expect(result.vm1.replication).toEqual(replication);
+      });
+
+      test('leaves replication out when nothing is replicated', async () => {
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(result.vm1).not.toHaveProperty('replication');
+      });
+    });
+
+    describe('staleness', () => {
+      let historyModule;
+
+      beforeEach(async () => {
+        historyModule = await import('../../../libs/history.js');
+        generalModule.resolveDomains.mockResolvedValue(['vm1']);
+        virshModule.findCheckpoints.mockResolvedValue([]);
+        qemuImgModule.findBitmaps.mockResolvedValue([]);
+        libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+        generalModule.fileExists.mockResolvedValue(false);
+        generalModule.parseDuration.mockReturnValue(26 * 60 * 60 * 1000);
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-03-15T12:00:00.000Z'));
+      });
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      test('adds the age of the last successful backup', async () => {
+        historyModule.getLastSuccessfulBackup.mockResolvedValue('2024-03-15T02:00:00.000Z');
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(historyModule.getLastSuccessfulBackup).toHaveBeenCalledWith('vm1', '/backup/path');
+        expect(result.vm1.lastSuccessfulBackup).toEqual({
+          finishedAt: '2024-03-15T02:00:00.000Z',
+          ageSeconds: 36000
+        });
+        expect(result.vm1).not.toHaveProperty('maxAgeSeconds');
+        expect(generalModule.parseDuration).not.toHaveBeenCalled();
+      });
+
+      test('stays OK within the maximum age', async () => {
+        historyModule.getLastSuccessfulBackup.mockResolvedValue('2024-03-15T02:00:00.000Z');
+
+        const result = await getStatus('vm1', '/backup/path', 'month', false, { maxAge: '26h' });
+
+        expect(generalModule.parseDuration).toHaveBeenCalledWith('26h', '--max-age');
+        expect(result.vm1.maxAgeSeconds).toBe(93600);
+        expect(result.vm1.overallStatus).toBe(0); // STATUS_OK
+      });
+
+      test('marks domains past the maximum age of their profile as stale', async () => {
+        historyModule.getLastSuccessfulBackup.mockResolvedValue('2024-02-23T02:00:00.000Z');
+
+        const result = await getStatus('vm1', '/backup/path', 'month', false, {
+          profiles: { vm1: { maxAge: '26h' } }
+        });
+
+        expect(result.vm1.lastSuccessfulBackup.ageSeconds).toBe(1850400);
+        expect(result.vm1.overallStatus).toBe(4); // STATUS_STALE
+      });
+
+      test('marks domains that never backed up successfully as stale', async () => {
+        const result = await getStatus('vm1', '/backup/path', 'month', false, { maxAge: '26h' });
+
+        expect(result.vm1.lastSuccessfulBackup).toBeNull();
+        expect(result.vm1.overallStatus).toBe(4); // STATUS_STALE
+      });
+
+      test('leaves inconsistent domains inconsistent', async () => {
+        virshModule.findCheckpoints.mockResolvedValue(['virtnbdbackup.0']);
+        qemuImgModule.findBitmaps.mockResolvedValue([
+          { disk: 'vda', virtualSize: 1, actualSize: 1, bitmaps: [] }
+        ]);
+
+        const result = await getStatus('vm1', '/backup/path', 'month', false, { maxAge: '26h' });
+
+        expect(result.vm1.overallStatus).toBe(1); // STATUS_INCONSISTENT
+      });
+    });
+
+    describe('verification', () => {
+      const mockBitmaps = [
+        {
+          disk: 'vda',
+          virtualSize: 10737418240,
+          actualSize: 5368709120,
+          bitmaps: [{ name: 'virtnbdbackup.0' }]
+        }
+      ];
+
+      beforeEach(() => {
+        generalModule.resolveDomains.mockResolvedValue(['vm1']);
+        virshModule.findCheckpoints.mockResolvedValue(['virtnbdbackup.0']);
+        qemuImgModule.findBitmaps.mockResolvedValue(mockBitmaps);
+        libnbdbackupModule.getBackupFolder.mockReturnValue('vmsnap-backup-monthly-2024-03');
+        generalModule.fileExists.mockResolvedValue(true);
+        fsModule.readdir
+          .mockResolvedValueOnce(['virtnbdbackup.0.xml'])
+          .mockResolvedValueOnce([]);
+        fsModule.stat.mockResolvedValueOnce({ size: 1024 });
+      });
+
+      test('marks domains that were never verified as unverified', async () => {
+        verifyModule.readVerification.mockResolvedValue(undefined);
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(verifyModule.readVerification).toHaveBeenCalledWith(
+          '/backup/path/vm1/vmsnap-backup-monthly-2024-03'
+        );
+        expect(result.vm1.verification).toBeNull();
+        expect(result.vm1.overallStatus).toBe(2); // STATUS_UNVERIFIED
+      });
+
+      test('marks domains with new checkpoints since verification as unverified', async () => {
+        verifyModule.readVerification.mockResolvedValue({
+          verifiedAt: '2024-03-01T10:00:00.000Z',
+          checkpoints: 0,
+          result: 'ok'
+        });
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(result.vm1.overallStatus).toBe(2); // STATUS_UNVERIFIED
+      });
+
+      test('stays OK when the latest checkpoint was verified', async () => {
+        verifyModule.readVerification.mockResolvedValue({
+          verifiedAt: '2024-03-15T10:00:00.000Z',
+          checkpoints: 1,
+          result: 'ok',
+          exitCode: 0
+        });
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(result.vm1.verification).toEqual({
+          verifiedAt: '2024-03-15T10:00:00.000Z',
+          checkpoints: 1,
+          result: 'ok'
+        });
+        expect(result.vm1.overallStatus).toBe(0); // STATUS_OK
+      });
+
+      test('marks domains that failed verification as corrupt', async () => {
+        verifyModule.readVerification.mockResolvedValue({
+          verifiedAt: '2024-03-15T10:00:00.000Z',
+          checkpoints: 1,
+          result: 'corrupt'
+        });
+
+        const result = await getStatus('vm1', '/backup/path', 'month');
+
+        expect(result.vm1.overallStatus).toBe(3); // STATUS_CORRUPT
+      });
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,283 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import {
+  VERIFY_FILE,
+  performVerify,
+  readVerification,
+  verifyBackup
+} from '../../../libs/verify.js';
+
+// Mock external dependencies
+vi.mock('child_process', () => ({
+  spawn: vi.fn()
+}));
+
+vi.mock('fs/promises', () => ({
+  readdir: vi.fn(),
+  readFile: vi.fn(),
+  writeFile: vi.fn()
+}));
+
+vi.mock('../../../vmsnap.js', () => ({
+  ERR_DOMAINS: 1,
+  ERR_OUTPUT_DIR: 2,
+  ERR_VERIFY: 11,
+  ERR_ENCRYPTION: 14,
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../libs/virsh.js', () => ({
+  fetchAllDomains: vi.fn()
+}));
+
+vi.mock('../../../libs/general.js', () => ({
+  fileExists: vi.fn(),
+  resolveDomains: vi.fn(),
+  createError: vi.fn((message, code) => {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }),
+}));
+
+vi.mock('../../../libs/libnbdbackup.js', () => ({
+  FREQUENCY_MONTHLY: 'month',
+  getBackupFolder: vi.fn(() => 'vmsnap-backup-monthly-2024-03')
+}));
+
+vi.mock('../../../libs/libnbdrestore.js', () => ({
+  RESTORE: 'virtnbdrestore'
+}));
+
+vi.mock('../../../libs/chain.js', () => ({
+  getChainPath: vi.fn(async (path) => path)
+}));
+
+vi.mock('../../../libs/lock.js', () => ({
+  withDomainLock: vi.fn(async (options, domain, callback) => callback())
+}));
+
+vi.mock('../../../libs/encryption.js', () => ({
+  withDecryptedFolder: vi.fn((path, encryptKey, stagingDir, callback) => callback(path))
+}));
+
+describe('verify.js', () => {
+  let childProcessModule, fsModule, generalModule, vmSnapModule, encryptionModule;
+  let closeCode;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.setSystemTime(new Date('2024-03-15T10:00:00Z'));
+
+    childProcessModule = await import('child_process');
+    fsModule = await import('fs/promises');
+    generalModule = await import('../../../libs/general.js');
+    vmSnapModule = await import('../../../vmsnap.js');
+    encryptionModule = await import('../../../libs/encryption.js');
+
+    closeCode = 0;
+
+    childProcessModule.spawn.mockReturnValue({
+      on: vi.fn((event, callback) => {
+        if (event === 'close') {
+          setTimeout(() => callback(closeCode), 0);
+        }
+      })
+    });
+
+    generalModule.resolveDomains.mockResolvedValue(['vm1']);
+    generalModule.fileExists.mockResolvedValue(true);
+    fsModule.readdir.mockResolvedValue(['virtnbdbackup.0.xml', 'virtnbdbackup.1.xml']);
+  });
+
+  describe('verifyBackup', () => {
+    test('runs virtnbdrestore in verify mode and records the result', async () => {
+      const result = await verifyBackup('vm1', '/backup/vm1/folder');
+
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        ['-a', 'verify', '-i', '/backup/vm1/folder'],
+        expect.objectContaining({ stdio: 'inherit' })
+      );
+      expect(result).toEqual({
+        verifiedAt: '2024-03-15T10:00:00.000Z',
+        checkpoints: 2,
+        result: 'ok',
+        exitCode: 0
+      });
+      expect(fsModule.writeFile).toHaveBeenCalledWith(
+        `/backup/vm1/folder/${VERIFY_FILE}`,
+        JSON.stringify(result, undefined, 2)
+      );
+    });
+
+    test('verifies the decrypted copy of an encrypted folder', async () => {
+      encryptionModule.withDecryptedFolder.mockImplementationOnce((path, encryptKey, stagingDir, callback) =>
+        callback('/backup/vmsnap-decrypt-abc')
+      );
+
+      const result = await verifyBackup('vm1', '/backup/vm1/folder', '/etc/vmsnap/key', '/backup');
+
+      expect(encryptionModule.withDecryptedFolder).toHaveBeenCalledWith(
+        '/backup/vm1/folder',
+        '/etc/vmsnap/key',
+        '/backup',
+        expect.any(Function)
+      );
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        ['-a', 'verify', '-i', '/backup/vmsnap-decrypt-abc'],
+        expect.any(Object)
+      );
+      expect(result.result).toBe('ok');
+      expect(fsModule.writeFile).toHaveBeenCalledWith(
+        `/backup/vm1/folder/${VERIFY_FILE}`,
+        expect.any(String)
+      );
+    });
+
+    test('records a folder that can not be decrypted as corrupt', async () => {
+      const message = 'Unable to decrypt /backup/vm1/folder/vda.full.data.enc: Unsupported state or unable to authenticate data';
+
+      encryptionModule.withDecryptedFolder.mockRejectedValueOnce(Object.assign(new Error(message), { code: 14 }));
+
+      const result = await verifyBackup('vm1', '/backup/vm1/folder', '/etc/vmsnap/key', '/backup');
+
+      expect(result).toEqual({
+        verifiedAt: '2024-03-15T10:00:00.000Z',
+        checkpoints: 2,
+        result: 'corrupt',
+        reason: message
+      });
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+      expect(fsModule.writeFile).toHaveBeenCalledWith(
+        `/backup/vm1/folder/${VERIFY_FILE}`,
+        JSON.stringify(result, undefined, 2)
+      );
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(`Backup of vm1 failed verification (${message})`);
+    });
+
+    test('records a corrupt result when verification fails', async () => {
+      closeCode = 1;
+
+      const result = await verifyBackup('vm1', '/backup/vm1/folder');
+
+      expect(result.result).toBe('corrupt');
+      expect(result.exitCode).toBe(1);
+      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
+        'Backup of vm1 failed verification (code 1)'
+      );
+    });
+  });
+
+  describe('readVerification', () => {
+    test('returns undefined when the folder was never verified', async () => {
+      generalModule.fileExists.mockResolvedValue(false);
+
+      await expect(readVerification('/backup/vm1/folder')).resolves.toBeUndefined();
+    });
+
+    test('parses the verification record', async () => {
+      fsModule.readFile.mockResolvedValue('{"result":"ok","checkpoints":2}');
+
+      await expect(readVerification('/backup/vm1/folder')).resolves.toEqual({
+        result: 'ok',
+        checkpoints: 2
+      });
+    });
+
+    test('warns and returns undefined for unreadable records', async () => {
+      fsModule.readFile.mockResolvedValue('not json');
+
+      await expect(readVerification('/backup/vm1/folder')).resolves.toBeUndefined();
+      expect(vmSnapModule.logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('performVerify', () => {
+    test('throws when required arguments are missing', async () => {
+      await expect(performVerify({ output: '/backup' })).rejects.toMatchObject({ code: 1 });
+      await expect(performVerify({ domains: 'vm1' })).rejects.toMatchObject({ code: 2 });
+    });
+
+    test('verifies the current period folder of each domain', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+
+      const results = await performVerify({ domains: 'vm1,vm2', output: '/backup' });
+
+      expect(results.map(({ domain, result }) => [domain, result])).toEqual([
+        ['vm1', 'ok'],
+        ['vm2', 'ok']
+      ]);
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(2);
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        ['-a', 'verify', '-i', '/backup/vm2/vmsnap-backup-monthly-2024-03'],
+        expect.any(Object)
+      );
+    });
+
+    test('decrypts under the output directory unless decryptDir is given', async () => {
+      await performVerify({ domains: 'vm1', output: '/backup', encryptKey: '/etc/vmsnap/key' });
+      await performVerify({ domains: 'vm1', output: '/backup', encryptKey: '/etc/vmsnap/key', decryptDir: '/scratch' });
+
+      expect(encryptionModule.withDecryptedFolder.mock.calls.map(([, , stagingDir]) => stagingDir)).toEqual([
+        '/backup',
+        '/scratch'
+      ]);
+    });
+
+    test('skips domains without a backup folder', async () => {
+      generalModule.fileExists.mockResolvedValueOnce(false);
+
+      await performVerify({ domains: 'vm1', output: '/backup' });
+
+      expect(childProcessModule.spawn).not.toHaveBeenCalled();
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith(
+        'No backup found for vm1 in /backup/vm1/vmsnap-backup-monthly-2024-03'
+      );
+    });
+
+    test('throws after verifying every domain when any are corrupt', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      closeCode = 1;
+
+      await expect(
+        performVerify({ domains: 'vm1,vm2', output: '/backup' })
+      ).rejects.toMatchObject({
+        message: 'Verification failed for: vm1, vm2',
+        code: 11
+      });
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(2);
+    });
+
+    test('carries on to the next domain when one can not be decrypted', async () => {
+      generalModule.resolveDomains.mockResolvedValue(['vm1', 'vm2']);
+      encryptionModule.withDecryptedFolder.mockRejectedValueOnce(
+        Object.assign(new Error('The key in /etc/vmsnap/key can not decrypt /backup/vm1/vmsnap-backup-monthly-2024-03'), {
+          code: 14
+        })
+      );
+
+      await expect(
+        performVerify({ domains: 'vm1,vm2', output: '/backup', encryptKey: '/etc/vmsnap/key' })
+      ).rejects.toMatchObject({
+        message: 'Verification failed for: vm1',
+        code: 11,
+        results: [
+          { domain: 'vm1', result: 'corrupt', reason: expect.stringContaining('can not decrypt') },
+          { domain: 'vm2', result: 'ok', exitCode: 0 }
+        ]
+      });
+      expect(childProcessModule.spawn).toHaveBeenCalledTimes(1);
+      expect(childProcessModule.spawn).toHaveBeenCalledWith(
+        'virtnbdrestore',
+        ['-a', 'verify', '-i', '/backup/vm2/vmsnap-backup-monthly-2024-03'],
+        expect.any(Object)
+      );
+    });
+  });
+});
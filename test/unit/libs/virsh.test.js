@@ -1,4 +1,4 @@
-import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import { EOL } from 'os';
 import {
   VIRSH,
@@ -6,14 +6,18 @@ import {
   domainExists,
   isDomainRunning,
   fetchAllDomains,
+  fetchDomains,
+  fetchDomainTags,
+  METADATA_URI,
   findCheckpoints,
   cleanupCheckpoints,
-  fetchAllDisks
+  fetchAllDisks,
+  setDomainUri,
+  setLibvirtUri
 } from '../../../libs/virsh.js';
 
 // Mock the vmsnap module
 vi.mock('../../../vmsnap.js', () => ({
-  asyncExec: vi.fn(),
   logger: {
     info: vi.fn(),
     warn: vi.fn(),
@@ -21,12 +25,18 @@ vi.mock('../../../vmsnap.js', () => ({
   }
 }));
 
+// Mock the process layer
+vi.mock('../../../libs/exec.js', () => ({
+  execute: vi.fn()
+}));
+
 describe('virsh.js', () => {
-  let vmSnapModule;
+  let vmSnapModule, execModule;
 
   beforeEach(async () => {
     vi.clearAllMocks();
     vmSnapModule = await import('../../../vmsnap.js');
+    execModule = await import('../../../libs/exec.js');
   });
 
   describe('constants', () => {
@@ -45,37 +55,66 @@ describe('virsh.js', () => {
     });
   });
 
+  describe('connection URIs', () => {
+    afterEach(() => {
+      setLibvirtUri(null);
+      setDomainUri('remote-vm', undefined);
+    });
+
+    test('uses the global connection URI', async () => {
+      setLibvirtUri('qemu:///system');
+      execModule.execute.mockResolvedValue({ stdout: 'running', stderr: '' });
+
+      await isDomainRunning('local-vm');
+
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['-c', 'qemu:///system', 'domstate', 'local-vm']);
+    });
+
+    test('uses a per-domain connection URI over the global one', async () => {
+      setLibvirtUri('qemu:///system');
+      setDomainUri('remote-vm', 'qemu+ssh://host2/system');
+      execModule.execute.mockResolvedValue({ stdout: 'running', stderr: '' });
+
+      await isDomainRunning('remote-vm');
+      await isDomainRunning('local-vm');
+
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['-c', 'qemu+ssh://host2/system', 'domstate', 'remote-vm']);
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['-c', 'qemu:///system', 'domstate', 'local-vm']);
+    });
+  });
+
   describe('domainExists', () => {
     test('returns true when domain exists', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'running', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'running', stderr: '' });
 
       const result = await domainExists('valid-domain');
 
       expect(result).toBe(true);
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith('virsh domstate valid-domain');
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['domstate', 'valid-domain']);
     });
 
     test('returns false when domain does not exist', async () => {
-      vmSnapModule.asyncExec.mockRejectedValue(new Error('Domain not found'));
+      execModule.execute.mockRejectedValue(new Error('Domain not found'));
 
       const result = await domainExists('nonexistent-domain');
 
       expect(result).toBe(false);
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith('virsh domstate nonexistent-domain');
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['domstate', 'nonexistent-domain']);
     });
 
-    test('returns false for domain with invalid characters', async () => {
-      const result = await domainExists('invalid@domain#name');
+    test('passes names with spaces and shell metacharacters as one argument', async () => {
+      execModule.execute.mockResolvedValue({ stdout: 'running', stderr: '' });
 
-      expect(result).toBe(false);
-      expect(vmSnapModule.logger.error).toHaveBeenCalledWith(
-        'Domain invalid@domain#name contains invalid characters'
-      );
-      expect(vmSnapModule.asyncExec).not.toHaveBeenCalled();
+      const domains = ['my vm', 'vm; rm -rf /', 'vm$(reboot)', "vm'quoted\"", 'vm`id`|cat'];
+
+      for (const domain of domains) {
+        await expect(domainExists(domain)).resolves.toBe(true);
+        expect(execModule.execute).toHaveBeenLastCalledWith('virsh', ['domstate', domain]);
+      }
     });
 
     test('allows valid domain name characters', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'running', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'running', stderr: '' });
 
       const validDomains = [
         'ubuntu-vm',
@@ -91,23 +130,23 @@ describe('virsh.js', () => {
         await domainExists(domain);
       }
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(validDomains.length);
+      expect(execModule.execute).toHaveBeenCalledTimes(validDomains.length);
       expect(vmSnapModule.logger.error).not.toHaveBeenCalled();
     });
   });
 
   describe('isDomainRunning', () => {
     test('returns true when domain is running', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'running\n', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'running\n', stderr: '' });
 
       const result = await isDomainRunning('test-domain');
 
       expect(result).toBe(true);
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith('virsh domstate test-domain');
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['domstate', 'test-domain']);
     });
 
     test('returns false when domain is shut off', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'shut off\n', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'shut off\n', stderr: '' });
 
       const result = await isDomainRunning('test-domain');
 
@@ -115,7 +154,7 @@ describe('virsh.js', () => {
     });
 
     test('returns false when domain is paused', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'paused\n', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'paused\n', stderr: '' });
 
       const result = await isDomainRunning('test-domain');
 
@@ -123,7 +162,7 @@ describe('virsh.js', () => {
     });
 
     test('returns false when domain does not exist', async () => {
-      vmSnapModule.asyncExec.mockRejectedValue(new Error('Domain not found'));
+      execModule.execute.mockRejectedValue(new Error('Domain not found'));
 
       const result = await isDomainRunning('nonexistent-domain');
 
@@ -131,7 +170,7 @@ describe('virsh.js', () => {
     });
 
     test('handles various running state formats', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: 'Running', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: 'Running', stderr: '' });
 
       const result = await isDomainRunning('test-domain');
 
@@ -139,20 +178,84 @@ describe('virsh.js', () => {
     });
   });
 
+  describe('stderr handling', () => {
+    test('logs stderr from a successful command as a warning', async () => {
+      execModule.execute.mockResolvedValue({
+        stdout: `vm1${EOL}`,
+        stderr: 'warning: deprecated option\n'
+      });
+
+      await expect(fetchAllDomains()).resolves.toEqual(['vm1']);
+      expect(vmSnapModule.logger.warn).toHaveBeenCalledWith('warning: deprecated option');
+    });
+  });
+
+  describe('fetchDomains', () => {
+    test('passes the filters to virsh list', async () => {
+      execModule.execute.mockResolvedValue({ stdout: `vm1${EOL}vm2${EOL}`, stderr: '' });
+
+      await expect(fetchDomains(['--all', '--autostart'])).resolves.toEqual(['vm1', 'vm2']);
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', [
+        'list',
+        '--all',
+        '--autostart',
+        '--name'
+      ]);
+    });
+  });
+
+  describe('fetchDomainTags', () => {
+    test('reads the tags from the vmsnap metadata of the domain', async () => {
+      execModule.execute.mockResolvedValue({
+        stdout: [
+          `<vmsnap:vmsnap xmlns:vmsnap="${METADATA_URI}">`,
+          '  <vmsnap:tag>prod</vmsnap:tag>',
+          '  <vmsnap:tag> db </vmsnap:tag>',
+          '  <vmsnap:tag></vmsnap:tag>',
+          '</vmsnap:vmsnap>'
+        ].join(EOL),
+        stderr: ''
+      });
+
+      await expect(fetchDomainTags('vm1')).resolves.toEqual(['prod', 'db']);
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', [
+        'metadata',
+        'vm1',
+        '--uri',
+        METADATA_URI
+      ]);
+    });
+
+    test('reads tags without a namespace prefix', async () => {
+      execModule.execute.mockResolvedValue({
+        stdout: '<vmsnap><tag>prod</tag></vmsnap>',
+        stderr: ''
+      });
+
+      await expect(fetchDomainTags('vm1')).resolves.toEqual(['prod']);
+    });
+
+    test('returns no tags when the domain has no vmsnap metadata', async () => {
+      execModule.execute.mockRejectedValue(new Error('metadata not found'));
+
+      await expect(fetchDomainTags('vm1')).resolves.toEqual([]);
+    });
+  });
+
   describe('fetchAllDomains', () => {
     test('returns list of domains from virsh output', async () => {
       const mockOutput = `ubuntu-vm${EOL}centos-server${EOL}web-vm${EOL}`;
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDomains();
 
       expect(result).toEqual(['ubuntu-vm', 'centos-server', 'web-vm']);
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith('virsh list --all --name');
+      expect(execModule.execute).toHaveBeenCalledWith('virsh', ['list', '--all', '--name']);
     });
 
     test('filters out empty lines', async () => {
       const mockOutput = `ubuntu-vm${EOL}${EOL}centos-server${EOL}${EOL}`;
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDomains();
 
@@ -160,7 +263,7 @@ describe('virsh.js', () => {
     });
 
     test('returns empty array when no domains found', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: '', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: '', stderr: '' });
 
       const result = await fetchAllDomains();
 
@@ -168,31 +271,30 @@ describe('virsh.js', () => {
     });
 
     test('throws error when virsh command fails', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ 
-        stdout: '', 
-        stderr: 'virsh: command not found' 
-      });
+      execModule.execute.mockRejectedValue(
+        new Error('virsh could not be run (ENOENT)')
+      );
 
-      await expect(fetchAllDomains()).rejects.toThrow('virsh: command not found');
+      await expect(fetchAllDomains()).rejects.toThrow('virsh could not be run (ENOENT)');
     });
   });
 
   describe('findCheckpoints', () => {
     test('returns list of checkpoints from virsh output', async () => {
       const mockOutput = `virtnbdbackup.123${EOL}virtnbdbackup.456${EOL}`;
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await findCheckpoints('test-domain');
 
       expect(result).toEqual(['virtnbdbackup.123', 'virtnbdbackup.456']);
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'virsh checkpoint-list test-domain --name'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'virsh', ['checkpoint-list', 'test-domain', '--name']
       );
     });
 
     test('filters out empty and whitespace-only lines', async () => {
       const mockOutput = `virtnbdbackup.123${EOL}   ${EOL}virtnbdbackup.456${EOL}${EOL}`;
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await findCheckpoints('test-domain');
 
@@ -200,7 +302,7 @@ describe('virsh.js', () => {
     });
 
     test('returns empty array when no checkpoints found', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: '', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: '', stderr: '' });
 
       const result = await findCheckpoints('test-domain');
 
@@ -208,21 +310,33 @@ describe('virsh.js', () => {
     });
 
     test('throws error when virsh checkpoint-list fails', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ 
-        stdout: '', 
-        stderr: 'Domain not found' 
-      });
+      execModule.execute.mockRejectedValue(
+        new Error('virsh exited with code 1: Domain not found')
+      );
 
       await expect(findCheckpoints('nonexistent-domain')).rejects.toThrow('Domain not found');
     });
   });
 
   describe('cleanupCheckpoints', () => {
+    test('only lists the checkpoints it would remove on a dry run', async () => {
+      execModule.execute.mockResolvedValueOnce({
+        stdout: ['virtnbdbackup.0', 'virtnbdbackup.1', 'not-ours'].join(EOL),
+        stderr: ''
+      });
+
+      const removed = await cleanupCheckpoints('test-domain', undefined, true);
+
+      expect(removed).toEqual(['virtnbdbackup.0', 'virtnbdbackup.1']);
+      expect(execModule.execute).toHaveBeenCalledTimes(1);
+      expect(vmSnapModule.logger.info).not.toHaveBeenCalled();
+    });
+
     test('removes all valid checkpoints when no specific name given', async () => {
       const mockCheckpoints = ['virtnbdbackup.123', 'virtnbdbackup.456', 'invalid-checkpoint'];
       
       // Mock findCheckpoints call
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ 
           stdout: mockCheckpoints.join(EOL), 
           stderr: '' 
@@ -231,12 +345,12 @@ describe('virsh.js', () => {
 
       await cleanupCheckpoints('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(3); // 1 list + 2 deletes
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'virsh checkpoint-delete test-domain virtnbdbackup.123 --metadata'
+      expect(execModule.execute).toHaveBeenCalledTimes(3); // 1 list + 2 deletes
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'virsh', ['checkpoint-delete', 'test-domain', 'virtnbdbackup.123', '--metadata']
       );
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'virsh checkpoint-delete test-domain virtnbdbackup.456 --metadata'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'virsh', ['checkpoint-delete', 'test-domain', 'virtnbdbackup.456', '--metadata']
       );
       expect(vmSnapModule.logger.info).toHaveBeenCalledTimes(2);
     });
@@ -244,7 +358,7 @@ describe('virsh.js', () => {
     test('removes only specific checkpoint when name provided', async () => {
       const mockCheckpoints = ['virtnbdbackup.123', 'virtnbdbackup.456'];
       
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ 
           stdout: mockCheckpoints.join(EOL), 
           stderr: '' 
@@ -253,9 +367,9 @@ describe('virsh.js', () => {
 
       await cleanupCheckpoints('test-domain', 'virtnbdbackup.123');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(2); // 1 list + 1 delete
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'virsh checkpoint-delete test-domain virtnbdbackup.123 --metadata'
+      expect(execModule.execute).toHaveBeenCalledTimes(2); // 1 list + 1 delete
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'virsh', ['checkpoint-delete', 'test-domain', 'virtnbdbackup.123', '--metadata']
       );
       expect(vmSnapModule.logger.info).toHaveBeenCalledWith(
         'Removing checkpoint virtnbdbackup.123 from test-domain'
@@ -265,37 +379,36 @@ describe('virsh.js', () => {
     test('skips checkpoints that do not match regex', async () => {
       const mockCheckpoints = ['invalid-checkpoint', 'another-invalid'];
       
-      vmSnapModule.asyncExec.mockResolvedValueOnce({ 
+      execModule.execute.mockResolvedValueOnce({ 
         stdout: mockCheckpoints.join(EOL), 
         stderr: '' 
       });
 
       await cleanupCheckpoints('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only list call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only list call
       expect(vmSnapModule.logger.info).not.toHaveBeenCalled();
     });
 
     test('does nothing when no checkpoints exist', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: '', stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: '', stderr: '' });
 
       await cleanupCheckpoints('test-domain');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only list call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only list call
     });
 
     test('throws error when checkpoint deletion fails', async () => {
       const mockCheckpoints = ['virtnbdbackup.123'];
       
-      vmSnapModule.asyncExec
+      execModule.execute
         .mockResolvedValueOnce({ 
           stdout: mockCheckpoints.join(EOL), 
           stderr: '' 
         })
-        .mockResolvedValueOnce({ 
-          stdout: '', 
-          stderr: 'Failed to delete checkpoint' 
-        });
+        .mockRejectedValueOnce(
+          new Error('virsh exited with code 1: Failed to delete checkpoint')
+        );
 
       await expect(cleanupCheckpoints('test-domain')).rejects.toThrow(
         'Failed to delete checkpoint'
@@ -305,14 +418,14 @@ describe('virsh.js', () => {
     test('skips checkpoints that do not match specified name', async () => {
       const mockCheckpoints = ['virtnbdbackup.123', 'virtnbdbackup.456'];
       
-      vmSnapModule.asyncExec.mockResolvedValueOnce({ 
+      execModule.execute.mockResolvedValueOnce({ 
         stdout: mockCheckpoints.join(EOL), 
         stderr: '' 
       });
 
       await cleanupCheckpoints('test-domain', 'virtnbdbackup.999');
 
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledTimes(1); // Only list call
+      expect(execModule.execute).toHaveBeenCalledTimes(1); // Only list call
       expect(vmSnapModule.logger.info).not.toHaveBeenCalled();
     });
   });
@@ -324,7 +437,7 @@ describe('virsh.js', () => {
                         `file       disk       vdb        /var/lib/libvirt/images/vm1-data.qcow2${EOL}` +
                         `file       cdrom      hdc        -${EOL}`;
       
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDisks('test-domain');
 
@@ -332,15 +445,15 @@ describe('virsh.js', () => {
       expect(result.get('vda')).toBe('/var/lib/libvirt/images/vm1.qcow2');
       expect(result.get('vdb')).toBe('/var/lib/libvirt/images/vm1-data.qcow2');
       expect(result.has('hdc')).toBe(false); // cdrom should be excluded
-      expect(vmSnapModule.asyncExec).toHaveBeenCalledWith(
-        'virsh domblklist test-domain --details'
+      expect(execModule.execute).toHaveBeenCalledWith(
+        'virsh', ['domblklist', 'test-domain', '--details']
       );
     });
 
     test('handles domains with no disks', async () => {
       const mockOutput = `Type       Device     Target     Source${EOL}`;
       
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDisks('test-domain');
 
@@ -354,7 +467,7 @@ describe('virsh.js', () => {
                         `file       cdrom      hdc        /path/to/cdrom.iso${EOL}` +
                         `network    interface  virbr0     default${EOL}`;
       
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDisks('test-domain');
 
@@ -368,7 +481,7 @@ describe('virsh.js', () => {
                         `malformed line${EOL}` +
                         `file disk vdb${EOL}`; // Missing source
       
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDisks('test-domain');
 
@@ -380,19 +493,17 @@ describe('virsh.js', () => {
       const mockOutput = `Type       Device     Target     Source${EOL}` +
                         `file       disk       vda        /var/lib/libvirt/images/vm with spaces.qcow2${EOL}`;
       
-      vmSnapModule.asyncExec.mockResolvedValue({ stdout: mockOutput, stderr: '' });
+      execModule.execute.mockResolvedValue({ stdout: mockOutput, stderr: '' });
 
       const result = await fetchAllDisks('test-domain');
 
-      // The implementation splits on space, so paths with spaces get truncated
-      expect(result.get('vda')).toBe('/var/lib/libvirt/images/vm');
+      expect(result.get('vda')).toBe('/var/lib/libvirt/images/vm with spaces.qcow2');
     });
 
     test('throws error when virsh domblklist fails', async () => {
-      vmSnapModule.asyncExec.mockResolvedValue({ 
-        stdout: '', 
-        stderr: 'Domain not found' 
-      });
+      execModule.execute.mockRejectedValue(
+        new Error('virsh exited with code 1: Domain not found')
+      );
 
       await expect(fetchAllDisks('nonexistent-domain')).rejects.toThrow('Domain not found');
     });
@@ -1,11 +1,7 @@
 #!/usr/bin/env node
 import process, { exit } from 'process';
-import { exec } from 'child_process';
-import util from 'util';
-import { tmpdir } from 'os';
-import { sep } from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import Yargs from 'yargs';
-import { lock, unlock } from 'lockfile';
 import * as winston from 'winston';
 import { consoleFormat } from 'winston-console-format';
 import yoctoSpinner from 'yocto-spinner';
@@ -15,8 +11,13 @@ import {
   scrubCheckpointsAndBitmaps,
 } from './libs/general.js';
 import { performBackup } from './libs/libnbdbackup.js';
-import { printStatusCheck, SCREEN_SIZE } from './libs/print.js';
-import { setLibvirtUri } from './libs/virsh.js';
+import { performRestore } from './libs/libnbdrestore.js';
+import { performVerify } from './libs/verify.js';
+import { performRepair } from './libs/repair.js';
+import { printHistory, printStatusCheck, SCREEN_SIZE } from './libs/print.js';
+import { configureConnections, loadConfig } from './libs/config.js';
+import { exportMetrics } from './libs/metrics.js';
+import { performDaemon } from './libs/daemon.js';
 
 /**
  * This script is designed to backup KVM virtual machines using the
@@ -26,12 +27,72 @@ import { setLibvirtUri } from './libs/virsh.js';
  * Usage: node vmsnap.js --domains=<domain> --output=<output directory>
  *
  * --domains: Comma-separated list of domains to backup.  Use '*' to backup all
- * domains.
+ * domains.  Globs and the @running, @autostart, @persistent and @tag:<name>
+ * selectors may be mixed with names.  Prefix an entry with ! to leave it out.
+ * --exclude=<pattern[,pattern]> (Optional), domains to leave out.
  * --output: Output directory for the backups.  Only supply the root of where
  * you want the backups to go.  The script will create a directory for each
  * domain and a subdirectory for each year/month.
  * --prune=<true|false> (Optional), this will delete the previous month's
  * backups if it's the middle of the month and the backups exist.
+ * --keep-last, --keep-monthly, --keep-quarterly, --keep-yearly=<count>
+ * (Optional), retention policies that replace --prune when set.
+ * --exclude-disks=<disk[,disk]>, --include-disks=<disk[,disk]> (Optional),
+ * the disks to leave out of or limit backups to, like vdb,vdc.
+ * --compress[=<level>] (Optional), compresses backups, at a level from 0 to
+ * 16 if one is given.
+ * --encrypt-key=<key file> (Optional), encrypts the data files of each backup
+ * with the 256-bit key in the file.  Verify and restore decrypt with it.
+ * --decrypt-dir=<directory> (Optional), where verify and restore decrypt an
+ * encrypted backup, defaults to the output directory for verify and the
+ * target directory for restore.
+ * --replicate=<path|s3://bucket/prefix> (Optional, repeatable), mirrors each
+ * successful backup to another directory or an S3 bucket.
+ * --replicate-compare=<mtime|size|hash> picks how unchanged files are found
+ * and --mirror-prune also removes period folders the target keeps after they
+ * are pruned locally.
+ * --full (Optional), with --backup starts a new full chain in a chain-N
+ * sub-folder of the period, scrubbing the old checkpoints and bitmaps first.
+ * --restore --target=<target directory> (Optional), rebuilds the disk images
+ * of the domains from their backups into the target directory.  Restores the
+ * newest chain of the period unless --chain=<number> picks another.
+ * --verify (Optional), proves the current period's backups can be restored.
+ * Pass --verify-after with --backup to verify each backup once it finishes.
+ * --repair (Optional), removes the checkpoints and bitmaps that no longer match
+ * for domains the status reports as INCONSISTENT and, if their chain is
+ * broken, starts a new full chain in a chain-N sub-folder of the period with
+ * the next backup.  Asks for confirmation first unless --yes is passed.
+ * --max-age=<age> (Optional), reports domains without a successful backup
+ * this recent, like 26h, as STALE in the status.
+ * --history (Optional), lists the past backup runs of the domains, newest
+ * first.  Narrow it with --since=<date>, --until=<date>, --failed-only and
+ * --limit=<count>.
+ * --concurrency=<count> (Optional), how many domains to back up at once,
+ * defaults to 1.
+ * --fail-fast (Optional), stops starting new backups once one fails, by
+ * default every domain is attempted.
+ * --metrics-file=<file> (Optional), writes Prometheus metrics for the
+ * domains after every backup, scrub or status run.
+ * --dry-run (Optional), prints what a backup, scrub or repair would do without
+ * doing it.  Add --json or --yaml for a serialized plan.
+ * --webhook=<url> (Optional, repeatable), POSTs a notification when a backup
+ * or scrub fails, pruning deletes a folder or a domain turns INCONSISTENT.
+ * --webhook-template=<generic|slack|mattermost|gotify> shapes the payload and
+ * --notify-on-success also notifies runs that finish cleanly.
+ * --lock-dir=<directory> (Optional), where the per-domain locks go, defaults
+ * to /run/vmsnap as root and a vmsnap directory in the temp directory
+ * otherwise.  Backup, scrub, repair, verify and restore lock each domain while
+ * they work on it, status and history take no lock.
+ * --lock-timeout=<duration> (Optional), how long to wait for a domain locked
+ * by another run, defaults to 2m.  Pass --no-wait to not wait at all.
+ * --daemon (Optional), runs the backup, verify and prune jobs of the schedules
+ * in the config file at the times their cron expressions give, instead of
+ * cron running vmsnap.  A job waits for domains another job is working on and
+ * runs missed while the daemon was down are caught up on when it starts.  The
+ * result of each run is kept in --state-file=<file>, which defaults to
+ * /var/lib/vmsnap/daemon.json.  SIGHUP reloads the config file.
+ * --config=<config file> (Optional), global defaults and per-domain profiles,
+ * /etc/vmsnap/config.yml is used when it exists.  Switches win over the file.
  *
  * Note: Offline VMs are automatically started in paused state for backup to
  * enable checkpoint creation and incremental backups.
@@ -57,7 +118,7 @@ export const ERR_REQS = 4;
 // bitmaps.
 export const ERR_SCRUB = 5;
 
-// Lock release error, something went wrong releasing the lock.
+// Lock release error, something went wrong releasing a domain's lock.
 export const ERR_LOCK_RELEASE = 6;
 
 // More than one command was specified.
@@ -66,25 +127,63 @@ export const ERR_TOO_MANY_COMMANDS = 7;
 // Invalid scrub type was specified.
 export const ERR_INVALID_SCRUB_TYPE = 8;
 
-// A spinnner for long running tasks
-export const spinner = yoctoSpinner();
+// Restore error, the backup chain is incomplete or virtnbdrestore failed.
+export const ERR_RESTORE = 9;
+
+// Error with the target directory argument, usually indicates no target
+// directory was specified for a restore.
+export const ERR_TARGET_DIR = 10;
+
+// Verify error, one or more backups failed verification.
+export const ERR_VERIFY = 11;
+
+// Config error, the config file is missing or could not be parsed.
+export const ERR_CONFIG = 12;
+
+// Backup error, one or more domains failed to back up.
+export const ERR_BACKUP = 13;
+
+// Encryption error, the key file is unusable or a backup could not be
+// encrypted or decrypted.
+export const ERR_ENCRYPTION = 14;
+
+// History error, a --since, --until or --limit switch could not be understood.
+export const ERR_HISTORY = 15;
 
-// Lock file for the script
-const lockfile = `${tmpdir()}${sep}vmsnap.lock`;
+// Repair error, the repair was not confirmed or a checkpoint or bitmap could
+// not be removed.
+export const ERR_REPAIR = 16;
 
-// Need to promisify exec to use async/await
-export const asyncExec = util.promisify(exec);
+// Lock error, a domain is locked by another run and the wait for it is over.
+export const ERR_LOCKED = 17;
+
+// Schedule error, the schedules or the daemon's state file could not be
+// understood.
+export const ERR_SCHEDULE = 18;
+
+// A spinnner for long running tasks
+export const spinner = yoctoSpinner();
 
 // Parse command line arguments
 const argv = Yargs(process.argv.slice(2)).argv;
 
-// Set the libvirt connection URI if provided (e.g., qemu:///system or qemu:///session)
-if (argv.connect) {
-  setLibvirtUri(argv.connect);
-}
+// Holds the domain being worked on so log lines can be prefixed with it when
+// several domains are backed up at once
+export const logContext = new AsyncLocalStorage();
+
+// Prefixes log lines with the domain being worked on, if there is one
+const domainPrefix = winston.format((info) => {
+  const domain = logContext.getStore()?.domain;
+
+  if (domain !== undefined) {
+    info.message = `[${domain}] ${info.message}`;
+  }
+
+  return info;
+});
 
 // The formats for the logger
-let formats = [];
+let formats = [domainPrefix()];
 
 // The console format options
 let consoleFormatOptions = [winston.format.printf((info) => `${info.message}`)];
@@ -93,6 +192,7 @@ let consoleFormatOptions = [winston.format.printf((info) => `${info.message}`)];
 if (argv.verbose) {
   // The formats for the logger
   formats = [
+    domainPrefix(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
@@ -133,30 +233,55 @@ export const logger = winston.createLogger({
 // Exit code for the script
 let exitCode = 0;
 
-// Run with a lock to prevent multiple instances from running
-lock(lockfile, { retries: 10, retryWait: 10000 }, async (lockErr) => {
-  // Handle lock acquisition failure
-  if (lockErr) {
-    logger.error(`Failed to acquire lock: ${lockErr.message}`);
-    exit(ERR_MAIN);
-    return;
-  }
-
+// Run the command, each domain is locked while a command changes it
+(async () => {
   try {
-    await checkDependencies();
+    // Merge the config file, if any, with the command line arguments
+    const options = await loadConfig(argv);
+
+    await checkDependencies(options);
 
-    if (argv.verbose) {
+    if (options.verbose) {
       logger.info('Dependencies are installed');
     }
 
-    checkCommand(argv);
+    checkCommand(options);
 
-    if (argv.scrub) {
-      await scrubCheckpointsAndBitmaps(argv);
-    } else if (argv.backup) {
-      await performBackup(argv);
-    } else {
-      await printStatusCheck(argv);
+    // Set the libvirt connection URIs if provided (e.g., qemu:///system or
+    // qemu:///session)
+    configureConnections(options);
+
+    try {
+      if (options.scrub) {
+        await scrubCheckpointsAndBitmaps(options);
+      } else if (options.backup) {
+        await performBackup(options);
+      } else if (options.restore) {
+        await performRestore(options);
+      } else if (options.verify) {
+        await performVerify(options);
+      } else if (options.history) {
+        await printHistory(options);
+      } else if (options.repair) {
+        await performRepair(options);
+      } else if (options.daemon) {
+        await performDaemon(options);
+      } else {
+        await printStatusCheck(options);
+      }
+    } finally {
+      // Backup, scrub, repair and status runs refresh the metrics, even if they
+      // failed.  The daemon refreshes them after each job instead
+      if (
+        options.metricsFile &&
+        !options.restore &&
+        !options.verify &&
+        !options.history &&
+        !options.daemon &&
+        !options.dryRun
+      ) {
+        await exportMetrics(options);
+      }
     }
   } catch (err) {
     spinner.stop();
@@ -168,18 +293,6 @@ lock(lockfile, { retries: 10, retryWait: 10000 }, async (lockErr) => {
   } finally {
     spinner.stop();
 
-    if (exitCode === undefined) {
-      logger.info('No exit code provided for lock release');
-    }
-
-    unlock(lockfile, (err) => {
-      if (err) {
-        logger.error(err);
-
-        exitCode = ERR_LOCK_RELEASE;
-      }
-
-      exit(exitCode !== undefined ? exitCode : ERR_MAIN);
-    });
+    exit(exitCode !== undefined ? exitCode : ERR_MAIN);
   }
-});
+})();